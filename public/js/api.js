@@ -7,18 +7,77 @@ export const API = {
     return fetchJson("/api/projects");
   },
 
-  async createProject(url) {
+  async createProject(url, options = {}) {
     const res = await fetchJson("/api/projects", {
       method: "POST",
-      body: JSON.stringify({ url }),
+      body: JSON.stringify({ url, ...options }),
     });
     return res;
   },
 
+  // 保存済みページ（HTML / MHTML / zip）からプロジェクトを作成。url は元LPのURL（分かれば）
+  async uploadSource(file, url) {
+    const query = new URLSearchParams({ filename: file.name });
+    if (url) query.set("url", url);
+    return fetchJson(`/api/projects/upload?${query}`, {
+      method: "POST",
+      headers: { "Content-Type": file.type || "application/octet-stream" },
+      body: file,
+      timeout: 600000,
+    });
+  },
+
   async getProject(id) {
     return fetchJson(`/api/projects/${id}`);
   },
 
+  // セクションを区切り直して役割ラベルを付ける（ai: true なら AI で判定）
+  async labelSections(projectId, { ai = false, provider } = {}) {
+    return fetchJson(`/api/projects/${projectId}/sections/label`, {
+      method: "POST",
+      body: JSON.stringify({ ai, provider }),
+    });
+  },
+
+  async retryMissingAssets(projectId, urls) {
+    return fetchJson(`/api/projects/${projectId}/assets/retry`, {
+      method: "POST",
+      body: JSON.stringify(urls ? { urls } : {}),
+    });
+  },
+
+  // ── Batch Clone ──
+
+  async createBatch(data) {
+    return fetchJson("/api/projects/batch", {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  },
+
+  async listBatches() {
+    return fetchJson("/api/batches");
+  },
+
+  async getBatch(batchId) {
+    return fetchJson(`/api/batches/${batchId}`);
+  },
+
+  async retryBatch(batchId, projectIds) {
+    return fetchJson(`/api/batches/${batchId}/retry`, {
+      method: "POST",
+      body: JSON.stringify(projectIds ? { projectIds } : {}),
+    });
+  },
+
+  async cancelBatch(batchId) {
+    return fetchJson(`/api/batches/${batchId}/cancel`, { method: "POST" });
+  },
+
+  async deleteBatch(batchId) {
+    return fetchJson(`/api/batches/${batchId}`, { method: "DELETE" });
+  },
+
   async getBlock(projectId, idx) {
     return fetchJson(`/api/projects/${projectId}/blocks/${idx}`);
   },
@@ -52,10 +111,11 @@ export const API = {
   },
 
   async oneClickImage(projectId, idx, data) {
-    return fetchJson(`/api/projects/${projectId}/one-click-image/${idx}`, {
+    const { jobId } = await fetchJson(`/api/projects/${projectId}/one-click-image/${idx}`, {
       method: "POST",
       body: JSON.stringify(data),
     });
+    return waitForJob(jobId);
   },
 
   async applyImage(projectId, idx, data) {
@@ -107,11 +167,11 @@ export const API = {
   },
 
   async generateVideo(projectId, idx, data) {
-    return fetchJson(`/api/projects/${projectId}/generate-video/${idx}`, {
+    const { jobId } = await fetchJson(`/api/projects/${projectId}/generate-video/${idx}`, {
       method: "POST",
       body: JSON.stringify(data),
-      timeout: 200000,
     });
+    return waitForJob(jobId, { timeout: 200000 });
   },
 
   async describeVideo(projectId, idx, data = {}) {
@@ -167,6 +227,110 @@ export const API = {
     });
   },
 
+  // ── サーバー側リビジョン履歴 ──────────────────────
+  async listRevisions(projectId) {
+    return fetchJson(`/api/projects/${projectId}/revisions`);
+  },
+
+  async createRevision(projectId, data) {
+    return fetchJson(`/api/projects/${projectId}/revisions`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  },
+
+  async renameRevision(projectId, revisionId, name) {
+    return fetchJson(`/api/projects/${projectId}/revisions/${revisionId}`, {
+      method: "PUT",
+      body: JSON.stringify({ name }),
+    });
+  },
+
+  async getRevisionDiff(projectId, from, to) {
+    return fetchJson(`/api/projects/${projectId}/revisions/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+  },
+
+  async restoreRevision(projectId, revisionId) {
+    return fetchJson(`/api/projects/${projectId}/restore`, {
+      method: "PUT",
+      body: JSON.stringify({ revisionId }),
+    });
+  },
+
+  // ── バリアント ──────────────────────────────
+  async duplicateProject(projectId, data = {}) {
+    return fetchJson(`/api/projects/${projectId}/duplicate`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  },
+
+  async getVariants(projectId) {
+    return fetchJson(`/api/projects/${projectId}/variants`);
+  },
+
+  async getParentDiff(projectId) {
+    return fetchJson(`/api/projects/${projectId}/parent-diff`);
+  },
+
+  // ── 元LPの再取得・変更の取り込み ──────────────────
+  async rescrapeProject(projectId) {
+    return fetchJson(`/api/projects/${projectId}/rescrape`, { method: "POST" });
+  },
+
+  async getUpstream(projectId) {
+    return fetchJson(`/api/projects/${projectId}/upstream`);
+  },
+
+  async pullUpstream(projectId, changeIds) {
+    return fetchJson(`/api/projects/${projectId}/upstream/pull`, {
+      method: "POST",
+      body: JSON.stringify({ changeIds }),
+    });
+  },
+
+  async dismissUpstream(projectId, changeIds) {
+    return fetchJson(`/api/projects/${projectId}/upstream/dismiss`, {
+      method: "POST",
+      body: JSON.stringify({ changeIds }),
+    });
+  },
+
+  async getWatch(projectId) {
+    return fetchJson(`/api/projects/${projectId}/watch`);
+  },
+
+  async updateWatch(projectId, data) {
+    return fetchJson(`/api/projects/${projectId}/watch`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    });
+  },
+
+  // ── 保持期間・アーカイブ ──────────────────────
+  async updateRetention(projectId, data) {
+    return fetchJson(`/api/projects/${projectId}/retention`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    });
+  },
+
+  async archiveProject(projectId) {
+    return fetchJson(`/api/projects/${projectId}/archive`, { method: "POST" });
+  },
+
+  async listArchives() {
+    return fetchJson("/api/archives");
+  },
+
+  async restoreArchive(projectId) {
+    return fetchJson(`/api/archives/${projectId}/restore`, { method: "POST" });
+  },
+
+  async purgeArchive(projectId) {
+    return fetchJson(`/api/archives/${projectId}`, { method: "DELETE" });
+  },
+
   async getTagSettings(projectId) {
     return fetchJson(`/api/projects/${projectId}/tag-settings`);
   },
@@ -242,8 +406,22 @@ export const API = {
     return `/api/projects/${projectId}/export`;
   },
 
-  getPreviewUrl(projectId) {
-    return `/api/projects/${projectId}/preview`;
+  getBundleUrl(projectId) {
+    return `/api/projects/${projectId}/bundle`;
+  },
+
+  async importBundle(file) {
+    return fetchJson("/api/projects/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/zip" },
+      body: file,
+      timeout: 600000,
+    });
+  },
+
+  getPreviewUrl(projectId, device) {
+    const query = device ? `?device=${encodeURIComponent(device)}` : "";
+    return `/api/projects/${projectId}/preview${query}`;
   },
 
   async extractElements(projectId, idx) {
@@ -270,19 +448,20 @@ export const API = {
   },
 
   async removeText(projectId, idx, textRegions) {
-    return fetchJson(`/api/projects/${projectId}/remove-text/${idx}`, {
+    const { jobId } = await fetchJson(`/api/projects/${projectId}/remove-text/${idx}`, {
       method: "POST",
       body: JSON.stringify({ textRegions }),
-      timeout: 120000,
     });
+    return waitForJob(jobId, { timeout: 120000 });
   },
 
   async decomposeLayers(projectId, idx, data = {}) {
-    return fetchJson(`/api/projects/${projectId}/decompose-layers/${idx}`, {
+    const res = await fetchJson(`/api/projects/${projectId}/decompose-layers/${idx}`, {
       method: "POST",
       body: JSON.stringify(data),
-      timeout: 300000,
     });
+    if (!res.jobId) return res; // 画像なしブロック
+    return waitForJob(res.jobId, { timeout: 300000 });
   },
 
   async ocrLayer(projectId, imageUrl) {
@@ -459,6 +638,25 @@ export const API = {
     return fetchJson(`/api/auto-operator/logs${date ? "?date=" + date : ""}`);
   },
 
+  // ── Jobs ──
+
+  async listJobs(params = {}) {
+    const qs = new URLSearchParams(params).toString();
+    return fetchJson(`/api/jobs${qs ? "?" + qs : ""}`);
+  },
+
+  async getJob(jobId) {
+    return fetchJson(`/api/jobs/${jobId}`);
+  },
+
+  async cancelJob(jobId) {
+    return fetchJson(`/api/jobs/${jobId}`, { method: "DELETE" });
+  },
+
+  waitForJob(jobId, options) {
+    return waitForJob(jobId, options);
+  },
+
   connectSSE(projectId, handlers) {
     const es = new EventSource(`/api/projects/${projectId}/sse`);
 
@@ -493,15 +691,39 @@ export const API = {
   },
 };
 
+/**
+ * ジョブの完了を待って結果を返す（失敗・キャンセル時は例外）
+ * timeout を過ぎても待機をやめるだけで、ジョブ自体はサーバーで継続する
+ */
+async function waitForJob(jobId, { timeout = 600000, interval = 1500, onProgress } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const { job } = await fetchJson(`/api/jobs/${jobId}`);
+    if (job.status === "completed") return job.result;
+    if (job.status === "failed" || job.status === "cancelled") {
+      const err = new Error(job.error || `ジョブ${job.status === "cancelled" ? "がキャンセルされました" : "が失敗しました"}`);
+      Object.assign(err, job.errorInfo || {});
+      throw err;
+    }
+    if (job.progress) onProgress?.(job.progress, job);
+    await new Promise((r) => setTimeout(r, interval));
+  }
+  throw new Error("ジョブの完了待ちがタイムアウトしました");
+}
+
 async function fetchJson(url, options = {}) {
   const controller = new AbortController();
   const timeoutMs = options.timeout || 120000;
   const timeout = setTimeout(() => controller.abort(), timeoutMs);
 
   try {
-    const { timeout: _, ...fetchOpts } = options;
+    const { timeout: _, headers: extraHeaders, ...fetchOpts } = options;
+    const headers = { "Content-Type": "application/json", ...extraHeaders };
+    // リビジョン履歴の作成者名（未設定ならサーバー側で anonymous）
+    const editorName = localStorage.getItem("editorName");
+    if (editorName) headers["X-Editor-Name"] = encodeURIComponent(editorName);
     const res = await fetch(url, {
-      headers: { "Content-Type": "application/json" },
+      headers,
       signal: controller.signal,
       ...fetchOpts,
     });
@@ -7,6 +7,7 @@ const state = {
   projectData: null,
   currentScreen: "landing",
   sseConnection: null,
+  previewDevice: null,
 };
 // inline scriptからアクセスできるようにグローバル公開
 window.__state = state;
@@ -97,6 +98,11 @@ function renderHistoryList(filter = "all") {
   if (!list) return;
   list.innerHTML = "";
 
+  if (filter === "server") {
+    renderServerRevisions(list);
+    return;
+  }
+
   if (editHistory.entries.length === 0) {
     list.innerHTML = '<div class="history-empty">履歴がありません</div>';
     return;
@@ -195,6 +201,89 @@ function renderHistoryList(filter = "all") {
   });
 }
 
+// サーバー側リビジョン履歴（リロード後・チームメンバー間でも共有）
+async function renderServerRevisions(list) {
+  list.innerHTML = '<div class="history-empty">読み込み中...</div>';
+  let revisions = [];
+  try {
+    ({ revisions } = await window.API.listRevisions(state.projectId));
+  } catch (err) {
+    list.innerHTML = `<div class="history-empty">${escapeHtml(err.message)}</div>`;
+    return;
+  }
+  list.innerHTML = "";
+
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "history-restore-btn";
+  saveBtn.style.opacity = "1";
+  saveBtn.textContent = "現在の状態に名前を付けて保存";
+  saveBtn.addEventListener("click", async () => {
+    const name = prompt("リビジョン名", "");
+    if (!name) return;
+    try {
+      await window.API.createRevision(state.projectId, { name });
+      showToast(`「${name}」を保存しました`, "success");
+      renderServerRevisions(list);
+    } catch (err) {
+      showToast(`保存エラー: ${err.message}`, "error");
+    }
+  });
+  list.appendChild(saveBtn);
+
+  if (revisions.length === 0) {
+    list.insertAdjacentHTML("beforeend", '<div class="history-empty">サーバー履歴がありません</div>');
+    return;
+  }
+
+  revisions.forEach((rev, i) => {
+    const prev = revisions[i + 1];
+    const item = document.createElement("div");
+    item.className = "history-item" + (i === 0 ? " current" : "");
+    const time = new Date(rev.timestamp).toLocaleString("ja-JP", { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" });
+    const s = rev.summary || {};
+    const summaryText = [s.added ? `+${s.added}` : "", s.removed ? `-${s.removed}` : "", s.changed ? `~${s.changed}` : ""].filter(Boolean).join(" ");
+    item.innerHTML = `
+      <div class="history-item-header">
+        <span class="history-time">${time}</span>
+        <span class="history-action-badge ${rev.name ? "type-save" : ""}">${escapeHtml(rev.name || `#${rev.seq}`)}</span>
+        <span class="history-relative-time">${escapeHtml(rev.author || "")}</span>
+      </div>
+      <div class="history-item-desc">${escapeHtml(rev.description || rev.action)}${summaryText ? ` <small>(${summaryText})</small>` : ""}</div>
+      ${prev ? '<button class="history-restore-btn" data-act="diff">前との差分</button>' : ""}
+      ${i !== 0 ? '<button class="history-restore-btn" data-act="restore">この状態に戻す</button>' : '<span class="history-current-label">最新</span>'}
+    `;
+
+    item.querySelector('[data-act="diff"]')?.addEventListener("click", async () => {
+      try {
+        const diff = await window.API.getRevisionDiff(state.projectId, prev.id, rev.id);
+        const lines = diff.changes.map((c) => {
+          const label = { added: "追加", removed: "削除", changed: "変更" }[c.type];
+          const idx = c.type === "removed" ? c.fromIndex : c.toIndex;
+          const b = c.after || c.before;
+          return `[${label}] #${idx} ${b?.type || ""} ${(b?.text || "").slice(0, 40)}`;
+        });
+        alert(lines.length ? lines.join("\n") : "ブロックの変更はありません");
+      } catch (err) {
+        showToast(`差分取得エラー: ${err.message}`, "error");
+      }
+    });
+
+    item.querySelector('[data-act="restore"]')?.addEventListener("click", async () => {
+      try {
+        await window.API.restoreRevision(state.projectId, rev.id);
+        await loadEditor();
+        pushHistory("restore", `サーバー履歴 ${rev.name || "#" + rev.seq} に復元`);
+        renderServerRevisions(list);
+        showToast(`「${rev.name || rev.description}」の状態に戻しました`, "info");
+      } catch (err) {
+        showToast(`復元エラー: ${err.message}`, "error");
+      }
+    });
+
+    list.appendChild(item);
+  });
+}
+
 document.getElementById("history-sidebar-close")?.addEventListener("click", () => {
   document.getElementById("history-sidebar")?.classList.remove("open");
 });
@@ -267,21 +356,333 @@ async function loadProjectList() {
     if (!list || !data.projects?.length) return;
     list.innerHTML = "";
     list.style.display = "";
-    data.projects.filter(p => p.status === "ready" || p.status === "done").forEach(p => {
-      const item = document.createElement("div");
-      item.className = "saved-project-item";
-      const ago = Math.floor((Date.now() - p.createdAt) / 60000);
-      const timeStr = ago < 60 ? `${ago}分前` : ago < 1440 ? `${Math.floor(ago / 60)}時間前` : `${Math.floor(ago / 1440)}日前`;
-      item.innerHTML = `<div class="saved-project-name">${p.slug}</div><div class="saved-project-meta">${p.blockCount}ブロック · ${timeStr}</div>`;
-      item.addEventListener("click", async () => {
-        state.projectId = p.id;
-        await loadEditor();
-      });
-      list.appendChild(item);
+    const projects = data.projects.filter(p => p.status === "ready" || p.status === "done");
+
+    // バリアントは親の直下にツリー表示（親が一覧にない場合はルート扱い）
+    const ids = new Set(projects.map(p => p.id));
+    const children = new Map();
+    const roots = [];
+    projects.forEach(p => {
+      if (p.parentId && ids.has(p.parentId)) {
+        if (!children.has(p.parentId)) children.set(p.parentId, []);
+        children.get(p.parentId).push(p);
+      } else {
+        roots.push(p);
+      }
     });
+    const appendTree = (p, depth) => {
+      list.appendChild(createSavedProjectItem(p, depth, children.has(p.id)));
+      (children.get(p.id) || [])
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach(c => appendTree(c, depth + 1));
+    };
+    roots.forEach(p => appendTree(p, 0));
+  } catch {}
+}
+
+function createSavedProjectItem(p, depth, hasVariants) {
+  const retention = p.retention || {};
+  const item = document.createElement("div");
+  item.className = "saved-project-item" + (retention.archived ? " archived" : "") + (depth > 0 ? " variant" : "");
+  if (depth > 0) item.style.setProperty("--variant-depth", depth);
+  const ago = Math.floor((Date.now() - p.createdAt) / 60000);
+  const timeStr = ago < 60 ? `${ago}分前` : ago < 1440 ? `${Math.floor(ago / 60)}時間前` : `${Math.floor(ago / 1440)}日前`;
+  let stateStr = "";
+  if (retention.archived) stateStr = " · アーカイブ済み";
+  else if (retention.pinned) stateStr = " · 固定";
+  else if (retention.expiresAt) {
+    const left = Math.max(0, Math.floor((retention.expiresAt - Date.now()) / 3600000));
+    stateStr = left < 48 ? ` · あと${left}時間でアーカイブ` : ` · あと${Math.floor(left / 24)}日でアーカイブ`;
+  }
+  const name = p.variantName ? `${escapeHtml(p.variantName)} <span class="saved-project-meta">${escapeHtml(p.slug)}</span>` : escapeHtml(p.slug);
+  const tags = p.tags?.length ? `<span class="saved-project-tags">${p.tags.map(t => "#" + escapeHtml(t)).join(" ")}</span>` : "";
+  item.innerHTML = `<div><div class="saved-project-name">${name}</div><div class="saved-project-meta">${p.blockCount}ブロック · ${timeStr}${stateStr}${tags}</div></div>
+    <div class="saved-project-actions">
+      ${retention.archived
+        ? `<button class="saved-project-btn" data-action="purge" title="完全削除">🗑</button>`
+        : `${hasVariants ? `<a class="saved-project-btn" href="/experiments?project=${encodeURIComponent(p.id)}" title="バリアントでA/Bテスト">🧪</a>` : ""}
+           ${p.parentId ? `<button class="saved-project-btn" data-action="compare" title="親と比較">⇄</button>` : ""}
+           <button class="saved-project-btn" data-action="duplicate" title="バリアントを作成">⎘</button>
+           <button class="saved-project-btn${retention.pinned ? " active" : ""}" data-action="pin" title="${retention.pinned ? "固定を解除" : "期限なしで保持"}">📌</button>
+           <button class="saved-project-btn" data-action="archive" title="アーカイブ">📦</button>`}
+    </div>`;
+
+  item.querySelector('[data-action="duplicate"]')?.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    const variantName = prompt("バリアント名（空欄で自動）", "");
+    if (variantName === null) return;
+    try {
+      const result = await window.API.duplicateProject(p.id, variantName.trim() ? { name: variantName.trim() } : {});
+      showToast(`「${result.variantName}」を作成しました`, "success");
+      loadProjectList();
+    } catch (err) { showToast(err.message, "error"); }
+  });
+  item.querySelector('[data-action="compare"]')?.addEventListener("click", (e) => {
+    e.stopPropagation();
+    openVariantCompare(p.id);
+  });
+  item.querySelector('[data-action="pin"]')?.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    try {
+      await window.API.updateRetention(p.id, { pinned: !retention.pinned });
+      loadProjectList();
+    } catch (err) { showToast(err.message, "error"); }
+  });
+  item.querySelector('[data-action="archive"]')?.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    if (!confirm(`${p.slug} をアーカイブしますか？（素材ファイルは圧縮保管されます）`)) return;
+    try {
+      await window.API.archiveProject(p.id);
+      showToast("アーカイブしました", "success");
+      loadProjectList();
+    } catch (err) { showToast(err.message, "error"); }
+  });
+  item.querySelector('[data-action="purge"]')?.addEventListener("click", async (e) => {
+    e.stopPropagation();
+    if (!confirm(`${p.slug} を完全に削除しますか？（元に戻せません）`)) return;
+    try {
+      await window.API.purgeArchive(p.id);
+      showToast("削除しました", "success");
+      loadProjectList();
+    } catch (err) { showToast(err.message, "error"); }
+  });
+
+  item.addEventListener("click", async (e) => {
+    if (e.target.closest("a")) return;
+    if (retention.archived) {
+      if (!confirm(`${p.slug} はアーカイブ済みです。復元して開きますか？`)) return;
+      try {
+        await window.API.restoreArchive(p.id);
+      } catch (err) {
+        showToast(err.message, "error");
+        return;
+      }
+    }
+    state.projectId = p.id;
+    await loadEditor();
+  });
+  return item;
+}
+
+// ── Variant Compare ───────────────────────────────────────
+
+async function openVariantCompare(projectId) {
+  const diffEl = document.getElementById("variant-compare-diff");
+  diffEl.innerHTML = "読み込み中...";
+  openModal("modal-variant-compare");
+  try {
+    const diff = await window.API.getParentDiff(projectId);
+    document.getElementById("variant-compare-parent-label").textContent = `親: ${diff.parent.variantName || diff.parent.slug}`;
+    document.getElementById("variant-compare-child-label").textContent = diff.project.variantName || diff.project.slug;
+    document.getElementById("variant-compare-parent").src = window.API.getPreviewUrl(diff.parent.id);
+    document.getElementById("variant-compare-child").src = window.API.getPreviewUrl(diff.project.id);
+
+    const { added, removed, changed } = diff.summary;
+    const labels = { added: "追加", removed: "削除", changed: "変更" };
+    diffEl.innerHTML = `<div class="variant-compare-label">追加 ${added} / 削除 ${removed} / 変更 ${changed}</div>`
+      + (diff.changes.length ? "" : `<div class="variant-diff-text">親との差分はありません</div>`)
+      + diff.changes.map(c => {
+        const block = c.after || c.before;
+        const idx = c.type === "removed" ? `親 #${c.fromIndex}` : `#${c.toIndex}`;
+        return `<div class="variant-diff-item ${c.type}">
+          <div>${labels[c.type]} · ${idx} · ${escapeHtml(block.widgetType || block.type)}</div>
+          ${block.text ? `<div class="variant-diff-text">${escapeHtml(block.text)}</div>` : ""}
+        </div>`;
+      }).join("");
+  } catch (err) {
+    diffEl.innerHTML = `<div class="variant-diff-text">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+// ── Batch Clone ───────────────────────────────────────────
+
+const BATCH_STATUS_LABELS = { queued: "待機中", scraping: "取得中", ready: "完了", error: "失敗", cancelled: "中止" };
+const batchView = { expanded: new Set(), timer: null, unfinished: new Set() };
+
+const batchInput = document.getElementById("batch-input");
+
+function batchInputLines() {
+  return batchInput.value.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+}
+
+// タブ区切り・url ヘッダー・「URL,タグ」形式の行があれば CSV として送る
+function looksLikeCsv(lines) {
+  if (!lines.length) return false;
+  if (lines.some(l => l.includes("\t"))) return true;
+  if (/^"?(url|リンク)"?\s*,/i.test(lines[0])) return true;
+  return lines.some(l => l.includes(",") && !isValidUrl(l));
+}
+
+function updateBatchInputCount() {
+  const lines = batchInputLines();
+  const csv = looksLikeCsv(lines);
+  const count = csv ? lines.filter(l => !/^"?(url|リンク)"?\s*[,\t]/i.test(l)).length : lines.filter(isValidUrl).length;
+  document.getElementById("batch-input-count").textContent = lines.length ? `${count}件${csv ? "（CSV）" : ""}` : "";
+}
+
+document.getElementById("btn-open-batch")?.addEventListener("click", () => {
+  openModal("modal-batch");
+  updateBatchInputCount();
+  batchInput.focus();
+});
+batchInput?.addEventListener("input", updateBatchInputCount);
+
+document.getElementById("btn-batch-csv")?.addEventListener("click", () => {
+  document.getElementById("batch-csv-input").click();
+});
+document.getElementById("batch-csv-input")?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  batchInput.value = await file.text();
+  updateBatchInputCount();
+});
+
+document.getElementById("btn-start-batch")?.addEventListener("click", async () => {
+  const lines = batchInputLines();
+  if (!lines.length) return showToast("URLを入力してください", "error");
+  const btn = document.getElementById("btn-start-batch");
+  btn.disabled = true;
+  try {
+    const { actions, gateHeuristics, captureStyles, inlineStyles, captureChrome, network } = scrapeOptions();
+    const payload = {
+      tags: document.getElementById("batch-tags").value,
+      concurrency: Number(document.getElementById("batch-concurrency").value),
+      profile: document.getElementById("batch-device-profile").value,
+      actions,
+      gateHeuristics,
+      captureStyles,
+      inlineStyles,
+      captureChrome,
+      network,
+    };
+    if (looksLikeCsv(lines)) payload.csv = batchInput.value;
+    else payload.urls = lines;
+    const { batch } = await window.API.createBatch(payload);
+    const skipped = batch.rejected?.length ? `（${batch.rejected.length}件スキップ）` : "";
+    showToast(`${batch.summary.total}件の一括クローンを開始しました${skipped}`, "success");
+    batchInput.value = "";
+    closeModal("modal-batch");
+    batchView.expanded.add(batch.id);
+    loadProjectList();
+    loadBatchList();
+  } catch (err) {
+    showToast(`一括クローンエラー: ${err.message}`, "error");
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// 進行中のバッチがある間はランディング画面でポーリング
+async function loadBatchList() {
+  clearTimeout(batchView.timer);
+  const list = document.getElementById("batch-list");
+  if (!list) return;
+  try {
+    const { batches } = await window.API.listBatches();
+    const details = await Promise.all(batches.map(b =>
+      batchView.expanded.has(b.id) ? window.API.getBatch(b.id).then(r => r.batch).catch(() => b) : b));
+    list.innerHTML = "";
+    list.style.display = details.length ? "" : "none";
+    details.forEach(b => list.appendChild(createBatchCard(b)));
+
+    // 完了したバッチがあれば保存済み一覧も更新
+    const unfinished = new Set(details.filter(b => !b.summary.finished).map(b => b.id));
+    if ([...batchView.unfinished].some(id => !unfinished.has(id))) loadProjectList();
+    batchView.unfinished = unfinished;
+    if (unfinished.size && state.currentScreen === "landing") {
+      batchView.timer = setTimeout(loadBatchList, 3000);
+    }
   } catch {}
 }
 
+function createBatchCard(batch) {
+  const { summary } = batch;
+  const card = document.createElement("div");
+  card.className = "batch-card";
+  const failed = summary.error + summary.cancelled;
+  const pct = (n) => summary.total ? (n / summary.total) * 100 : 0;
+  const tags = batch.tags?.length ? `<span class="saved-project-tags">${batch.tags.map(t => "#" + escapeHtml(t)).join(" ")}</span>` : "";
+  card.innerHTML = `<div class="batch-card-head">
+      <div>
+        <div class="saved-project-name">${escapeHtml(batch.name)}</div>
+        <div class="saved-project-meta">${summary.done}/${summary.total} 完了${summary.scraping ? ` · 取得中 ${summary.scraping}` : ""}${failed ? ` · 失敗 ${failed}` : ""} · 同時${batch.concurrency}${tags}</div>
+      </div>
+      <div class="saved-project-actions">
+        ${failed ? `<button class="saved-project-btn" data-action="retry" title="失敗したURLを再試行">↻</button>` : ""}
+        ${summary.finished
+          ? `<button class="saved-project-btn" data-action="delete" title="一覧から削除（プロジェクトは残ります）">✕</button>`
+          : `<button class="saved-project-btn" data-action="cancel" title="残りを中止">⏹</button>`}
+      </div>
+    </div>
+    <div class="batch-progress">
+      <span class="ready" style="width:${pct(summary.ready)}%"></span>
+      <span class="error" style="width:${pct(summary.error)}%"></span>
+      <span class="cancelled" style="width:${pct(summary.cancelled)}%"></span>
+    </div>`;
+
+  if (batch.items) {
+    const items = document.createElement("div");
+    items.className = "batch-items";
+    batch.items.forEach(item => {
+      const row = document.createElement("div");
+      row.className = "batch-item";
+      const note = item.error || item.message || "";
+      row.innerHTML = `<span class="batch-status ${item.status}">${BATCH_STATUS_LABELS[item.status] || item.status}</span>
+        <div style="min-width:0">
+          <div class="batch-item-url" title="${escapeHtml(item.url)}">${escapeHtml(item.url)}</div>
+          ${note ? `<div class="batch-item-note${item.error ? " error" : ""}" title="${escapeHtml(note)}">${escapeHtml(note)}</div>` : ""}
+        </div>
+        <div class="saved-project-actions">
+          ${item.status === "ready" && item.exists ? `<button class="saved-project-btn" data-open="${item.projectId}" title="開く">↗</button>` : ""}
+          ${(item.status === "error" || item.status === "cancelled") ? `<button class="saved-project-btn" data-retry="${item.projectId}" title="このURLを再試行">↻</button>` : ""}
+        </div>`;
+      items.appendChild(row);
+    });
+    card.appendChild(items);
+  }
+
+  card.querySelector(".batch-card-head").addEventListener("click", (e) => {
+    if (e.target.closest("button")) return;
+    if (batchView.expanded.has(batch.id)) batchView.expanded.delete(batch.id);
+    else batchView.expanded.add(batch.id);
+    loadBatchList();
+  });
+  card.querySelector('[data-action="retry"]')?.addEventListener("click", async () => {
+    try {
+      const result = await window.API.retryBatch(batch.id);
+      showToast(`${result.retried}件を再試行します`, "info");
+      loadBatchList();
+    } catch (err) { showToast(err.message, "error"); }
+  });
+  card.querySelector('[data-action="cancel"]')?.addEventListener("click", async () => {
+    if (!confirm("未完了のURLをすべて中止しますか？")) return;
+    try {
+      await window.API.cancelBatch(batch.id);
+      loadBatchList();
+    } catch (err) { showToast(err.message, "error"); }
+  });
+  card.querySelector('[data-action="delete"]')?.addEventListener("click", async () => {
+    try {
+      await window.API.deleteBatch(batch.id);
+      batchView.expanded.delete(batch.id);
+      loadBatchList();
+    } catch (err) { showToast(err.message, "error"); }
+  });
+  card.querySelectorAll("[data-retry]").forEach(btn => btn.addEventListener("click", async () => {
+    try {
+      await window.API.retryBatch(batch.id, [btn.dataset.retry]);
+      loadBatchList();
+    } catch (err) { showToast(err.message, "error"); }
+  }));
+  card.querySelectorAll("[data-open]").forEach(btn => btn.addEventListener("click", async () => {
+    clearTimeout(batchView.timer);
+    state.projectId = btn.dataset.open;
+    await loadEditor();
+  }));
+  return card;
+}
+
 // ── Toast ──────────────────────────────────────────────────
 
 function showToast(message, type = "info") {
@@ -335,6 +736,35 @@ urlInput.addEventListener("paste", () => {
 
 btnStart.addEventListener("click", startClone);
 
+// 取得時のネットワーク設定（未入力の項目は送らない。すべて空なら null）
+function networkOptions() {
+  const value = (id) => document.getElementById(id)?.value.trim() || "";
+  const network = {};
+  if (value("network-region")) network.region = value("network-region");
+  if (value("network-referer")) network.referer = value("network-referer");
+  if (value("network-proxy")) network.proxy = value("network-proxy");
+  if (value("network-headers")) network.headers = value("network-headers");
+  return Object.keys(network).length ? network : null;
+}
+
+// 取得デバイス（メイン + 追加取得するプロファイル）・スタイル収集・抽出前アクション・ネットワーク
+function scrapeOptions() {
+  const profile = document.getElementById("device-profile")?.value || "android";
+  const profiles = [...document.querySelectorAll('input[name="capture-profile"]:checked')]
+    .map((el) => el.value)
+    .filter((p) => p !== profile);
+  return {
+    profile,
+    profiles,
+    captureStyles: document.getElementById("capture-styles")?.checked !== false,
+    inlineStyles: !!document.getElementById("inline-styles")?.checked,
+    captureChrome: document.getElementById("capture-chrome")?.checked !== false,
+    actions: document.getElementById("scrape-actions")?.value.trim() || "",
+    gateHeuristics: document.getElementById("gate-heuristics")?.checked !== false,
+    network: networkOptions(),
+  };
+}
+
 function isValidUrl(str) {
   try { const u = new URL(str); return u.protocol === "http:" || u.protocol === "https:"; }
   catch { return false; }
@@ -350,7 +780,7 @@ async function startClone() {
   addLogEntry("プロジェクト作成中...");
 
   try {
-    const result = await window.API.createProject(url);
+    const result = await window.API.createProject(url, scrapeOptions());
     state.projectId = result.id;
     addLogEntry("SSE接続中...");
     setSegmentActive("scrape");
@@ -365,6 +795,39 @@ async function startClone() {
   }
 }
 
+// 保存済みページの取り込み（URL欄に入力があれば元URLとして渡す）
+async function startUpload(file) {
+  const url = isValidUrl(urlInput.value.trim()) ? urlInput.value.trim() : "";
+  showScreen("loading");
+  document.getElementById("loading-url").textContent = url || file.name;
+  resetProgress();
+  addLogEntry(`${file.name} をアップロード中...`);
+
+  try {
+    const result = await window.API.uploadSource(file, url);
+    state.projectId = result.id;
+    setSegmentActive("scrape");
+    state.sseConnection = window.API.connectSSE(result.id, {
+      onProgress: handleProgress,
+      onReady: handleReady,
+      onError: handleError,
+    });
+  } catch (err) {
+    showToast(`取り込みエラー: ${err.message}`, "error");
+    showScreen("landing");
+  }
+}
+
+document.getElementById("btn-upload-source")?.addEventListener("click", () => {
+  document.getElementById("upload-source-input").click();
+});
+
+document.getElementById("upload-source-input")?.addEventListener("change", (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (file) startUpload(file);
+});
+
 // ── Screen 2: Loading ──────────────────────────────────────
 
 function resetProgress() {
@@ -380,10 +843,10 @@ function resetProgress() {
 function setSegmentActive(n) { document.getElementById(`seg-${n}`).className = "segment active"; }
 function setSegmentDone(n) { document.getElementById(`seg-${n}`).className = "segment done"; }
 
-function addLogEntry(message) {
+function addLogEntry(message, extraClass = "") {
   const entries = document.getElementById("log-entries");
   const entry = document.createElement("div");
-  entry.className = "log-entry";
+  entry.className = `log-entry ${extraClass}`.trim();
   const time = new Date().toLocaleTimeString("ja-JP", { hour12: false });
   entry.innerHTML = `<span class="log-time">${time}</span>${escapeHtml(message)}`;
   entries.appendChild(entry);
@@ -391,7 +854,7 @@ function addLogEntry(message) {
 }
 
 function handleProgress(data) {
-  addLogEntry(data.message);
+  addLogEntry(data.message, data.action && !data.action.ok ? "log-entry-warn" : "");
   if (data.phase === "scrape" && data.assetCount !== undefined) {
     document.getElementById("counter-assets").textContent = data.assetCount;
     setSegmentDone("scrape");
@@ -430,7 +893,10 @@ async function loadEditor(scrollToBlockIndex) {
     showScreen("editor");
     document.getElementById("toolbar-title").textContent = state.projectData.slug;
     document.getElementById("toolbar-block-count").textContent = `${state.projectData.blockCount} ブロック`;
-    renderBlockList(state.projectData.blocks);
+    renderDeviceSwitcher(state.projectData);
+    renderAssetFailures(state.projectData.assetFailures || []);
+    renderBlockList(state.projectData.blocks, state.projectData.blockGroups, state.projectData.sections);
+    renderSectionOutline(state.projectData.sections || []);
     loadLinkList();
     // Preserve scroll position after initial load
     loadPreview(_editorLoaded);
@@ -454,10 +920,40 @@ async function loadEditor(scrollToBlockIndex) {
   }
 }
 
-function renderBlockList(blocks) {
+// 折りたたんだラッパーグループ（再描画しても維持）
+const collapsedBlockGroups = new Set();
+
+// ブロック一覧。本文を包むラッパー（blockGroups）は折りたためるグループとして入れ子で表示し、
+// セクションの先頭には役割ラベル（構成アウトライン）の見出しを入れる
+function renderBlockList(blocks, groups = [], sections = []) {
   const list = document.getElementById("block-list");
   list.innerHTML = "";
+  const sectionAt = new Map(sections.map((s) => [s.startIndex, s]));
+  const groupById = new Map(groups.map((g) => [g.id, g]));
+  const chainOf = (id) => {
+    const chain = [];
+    for (let g = groupById.get(id); g; g = groupById.get(g.parentId)) chain.unshift(g);
+    return chain;
+  };
+  // 開いているグループ: [{ group, body }]
+  const open = [];
+  const container = () => open[open.length - 1]?.body || list;
+
   blocks.forEach((block) => {
+    const chain = chainOf(block.groupId);
+    let common = 0;
+    while (common < open.length && common < chain.length && open[common].group === chain[common]) common++;
+    open.length = common;
+    for (const group of chain.slice(common)) {
+      const count = blocks.filter((b) => chainOf(b.groupId).includes(group)).length;
+      const el = createBlockGroup(group, count);
+      container().appendChild(el);
+      open.push({ group, body: el.querySelector(".block-group-body") });
+    }
+
+    const section = sectionAt.get(block.index);
+    if (section) container().appendChild(createSectionMarker(section));
+
     const item = document.createElement("div");
     item.className = "block-item";
     item.dataset.index = block.index;
@@ -473,7 +969,7 @@ function renderBlockList(blocks) {
     item.innerHTML = `
       <span class="block-index">${block.index}</span>
       <div class="block-info">
-        <span class="block-type-tag ${block.type}">${block.type}</span>
+        <span class="block-type-tag ${block.type}"${block.rule ? ` title="分類ルール: ${escapeHtml(block.rule)}"` : ""}>${block.type}</span>
         <div class="block-preview-text">${escapeHtml(previewText)}</div>
       </div>`;
 
@@ -486,10 +982,46 @@ function renderBlockList(blocks) {
       window.openEditPanel(state.projectId, block.index, block.type);
     });
 
-    list.appendChild(item);
+    container().appendChild(item);
   });
 }
 
+function createSectionMarker(section) {
+  const el = document.createElement("div");
+  el.className = `block-section-marker role-${section.role}`;
+  el.dataset.sectionStart = section.startIndex;
+  el.innerHTML = `<span class="block-section-role">${escapeHtml(section.roleLabel)}</span>${section.title ? ` <span class="block-section-title">${escapeHtml(section.title)}</span>` : ""}`;
+  return el;
+}
+
+function createBlockGroup(group, count) {
+  const el = document.createElement("div");
+  el.className = "block-group";
+  el.dataset.groupId = group.id;
+  el.classList.toggle("collapsed", collapsedBlockGroups.has(group.id));
+  el.innerHTML = `
+    <button type="button" class="block-group-header" title="元ページのラッパー要素（HTML出力ではそのまま残ります）">
+      <span class="block-group-caret">▾</span>
+      <span class="block-group-label">${escapeHtml(group.label)}</span>
+      <span class="block-group-count">${count}</span>
+    </button>
+    <div class="block-group-body"></div>`;
+  el.querySelector(".block-group-header").addEventListener("click", () => {
+    const collapsed = el.classList.toggle("collapsed");
+    if (collapsed) collapsedBlockGroups.add(group.id);
+    else collapsedBlockGroups.delete(group.id);
+  });
+  return el;
+}
+
+// 折りたたまれたグループ内のブロックを表示する
+function expandBlockGroupsFor(item) {
+  for (let g = item.closest(".block-group"); g; g = g.parentElement.closest(".block-group")) {
+    g.classList.remove("collapsed");
+    collapsedBlockGroups.delete(g.dataset.groupId);
+  }
+}
+
 function loadPreview(preserveScroll = false) {
   const iframe = document.getElementById("preview-iframe");
   if (!iframe || !state.projectId) return;
@@ -499,7 +1031,7 @@ function loadPreview(preserveScroll = false) {
     try { scrollTop = iframe.contentDocument?.documentElement?.scrollTop || iframe.contentWindow?.scrollY || 0; } catch {}
   }
 
-  const url = window.API.getPreviewUrl(state.projectId);
+  const url = window.API.getPreviewUrl(state.projectId, state.previewDevice);
   iframe.src = url;
 
   if (preserveScroll && scrollTop > 0) {
@@ -516,6 +1048,55 @@ function loadPreview(preserveScroll = false) {
   }
 }
 
+// ── Section Outline ─────────────────────────────────────────
+// セクションの役割（悩み → 共感 → … → クロージング）の一覧。クリックでプレビューの該当位置へ移動
+
+function renderSectionOutline(sections) {
+  const outline = document.getElementById("section-outline");
+  if (!outline) return;
+  if (!sections.length) {
+    outline.innerHTML = `<div style="color:var(--text-muted);font-size:12px;padding:8px">セクションがありません</div>`;
+    return;
+  }
+  outline.innerHTML = sections.map((s) => {
+    const hint = s.labelSource === "ai" ? "AI判定" : `キーワード判定（確度 ${Math.round((s.confidence || 0) * 100)}%）`;
+    return `
+    <button type="button" class="section-outline-item role-${escapeHtml(s.role)}" data-start="${s.startIndex}" title="${escapeHtml(hint)}">
+      <span class="section-outline-role">${escapeHtml(s.roleLabel)}</span>
+      <span class="section-outline-title">${escapeHtml(s.title || `#${s.startIndex}〜（${s.blockCount}ブロック）`)}</span>
+    </button>`;
+  }).join("");
+  outline.querySelectorAll(".section-outline-item").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const blockIndex = Number(btn.dataset.start);
+      outline.querySelectorAll(".section-outline-item.active").forEach((b) => b.classList.remove("active"));
+      btn.classList.add("active");
+      const iframe = document.getElementById("preview-iframe");
+      iframe.contentWindow?.postMessage({ type: "scrollToBlock", blockIndex }, "*");
+      iframe.contentWindow?.postMessage({ type: "highlightBlock", blockIndex }, "*");
+    });
+  });
+}
+
+document.getElementById("btn-section-ai")?.addEventListener("click", async (e) => {
+  const btn = e.currentTarget;
+  if (!state.projectId) return;
+  btn.disabled = true;
+  btn.textContent = "判定中...";
+  try {
+    const { sections } = await window.API.labelSections(state.projectId, { ai: true });
+    state.projectData.sections = sections;
+    renderSectionOutline(sections);
+    renderBlockList(state.projectData.blocks, state.projectData.blockGroups, sections);
+    showToast("セクションの役割をAIで判定しました", "success");
+  } catch (err) {
+    showToast(`AI判定エラー: ${err.message}`, "error");
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "AIで判定";
+  }
+});
+
 // iframe -> parent message
 window.addEventListener("message", (e) => {
   // Origin check - only accept from same origin
@@ -527,6 +1108,7 @@ window.addEventListener("message", (e) => {
     list.querySelectorAll(".block-item.active").forEach((i) => i.classList.remove("active"));
     const item = list.querySelector(`[data-index="${idx}"]`);
     if (item) {
+      expandBlockGroupsFor(item);
       item.classList.add("active");
       item.scrollIntoView({ behavior: "smooth", block: "nearest" });
     }
@@ -682,6 +1264,8 @@ document.getElementById("btn-back").addEventListener("click", () => {
   showScreen("landing");
   state.projectId = null;
   state.projectData = null;
+  loadProjectList();
+  loadBatchList();
 });
 
 document.getElementById("btn-text-modify").addEventListener("click", openTextModifyModal);
@@ -727,24 +1311,37 @@ document.getElementById("btn-exit-popup")?.addEventListener("click", () => {
 // History sidebar
 document.getElementById("btn-history")?.addEventListener("click", openHistorySidebar);
 
-// Viewport toggle
-const viewportSizes = [412, 768, -1]; // -1 = 100%
-let viewportIdx = 0;
-document.getElementById("btn-viewport").addEventListener("click", () => {
-  viewportIdx = (viewportIdx + 1) % viewportSizes.length;
-  const size = viewportSizes[viewportIdx];
-  const iframe = document.getElementById("preview-iframe");
-  const label = document.querySelector("#btn-viewport span");
+// Device switcher - スクレイピングしたデバイスプロファイルごとにプレビュー幅と画像を切り替え
+const deviceSelect = document.getElementById("preview-device");
+
+function renderDeviceSwitcher(project) {
+  if (!deviceSelect) return;
+  const devices = project.devices?.length ? project.devices : [{ id: "android", label: "Android (Pixel 7)", width: 412 }];
+  // プロジェクトが変わったらスクレイピング時のプロファイルに戻す
+  if (deviceSelect.dataset.projectId !== project.id || !devices.some((d) => d.id === state.previewDevice)) {
+    state.previewDevice = project.deviceProfile || devices[0].id;
+  }
+  deviceSelect.dataset.projectId = project.id;
+  deviceSelect.innerHTML = devices
+    .map((d) => `<option value="${escapeHtml(d.id)}">${escapeHtml(d.label)}</option>`)
+    .join("");
+  deviceSelect.value = state.previewDevice;
+  deviceSelect.disabled = devices.length < 2;
+  applyPreviewWidth();
+}
+
+function applyPreviewWidth() {
+  const device = state.projectData?.devices?.find((d) => d.id === state.previewDevice);
+  const width = device?.width || 412;
+  document.getElementById("preview-iframe").style.width = width + "px";
   const vpLabel = document.querySelector(".preview-viewport");
-  if (size === -1) {
-    iframe.style.width = "100%";
-    label.textContent = "100%";
-    if (vpLabel) vpLabel.textContent = "100%";
-  } else {
-    iframe.style.width = size + "px";
-    label.textContent = size + "px";
-    if (vpLabel) vpLabel.textContent = size + "px";
-  }
+  if (vpLabel) vpLabel.textContent = width + "px";
+}
+
+deviceSelect?.addEventListener("change", () => {
+  state.previewDevice = deviceSelect.value;
+  applyPreviewWidth();
+  loadPreview(true);
 });
 
 // +Block modal
@@ -1614,6 +2211,213 @@ document.getElementById("btn-apply-text-modify").addEventListener("click", async
   }
 });
 
+// ── Missing Assets ──────────────────────────────────────────
+// スクレイピング時にダウンロードできなかった画像・動画・フォントの一覧と再取得
+
+const ASSET_TYPE_LABELS = { image: "画像", gif: "GIF", video: "動画", font: "フォント", unknown: "その他" };
+
+function renderAssetFailures(failures) {
+  const btn = document.getElementById("btn-asset-failures");
+  if (!btn) return;
+  btn.style.display = failures.length ? "" : "none";
+  const fvCount = failures.filter((f) => f.fv).length;
+  document.getElementById("asset-failures-count").textContent = `欠落 ${failures.length}` + (fvCount ? `（FV ${fvCount}）` : "");
+  document.getElementById("asset-failures-status").textContent = failures.length
+    ? `${failures.length}件のアセットを取得できませんでした。元ページを開き直して再取得します（ホットリンク対策のCDNはブラウザ経由で取得）。`
+    : "取得に失敗したアセットはありません";
+  document.getElementById("asset-failure-list").innerHTML = failures.map((f) => `
+    <div class="asset-failure">
+      <span class="asset-failure-type">${ASSET_TYPE_LABELS[f.type] || f.type || ""}</span>
+      <div class="asset-failure-main">
+        <div class="asset-failure-url" title="${escapeHtml(f.url)}">${escapeHtml(f.url)}</div>
+        <div class="asset-failure-reason" title="${escapeHtml(f.reason || "")}">${escapeHtml(f.reason || "")}${f.attempts ? `（${f.attempts}回試行）` : ""}</div>
+      </div>
+      <span class="asset-failure-blocks">
+        ${f.fv ? `<span class="asset-failure-fv">FV</span> ` : ""}${f.blocks?.length ? f.blocks.map((i) => `#${i}`).join(" ") : "ブロック外"}
+      </span>
+    </div>`).join("");
+  document.getElementById("btn-retry-assets").disabled = !failures.length;
+}
+
+document.getElementById("btn-asset-failures")?.addEventListener("click", () => openModal("modal-asset-failures"));
+
+document.getElementById("btn-retry-assets")?.addEventListener("click", async (e) => {
+  const btn = e.currentTarget;
+  const status = document.getElementById("asset-failures-status");
+  btn.disabled = true;
+  try {
+    const { jobId } = await window.API.retryMissingAssets(state.projectId);
+    status.textContent = "再取得中...";
+    const result = await window.API.waitForJob(jobId, {
+      timeout: 300000,
+      onProgress: (progress) => { status.textContent = progress.message || "再取得中..."; },
+    });
+    showToast(`${result.recovered}件を取得しました` + (result.remaining ? `（残り ${result.remaining}件）` : ""), result.remaining ? "info" : "success");
+    await loadEditor();
+  } catch (err) {
+    showToast(`再取得エラー: ${err.message}`, "error");
+    btn.disabled = false;
+  }
+});
+
+// ── Upstream Sync ───────────────────────────────────────────
+// 元LPを再取得して前回同期からの変更を一覧し、選択したものだけ取り込む / 無視する
+
+const UPSTREAM_KIND_LABELS = { added: "追加", removed: "削除", changed: "変更" };
+const upstreamList = document.getElementById("upstream-changes");
+const upstreamStatus = document.getElementById("upstream-status");
+
+function formatUpstreamTime(ts) {
+  return new Date(ts).toLocaleString("ja-JP", { month: "numeric", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+function formatUpstreamSummary(s) {
+  return `追加 ${s.added} / 削除 ${s.removed} / 変更 ${s.changed}` + (s.swapped ? `（画像差し替え ${s.swapped}）` : "");
+}
+
+async function openUpstreamModal() {
+  openModal("modal-upstream");
+  await Promise.all([loadUpstream(), loadWatch()]);
+}
+
+async function loadUpstream() {
+  try {
+    renderUpstream(await window.API.getUpstream(state.projectId));
+  } catch (err) {
+    upstreamStatus.textContent = `読み込みエラー: ${err.message}`;
+  }
+}
+
+function renderUpstream(data) {
+  if (!data.checkedAt) {
+    upstreamStatus.textContent = "まだ再取得していません。「再取得して比較」で元LPの最新版と比較します。";
+    upstreamList.innerHTML = "";
+  } else {
+    upstreamStatus.textContent = `${formatUpstreamTime(data.checkedAt)} 取得 — ${formatUpstreamSummary(data.summary)}`;
+    // ローカルで編集済みのブロックへの変更は、上書きを避けるため初期状態で未選択
+    upstreamList.innerHTML = data.changes.length ? data.changes.map((c) => `
+      <label class="upstream-change upstream-${c.kind}">
+        <input type="checkbox" value="${escapeHtml(c.id)}" ${c.conflict ? "" : "checked"}>
+        <span class="upstream-kind">${UPSTREAM_KIND_LABELS[c.kind] || c.kind}</span>
+        <span class="upstream-text">
+          ${c.before ? `<span class="upstream-before">${escapeHtml(c.before)}</span>` : ""}
+          ${c.after ? `<span class="upstream-after">${escapeHtml(c.after)}</span>` : ""}
+        </span>
+        <span class="upstream-flags">
+          ${c.swapped?.length ? `<span>画像 ${c.swapped.length}件</span>` : ""}
+          ${c.conflict ? `<span class="upstream-conflict" title="このブロックは編集済みです。取り込むと編集内容は上書きされます">編集済み</span>` : ""}
+          ${c.localIndex != null ? `<span>#${c.localIndex}</span>` : ""}
+        </span>
+      </label>`).join("") : `<div class="upstream-empty">未取り込みの変更はありません</div>`;
+  }
+  updateUpstreamButtons();
+}
+
+function selectedUpstreamChanges() {
+  return [...upstreamList.querySelectorAll("input[type=checkbox]:checked")].map((el) => el.value);
+}
+
+function updateUpstreamButtons() {
+  const count = selectedUpstreamChanges().length;
+  document.getElementById("btn-upstream-pull").disabled = !count;
+  document.getElementById("btn-upstream-dismiss").disabled = !count;
+}
+
+upstreamList?.addEventListener("change", updateUpstreamButtons);
+document.getElementById("btn-upstream")?.addEventListener("click", openUpstreamModal);
+
+document.getElementById("btn-upstream-rescrape")?.addEventListener("click", async (e) => {
+  const btn = e.currentTarget;
+  btn.disabled = true;
+  try {
+    const { jobId } = await window.API.rescrapeProject(state.projectId);
+    upstreamStatus.textContent = "元LPを再取得中...";
+    await window.API.waitForJob(jobId, {
+      timeout: 300000,
+      onProgress: (progress) => { upstreamStatus.textContent = progress.message || "元LPを再取得中..."; },
+    });
+    await Promise.all([loadUpstream(), loadWatch()]);
+  } catch (err) {
+    showToast(`再取得エラー: ${err.message}`, "error");
+    await loadUpstream();
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+document.getElementById("btn-upstream-pull")?.addEventListener("click", async () => {
+  const changeIds = selectedUpstreamChanges();
+  if (!changeIds.length) return;
+  try {
+    const result = await window.API.pullUpstream(state.projectId, changeIds);
+    renderUpstream(result.upstream);
+    const note = result.skipped.length ? `（${result.skipped.length}件はスキップ: ${result.skipped[0].reason}）` : "";
+    showToast(`${result.applied.length}件の変更を取り込みました${note}`, result.skipped.length ? "info" : "success");
+    await loadEditor();
+    pushHistory("upstream_pull", `元LPの変更を取り込み (${result.applied.length}件)`);
+  } catch (err) {
+    showToast(`取り込みエラー: ${err.message}`, "error");
+  }
+});
+
+document.getElementById("btn-upstream-dismiss")?.addEventListener("click", async () => {
+  const changeIds = selectedUpstreamChanges();
+  if (!changeIds.length) return;
+  try {
+    const result = await window.API.dismissUpstream(state.projectId, changeIds);
+    renderUpstream(result.upstream);
+    showToast(`${result.dismissed.length}件の変更を無視しました`, "info");
+  } catch (err) {
+    showToast(`エラー: ${err.message}`, "error");
+  }
+});
+
+// 定期監視の設定とタイムライン（同じURLのプロジェクトで共有）
+async function loadWatch() {
+  try {
+    renderWatch((await window.API.getWatch(state.projectId)).watch);
+  } catch (err) {
+    document.getElementById("watch-timeline").innerHTML = `<div class="upstream-timeline-empty">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function renderWatch(watch) {
+  document.getElementById("watch-enabled").checked = watch.enabled;
+  const interval = document.getElementById("watch-interval");
+  if (![...interval.options].some((o) => Number(o.value) === watch.intervalHours)) {
+    interval.insertAdjacentHTML("beforeend", `<option value="${watch.intervalHours}">${watch.intervalHours}時間ごと</option>`);
+  }
+  interval.value = String(watch.intervalHours);
+  document.getElementById("watch-next").textContent = watch.enabled && watch.nextCheckAt
+    ? `次回 ${formatUpstreamTime(watch.nextCheckAt)}` + (watch.projectIds.length > 1 ? ` ・ ${watch.projectIds.length}プロジェクトで共有` : "")
+    : "";
+  document.getElementById("watch-timeline").innerHTML = watch.timeline.length ? watch.timeline.map((entry) => {
+    const time = entry.checks > 1
+      ? `${formatUpstreamTime(entry.at)} 〜 ${formatUpstreamTime(entry.checkedAt)}（${entry.checks}回）`
+      : formatUpstreamTime(entry.at);
+    if (entry.error) return `<div class="upstream-timeline-entry is-error">${time} 取得失敗: ${escapeHtml(entry.error)}</div>`;
+    if (!entry.changed) return `<div class="upstream-timeline-entry">${time} 変更なし</div>`;
+    const details = (entry.details || []).map((d) =>
+      `<li>${UPSTREAM_KIND_LABELS[d.kind] || d.kind}: ${escapeHtml(d.after || d.before)}${d.swapped ? `（画像 ${d.swapped}件）` : ""}</li>`).join("");
+    return `<div class="upstream-timeline-entry">${time} ${entry.initial ? "初回チェック — " : ""}${formatUpstreamSummary(entry.summary)}<ul>${details}</ul></div>`;
+  }).join("") : `<div class="upstream-timeline-empty">チェック履歴はありません</div>`;
+}
+
+async function saveWatch() {
+  try {
+    const { watch } = await window.API.updateWatch(state.projectId, {
+      enabled: document.getElementById("watch-enabled").checked,
+      intervalHours: Number(document.getElementById("watch-interval").value),
+    });
+    renderWatch(watch);
+  } catch (err) {
+    showToast(`監視設定エラー: ${err.message}`, "error");
+  }
+}
+
+document.getElementById("watch-enabled")?.addEventListener("change", saveWatch);
+document.getElementById("watch-interval")?.addEventListener("change", saveWatch);
+
 // ── Export Modal ────────────────────────────────────────────
 
 function openExportModal(buildResult) {
@@ -1659,6 +2463,34 @@ document.getElementById("btn-download-html").addEventListener("click", () => {
   if (state.projectId) window.location.href = window.API.getExportUrl(state.projectId);
 });
 
+document.getElementById("btn-download-bundle")?.addEventListener("click", () => {
+  if (state.projectId) window.location.href = window.API.getBundleUrl(state.projectId);
+});
+
+document.getElementById("btn-import-bundle")?.addEventListener("click", () => {
+  document.getElementById("import-bundle-input").click();
+});
+
+document.getElementById("import-bundle-input")?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = "";
+  if (!file) return;
+  const btn = document.getElementById("btn-import-bundle");
+  btn.disabled = true;
+  btn.textContent = "取り込み中...";
+  try {
+    const result = await window.API.importBundle(file);
+    showToast(`${result.slug} を取り込みました（${result.blockCount}ブロック）`, "success");
+    state.projectId = result.id;
+    await loadEditor();
+  } catch (err) {
+    showToast("取り込みエラー: " + err.message, "error");
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "プロジェクトを取り込み (.zip)";
+  }
+});
+
 document.getElementById("btn-copy-html")?.addEventListener("click", async () => {
   const btn = document.getElementById("btn-copy-html");
   if (!state.projectId) {
@@ -1828,6 +2660,7 @@ async function checkStatus() {
       statusEl.classList.add("connected");
       statusEl.classList.remove("disconnected");
       statusEl.querySelector(".api-key-status-text").textContent = `接続済 (${data.geminiKeyCount}キー)`;
+      statusEl.title = (data.masked?.gemini || []).join(" / ");
       card.classList.add("connected");
       body.classList.add("collapsed");
       hint.innerHTML = '<span style="color:var(--green)">AI機能が使えます。</span>';
@@ -1959,14 +2792,15 @@ document.getElementById("sb-settings")?.addEventListener("click", () => {
 });
 
 // Init
-checkStatus();
-
-// ハッシュルーティング: エディター復帰 or ランディング
+// ハッシュルーティング: エディター復帰 or ランディング（ログイン確認後）
 (async () => {
+  await window.authReady;
+  checkStatus();
   const restored = await handleHashRoute();
   if (!restored) {
     urlInput.focus();
     loadProjectList();
+    loadBatchList();
   }
 })();
 
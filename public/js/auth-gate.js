@@ -0,0 +1,446 @@
+/**
+ * auth-gate.js - ログイン画面・ユーザーメニュー（全ページ共通）
+ *
+ * 読み込み時に /api/auth/me でセッションを確認し、未ログインならログイン画面
+ * （ユーザー未登録なら初回セットアップ画面）を重ねて表示する。
+ * window.authReady はログイン済みユーザーで resolve する。
+ * 途中でセッションが切れて API が 401 を返した場合もログイン画面を表示する。
+ */
+(function () {
+  const ROLE_LABELS = { admin: "管理者", editor: "編集者", viewer: "閲覧のみ" };
+  const nativeFetch = window.fetch.bind(window);
+  let resolveReady;
+  let overlayShown = false;
+
+  window.authReady = new Promise((resolve) => { resolveReady = resolve; });
+  window.currentUser = null;
+
+  // セッション切れ検知（/api/auth/* 以外の 401）
+  window.fetch = async function (input, init) {
+    const res = await nativeFetch(input, init);
+    const url = typeof input === "string" ? input : input.url;
+    if (res.status === 401 && url.includes("/api/") && !url.includes("/api/auth/")) {
+      showLogin(false);
+    }
+    return res;
+  };
+
+  function escapeHtml(str) {
+    return String(str ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+  }
+
+  async function requestJson(method, url, body) {
+    const res = await nativeFetch(url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }
+
+  function postJson(url, body) {
+    return requestJson("POST", url, body || {});
+  }
+
+  function injectStyles() {
+    if (document.getElementById("auth-gate-style")) return;
+    const style = document.createElement("style");
+    style.id = "auth-gate-style";
+    style.textContent = `
+      .auth-overlay { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center; background: rgba(26,26,46,0.55); backdrop-filter: blur(6px); font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+      .auth-card { width: 340px; max-width: calc(100vw - 32px); background: #fff; border-radius: 16px; padding: 28px; box-shadow: 0 8px 40px rgba(0,0,0,0.18); color: #1a1a2e; }
+      .auth-card h2 { font-size: 18px; margin: 0 0 4px; }
+      .auth-card p { font-size: 12px; color: #8888a0; margin: 0 0 18px; line-height: 1.6; }
+      .auth-card label { display: block; font-size: 12px; color: #4a4a68; margin: 10px 0 4px; }
+      .auth-card input, .auth-card select { width: 100%; box-sizing: border-box; padding: 9px 11px; border: 1px solid rgba(0,0,0,0.12); border-radius: 6px; font-size: 14px; }
+      .auth-card input:focus { outline: none; border-color: #ec4899; }
+      .auth-card button[type=submit] { width: 100%; margin-top: 18px; padding: 10px; border: none; border-radius: 8px; background: #ec4899; color: #fff; font-size: 14px; font-weight: 600; cursor: pointer; }
+      .auth-card button[type=submit]:disabled { opacity: 0.6; cursor: default; }
+      .auth-error { color: #ef4444; font-size: 12px; margin-top: 10px; min-height: 16px; }
+      .auth-user-menu { position: fixed; bottom: 12px; left: 12px; z-index: 9000; display: flex; align-items: center; gap: 8px; padding: 5px 8px 5px 12px; background: rgba(255,255,255,0.92); border: 1px solid rgba(0,0,0,0.08); border-radius: 999px; font-size: 12px; color: #4a4a68; box-shadow: 0 2px 12px rgba(0,0,0,0.06); font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+      .auth-user-menu .auth-role { color: #8888a0; }
+      .auth-user-menu button { border: none; background: #f5f0f2; color: #4a4a68; border-radius: 999px; padding: 4px 10px; font-size: 11px; cursor: pointer; }
+      .auth-user-menu button:hover { background: #ec4899; color: #fff; }
+      .auth-users { width: 560px; }
+      .auth-users table { width: 100%; border-collapse: collapse; font-size: 12px; margin-bottom: 14px; }
+      .auth-users th, .auth-users td { text-align: left; padding: 6px 4px; border-bottom: 1px solid rgba(0,0,0,0.06); }
+      .auth-users td input, .auth-users td select { padding: 4px 6px; font-size: 12px; }
+      .auth-users .auth-add-row { display: grid; grid-template-columns: 1fr 1fr 0.8fr 0.8fr auto; gap: 6px; }
+      .auth-users .auth-small-btn { border: 1px solid rgba(0,0,0,0.12); background: #fff; border-radius: 6px; padding: 5px 9px; font-size: 12px; cursor: pointer; }
+      .auth-users .auth-close { float: right; border: none; background: none; font-size: 18px; cursor: pointer; color: #8888a0; }
+      .auth-secrets { width: 720px; max-height: calc(100vh - 48px); overflow-y: auto; }
+      .auth-secrets code { font-family: "SF Mono", Consolas, monospace; font-size: 11px; color: #4a4a68; }
+      .auth-secrets .auth-source { font-size: 10px; padding: 1px 6px; border-radius: 999px; background: #f5f0f2; color: #8888a0; }
+      .auth-secrets .auth-source.vault { background: rgba(16,185,129,0.12); color: #059669; }
+      .auth-secrets h3 { font-size: 13px; margin: 18px 0 6px; }
+      .auth-secrets .auth-audit { font-size: 11px; color: #4a4a68; max-height: 160px; overflow-y: auto; }
+    `;
+    document.head.appendChild(style);
+  }
+
+  // ── ログイン / 初回セットアップ ─────────────────────
+
+  function showLogin(setupRequired, setupTokenRequired = false) {
+    if (overlayShown) return;
+    overlayShown = true;
+    injectStyles();
+
+    const overlay = document.createElement("div");
+    overlay.className = "auth-overlay";
+    overlay.innerHTML = `
+      <form class="auth-card" autocomplete="on">
+        <h2>${setupRequired ? "初回セットアップ" : "ログイン"}</h2>
+        <p>${setupRequired ? "ユーザーが登録されていません。管理者アカウントを作成してください。" : "Article Cloner を利用するにはログインしてください。"}</p>
+        <label>ユーザー名</label>
+        <input name="username" autocomplete="username" required>
+        <label>パスワード${setupRequired ? "（8文字以上）" : ""}</label>
+        <input name="password" type="password" autocomplete="${setupRequired ? "new-password" : "current-password"}" required>
+        ${setupRequired && setupTokenRequired ? '<label>セットアップトークン（環境変数 SETUP_TOKEN）</label><input name="setupToken" type="password" autocomplete="off" required>' : ""}
+        <button type="submit">${setupRequired ? "管理者を作成してログイン" : "ログイン"}</button>
+        <div class="auth-error"></div>
+      </form>`;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector("form");
+    const errorEl = overlay.querySelector(".auth-error");
+    form.username.focus();
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const btn = form.querySelector("button[type=submit]");
+      btn.disabled = true;
+      errorEl.textContent = "";
+      try {
+        await postJson(setupRequired ? "/api/auth/setup" : "/api/auth/login", {
+          username: form.username.value,
+          password: form.password.value,
+          ...(form.setupToken && { setupToken: form.setupToken.value }),
+        });
+        location.reload();
+      } catch (err) {
+        errorEl.textContent = err.message;
+        btn.disabled = false;
+      }
+    });
+  }
+
+  // ── ユーザーメニュー ─────────────────────────────
+
+  function renderUserMenu(user) {
+    injectStyles();
+    const menu = document.createElement("div");
+    menu.className = "auth-user-menu";
+    menu.innerHTML = `
+      <span>${escapeHtml(user.username)}${user.team ? ` <span class="auth-role">@${escapeHtml(user.team)}</span>` : ""}</span>
+      <span class="auth-role">${ROLE_LABELS[user.role] || user.role}</span>
+      ${user.role === "admin" ? '<button type="button" data-action="users">ユーザー管理</button><button type="button" data-action="secrets">シークレット</button><button type="button" data-action="storage">ストレージ</button>' : ""}
+      <button type="button" data-action="logout">ログアウト</button>`;
+    menu.querySelector('[data-action="logout"]').addEventListener("click", async () => {
+      await postJson("/api/auth/logout").catch(() => {});
+      location.reload();
+    });
+    menu.querySelector('[data-action="users"]')?.addEventListener("click", openUserManager);
+    menu.querySelector('[data-action="secrets"]')?.addEventListener("click", openSecretManager);
+    menu.querySelector('[data-action="storage"]')?.addEventListener("click", openStorageManager);
+    document.body.appendChild(menu);
+  }
+
+  // ── ユーザー管理（admin） ──────────────────────────
+
+  async function openUserManager() {
+    injectStyles();
+    const overlay = document.createElement("div");
+    overlay.className = "auth-overlay";
+    overlay.innerHTML = `
+      <div class="auth-card auth-users">
+        <button type="button" class="auth-close" title="閉じる">&times;</button>
+        <h2>ユーザー管理</h2>
+        <p>プロジェクト・広告テンプレートは作成者と同じチームのユーザーが共有できます。</p>
+        <table><thead><tr><th>ユーザー名</th><th>ロール</th><th>チーム</th><th></th></tr></thead><tbody></tbody></table>
+        <div class="auth-add-row">
+          <input name="username" placeholder="ユーザー名">
+          <input name="password" type="password" placeholder="パスワード" autocomplete="new-password">
+          <select name="role">${roleOptions("editor")}</select>
+          <input name="team" placeholder="チーム">
+          <button type="button" class="auth-small-btn" data-action="add">追加</button>
+        </div>
+        <div class="auth-error"></div>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    const errorEl = overlay.querySelector(".auth-error");
+    const tbody = overlay.querySelector("tbody");
+    const close = () => overlay.remove();
+    overlay.querySelector(".auth-close").addEventListener("click", close);
+    overlay.addEventListener("click", (e) => { if (e.target === overlay) close(); });
+
+    const request = (method, url, body) => {
+      errorEl.textContent = "";
+      return requestJson(method, url, body);
+    };
+
+    async function refresh() {
+      const { users } = await request("GET", "/api/users");
+      tbody.innerHTML = users.map((u) => `
+        <tr data-id="${escapeHtml(u.id)}">
+          <td>${escapeHtml(u.username)}</td>
+          <td><select data-field="role">${roleOptions(u.role)}</select></td>
+          <td><input data-field="team" value="${escapeHtml(u.team || "")}" placeholder="-"></td>
+          <td>
+            <button type="button" class="auth-small-btn" data-action="password">PW変更</button>
+            ${u.id === window.currentUser.id ? "" : '<button type="button" class="auth-small-btn" data-action="delete">削除</button>'}
+          </td>
+        </tr>`).join("");
+    }
+
+    tbody.addEventListener("change", async (e) => {
+      const field = e.target.dataset.field;
+      const id = e.target.closest("tr")?.dataset.id;
+      if (!field || !id) return;
+      try {
+        await request("PUT", `/api/users/${id}`, { [field]: e.target.value });
+      } catch (err) {
+        errorEl.textContent = err.message;
+        refresh().catch(() => {});
+      }
+    });
+
+    tbody.addEventListener("click", async (e) => {
+      const action = e.target.dataset.action;
+      const row = e.target.closest("tr");
+      if (!action || !row) return;
+      try {
+        if (action === "delete") {
+          if (!confirm(`${row.cells[0].textContent} を削除しますか？`)) return;
+          await request("DELETE", `/api/users/${row.dataset.id}`);
+        } else if (action === "password") {
+          const password = prompt("新しいパスワード（8文字以上）");
+          if (!password) return;
+          await request("PUT", `/api/users/${row.dataset.id}`, { password });
+        }
+        await refresh();
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    });
+
+    overlay.querySelector('[data-action="add"]').addEventListener("click", async () => {
+      const row = overlay.querySelector(".auth-add-row");
+      const get = (name) => row.querySelector(`[name="${name}"]`);
+      try {
+        await request("POST", "/api/users", {
+          username: get("username").value,
+          password: get("password").value,
+          role: get("role").value,
+          team: get("team").value.trim() || null,
+        });
+        get("username").value = "";
+        get("password").value = "";
+        await refresh();
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    });
+
+    refresh().catch((err) => { errorEl.textContent = err.message; });
+  }
+
+  // ── シークレット管理（admin） ────────────────────────
+
+  function openSecretManager() {
+    injectStyles();
+    const overlay = document.createElement("div");
+    overlay.className = "auth-overlay";
+    overlay.innerHTML = `
+      <div class="auth-card auth-users auth-secrets">
+        <button type="button" class="auth-close" title="閉じる">&times;</button>
+        <h2>シークレット</h2>
+        <p class="auth-vault-info"></p>
+        <table><thead><tr><th>名前</th><th>値</th><th>保存先</th><th>更新</th><th></th></tr></thead><tbody></tbody></table>
+        <button type="button" class="auth-small-btn" data-action="rotate">鍵をローテーション</button>
+        <h3>変更履歴</h3>
+        <div class="auth-audit"></div>
+        <div class="auth-error"></div>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    const errorEl = overlay.querySelector(".auth-error");
+    const tbody = overlay.querySelector("tbody");
+    const close = () => overlay.remove();
+    overlay.querySelector(".auth-close").addEventListener("click", close);
+    overlay.addEventListener("click", (e) => { if (e.target === overlay) close(); });
+
+    const formatTime = (t) => (t ? new Date(t).toLocaleString("ja-JP") : "-");
+
+    async function refresh() {
+      const [{ vault, secrets }, { entries }] = await Promise.all([
+        requestJson("GET", "/api/secrets"),
+        requestJson("GET", "/api/secrets/audit?limit=50"),
+      ]);
+      overlay.querySelector(".auth-vault-info").textContent =
+        `暗号化して保存されています（${vault.count}件、マスターキー: ${vault.masterKeySource === "env" ? "SECRETS_MASTER_KEY" : "data/secrets.key"}、最終ローテーション: ${formatTime(vault.rotatedAt)}）。` +
+        (vault.unreadable ? " ⚠ マスターキーが一致しないため復号できません。" : "");
+      tbody.innerHTML = secrets.map((s) => `
+        <tr data-name="${escapeHtml(s.name)}">
+          <td title="${escapeHtml(s.name)}">${escapeHtml(s.label)}</td>
+          <td><code>${escapeHtml(s.masked) || "-"}</code></td>
+          <td>${s.source ? `<span class="auth-source ${s.source}">${s.source === "vault" ? "保管庫" : ".env"}</span>` : ""}</td>
+          <td>${s.updatedAt ? `${formatTime(s.updatedAt)}<br>${escapeHtml(s.updatedBy || "")}` : "-"}</td>
+          <td>
+            <button type="button" class="auth-small-btn" data-action="set">設定</button>
+            ${s.source === "vault" ? '<button type="button" class="auth-small-btn" data-action="clear">削除</button>' : ""}
+          </td>
+        </tr>`).join("");
+      overlay.querySelector(".auth-audit").innerHTML = entries.length
+        ? entries.map((e) => `<div>${formatTime(e.time)} — ${escapeHtml(e.actor)}: ${escapeHtml(e.action)} ${escapeHtml(e.names.join(", "))}</div>`).join("")
+        : "履歴はありません";
+    }
+
+    tbody.addEventListener("click", async (e) => {
+      const action = e.target.dataset.action;
+      const name = e.target.closest("tr")?.dataset.name;
+      if (!action || !name) return;
+      errorEl.textContent = "";
+      try {
+        if (action === "set") {
+          const value = prompt(`${name} の新しい値`);
+          if (!value) return;
+          await requestJson("PUT", "/api/secrets", { values: { [name]: value.trim() } });
+        } else if (action === "clear") {
+          if (!confirm(`${name} を保管庫から削除しますか？（.env に値があればそちらが使われます）`)) return;
+          await requestJson("PUT", "/api/secrets", { values: { [name]: null } });
+        }
+        await refresh();
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    });
+
+    overlay.querySelector('[data-action="rotate"]').addEventListener("click", async () => {
+      errorEl.textContent = "";
+      try {
+        const { vault } = await requestJson("GET", "/api/secrets");
+        let masterKey;
+        if (vault.masterKeySource === "env") {
+          masterKey = prompt("新しいマスターキー（適用後、SECRETS_MASTER_KEY を同じ値に差し替えてください）");
+          if (!masterKey) return;
+        } else if (!confirm("データキーとマスターキー（data/secrets.key）を新しい鍵に差し替えて再暗号化します。よろしいですか？")) {
+          return;
+        }
+        const result = await requestJson("POST", "/api/secrets/rotate", masterKey ? { masterKey } : {});
+        alert(`${result.count}件を再暗号化しました${result.requiresEnvUpdate ? "。SECRETS_MASTER_KEY を新しい値に更新してください" : ""}`);
+        await refresh();
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    });
+
+    refresh().catch((err) => { errorEl.textContent = err.message; });
+  }
+
+  // ── 出力ディレクトリの整理（admin） ──────────────────────
+
+  function openStorageManager() {
+    injectStyles();
+    const overlay = document.createElement("div");
+    overlay.className = "auth-overlay";
+    overlay.innerHTML = `
+      <div class="auth-card auth-users auth-secrets">
+        <button type="button" class="auth-close" title="閉じる">&times;</button>
+        <h2>ストレージ</h2>
+        <p class="auth-storage-info"></p>
+        <table><thead><tr><th>ディレクトリ</th><th>種類</th><th>サイズ</th><th>最終更新</th><th></th></tr></thead><tbody></tbody></table>
+        <button type="button" class="auth-small-btn" data-action="gc-all">すべて削除</button>
+        <button type="button" class="auth-small-btn" data-action="migrate">旧レイアウトを移行</button>
+        <div class="auth-error"></div>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    const errorEl = overlay.querySelector(".auth-error");
+    const tbody = overlay.querySelector("tbody");
+    const close = () => overlay.remove();
+    overlay.querySelector(".auth-close").addEventListener("click", close);
+    overlay.addEventListener("click", (e) => { if (e.target === overlay) close(); });
+
+    async function refresh() {
+      const { orphaned, totalSizeFormatted, pendingMigration } = await requestJson("GET", "/api/output-dirs/orphaned");
+      overlay.querySelector(".auth-storage-info").textContent =
+        `どのプロジェクトからも参照されていない出力ディレクトリ: ${orphaned.length}件（${totalSizeFormatted}）。` +
+        (pendingMigration ? ` 共有ディレクトリを使う旧プロジェクトが${pendingMigration}件あります。` : "");
+      tbody.innerHTML = orphaned.length
+        ? orphaned.map((o) => `
+        <tr data-slug="${escapeHtml(o.slug)}">
+          <td><code>${escapeHtml(o.slug)}</code></td>
+          <td>${escapeHtml(Object.keys(o.paths).join(", "))}</td>
+          <td>${escapeHtml(o.sizeFormatted)}</td>
+          <td>${new Date(o.modifiedAt).toLocaleString("ja-JP")}</td>
+          <td><button type="button" class="auth-small-btn" data-action="gc">削除</button></td>
+        </tr>`).join("")
+        : '<tr><td colspan="5">孤立したディレクトリはありません</td></tr>';
+    }
+
+    async function collect(slugs) {
+      // 一覧から明示的に選んだものは更新直後でも削除する
+      const result = await requestJson("POST", "/api/output-dirs/gc", { slugs, minAgeHours: slugs ? 0 : undefined });
+      const skipped = result.skipped.length ? `（${result.skipped.length}件は最近更新されたためスキップ）` : "";
+      alert(`${result.removed.length}件削除しました（${result.freedFormatted}）${skipped}`);
+      await refresh();
+    }
+
+    tbody.addEventListener("click", async (e) => {
+      const slug = e.target.closest("tr")?.dataset.slug;
+      if (e.target.dataset.action !== "gc" || !slug) return;
+      errorEl.textContent = "";
+      if (!confirm(`${slug} を削除しますか？`)) return;
+      await collect([slug]).catch((err) => { errorEl.textContent = err.message; });
+    });
+
+    overlay.querySelector('[data-action="gc-all"]').addEventListener("click", async () => {
+      errorEl.textContent = "";
+      if (!confirm("孤立した出力ディレクトリをすべて削除します（1時間以内に更新されたものは残します）。よろしいですか？")) return;
+      await collect().catch((err) => { errorEl.textContent = err.message; });
+    });
+
+    overlay.querySelector('[data-action="migrate"]').addEventListener("click", async () => {
+      errorEl.textContent = "";
+      try {
+        const { migrated, results } = await requestJson("POST", "/api/output-dirs/migrate");
+        const failed = results.filter((r) => r.error);
+        alert(`${migrated}件のプロジェクトを移行しました${failed.length ? `（${failed.length}件失敗: ${failed[0].error}）` : ""}`);
+        await refresh();
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    });
+
+    refresh().catch((err) => { errorEl.textContent = err.message; });
+  }
+
+  function roleOptions(selected) {
+    return Object.entries(ROLE_LABELS)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? " selected" : ""}>${label}</option>`)
+      .join("");
+  }
+
+  // ── 初期化 ───────────────────────────────────
+
+  async function init() {
+    try {
+      const res = await nativeFetch("/api/auth/me");
+      const data = await res.json();
+      if (!res.ok) return showLogin(!!data.setupRequired, !!data.setupTokenRequired);
+      window.currentUser = data.user;
+      renderUserMenu(data.user);
+      resolveReady(data.user);
+    } catch {
+      showLogin(false);
+    }
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -603,12 +603,18 @@ async function openEditPanel(projectId, blockIndex, blockType) {
   const widgetHasImage = blockType === "widget" && (blockHtmlLower.includes("<img") || blockHtmlLower.includes("<picture"));
   const widgetHasVideo = blockType === "widget" && !widgetHasImage && blockHtmlLower.includes("<video");
 
+  // ヘッダー・フッター・追従CTAは表示位置の設定を先頭に
+  if (block.chrome) body.appendChild(buildChromePanel(projectId, blockIndex, block));
+
+  // クイズ・口コミ・比較表・FAQ は項目ごとに編集できる
+  if (block.structured) body.appendChild(buildStructuredPanel(projectId, blockIndex, block));
+
   // ── AI編集のみ表示（全体編集ウィザード直接表示） ──
   if (blockType === "video" || widgetHasVideo) {
     body.appendChild(buildVideoWizard(projectId, blockIndex, block));
   } else {
     body.appendChild(buildAiImageWizard(projectId, blockIndex, block));
-    if (blockType === "cta_link") {
+    if (blockType === "cta_link" || blockType === "sticky_cta") {
       body.appendChild(buildCtaUrlEditor(projectId, blockIndex, block));
     }
   }
@@ -660,7 +666,7 @@ function buildManualPanelContent(projectId, blockIndex, block, blockType) {
   // ブロック情報バッジ
   const infoBadge = document.createElement("div");
   infoBadge.style.cssText = "display:flex;gap:6px;margin-top:8px;flex-wrap:wrap";
-  const typeLabel = { text: "テキスト", heading: "見出し", image: "画像", video: "動画", cta_link: "CTAリンク", widget: "ウィジェット", spacer: "スペーサー" };
+  const typeLabel = { text: "テキスト", heading: "見出し", image: "画像", video: "動画", cta_link: "CTAリンク", widget: "ウィジェット", spacer: "スペーサー", header: "ヘッダー", footer: "フッター", sticky_cta: "追従CTA" };
   infoBadge.innerHTML = `<span style="font-size:10px;padding:2px 8px;background:rgba(236,72,153,0.1);color:#ec4899;border-radius:8px;font-weight:600">${typeLabel[blockType] || blockType}</span><span style="font-size:10px;padding:2px 8px;background:var(--bg-tertiary);color:var(--text-muted);border-radius:8px">Block #${blockIndex}</span>`;
   previewSec.appendChild(infoBadge);
 
@@ -827,7 +833,7 @@ function buildBlockEditContent(projectId, blockIndex, block, blockType, widgetHa
 
   const infoBadge = document.createElement("div");
   infoBadge.style.cssText = "display:flex;gap:6px;margin-top:8px;flex-wrap:wrap";
-  const typeLabel = { text: "テキスト", heading: "見出し", image: "画像", video: "動画", cta_link: "CTAリンク", widget: "ウィジェット", spacer: "スペーサー" };
+  const typeLabel = { text: "テキスト", heading: "見出し", image: "画像", video: "動画", cta_link: "CTAリンク", widget: "ウィジェット", spacer: "スペーサー", header: "ヘッダー", footer: "フッター", sticky_cta: "追従CTA" };
   infoBadge.innerHTML = `<span style="font-size:10px;padding:2px 8px;background:rgba(236,72,153,0.1);color:#ec4899;border-radius:8px;font-weight:600">${typeLabel[blockType] || blockType}</span><span style="font-size:10px;padding:2px 8px;background:var(--bg-tertiary);color:var(--text-muted);border-radius:8px">Block #${blockIndex}</span>`;
   previewSec.appendChild(infoBadge);
   frag.appendChild(previewSec);
@@ -6458,6 +6464,266 @@ function buildCtaUrlEditor(projectId, blockIndex, block) {
   return section;
 }
 
+// ── 外枠ブロック（ヘッダー・フッター・追従CTA）の表示位置 ─────────
+
+function buildChromePanel(projectId, blockIndex, block) {
+  const section = document.createElement("div");
+  section.className = "ai-wizard-step";
+
+  const title = document.createElement("h3");
+  title.className = "ai-wizard-step-title";
+  title.textContent = { header: "ヘッダー", footer: "フッター", sticky_cta: "追従CTA" }[block.type] + "の表示位置";
+  section.appendChild(title);
+
+  const select = document.createElement("select");
+  select.className = "form-input";
+  select.innerHTML = `
+    <option value="fixed-top">画面上部に固定</option>
+    <option value="fixed-bottom">画面下部に固定</option>
+    <option value="static">固定しない（ページの${block.type === "header" ? "先頭" : "末尾"}に配置）</option>`;
+  select.value = block.chrome.position === "fixed" ? `fixed-${block.chrome.edge}` : "static";
+  section.appendChild(select);
+
+  const note = document.createElement("div");
+  note.style.cssText = "font-size:11px;color:var(--text-muted);margin-top:6px";
+  note.textContent = "SB書き出し時は固定表示のカスタムウィジェットに変換されます";
+  section.appendChild(note);
+
+  select.addEventListener("change", async () => {
+    const [position, edge] = select.value.split("-");
+    try {
+      const result = await window.API.updateBlock(projectId, blockIndex, { chrome: { position, edge } });
+      // 後続の編集（CTA URL等）が古いHTMLで上書きしないように
+      block.html = result.block.html;
+      block.chrome = result.block.chrome;
+      window.loadPreview(true);
+      window.pushHistory?.("edit_block", `ブロック ${blockIndex} の表示位置を変更`);
+    } catch (err) {
+      window.showToast(`保存エラー: ${err.message}`, "error");
+    }
+  });
+
+  return section;
+}
+
+// ── 構造化ブロック（クイズ・口コミ・比較表・FAQ）の項目編集 ─────────
+
+const STRUCTURED_PANEL_TITLES = { quiz: "クイズの設問", review: "口コミ", comparison: "比較表", faq: "よくある質問" };
+
+function buildStructuredPanel(projectId, blockIndex, block) {
+  const section = document.createElement("div");
+  section.className = "ai-wizard-step structured-panel";
+
+  const title = document.createElement("h3");
+  title.className = "ai-wizard-step-title";
+  title.textContent = STRUCTURED_PANEL_TITLES[block.structured.kind] + "の編集";
+  section.appendChild(title);
+
+  const note = document.createElement("div");
+  note.className = "structured-note";
+  note.textContent = "項目を書き換えると元のHTMLの装飾を残したまま反映されます。追加した項目は最後の項目の複製になります";
+  section.appendChild(note);
+
+  // 編集中のデータ（保存するまでブロックには反映しない）
+  let draft = JSON.parse(JSON.stringify(block.structured));
+  const list = document.createElement("div");
+  list.className = "structured-list";
+  section.appendChild(list);
+
+  const field = (label, value, onInput, { multiline = false } = {}) => {
+    const wrap = document.createElement("label");
+    wrap.className = "structured-field";
+    const caption = document.createElement("span");
+    caption.textContent = label;
+    const input = document.createElement(multiline ? "textarea" : "input");
+    input.className = "form-input";
+    if (multiline) input.rows = 3;
+    input.value = value ?? "";
+    // 元のHTMLから読み取れなかった値は書き戻されないので編集させない
+    if (value === null) {
+      input.disabled = true;
+      input.placeholder = "（元のHTMLにありません）";
+    }
+    input.addEventListener("input", () => onInput(input.value));
+    wrap.append(caption, input);
+    return wrap;
+  };
+
+  const button = (label, onClick, className = "panel-btn") => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  };
+
+  const itemBox = (heading, items, i) => {
+    const box = document.createElement("div");
+    box.className = "structured-item";
+    const head = document.createElement("div");
+    head.className = "structured-item-head";
+    const label = document.createElement("span");
+    label.textContent = heading;
+    head.appendChild(label);
+    if (items.length > 1) {
+      head.appendChild(button("削除", () => {
+        items.splice(i, 1);
+        render();
+      }, "panel-btn structured-remove"));
+    }
+    box.appendChild(head);
+    return box;
+  };
+
+  const addButton = (label, items) => button(label, () => {
+    items.push(JSON.parse(JSON.stringify(items[items.length - 1])));
+    render();
+  });
+
+  const renderers = {
+    faq() {
+      draft.items.forEach((item, i) => {
+        const box = itemBox(`Q${i + 1}`, draft.items, i);
+        box.appendChild(field("質問", item.question, (v) => (item.question = v)));
+        box.appendChild(field("回答", item.answer, (v) => (item.answer = v), { multiline: true }));
+        list.appendChild(box);
+      });
+      list.appendChild(addButton("+ 質問を追加", draft.items));
+    },
+    quiz() {
+      draft.questions.forEach((q, i) => {
+        const box = itemBox(`設問 ${i + 1}`, draft.questions, i);
+        box.appendChild(field("問題文", q.text, (v) => (q.text = v)));
+        q.options.forEach((opt, j) => {
+          const row = document.createElement("div");
+          row.className = "structured-option";
+          const correct = document.createElement("input");
+          correct.type = "checkbox";
+          correct.checked = !!opt.correct;
+          correct.title = "正解";
+          correct.addEventListener("change", () => (opt.correct = correct.checked));
+          row.appendChild(correct);
+          row.appendChild(field(`選択肢 ${j + 1}`, opt.label, (v) => (opt.label = v)));
+          box.appendChild(row);
+        });
+        box.appendChild(field("解説", q.answer, (v) => (q.answer = v), { multiline: true }));
+        list.appendChild(box);
+      });
+      list.appendChild(addButton("+ 設問を追加", draft.questions));
+    },
+    review() {
+      draft.reviews.forEach((r, i) => {
+        const box = itemBox(`口コミ ${i + 1}`, draft.reviews, i);
+        const profile = document.createElement("div");
+        profile.className = "structured-row";
+        profile.appendChild(field("名前", r.name, (v) => (r.name = v)));
+        profile.appendChild(field("年代", r.age, (v) => (r.age = v)));
+        box.appendChild(profile);
+        if (r.rating !== null) {
+          const rating = field(`評価（0〜${r.ratingMax || 5}）`, String(r.rating), (v) => (r.rating = Number(v)));
+          const input = rating.querySelector("input");
+          input.type = "number";
+          input.min = 0;
+          input.max = r.ratingMax || 5;
+          input.step = 0.5;
+          box.appendChild(rating);
+        }
+        box.appendChild(field("本文", r.body, (v) => (r.body = v), { multiline: true }));
+        list.appendChild(box);
+      });
+      list.appendChild(addButton("+ 口コミを追加", draft.reviews));
+    },
+    comparison() {
+      const table = document.createElement("table");
+      table.className = "structured-table";
+      const width = Math.max(draft.columns.length, ...draft.rows.map((r) => r.length));
+      const cellInput = (cells, j) => {
+        const input = document.createElement("input");
+        input.className = "form-input";
+        input.value = cells[j] ?? "";
+        input.addEventListener("input", () => (cells[j] = input.value));
+        return input;
+      };
+      if (draft.columns.length) {
+        const tr = table.insertRow();
+        for (let j = 0; j < width; j++) {
+          const th = document.createElement("th");
+          th.appendChild(cellInput(draft.columns, j));
+          tr.appendChild(th);
+        }
+        tr.insertCell();
+      }
+      draft.rows.forEach((cells, i) => {
+        const tr = table.insertRow();
+        for (let j = 0; j < width; j++) tr.insertCell().appendChild(cellInput(cells, j));
+        const actions = tr.insertCell();
+        if (draft.rows.length > 1) {
+          actions.appendChild(button("×", () => {
+            draft.rows.splice(i, 1);
+            render();
+          }, "panel-btn structured-remove"));
+        }
+      });
+      list.appendChild(table);
+
+      const row = document.createElement("div");
+      row.className = "panel-btn-row";
+      row.appendChild(addButton("+ 行を追加", draft.rows));
+      row.appendChild(button("+ 列を追加", () => {
+        if (draft.columns.length) draft.columns.push("");
+        draft.rows.forEach((r) => r.push(""));
+        render();
+      }));
+      if (width > 1) {
+        row.appendChild(button("− 最後の列を削除", () => {
+          if (draft.columns.length) draft.columns.pop();
+          draft.rows.forEach((r) => r.length >= width && r.pop());
+          render();
+        }));
+      }
+      list.appendChild(row);
+    },
+  };
+
+  function render() {
+    list.innerHTML = "";
+    renderers[draft.kind]();
+  }
+  render();
+
+  const saveRow = document.createElement("div");
+  saveRow.className = "panel-btn-row";
+  const saveBtn = button("保存", async () => {
+    saveBtn.disabled = true;
+    try {
+      const result = await window.API.updateBlock(projectId, blockIndex, { structured: draft });
+      // 後続の編集（AI編集等）が古いHTMLで上書きしないように
+      block.html = result.block.html;
+      if (result.block.structured) {
+        block.structured = result.block.structured;
+        draft = JSON.parse(JSON.stringify(block.structured));
+        render();
+      }
+      indicator.classList.add("show");
+      setTimeout(() => indicator.classList.remove("show"), 2000);
+      window.loadPreview(true);
+      window.pushHistory?.("edit_block", `ブロック ${blockIndex} の${STRUCTURED_PANEL_TITLES[draft.kind]}を編集`);
+    } catch (err) {
+      window.showToast(`保存エラー: ${err.message}`, "error");
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }, "panel-btn primary");
+  const indicator = document.createElement("span");
+  indicator.className = "save-indicator";
+  indicator.textContent = "保存しました";
+  saveRow.append(saveBtn, indicator);
+  section.appendChild(saveRow);
+
+  return section;
+}
+
 // ── CTAパネル（手動編集用、既存） ───────────────────────────────
 
 function buildCtaPanel(projectId, blockIndex, block) {
@@ -2,23 +2,48 @@
  * server.js - Express API + SSE + Project State Management
  *
  * 既存モジュール(scraper, parser, text-modifier, image-generator, html-builder)を
- * REST API で公開。プロジェクト状態は in-memory Map で管理。
+ * REST API で公開。プロジェクト状態は src/project-store.js で永続化。
  */
 import express from "express";
 import path from "path";
-import { readFile, writeFile, mkdir } from "fs/promises";
+import { readFile, writeFile, mkdir, cp } from "fs/promises";
 import { existsSync, readdirSync } from "fs";
+import { spawn } from "child_process";
+import { setTimeout as delay } from "timers/promises";
 import fetch from "node-fetch";
-import { scrape } from "./src/scraper.js";
-import { parseHtml } from "./src/parser.js";
+import { scrape, retryAssetDownloads, acquireSharedBrowser, releaseSharedBrowser, guessMediaType, DEVICE_PROFILES, DEFAULT_PROFILE, resolveProfile } from "./src/scraper.js";
+import { parseHtml, attachResponsiveVariants, carryAssetVariants, flattenBlocks, groupIdAt, reclassifyBlocks, detectSections } from "./src/parser.js";
+import { aiLabelSections } from "./src/section-labeler.js";
+import { STRUCTURED_TYPES, extractStructured, renderStructured } from "./src/structured-blocks.js";
+import { blockRuleRegistry } from "./src/block-rules.js";
+import { normalizeActions, describeAction } from "./src/page-actions.js";
+import { normalizeNetworkSettings, mergeNetworkSettings, publicNetworkSettings } from "./src/network-settings.js";
 import { applyTextModifications, analyzeForReplacement, applyBlockReplacements } from "./src/text-modifier.js";
 import { describeImage, generateImage, generateImageFromReference, generateVideo, buildImagePrompt, aiRewriteText, getAvailableProviders, composeImages, removeTextFromImage, discoverModels } from "./src/image-generator.js";
 import { buildSbHtml, validateSbHtml } from "./src/html-builder.js";
+import { assetUrls, regenerateCandidates, replaceAssetImage } from "./src/responsive-images.js";
 import {
   PROJECT_ROOT, SCRAPED_DIR, ANALYSIS_DIR, IMAGES_DIR, FINAL_DIR,
-  initOutputDirs, urlToSlug, saveJson, loadJson, formatBytes,
+  initOutputDirs, urlToSlug, saveJson, loadJson, formatBytes, asyncHandler,
 } from "./src/utils.js";
 import { createAdRoutes } from "./src/ad-submitter/ad-routes.js";
+import { createExperimentRoutes } from "./src/experiment-routes.js";
+import { createAuthRoutes } from "./src/auth-routes.js";
+import { authManager, authenticate, requireAuth, requireRole, hasRole, canAccess, ownerFields } from "./src/auth.js";
+import { secrets, maskSecret, SECRET_DEFS } from "./src/secrets.js";
+import { projectStore } from "./src/project-store.js";
+import { jobQueue, JobCancelledError } from "./src/job-queue.js";
+import { batchManager, parseBatchInput, summarizeBatch, MAX_BATCH_URLS, RETRYABLE_ITEM_STATUSES } from "./src/project-batches.js";
+import { revisionLog, compareBlocks } from "./src/revision-log.js";
+import { archiveProjectFiles, restoreProjectFiles, purgeProjectArchive } from "./src/project-archive.js";
+import { createProjectBundle, readProjectBundle, extractProjectBundle, remapProjectReferences } from "./src/project-bundle.js";
+import { planOutputMigration, relocateOutputDirs, listOrphanedOutputDirs, removeOrphanedOutputDirs, DEFAULT_GC_MIN_AGE } from "./src/output-dirs.js";
+import { diffBlocks, applyUpstreamChanges, markConflicts, hashBlockImages } from "./src/upstream-diff.js";
+import { watchManager, DEFAULT_WATCH_INTERVAL_HOURS } from "./src/upstream-watch.js";
+import { detectSourceFormat, isProjectBundle, loadOfflineSource, prepareOfflineHtml, offlineFileName, offlinePageUrl, isOfflineUrl } from "./src/offline-source.js";
+import { downloadAssets } from "./src/asset-downloader.js";
+import { chromePreviewCss, updateChromeHtml, CHROME_POSITIONS, CHROME_EDGES } from "./src/page-chrome.js";
+import { writeStylesheets } from "./src/style-capture.js";
 import { screenshotScalp, generateSbHtml } from "./src/screenshot-scalper.js";
 
 // API key is set via .env or UI (no hardcoded default)
@@ -49,15 +74,65 @@ app.set("trust proxy", 1);
 
 app.use(express.json({ limit: "50mb" }));
 
-// CORS許可（Beyond等の外部エディターから画像取得を許可）
+// ── 認証 ──────────────────────────────────────────────────
+await authManager.init();
+if (!authManager.hasUsers()) {
+  console.log(process.env.SETUP_TOKEN
+    ? "[auth] ユーザーが未登録です。ブラウザで初回セットアップ（SETUP_TOKEN が必要）を行ってください"
+    : "[auth] ユーザーが未登録です。サーバー上のブラウザ（localhost）で初回セットアップを行うか、ADMIN_USERNAME / ADMIN_PASSWORD か SETUP_TOKEN を設定してください");
+}
+
+// ログインなしでアクセスできるAPI（外部エディター・公開LPからの画像取得、A/Bテストの計測）
+const PUBLIC_API_ROUTES = [
+  { method: "GET", pattern: /^\/api\/health$/ },
+  { method: "ALL", pattern: /^\/api\/auth\/(login|logout|me|setup)$/ },
+  { method: "GET", pattern: /^\/api\/projects\/[^/]+\/assets\/[^/]+$/ },
+  { method: "GET", pattern: /^\/api\/projects\/[^/]+\/generated-images\/.+$/ },
+  { method: "POST", pattern: /^\/api\/experiments\/[^/]+\/events$/ },
+];
+// /output 配下でログインが必要なディレクトリ（プロジェクトデータ・アーカイブ・計測ログ）
+const PRIVATE_OUTPUT_DIRS = ["/projects", "/archive", "/experiments", "/projects.json"];
+
+function isPublicApi(req) {
+  const fullPath = req.baseUrl + req.path; // app.use() のマウント先でも完全なパスで判定
+  return PUBLIC_API_ROUTES.some((r) => (r.method === "ALL" || r.method === req.method || (r.method === "GET" && req.method === "HEAD")) && r.pattern.test(fullPath));
+}
+
+// CORS: 公開APIは全オリジン許可（Beyond等の外部エディターから画像取得）、
+// それ以外は CORS_ORIGINS（カンマ区切り）に含まれるオリジンのみ Cookie 付きで許可
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean);
 app.use((req, res, next) => {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  const origin = req.get("Origin");
+  if (isPublicApi(req) || !req.path.startsWith("/api/")) {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+  } else if (origin && CORS_ORIGINS.includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+    res.setHeader("Vary", "Origin");
+  }
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Editor-Name");
   if (req.method === "OPTIONS") return res.sendStatus(200);
   next();
 });
 
+app.use(authenticate);
+// /api は公開ルート以外ログイン必須。viewer は参照（GET）のみ
+app.use("/api", (req, res, next) => {
+  if (isPublicApi(req)) return next();
+  requireAuth(req, res, () => {
+    if (!["GET", "HEAD"].includes(req.method) && !hasRole(req.user, "editor")) {
+      return res.status(403).json({ error: "閲覧専用ユーザーは変更できません" });
+    }
+    next();
+  });
+});
+app.use("/output", (req, res, next) => {
+  if (req.user || !PRIVATE_OUTPUT_DIRS.some((d) => req.path === d || req.path.startsWith(d + "/"))) return next();
+  res.status(401).json({ error: "ログインが必要です" });
+});
+app.use(createAuthRoutes());
+
 // APP_MODE=ad-manager → ルート(/)で広告マネージャーを返す（static より先に定義）
 if (process.env.APP_MODE === "ad-manager") {
   app.get("/", (req, res) => {
@@ -84,60 +159,46 @@ function trackAiUsage(endpoint) {
 }
 
 // ── Project Store ──────────────────────────────────────────
-const projects = new Map();
-const PROJECT_TTL = 24 * 60 * 60 * 1000; // 24h
-const PROJECTS_DB = path.join(PROJECT_ROOT, "output", "projects.json");
-
-// プロジェクト永続化: 起動時にロード
+// プロジェクトは src/project-store.js で1件ずつ output/projects/<id>/ に永続化
+// 保持期間のデフォルト（PROJECT_TTL_HOURS で変更、0 で無期限）。プロジェクトごとに retention で上書き可能
+const PROJECT_TTL = Number(process.env.PROJECT_TTL_HOURS ?? 24) * 60 * 60 * 1000;
+// 期限切れ時の動作: "archive"（素材を圧縮して保管） / "delete"（完全削除）
+const PROJECT_EXPIRY_MODE = process.env.PROJECT_EXPIRY_MODE === "delete" ? "delete" : "archive";
+const PROJECT_CACHE_IDLE = 30 * 60 * 1000; // 30分アクセスがなければメモリから解放
+
+// プロジェクト永続化: 起動時にロード（旧 projects.json は自動移行）
 async function loadProjectsFromDisk() {
   try {
-    if (existsSync(PROJECTS_DB)) {
-      const data = JSON.parse(await readFile(PROJECTS_DB, "utf-8"));
-      for (const [id, p] of Object.entries(data)) {
-        // SSEクライアントとlogはメモリのみ
-        p.sseClients = [];
-        p.log = p.log || [];
-        // 未完了のスクレイピングは復帰不可
-        if (p.status === "scraping" || p.status === "parsing") {
-          p.status = "error";
-          p.error = "サーバー再起動により中断されました";
-        }
-        projects.set(id, p);
-      }
-      console.log(`[server] ${projects.size} プロジェクトを復元しました`);
+    const count = await projectStore.init();
+    // 未完了のスクレイピングはジョブが残っていれば再開、なければ中断扱い
+    for (const summary of projectStore.list()) {
+      if (summary.status !== "scraping" && summary.status !== "parsing") continue;
+      if (jobQueue.hasActive((j) => (j.type === "scrape" || j.type === "import-source") && j.projectId === summary.id)) continue;
+      const p = await projectStore.get(summary.id);
+      p.status = "error";
+      p.error = "サーバー再起動により中断されました";
+      await projectStore.save(p);
     }
+    console.log(`[server] ${count} プロジェクトを復元しました`);
   } catch (err) {
     console.error("[server] プロジェクト復元エラー:", err.message);
   }
 }
 
-// プロジェクト永続化: ディスクに保存
-let _saveTimer = null;
-function saveProjectsToDisk() {
-  if (_saveTimer) clearTimeout(_saveTimer);
-  _saveTimer = setTimeout(async () => {
-    try {
-      const data = {};
-      for (const [id, p] of projects) {
-        // sseClientsはシリアライズ不可、除外
-        const { sseClients, ...serializable } = p;
-        data[id] = serializable;
-      }
-      await mkdir(path.dirname(PROJECTS_DB), { recursive: true });
-      await writeFile(PROJECTS_DB, JSON.stringify(data, null, 2), "utf-8");
-    } catch (err) {
-      console.error("[server] プロジェクト保存エラー:", err.message);
-    }
-  }, 1000); // 1秒デバウンス
-}
-
+await jobQueue.init();
+await batchManager.init();
+await watchManager.init();
+await blockRuleRegistry.init();
+// バッチごとの同時実行数を復元（再開されるジョブに適用）
+for (const batch of batchManager.list()) jobQueue.setLimit(batchProvider(batch.id), batch.concurrency);
 await loadProjectsFromDisk();
 
-function createProject(id, url) {
+async function createProject(id, url, user = null, extra = {}) {
   const project = {
     id,
     url,
-    slug: urlToSlug(url),
+    ...ownerFields(user),
+    slug: urlToSlug(url, id),
     status: "scraping",
     html: null,
     modifiedHtml: null,
@@ -153,6 +214,11 @@ function createProject(id, url) {
     sseClients: [],
     log: [],
     createdAt: Date.now(),
+    retention: {
+      pinned: false,
+      archived: false,
+      expiresAt: PROJECT_TTL > 0 ? Date.now() + PROJECT_TTL : null,
+    },
     tagSettings: {
       headTags: "",
       bodyTags: "",
@@ -173,9 +239,9 @@ function createProject(id, url) {
       customHtml: "",
       customCss: "",
     },
+    ...extra,
   };
-  projects.set(id, project);
-  saveProjectsToDisk();
+  await projectStore.create(project);
   return project;
 }
 
@@ -189,21 +255,112 @@ function sendSSE(project, event, data) {
   project.sseClients = alive;
 }
 
+// ── Revision History ──────────────────────────────────────
+// ブロック変更はすべて src/revision-log.js にリビジョンとして記録する
+
+function revisionAuthor(req) {
+  if (req.user) return req.user.username;
+  const name = req.get("X-Editor-Name");
+  if (!name) return "anonymous";
+  try { return decodeURIComponent(name); } catch { return name; }
+}
+
+async function recordRevision(project, req, action, description) {
+  try {
+    return await revisionLog.record(project, { action, description, author: revisionAuthor(req) });
+  } catch (err) {
+    console.error(`[revisions] 記録エラー (${project.id}): ${err.message}`);
+    return null;
+  }
+}
+
 function genId() {
   return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
 }
 
-// Cleanup expired projects every hour
-setInterval(() => {
+// ── Retention / Archive ───────────────────────────────────
+
+// retention 未設定の旧プロジェクトは作成日時 + デフォルト保持期間で期限を決める
+function getRetention(p) {
+  const r = p.retention || {};
+  return {
+    pinned: !!r.pinned,
+    archived: !!r.archived,
+    expiresAt: r.expiresAt !== undefined ? r.expiresAt : (PROJECT_TTL > 0 ? p.createdAt + PROJECT_TTL : null),
+    archivedAt: r.archivedAt || null,
+    archiveSize: r.archiveSize || null,
+    archiveFileCount: r.archiveFileCount || 0,
+  };
+}
+
+async function archiveProject(project) {
+  // 同じ slug のディレクトリを使う他の未アーカイブプロジェクトがあれば、そのディレクトリは残す
+  const keepDirs = new Set();
+  for (const other of projectStore.list()) {
+    if (other.id === project.id || getRetention(other).archived || !other.dirs) continue;
+    for (const dir of Object.values(other.dirs)) keepDirs.add(dir);
+  }
+  const { size, fileCount } = await archiveProjectFiles(project, { keepDirs });
+  project.retention = { ...getRetention(project), archived: true, archivedAt: Date.now(), archiveSize: size, archiveFileCount: fileCount };
+  await projectStore.save(project);
+  return project.retention;
+}
+
+async function removeProject(id) {
+  for (const job of jobQueue.list((j) => j.projectId === id)) jobQueue.cancel(job.id);
+  const live = projectStore.cache.get(id);
+  live?.sseClients.forEach((c) => { try { c.end(); } catch {} });
+  await projectStore.delete(id);
+  await purgeProjectArchive(id);
+  revisionLog.forget(id);
+  watchManager.detachProject(id);
+}
+
+// Archive (or delete) expired projects every hour
+setInterval(async () => {
   const now = Date.now();
-  for (const [id, p] of projects) {
-    if (now - p.createdAt > PROJECT_TTL) {
-      p.sseClients.forEach((c) => { try { c.end(); } catch {} });
-      projects.delete(id);
+  for (const p of projectStore.list()) {
+    const retention = getRetention(p);
+    if (retention.pinned || retention.archived || !retention.expiresAt || now < retention.expiresAt) continue;
+    if (["scraping", "parsing", "building"].includes(p.status)) continue;
+    try {
+      if (PROJECT_EXPIRY_MODE === "delete") {
+        await removeProject(p.id);
+      } else {
+        await archiveProject(await projectStore.get(p.id));
+        console.log(`[retention] 期限切れプロジェクトをアーカイブしました: ${p.id}`);
+      }
+    } catch (err) {
+      console.error(`[retention] ${p.id}: ${err.message}`);
     }
   }
+  projectStore.evictIdle(PROJECT_CACHE_IDLE);
 }, 60 * 60 * 1000);
 
+// ── Output Directories ────────────────────────────────────
+// 旧レイアウト（ホスト名のみのスラッグで共有）のプロジェクトを固有ディレクトリへ移行
+
+async function migrateOutputLayout() {
+  const results = [];
+  for (const { id, fromSlug, shared } of planOutputMigration(projectStore.list())) {
+    const project = await projectStore.get(id);
+    if (!project || ["scraping", "parsing", "building"].includes(project.status)) continue;
+    try {
+      const slug = urlToSlug(project.url, project.id);
+      const dirs = await relocateOutputDirs(project.dirs, slug, { copy: shared });
+      const { sseClients, ...data } = project;
+      Object.assign(project, remapProjectReferences(data, { fromId: id, toId: id, fromDirs: project.dirs, toDirs: dirs }), { slug, dirs });
+      await projectStore.save(project);
+      results.push({ id, from: fromSlug, to: slug, copied: shared });
+      console.log(`[output] ${id}: ${fromSlug} → ${slug}${shared ? "（共有ディレクトリをコピー）" : ""}`);
+    } catch (err) {
+      results.push({ id, from: fromSlug, error: err.message });
+      console.error(`[output] ${id} の移行に失敗: ${err.message}`);
+    }
+  }
+  return results;
+}
+
 // Path traversal guard
 function safePath(base, file) {
   const resolved = path.resolve(base, file);
@@ -231,27 +388,215 @@ function rewriteAssetsForPreview(html, project) {
   return result;
 }
 
+// Local file behind an image URL served by this project (generated-images / assets) or an absolute path inside it
+function resolveProjectImageFile(project, url) {
+  if (!project.dirs || !url) return null;
+  const m = url.split(/[?#]/)[0].match(/^\/api\/projects\/[^/]+\/(generated-images|assets)\/(.+)$/);
+  const file = m
+    ? safePath(m[1] === "assets" ? project.dirs.assets : project.dirs.images, decodeURIComponent(m[2]))
+    : path.isAbsolute(url) ? safePath(project.dirs.images, url) || safePath(project.dirs.assets, url) : null;
+  return file && existsSync(file) ? file : null;
+}
+
+// 差し替え後の画像から srcset・<source> の候補を作り直す（プロジェクト外の画像・失敗時は空）
+async function regenerateProjectCandidates(project, asset, imageUrl, prefix) {
+  const file = resolveProjectImageFile(project, imageUrl);
+  if (!file) return new Map();
+  try {
+    return await regenerateCandidates(asset, file, {
+      outDir: project.dirs.images,
+      urlFor: (name) => `/api/projects/${project.id}/generated-images/${name}`,
+      prefix: `${prefix}_${Date.now()}`,
+    });
+  } catch (err) {
+    console.warn(`[images] Candidate regeneration failed for ${imageUrl}: ${err.message}`);
+    return new Map();
+  }
+}
+
+// Build-time imageMap: add an entry for every srcset / <source> candidate of the replaced images
+async function expandImageMap(project, imageMap) {
+  const expanded = { ...imageMap };
+  const assets = (project.blocks || []).flatMap((b) => b.assets || []);
+  let n = 0;
+  for (const [originalSrc, newSrc] of Object.entries(imageMap)) {
+    const asset = assets.find((a) => a.src === originalSrc);
+    if (!asset) continue;
+    const generated = await regenerateProjectCandidates(project, asset, newSrc, `build_${n++}`);
+    for (const [url, next] of generated) {
+      if (!(url in imageMap)) expanded[url] = next;
+    }
+  }
+  return expanded;
+}
+
+// Swap image URLs for the responsive variants captured with another device profile
+function applyDeviceVariants(html, project, device) {
+  if (!device || device === (project.deviceProfile || DEFAULT_PROFILE)) return html;
+  const map = new Map();
+  for (const block of project.blocks || []) {
+    for (const asset of block.assets || []) {
+      const variant = asset.variants?.[device];
+      if (!variant) continue;
+      for (const key of ["src", "webpSrc", "avifSrc"]) {
+        if (asset[key] && variant[key] && asset[key] !== variant[key]) map.set(asset[key], variant[key]);
+      }
+    }
+  }
+  if (map.size === 0) return html;
+  // 1パスで置換（置換後のURLが別の画像のURLと一致しても連鎖しないように）
+  const pattern = [...map.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((u) => u.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  return html.replace(new RegExp(pattern, "g"), (m) => map.get(m));
+}
+
+// デバイスプロファイル指定（{ profile, profiles }）を検証
+function parseDeviceOptions(body = {}) {
+  const deviceProfile = resolveProfile(body.profile);
+  if (!deviceProfile) return { error: `profile は ${Object.keys(DEVICE_PROFILES).join(" / ")} のいずれかです` };
+  const extra = Array.isArray(body.profiles) ? body.profiles : body.profiles ? String(body.profiles).split(",") : [];
+  const captureProfiles = [deviceProfile];
+  for (const name of extra) {
+    const profile = resolveProfile(name);
+    if (!profile) return { error: `不明なデバイスプロファイル: ${name}` };
+    if (!captureProfiles.includes(profile)) captureProfiles.push(profile);
+  }
+  return { deviceProfile, captureProfiles };
+}
+
+// 抽出前アクション指定（{ actions: [...] | "スクリプト", gateHeuristics }）を検証
+function parseScrapeActions(body = {}) {
+  try {
+    return { scrapeActions: { actions: normalizeActions(body.actions), gateHeuristics: body.gateHeuristics !== false } };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// アクション記録を scrape ログ（progress SSE）向けの1行に
+function formatActionRecord(record, label = "") {
+  const source = record.source === "heuristic" ? "自動" : "スクリプト";
+  const prefix = label ? `[${label}] ` : "";
+  return `${prefix}[${source}] ${record.ok ? "✓" : "✗"} ${record.type} ${record.target}${record.message ? ` - ${record.message}` : ""}`;
+}
+
+// スタイル収集の指定（{ captureStyles, inlineStyles, captureChrome: ヘッダー・フッター・追従CTA }）
+function parseStyleOptions(body = {}) {
+  return {
+    styleOptions: {
+      captureStyles: body.captureStyles !== false,
+      inlineStyles: !!body.inlineStyles,
+      captureChrome: body.captureChrome !== false,
+    },
+  };
+}
+
+// 取得時のネットワーク設定（{ network: { proxy, region, locale, timezoneId, geolocation, referer, headers } }）
+function parseNetworkOptions(body = {}, previous = null) {
+  try {
+    return { networkSettings: mergeNetworkSettings(normalizeNetworkSettings(body.network), previous) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+function deviceView(profile) {
+  const p = DEVICE_PROFILES[profile];
+  return p ? { id: profile, label: p.label, width: p.viewport.width, height: p.viewport.height } : null;
+}
+
 // ── API Routes ─────────────────────────────────────────────
 
+// /api/projects/:id/* - 所有者・チーム以外のプロジェクトは存在しないものとして扱う
+app.use(["/api/projects/:id", "/api/archives/:id"], (req, res, next) => {
+  if (isPublicApi(req)) return next();
+  const meta = projectStore.getMeta(req.params.id);
+  if (meta && !canAccess(req.user, meta)) return res.status(404).json({ error: "Project not found" });
+  next();
+});
+
+// ── Jobs ──────────────────────────────────────────────────
+// 重い処理は src/job-queue.js のジョブとして実行。進捗はプロジェクトのSSEに "job" イベントで流す
+
+jobQueue.onEvent(async (job, event, data) => {
+  if (!job.projectId || event === "queued") return;
+  const project = projectStore.cache.get(job.projectId) || await projectStore.get(job.projectId).catch(() => null);
+  if (!project) return;
+  sendSSE(project, "job", { id: job.id, type: job.type, status: job.status, event, ...data });
+});
+
+function publicJob(job) {
+  const { params, ...rest } = job;
+  return rest;
+}
+
+// GET /api/jobs - List jobs (?status=queued,running & ?projectId=)
+app.get("/api/jobs", (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(",") : null;
+  const jobs = jobQueue.list((j) =>
+    canAccess(req.user, j) &&
+    (!statuses || statuses.includes(j.status)) &&
+    (!req.query.projectId || j.projectId === req.query.projectId)
+  );
+  res.json({ jobs: jobs.slice(0, 200).map(publicJob), providers: jobQueue.stats() });
+});
+
+// GET /api/jobs/:id - Job status / result
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canAccess(req.user, job)) return res.status(404).json({ error: "Job not found" });
+  res.json({ job: publicJob(job) });
+});
+
+// DELETE /api/jobs/:id - Cancel job
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canAccess(req.user, job)) return res.status(404).json({ error: "Job not found" });
+  if (!["queued", "running"].includes(job.status)) {
+    return res.status(409).json({ error: `このジョブは既に終了しています (${job.status})`, job: publicJob(job) });
+  }
+  jobQueue.cancel(job.id);
+  res.json({ ok: true, job: publicJob(job) });
+});
+
 // GET /api/projects - List all projects (for restore)
 app.get("/api/projects", (req, res) => {
   const list = [];
-  for (const [id, p] of projects) {
+  for (const p of projectStore.list()) {
+    if (!canAccess(req.user, p)) continue;
     list.push({
-      id,
+      id: p.id,
       url: p.url,
       slug: p.slug,
       status: p.status,
-      blockCount: p.blocks?.length || 0,
+      blockCount: p.blockCount,
       createdAt: p.createdAt,
+      retention: getRetention(p),
+      parentId: p.parentId || null,
+      variantName: p.variantName || null,
+      owner: p.owner || null,
+      team: p.team || null,
+      tags: p.tags || [],
+      batchId: p.batchId || null,
+      deviceProfile: p.deviceProfile || DEFAULT_PROFILE,
     });
   }
   list.sort((a, b) => b.createdAt - a.createdAt);
   res.json({ projects: list });
 });
 
+// GET /api/device-profiles - Available device profiles for scraping
+app.get("/api/device-profiles", (req, res) => {
+  res.json({ profiles: Object.keys(DEVICE_PROFILES).map(deviceView), default: DEFAULT_PROFILE });
+});
+
 // POST /api/projects - Start scraping
-app.post("/api/projects", async (req, res) => {
+// ({ url, profile: "android", profiles: ["desktop"] で追加取得, actions: 抽出前アクション, gateHeuristics,
+//    captureStyles: CSS・フォント・背景画像の収集, inlineStyles: 計算済みスタイルのインライン化,
+//    network: プロキシ・地域・リファラー・追加ヘッダー })
+app.post("/api/projects", asyncHandler(async (req, res) => {
   const { url } = req.body;
   if (!url) return res.status(400).json({ error: "url is required" });
 
@@ -260,70 +605,481 @@ app.post("/api/projects", async (req, res) => {
   } catch {
     return res.status(400).json({ error: "Invalid URL format" });
   }
+  const devices = parseDeviceOptions(req.body);
+  if (devices.error) return res.status(400).json({ error: devices.error });
+  const actions = parseScrapeActions(req.body);
+  if (actions.error) return res.status(400).json({ error: actions.error });
+  const network = parseNetworkOptions(req.body);
+  if (network.error) return res.status(400).json({ error: network.error });
 
   const id = genId();
-  const project = createProject(id, url);
-  res.json({ id, status: project.status });
+  const project = await createProject(id, url, req.user, { ...devices, ...actions, ...network, ...parseStyleOptions(req.body) });
+  const job = jobQueue.enqueue("scrape", { projectId: id, url }, { projectId: id, label: `スクレイピング: ${url}`, ...ownerFields(req.user) });
+  res.json({ id, status: project.status, jobId: job.id });
+}));
+
+// スクレイピング → 構造解析 → 置換分析のパイプライン（ジョブとして実行）
+async function runScrapePipeline({ projectId, url, batchId }, ctx) {
+  const project = await projectStore.get(projectId);
+  if (!project) throw new Error("Project not found");
+  project.status = "scraping";
+  if (ctx.attempt > 1) sendSSE(project, "progress", { phase: "scrape", message: `再試行中 (${ctx.attempt}/${ctx.job.maxAttempts})...` });
+
+  // Phase 1: Scrape（バッチ内・複数プロファイル取得時は1つのブラウザを共有）
+  const deviceProfile = project.deviceProfile || DEFAULT_PROFILE;
+  const extraProfiles = (project.captureProfiles || []).filter((p) => p !== deviceProfile);
+  const onProgress = (msg) => {
+    ctx.progress(msg, { phase: "scrape" });
+    sendSSE(project, "progress", { phase: "scrape", message: msg });
+  };
+  const { actions = [], gateHeuristics = true } = project.scrapeActions || {};
+  const { captureStyles = true, inlineStyles = false, captureChrome = true } = project.styleOptions || {};
+  const network = project.networkSettings || null;
+  const actionLog = [];
+  const onAction = (profile, label) => (record) => {
+    actionLog.push({ ...record, profile, at: Date.now() });
+    sendSSE(project, "progress", { phase: "scrape", message: formatActionRecord(record, label), action: { ...record, profile } });
+  };
+  sendSSE(project, "progress", { phase: "scrape", message: "ブラウザ起動中..." });
+  const browser = batchId || extraProfiles.length ? await acquireSharedBrowser() : null;
+  let result;
+  const captures = {};
+  const assets = [];
+  const failures = [];
+  try {
+    result = await scrape(url, {
+      slug: project.slug,
+      browser,
+      signal: ctx.signal,
+      profile: deviceProfile,
+      actions,
+      gateHeuristics,
+      captureStyles,
+      inlineStyles,
+      captureChrome,
+      network,
+      onAction: onAction(deviceProfile),
+      onProgress,
+    });
+    assets.push(...result.assets);
+    failures.push(...result.failures);
 
-  // Async pipeline
-  (async () => {
+    // 追加プロファイル（失敗してもメインの取得結果で続行）
+    for (const profile of extraProfiles) {
+      ctx.throwIfCancelled();
+      const label = DEVICE_PROFILES[profile].label;
+      try {
+        const extra = await scrape(url, {
+          slug: project.slug,
+          browser,
+          signal: ctx.signal,
+          profile,
+          primary: false,
+          actions,
+          gateHeuristics,
+          captureStyles: false, // スタイルはメインのプロファイルのものを使う
+          captureChrome,
+          network,
+          onAction: onAction(profile, label),
+          onProgress: (msg) => onProgress(`[${label}] ${msg}`),
+        });
+        captures[profile] = extra.html;
+        const known = new Set(assets.map((a) => a.originalUrl));
+        assets.push(...extra.assets.filter((a) => !known.has(a.originalUrl)));
+        failures.push(...extra.failures);
+      } catch (err) {
+        ctx.throwIfCancelled();
+        console.warn(`[scrape] ${profile} capture failed: ${err.message}`);
+        onProgress(`[${label}] 取得失敗: ${err.message}`);
+      }
+    }
+  } finally {
+    if (browser) await releaseSharedBrowser();
+  }
+  ctx.throwIfCancelled();
+  project.html = result.html;
+  project.modifiedHtml = result.html;
+  project.assets = assets;
+  project.captures = captures;
+  project.capturedProfiles = [deviceProfile, ...Object.keys(captures)];
+  project.actionLog = actionLog;
+  project.networkApplied = result.network; // 実際に適用した取得条件（再現用）
+  project.styles = result.styles;
+  project.dirs = result.dirs;
+  project.assetFailures = mergeAssetFailures([], failures, assets);
+  if (result.styles) {
+    const { stylesheets, fontCount, backgroundCount } = result.styles;
+    onProgress(`スタイル収集 - CSS ${stylesheets.length}件, フォント ${fontCount}件, 背景画像 ${backgroundCount}件`);
+  }
+  if (result.chrome?.length) {
+    const labels = { header: "ヘッダー", footer: "フッター", sticky_cta: "追従CTA" };
+    onProgress(`ページ外枠 - ${result.chrome.map((c) => `${labels[c.role]}${c.position === "fixed" ? "（固定）" : ""}`).join(", ")}`);
+  }
+  sendSSE(project, "progress", {
+    phase: "scrape",
+    message: `スクレイピング完了 - ${assets.length}アセット取得` +
+      (project.assetFailures.length ? `（${project.assetFailures.length}件取得失敗）` : ""),
+    assetCount: assets.length,
+    profiles: project.capturedProfiles,
+  });
+
+  // Phase 2: Parse
+  return parseProjectSource(project, result.html, ctx, { captures, description: "初期状態（スクレイピング完了）" });
+}
+
+// 取得したHTMLの構造解析 → 置換分析 → ready（スクレイピング・ファイル取り込み共通）
+async function parseProjectSource(project, html, ctx, { captures = {}, description }) {
+  project.status = "parsing";
+  ctx.progress("HTML構造解析中...", { phase: "parse" });
+  sendSSE(project, "progress", { phase: "parse", message: "HTML構造解析中..." });
+  const structure = parseHtml(html, { rules: blockRuleRegistry.rulesFor(project.team) });
+  project.blocks = structure.blocks;
+  project.blockGroups = structure.groups; // 本文を包むラッパー（block.groupId で参照）
+  project.sections = structure.sections;
+  project.widgets = structure.widgets;
+  const variantCount = attachResponsiveVariants(project.blocks, captures);
+
+  // Analyze for replacement
+  project.analysis = analyzeForReplacement(html);
+
+  // Save structure
+  if (project.dirs) {
+    await saveJson(path.join(project.dirs.analysis, "structure.json"), structure);
+  }
+
+  sendSSE(project, "progress", {
+    phase: "parse",
+    message: `解析完了 - ${structure.blocks.length}ブロック, ${structure.sections.length}セクション` +
+      (variantCount ? `, レスポンシブ画像${variantCount}件` : ""),
+    blockCount: structure.blocks.length,
+    sectionCount: structure.sections.length,
+  });
+
+  // Ready
+  ctx.throwIfCancelled();
+  project.status = "ready";
+  await projectStore.save(project);
+  await revisionLog.record(project, { action: "initial", description, author: "system" }).catch(() => {});
+  sendSSE(project, "ready", {
+    blockCount: structure.blocks.length,
+    assetCount: project.assets.length,
+  });
+  return { blockCount: structure.blocks.length, assetCount: project.assets.length };
+}
+
+// 取得・取り込みジョブの失敗をプロジェクトに反映
+async function markSourceFailed({ projectId }, job) {
+  const project = await projectStore.get(projectId);
+  if (!project) return;
+  project.status = "error";
+  project.error = job.error;
+  await projectStore.save(project).catch(() => {});
+  sendSSE(project, "error", { message: job.error });
+}
+
+jobQueue.register("scrape", {
+  provider: (params) => params.batchId ? batchProvider(params.batchId) : "playwright",
+  maxAttempts: 2,
+  handler: runScrapePipeline,
+  onFail: markSourceFailed,
+});
+
+// ── Offline Import ────────────────────────────────────────
+// URLから取得できないLP（地域制限・公開終了）を、保存済みの HTML / MHTML / zip から取り込む。
+// 埋め込みリソースは assets に展開し、以降はスクレイピングと同じ parseHtml + analyzeForReplacement を通す
+
+const UPLOAD_TYPES = [
+  "text/html",
+  "application/xhtml+xml",
+  "multipart/related",
+  "message/rfc822",
+  "application/x-mimearchive",
+  "application/zip",
+  "application/x-zip-compressed",
+  "application/octet-stream",
+];
+const UPLOAD_EXTENSIONS = { html: ".html", mhtml: ".mhtml", zip: ".zip" };
+
+// 拡張子で判定できないもの（MHTML の ?id= 付きURL等）は Content-Type で補う
+function offlineMediaType(url, contentType) {
+  const type = guessMediaType(url);
+  if (type !== "unknown" || !contentType) return type;
+  if (contentType === "image/gif") return "gif";
+  if (contentType.startsWith("image/")) return "image";
+  if (contentType.startsWith("video/")) return "video";
+  if (contentType.startsWith("font/")) return "font";
+  return type;
+}
+
+async function runImportSource({ projectId, uploadFile }, ctx) {
+  const project = await projectStore.get(projectId);
+  if (!project) throw new Error("Project not found");
+  project.status = "scraping";
+  const onProgress = (msg, extra = {}) => {
+    ctx.progress(msg, { phase: "scrape" });
+    sendSSE(project, "progress", { phase: "scrape", message: msg, ...extra });
+  };
+
+  const { format, filename } = project.source;
+  onProgress(`${filename || "アップロードファイル"} を読み込み中...`);
+  const source = loadOfflineSource(await readFile(uploadFile), { format, pageUrl: project.url });
+  // MHTML に元URLが記録されていればそちらを使う
+  if (source.pageUrl !== project.url) project.url = source.pageUrl;
+  const prepared = prepareOfflineHtml(source, { embeddedBase: offlinePageUrl(project.id) });
+  ctx.throwIfCancelled();
+
+  // 同梱ファイルを assets に展開（CSS は writeStylesheets で url() をローカル参照に書き換え）
+  const dir = project.dirs.assets;
+  const assets = [];
+  const localFiles = new Map();
+  for (const [url, { data, contentType }] of prepared.resources) {
+    if (!/^https?:/i.test(url)) continue;
+    const localFile = offlineFileName(url, contentType);
+    const type = offlineMediaType(url, contentType);
+    if (type === "unknown") continue;
+    const localPath = path.join(dir, localFile);
+    await writeFile(localPath, data);
+    localFiles.set(url, localFile);
+    assets.push({ originalUrl: url, localFile, localPath, size: data.length, type, profile: project.deviceProfile || DEFAULT_PROFILE });
+  }
+  onProgress(`同梱ファイル展開 - ${assets.length}件`);
+
+  // 同梱されていない外部参照はダウンロードを試みる（失敗は欠落アセットとして記録）
+  const remoteUrls = prepared.remoteUrls.filter((url) => guessMediaType(url) !== "unknown");
+  let failures = [];
+  if (remoteUrls.length) {
+    const device = DEVICE_PROFILES[project.deviceProfile || DEFAULT_PROFILE];
+    const downloaded = await downloadAssets(remoteUrls, {
+      dir,
+      userAgent: device.userAgent,
+      referer: isOfflineUrl(project.url) ? undefined : project.url,
+      signal: ctx.signal,
+      onProgress: (done, total) => onProgress(`外部アセット取得: ${done}/${total}`),
+    });
+    for (const { via, attempts, ...asset } of downloaded.assets) {
+      localFiles.set(asset.originalUrl, asset.localFile);
+      assets.push({ ...asset, type: guessMediaType(asset.originalUrl), profile: project.deviceProfile || DEFAULT_PROFILE });
+    }
+    failures = downloaded.failures.map((f) => ({ ...f, type: guessMediaType(f.url), profile: project.deviceProfile || DEFAULT_PROFILE }));
+  }
+  ctx.throwIfCancelled();
+
+  const stylesheets = await writeStylesheets(prepared.stylesheets, localFiles, dir);
+  project.styles = {
+    stylesheets: stylesheets.filter((s) => !s.imported),
+    spriteHtml: prepared.spriteHtml,
+    fontCount: assets.filter((a) => a.type === "font").length,
+    backgroundCount: 0,
+    failed: [],
+  };
+  await writeFile(path.join(project.dirs.scraped, "source.html"), prepared.html, "utf-8");
+
+  project.html = prepared.html;
+  project.modifiedHtml = prepared.html;
+  project.assets = assets;
+  project.captures = {};
+  project.capturedProfiles = [project.deviceProfile || DEFAULT_PROFILE];
+  project.assetFailures = mergeAssetFailures([], failures, assets);
+  onProgress(`取り込み完了 - ${assets.length}アセット` +
+    (project.assetFailures.length ? `（${project.assetFailures.length}件取得失敗）` : ""),
+  { assetCount: assets.length, profiles: project.capturedProfiles });
+
+  return parseProjectSource(project, prepared.html, ctx, { description: "初期状態（ファイル取り込み）" });
+}
+
+jobQueue.register("import-source", {
+  provider: "default",
+  maxAttempts: 1,
+  handler: runImportSource,
+  onFail: markSourceFailed,
+});
+
+// POST /api/projects/upload - Create a project from a saved page (raw HTML / MHTML / zip body)
+// (?filename= 元のファイル名（形式判定の補助）, ?url= 元LPのURL（分かれば。相対参照の解決・Referer に使う）)
+app.post("/api/projects/upload", express.raw({ type: UPLOAD_TYPES, limit: "200mb" }), asyncHandler(async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: "HTML / MHTML / zip ファイルを送信してください" });
+  }
+  const filename = path.basename(String(req.query.filename || "")).slice(0, 200);
+  const format = detectSourceFormat(req.body, filename);
+  if (!format) return res.status(400).json({ error: "HTML / MHTML / zip のいずれかをアップロードしてください" });
+  if (format === "zip" && isProjectBundle(req.body)) {
+    return res.status(400).json({ error: "プロジェクトのバンドルです。/api/projects/import から取り込んでください" });
+  }
+  if (req.query.url) {
     try {
-      // Phase 1: Scrape
-      sendSSE(project, "progress", { phase: "scrape", message: "ブラウザ起動中..." });
-      const result = await scrape(url, {
-        slug: project.slug,
-        onProgress: (msg) => sendSSE(project, "progress", { phase: "scrape", message: msg }),
-      });
-      project.html = result.html;
-      project.modifiedHtml = result.html;
-      project.assets = result.assets;
-      project.dirs = result.dirs;
-      sendSSE(project, "progress", {
-        phase: "scrape",
-        message: `スクレイピング完了 - ${result.assets.length}アセット取得`,
-        assetCount: result.assets.length,
-      });
+      if (!/^https?:$/.test(new URL(req.query.url).protocol)) throw new Error();
+    } catch {
+      return res.status(400).json({ error: "Invalid URL format" });
+    }
+  }
 
-      // Phase 2: Parse
-      project.status = "parsing";
-      sendSSE(project, "progress", { phase: "parse", message: "HTML構造解析中..." });
-      const structure = parseHtml(result.html);
-      project.blocks = structure.blocks;
-      project.sections = structure.sections;
-      project.widgets = structure.widgets;
+  const id = genId();
+  try {
+    const url = req.query.url || offlinePageUrl(id);
+    const project = await createProject(id, url, req.user, { source: { type: "upload", format, filename: filename || null } });
+    project.dirs = await initOutputDirs(project.slug);
+    const uploadFile = path.join(project.dirs.scraped, `upload${UPLOAD_EXTENSIONS[format]}`);
+    await writeFile(uploadFile, req.body);
+    await projectStore.save(project);
+    const job = jobQueue.enqueue("import-source", { projectId: id, uploadFile },
+      { projectId: id, label: `ファイル取り込み: ${filename || format}`, ...ownerFields(req.user) });
+    res.json({ id, status: project.status, jobId: job.id });
+  } catch (err) {
+    if (projectStore.has(id)) await removeProject(id).catch(() => {});
+    res.status(500).json({ error: err.message });
+  }
+}));
 
-      // Analyze for replacement
-      project.analysis = analyzeForReplacement(result.html);
+// ── Batch Clone ───────────────────────────────────────────
+// URLリスト / CSV から複数プロジェクトを一括作成。スクレイピングはバッチごとの同時実行数で実行
 
-      // Save structure
-      if (project.dirs) {
-        await saveJson(path.join(project.dirs.analysis, "structure.json"), structure);
-      }
+function batchProvider(batchId) {
+  return `batch:${batchId}`;
+}
 
-      sendSSE(project, "progress", {
-        phase: "parse",
-        message: `解析完了 - ${structure.blocks.length}ブロック, ${structure.sections.length}セクション`,
-        blockCount: structure.blocks.length,
-        sectionCount: structure.sections.length,
-      });
+// スクレイピングジョブの状態をバッチの各URLに反映
+const BATCH_ITEM_PATCHES = {
+  started: (job, data, item) => ({ status: "scraping", attempts: (item.attempts || 0) + 1, message: "", error: null }),
+  progress: (job, data) => ({ message: data.message || "" }),
+  retry: (job, data) => ({ status: "queued", message: `再試行待ち (${data.attempt}/${data.maxAttempts})`, error: data.error }),
+  completed: (job, data) => ({ status: "ready", message: `${data.result?.blockCount ?? 0}ブロック`, error: null }),
+  failed: (job) => ({ status: "error", message: "", error: job.error }),
+  cancelled: (job) => ({ status: "cancelled", message: "", error: job.error }),
+};
+
+jobQueue.onEvent((job, event, data) => {
+  if (job.type !== "scrape" || !job.params.batchId || !BATCH_ITEM_PATCHES[event]) return;
+  const item = batchManager.findItem(job.params.batchId, job.projectId);
+  if (!item || item.jobId !== job.id) return; // 再試行で差し替え済みの古いジョブ
+  batchManager.updateItem(job.params.batchId, job.projectId, BATCH_ITEM_PATCHES[event](job, data, item));
+});
 
-      // Ready
-      project.status = "ready";
-      sendSSE(project, "ready", {
-        blockCount: structure.blocks.length,
-        assetCount: result.assets.length,
-      });
-    } catch (err) {
-      project.status = "error";
-      project.error = err.message;
-      sendSSE(project, "error", { message: err.message });
+function enqueueBatchScrape(batch, project, user) {
+  return jobQueue.enqueue("scrape", { projectId: project.id, url: project.url, batchId: batch.id },
+    { projectId: project.id, label: `一括クローン: ${project.url}`, ...ownerFields(user) });
+}
+
+function batchView(batch, { items = false } = {}) {
+  const { items: list, networkSettings, ...rest } = batch;
+  const view = { ...rest, networkSettings: publicNetworkSettings(networkSettings), summary: summarizeBatch(batch) };
+  if (items) {
+    view.items = list.map((item) => {
+      const meta = projectStore.getMeta(item.projectId);
+      return { ...item, exists: !!meta, slug: meta?.slug || null, projectStatus: meta?.status || null };
+    });
+  }
+  return view;
+}
+
+// POST /api/projects/batch - Start batch clone ({ urls: [...] | "改行区切り", csv, tags, concurrency, name })
+app.post("/api/projects/batch", asyncHandler(async (req, res) => {
+  const { urls, csv, tags, concurrency, name } = req.body || {};
+  if (!urls && !csv) return res.status(400).json({ error: "urls または csv が必要です" });
+  const devices = parseDeviceOptions(req.body);
+  if (devices.error) return res.status(400).json({ error: devices.error });
+  const actions = parseScrapeActions(req.body);
+  if (actions.error) return res.status(400).json({ error: actions.error });
+  const network = parseNetworkOptions(req.body);
+  if (network.error) return res.status(400).json({ error: network.error });
+  const { items, rejected } = parseBatchInput({ urls, csv, tags });
+  if (items.length === 0) return res.status(400).json({ error: "有効なURLがありません", rejected });
+  if (items.length > MAX_BATCH_URLS) return res.status(400).json({ error: `一度に登録できるURLは${MAX_BATCH_URLS}件までです` });
+
+  try {
+    const styles = parseStyleOptions(req.body);
+    const batch = batchManager.create({ name, tags, concurrency, rejected, ...devices, ...actions, ...styles, ...network, ...ownerFields(req.user) });
+    jobQueue.setLimit(batchProvider(batch.id), batch.concurrency);
+    for (const { url, tags: itemTags } of items) {
+      const project = await createProject(genId(), url, req.user, { tags: itemTags, batchId: batch.id, ...devices, ...actions, ...styles, ...network });
+      const job = enqueueBatchScrape(batch, project, req.user);
+      batchManager.addItem(batch, { url, tags: itemTags, projectId: project.id, jobId: job.id });
     }
-  })();
+    res.json({ ok: true, batch: batchView(batch, { items: true }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+app.use("/api/batches/:id", (req, res, next) => {
+  const batch = batchManager.get(req.params.id);
+  if (!batch || !canAccess(req.user, batch)) return res.status(404).json({ error: "Batch not found" });
+  req.batch = batch;
+  next();
+});
+
+// GET /api/batches - List batches
+app.get("/api/batches", (req, res) => {
+  const batches = batchManager.list((b) => canAccess(req.user, b)).slice(0, 50);
+  res.json({ batches: batches.map((b) => batchView(b)) });
+});
+
+// GET /api/batches/:id - Batch status with per-URL progress
+app.get("/api/batches/:id", (req, res) => {
+  res.json({ batch: batchView(req.batch, { items: true }) });
+});
+
+// POST /api/batches/:id/retry - Retry failed / cancelled URLs ({ projectIds } で対象を限定)
+app.post("/api/batches/:id/retry", asyncHandler(async (req, res) => {
+  const batch = req.batch;
+  const only = Array.isArray(req.body?.projectIds) ? new Set(req.body.projectIds) : null;
+  const targets = batch.items.filter((i) => RETRYABLE_ITEM_STATUSES.includes(i.status) && (!only || only.has(i.projectId)));
+  if (targets.length === 0) return res.status(400).json({ error: "再試行できるURLがありません" });
+
+  try {
+    jobQueue.setLimit(batchProvider(batch.id), batch.concurrency);
+    for (const item of targets) {
+      let project = await projectStore.get(item.projectId);
+      if (project) {
+        Object.assign(project, { status: "scraping", error: null, log: [] });
+        await projectStore.save(project);
+      } else {
+        // 削除済みなら作り直す
+        project = await createProject(genId(), item.url, req.user, {
+          tags: item.tags,
+          batchId: batch.id,
+          deviceProfile: batch.deviceProfile,
+          captureProfiles: batch.captureProfiles,
+          scrapeActions: batch.scrapeActions,
+          styleOptions: batch.styleOptions,
+          networkSettings: batch.networkSettings,
+        });
+      }
+      const job = enqueueBatchScrape(batch, project, req.user);
+      batchManager.updateItem(batch.id, item.projectId, { projectId: project.id, jobId: job.id, status: "queued", message: "", error: null });
+    }
+    res.json({ ok: true, retried: targets.length, batch: batchView(batch, { items: true }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// POST /api/batches/:id/cancel - Cancel queued / running URLs
+app.post("/api/batches/:id/cancel", (req, res) => {
+  let cancelled = 0;
+  for (const item of req.batch.items) {
+    const job = jobQueue.get(item.jobId);
+    if (job && ["queued", "running"].includes(job.status)) {
+      jobQueue.cancel(job.id);
+      cancelled++;
+    }
+  }
+  res.json({ ok: true, cancelled, batch: batchView(req.batch, { items: true }) });
+});
+
+// DELETE /api/batches/:id - Remove batch record (projects are kept)
+app.delete("/api/batches/:id", (req, res) => {
+  for (const item of req.batch.items) {
+    const job = jobQueue.get(item.jobId);
+    if (job && ["queued", "running"].includes(job.status)) jobQueue.cancel(job.id);
+  }
+  batchManager.delete(req.batch.id);
+  res.json({ ok: true });
 });
 
 // GET /api/projects/:id/sse - SSE progress stream
-app.get("/api/projects/:id/sse", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/sse", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   res.writeHead(200, {
@@ -342,11 +1098,11 @@ app.get("/api/projects/:id/sse", (req, res) => {
   req.on("close", () => {
     project.sseClients = project.sseClients.filter((c) => c !== res);
   });
-});
+}));
 
 // GET /api/projects/:id - Project state
-app.get("/api/projects/:id", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   res.json({
@@ -368,15 +1124,648 @@ app.get("/api/projects/:id", (req, res) => {
       fontSize: b.fontSize,
       hasStrong: b.hasStrong,
       hasColor: b.hasColor,
+      chrome: b.chrome,
+      groupId: b.groupId || null,
+      rule: b.rule || null,
     })),
+    blockGroups: (project.blockGroups || []).map(({ id, parentId, depth, tag, label }) => ({ id, parentId, depth, tag, label })),
+    sections: project.sections.map(sectionView),
     analysis: project.analysis,
     error: project.error,
+    retention: getRetention(project),
+    parentId: project.parentId || null,
+    variantName: project.variantName || null,
+    deviceProfile: project.deviceProfile || DEFAULT_PROFILE,
+    devices: (project.capturedProfiles || [project.deviceProfile || DEFAULT_PROFILE]).map(deviceView).filter(Boolean),
+    scrapeActions: scrapeActionsView(project),
+    network: networkView(project),
+    actionLog: project.actionLog || [],
+    assetFailures: assetFailuresView(project),
+  });
+}));
+
+function scrapeActionsView(project) {
+  const { actions = [], gateHeuristics = true } = project.scrapeActions || {};
+  return { actions, gateHeuristics, script: actions.map(describeAction).join("\n") };
+}
+
+// PUT /api/projects/:id/scrape-actions - Update pre-extraction actions (used on the next scrape)
+app.put("/api/projects/:id/scrape-actions", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  const parsed = parseScrapeActions(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  project.scrapeActions = parsed.scrapeActions;
+  await projectStore.save(project);
+  res.json({ ok: true, scrapeActions: scrapeActionsView(project) });
+}));
+
+function networkView(project) {
+  return { settings: publicNetworkSettings(project.networkSettings), applied: project.networkApplied || null };
+}
+
+// PUT /api/projects/:id/network - Update proxy / region / referer / headers (used on the next scrape)
+// プロキシのパスワードを省略した場合、同じサーバー・ユーザー名なら保存済みのものを引き継ぐ
+app.put("/api/projects/:id/network", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  const parsed = parseNetworkOptions(req.body, project.networkSettings);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  project.networkSettings = parsed.networkSettings;
+  await projectStore.save(project);
+  res.json({ ok: true, network: networkView(project) });
+}));
+
+// ── Missing Assets ────────────────────────────────────────
+// ダウンロードに失敗したアセットを project.assetFailures に記録し、エディタから再取得できるようにする
+
+// 失敗一覧を更新（同じURLは新しい結果で上書き、取得できたURLは除外）
+function mergeAssetFailures(current, failures, assets) {
+  const ok = new Set(assets.map((a) => a.originalUrl));
+  const byUrl = new Map(current.map((f) => [f.url, f]));
+  for (const f of failures) byUrl.set(f.url, { ...byUrl.get(f.url), ...f, failedAt: Date.now() });
+  return [...byUrl.values()].filter((f) => !ok.has(f.url));
+}
+
+// 失敗したアセットを参照しているブロック（FVの画像が欠けていると目立つので区別する）
+function assetFailuresView(project) {
+  return (project.assetFailures || []).map((f) => {
+    const escaped = f.url.replace(/&/g, "&amp;");
+    const blocks = project.blocks.filter((b) => b.html?.includes(f.url) || b.html?.includes(escaped));
+    return { ...f, blocks: blocks.map((b) => b.index), fv: blocks.some((b) => b.type === "fv") };
+  });
+}
+
+async function runRetryAssets({ projectId, urls }, ctx) {
+  const project = await projectStore.get(projectId);
+  if (!project) throw new Error("Project not found");
+  if (!project.dirs?.assets) throw new Error("アセットの保存先がありません");
+  const targets = (project.assetFailures || []).filter((f) => !urls || urls.includes(f.url)).map((f) => f.url);
+  if (!targets.length) return { recovered: 0, remaining: project.assetFailures?.length || 0 };
+
+  const onProgress = (msg) => {
+    ctx.progress(msg, { phase: "assets" });
+    sendSSE(project, "progress", { phase: "assets", message: msg });
+  };
+  const { assets, failures } = await retryAssetDownloads(project.url, targets, {
+    dir: project.dirs.assets,
+    profile: project.deviceProfile,
+    network: project.networkSettings,
+    signal: ctx.signal,
+    onProgress,
   });
+  ctx.throwIfCancelled();
+
+  for (const asset of assets) {
+    const i = project.assets.findIndex((a) => a.originalUrl === asset.originalUrl);
+    if (i >= 0) project.assets[i] = asset;
+    else project.assets.push(asset);
+  }
+  project.assetFailures = mergeAssetFailures(project.assetFailures || [], failures, assets);
+  await projectStore.save(project);
+  const result = { recovered: assets.length, remaining: project.assetFailures.length };
+  sendSSE(project, "assets", result);
+  return result;
+}
+
+jobQueue.register("retry-assets", {
+  provider: "playwright",
+  maxAttempts: 1,
+  handler: runRetryAssets,
 });
 
+// POST /api/projects/:id/assets/retry - Re-download missing assets ({ urls } で対象を限定、省略時はすべて)
+app.post("/api/projects/:id/assets/retry", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (!project.assetFailures?.length) return res.status(409).json({ error: "取得に失敗したアセットはありません" });
+  if (jobQueue.hasActive((j) => j.type === "retry-assets" && j.projectId === project.id)) {
+    return res.status(409).json({ error: "再取得中です" });
+  }
+  const urls = Array.isArray(req.body?.urls) ? req.body.urls.map(String) : null;
+
+  const job = jobQueue.enqueue("retry-assets", { projectId: project.id, urls },
+    { projectId: project.id, label: `欠落アセット再取得 (${urls?.length || project.assetFailures.length}件)`, ...ownerFields(req.user) });
+  res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+}));
+
+// ── Upstream Sync ─────────────────────────────────────────
+// 元LPを再取得し、最後に同期した時点（base）からの変更を検出して選択的に取り込む。
+// 差分・取り込みは src/upstream-diff.js、定期監視は src/upstream-watch.js
+
+// 再取得結果の保存先（同じURLのプロジェクトで共有）
+function upstreamSlug(url) {
+  return `${urlToSlug(url)}-upstream`;
+}
+
+// ブロック内のアセットURL → アセット一覧のエントリ
+function assetLookup(assets, pageUrl) {
+  const byUrl = new Map(assets.filter((a) => a.originalUrl).map((a) => [a.originalUrl, a]));
+  return (src) => {
+    if (byUrl.has(src)) return byUrl.get(src);
+    try { return byUrl.get(new URL(src, pageUrl).href) || null; } catch { return null; }
+  };
+}
+
+function assetPathResolver(assets, pageUrl) {
+  const lookup = assetLookup(assets, pageUrl);
+  return (src) => lookup(src)?.localPath || null;
+}
+
+function upstreamView(project) {
+  const upstream = project.upstream;
+  if (!upstream) return { checkedAt: null, summary: null, changes: [] };
+  // conflict = 対応するローカルブロックが base から編集されている（取り込むと編集が上書きされる）
+  const changes = markConflicts(upstream.changes.map((c) => ({ ...c })), upstream.baseBlocks, project.blocks);
+  return { checkedAt: upstream.checkedAt, profile: upstream.profile, summary: upstream.summary, changes };
+}
+
+function watchView(watch, projectId) {
+  if (!watch) return { enabled: false, intervalHours: DEFAULT_WATCH_INTERVAL_HOURS, lastCheckedAt: null, nextCheckAt: null, projectIds: [], timeline: [] };
+  const { id, url, intervalHours, lastCheckedAt, nextCheckAt, projectIds, timeline } = watch;
+  return { id, url, enabled: projectIds.includes(projectId), intervalHours, lastCheckedAt, nextCheckAt, projectIds, timeline };
+}
+
+// 取り込んだブロックが参照する画像・動画を再取得結果からプロジェクトのアセットへコピー
+async function importUpstreamAssets(project, blocks) {
+  if (!project.dirs?.assets) return 0;
+  const lookup = assetLookup(project.upstream.remoteAssets || [], project.url);
+  const imported = new Set();
+  for (const asset of blocks.flatMap((b) => b.assets || [])) {
+    const source = asset.src && lookup(asset.src);
+    if (!source || imported.has(source.originalUrl) || !existsSync(source.localPath)) continue;
+    const localPath = path.join(project.dirs.assets, source.localFile);
+    await cp(source.localPath, localPath);
+    const entry = { ...source, localPath };
+    const i = project.assets.findIndex((a) => a.originalUrl === source.originalUrl);
+    if (i >= 0) project.assets[i] = entry;
+    else project.assets.push(entry);
+    imported.add(source.originalUrl);
+  }
+  return imported.size;
+}
+
+// 取り込み・無視で base が進んだら、残りの変更を再計算（変更IDは振り直し）
+function rebaseUpstream(project, baseBlocks) {
+  const { changes, summary } = diffBlocks(baseBlocks, project.upstream.remoteBlocks);
+  Object.assign(project.upstream, { baseBlocks, changes, summary });
+}
+
+function timelineDetails(changes) {
+  return changes.slice(0, 20).map((c) => ({ kind: c.kind, before: c.before, after: c.after, swapped: c.swapped?.length || 0 }));
+}
+
+// 元LPを1回取得し、同じURLの各プロジェクトの差分を更新（ジョブとして実行）
+async function runRescrape({ url, projectIds }, ctx) {
+  const projects = [];
+  for (const id of projectIds) {
+    const project = await projectStore.get(id).catch(() => null);
+    if (project?.html) projects.push(project);
+  }
+  if (!projects.length) throw new Error("再取得できるプロジェクトがありません（スクレイピング未完了）");
+  const lead = projects[0];
+  const onProgress = (msg) => {
+    ctx.progress(msg, { phase: "rescrape" });
+    for (const project of projects) sendSSE(project, "progress", { phase: "rescrape", message: msg });
+  };
+
+  const profile = lead.deviceProfile || DEFAULT_PROFILE;
+  const { actions = [], gateHeuristics = true } = lead.scrapeActions || {};
+  const result = await scrape(url, {
+    slug: upstreamSlug(url),
+    signal: ctx.signal,
+    profile,
+    actions,
+    gateHeuristics,
+    captureStyles: false,
+    network: lead.networkSettings,
+    resumeDownloads: false, // 同じURLで画像が差し替わっていることがある
+    onProgress,
+  });
+  ctx.throwIfCancelled();
+
+  onProgress("差分を検出中...");
+  // 取り込み時・/reclassify と同じチームの分類ルールで解析（同じチームのプロジェクトは結果を共有）
+  const parseFor = (project, html) => parseHtml(html, { rules: blockRuleRegistry.rulesFor(project.team) }).blocks;
+  const remoteByTeam = new Map();
+  const remoteBlocksFor = async (project) => {
+    const key = project.team || "";
+    if (!remoteByTeam.has(key)) {
+      const blocks = parseFor(project, result.html);
+      await hashBlockImages(blocks, assetPathResolver(result.assets, url));
+      remoteByTeam.set(key, blocks);
+    }
+    return remoteByTeam.get(key);
+  };
+  const remoteBlocks = await remoteBlocksFor(lead);
+
+  // タイムライン用: 前回取得（初回はスクレイピング時）→ 今回
+  const previous = lead.upstream?.remoteBlocks || parseFor(lead, lead.html);
+  await hashBlockImages(previous, assetPathResolver(lead.upstream ? lead.upstream.remoteAssets : lead.assets, url));
+  const sincePrevious = diffBlocks(previous, remoteBlocks);
+
+  const checkedAt = Date.now();
+  const pending = {};
+  for (const project of projects) {
+    const baseBlocks = project.upstream?.baseBlocks || parseFor(project, project.html);
+    await hashBlockImages(baseBlocks, assetPathResolver(project.assets, project.url));
+    const projectRemote = await remoteBlocksFor(project);
+    const { changes, summary } = diffBlocks(baseBlocks, projectRemote);
+    project.upstream = { checkedAt, jobId: ctx.job.id, profile, baseBlocks, remoteBlocks: projectRemote, remoteAssets: result.assets, changes, summary };
+    project.upstreamSlug = result.slug;
+    await projectStore.save(project);
+    pending[project.id] = changes.length;
+    sendSSE(project, "upstream", { checkedAt, summary, pending: changes.length });
+  }
+
+  if (watchManager.get(url)) {
+    watchManager.record(url, {
+      jobId: ctx.job.id,
+      changed: sincePrevious.changes.length > 0 || !lead.upstream,
+      initial: !lead.upstream,
+      summary: sincePrevious.summary,
+      details: timelineDetails(sincePrevious.changes),
+    });
+  }
+  return { blockCount: remoteBlocks.length, changes: sincePrevious.changes.length, pending };
+}
+
+jobQueue.register("rescrape", {
+  provider: "playwright",
+  maxAttempts: 2,
+  handler: runRescrape,
+  onFail: async ({ url, projectIds }, job) => {
+    const error = String(job.error || "").split("\n")[0];
+    if (watchManager.get(url)) watchManager.record(url, { jobId: job.id, changed: false, error });
+    for (const id of projectIds) {
+      const project = await projectStore.get(id).catch(() => null);
+      if (project) sendSSE(project, "upstream", { error: job.error });
+    }
+  },
+});
+
+function enqueueRescrape(url, projectIds, { label, owner = null, team = null }) {
+  return jobQueue.enqueue("rescrape", { url, projectIds }, { projectId: projectIds[0], label, owner, team });
+}
+
+function hasActiveRescrape(projectId) {
+  return jobQueue.hasActive((j) => j.type === "rescrape" && j.params.projectIds.includes(projectId));
+}
+
+// POST /api/projects/:id/rescrape - Fetch the source URL again and detect upstream changes
+app.post("/api/projects/:id/rescrape", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (!project.html) return res.status(409).json({ error: "スクレイピング完了後に再取得できます" });
+  if (isOfflineUrl(project.url)) return res.status(409).json({ error: "元URLが不明なため再取得できません（ファイルから取り込んだプロジェクト）" });
+  if (hasActiveRescrape(project.id)) return res.status(409).json({ error: "再取得中です" });
+
+  const job = enqueueRescrape(project.url, [project.id], { label: `元LP再取得: ${project.url}`, ...ownerFields(req.user) });
+  res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+}));
+
+// GET /api/projects/:id/upstream - Pending upstream changes (with local-edit conflicts)
+app.get("/api/projects/:id/upstream", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  res.json({ ...upstreamView(project), rescraping: hasActiveRescrape(project.id) });
+}));
+
+function selectedChangeIds(project, body) {
+  if (!project.upstream) return { error: "先に元LPを再取得してください", status: 409 };
+  const ids = Array.isArray(body?.changeIds) ? body.changeIds.map(String) : [];
+  if (!ids.length) return { error: "changeIds is required", status: 400 };
+  const unknown = ids.filter((id) => !project.upstream.changes.some((c) => c.id === id));
+  if (unknown.length) return { error: `不明な変更です: ${unknown.join(", ")}（再読み込みしてください）`, status: 400 };
+  return { ids };
+}
+
+// POST /api/projects/:id/upstream/pull - Apply selected upstream changes ({ changeIds })
+app.post("/api/projects/:id/upstream/pull", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  const selected = selectedChangeIds(project, req.body);
+  if (selected.error) return res.status(selected.status).json({ error: selected.error });
+
+  const { upstream } = project;
+  const result = applyUpstreamChanges({
+    localBlocks: project.blocks,
+    baseBlocks: upstream.baseBlocks,
+    remoteBlocks: upstream.remoteBlocks,
+    changes: upstream.changes,
+    ids: selected.ids,
+  });
+  const assetCount = await importUpstreamAssets(project, result.pulledBlocks);
+
+  project.blocks = result.blocks;
+  project.modifiedHtml = flattenBlocks(project.blocks, project.blockGroups);
+  rebaseUpstream(project, result.baseBlocks);
+  await projectStore.save(project);
+  if (result.applied.length) {
+    await recordRevision(project, req, "upstream_pull", `元LPの変更を取り込み (${result.applied.length}件)`);
+  }
+
+  res.json({
+    ok: true,
+    applied: result.applied,
+    skipped: result.skipped,
+    assetCount,
+    blockCount: project.blocks.length,
+    upstream: upstreamView(project),
+  });
+}));
+
+// POST /api/projects/:id/upstream/dismiss - Ignore selected upstream changes ({ changeIds })
+app.post("/api/projects/:id/upstream/dismiss", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  const selected = selectedChangeIds(project, req.body);
+  if (selected.error) return res.status(selected.status).json({ error: selected.error });
+
+  const { upstream } = project;
+  const result = applyUpstreamChanges({
+    localBlocks: project.blocks,
+    baseBlocks: upstream.baseBlocks,
+    remoteBlocks: upstream.remoteBlocks,
+    changes: upstream.changes,
+    ids: selected.ids,
+    baseOnly: true,
+  });
+  rebaseUpstream(project, result.baseBlocks);
+  await projectStore.save(project);
+  res.json({ ok: true, dismissed: result.applied, upstream: upstreamView(project) });
+}));
+
+// GET /api/projects/:id/watch - Scheduled watch settings and change timeline of the source URL
+app.get("/api/projects/:id/watch", asyncHandler(async (req, res) => {
+  const meta = projectStore.getMeta(req.params.id);
+  if (!meta) return res.status(404).json({ error: "Project not found" });
+  res.json({ watch: watchView(watchManager.get(meta.url), meta.id) });
+}));
+
+// PUT /api/projects/:id/watch - Enable/disable scheduled rescrape ({ enabled, intervalHours })
+app.put("/api/projects/:id/watch", asyncHandler(async (req, res) => {
+  const meta = projectStore.getMeta(req.params.id);
+  if (!meta) return res.status(404).json({ error: "Project not found" });
+  const { enabled, intervalHours } = req.body || {};
+  if (typeof enabled !== "boolean") return res.status(400).json({ error: "enabled (boolean) is required" });
+  if (enabled && isOfflineUrl(meta.url)) return res.status(409).json({ error: "元URLが不明なため監視できません（ファイルから取り込んだプロジェクト）" });
+  if (intervalHours !== undefined && !Number.isFinite(Number(intervalHours))) {
+    return res.status(400).json({ error: "intervalHours は数値で指定してください" });
+  }
+  const watch = watchManager.configure(meta.url, meta.id, { enabled, intervalHours, ...ownerFields(req.user) });
+  res.json({ ok: true, watch: watchView(watch, meta.id) });
+}));
+
+// GET /api/watches - Watched source URLs (latest timeline entry only)
+app.get("/api/watches", (req, res) => {
+  const watches = watchManager.list((w) => canAccess(req.user, w)).map(({ timeline, ...rest }) => ({
+    ...rest,
+    latest: timeline[0] || null,
+    changeCount: timeline.filter((e) => e.changed).length,
+  }));
+  res.json({ watches });
+});
+
+// POST /api/projects/:id/duplicate - Deep-copy project as a variant linked to its parent
+app.post("/api/projects/:id/duplicate", asyncHandler(async (req, res) => {
+  const parent = await projectStore.get(req.params.id);
+  if (!parent) return res.status(404).json({ error: "Project not found" });
+  if (!["ready", "done"].includes(parent.status)) {
+    return res.status(409).json({ error: "スクレイピング完了後に複製できます" });
+  }
+  if (getRetention(parent).archived) {
+    return res.status(409).json({ error: "アーカイブ済みのプロジェクトは復元してから複製してください" });
+  }
+
+  const id = genId();
+  try {
+    // バリアントは独自のディレクトリを持つ（生成画像の追加・削除が親に影響しないように）
+    const slug = urlToSlug(parent.url, id);
+    const dirs = await initOutputDirs(slug);
+    for (const key of ["scraped", "analysis", "images", "final"]) {
+      const src = parent.dirs?.[key];
+      if (src && existsSync(src)) await cp(src, dirs[key], { recursive: true });
+    }
+
+    const { sseClients, log, retention, createdAt, importedFrom, ...data } = parent;
+    const copy = remapProjectReferences(data, { fromId: parent.id, toId: id, fromDirs: parent.dirs, toDirs: dirs });
+    const siblings = projectStore.list().filter((p) => p.parentId === parent.id).length;
+
+    const project = await createProject(id, parent.url, req.user);
+    Object.assign(project, copy, {
+      id,
+      slug,
+      dirs,
+      ...ownerFields(req.user),
+      parentId: parent.id,
+      variantName: req.body?.name || (parent.variantName ? `${parent.variantName}-${siblings + 1}` : `バリアント ${siblings + 1}`),
+    });
+    await projectStore.save(project);
+    await recordRevision(project, req, "duplicate", `${parent.variantName || parent.slug} から複製`);
+
+    res.json({ ok: true, id, parentId: parent.id, variantName: project.variantName, blockCount: project.blocks.length });
+  } catch (err) {
+    if (projectStore.has(id)) await removeProject(id).catch(() => {});
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// GET /api/projects/:id/variants - Variant tree rooted at this project's source
+app.get("/api/projects/:id/variants", asyncHandler(async (req, res) => {
+  if (!projectStore.has(req.params.id)) return res.status(404).json({ error: "Project not found" });
+
+  const all = projectStore.list().filter((p) => canAccess(req.user, p));
+  const byId = new Map(all.map((p) => [p.id, p]));
+  // 親をたどってルートを探す（親が削除済みならそこで打ち切り）
+  let rootId = req.params.id;
+  const seen = new Set();
+  while (byId.get(rootId)?.parentId && byId.has(byId.get(rootId).parentId) && !seen.has(rootId)) {
+    seen.add(rootId);
+    rootId = byId.get(rootId).parentId;
+  }
+
+  const toNode = (p) => ({
+    id: p.id,
+    slug: p.slug,
+    variantName: p.variantName || null,
+    status: p.status,
+    blockCount: p.blockCount,
+    createdAt: p.createdAt,
+    children: all.filter((c) => c.parentId === p.id).sort((a, b) => a.createdAt - b.createdAt).map(toNode),
+  });
+  res.json({ rootId, tree: toNode(byId.get(rootId)) });
+}));
+
+// GET /api/projects/:id/parent-diff - Block-level diff against the parent project
+app.get("/api/projects/:id/parent-diff", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (!project.parentId) return res.status(400).json({ error: "このプロジェクトには親がありません" });
+
+  const parent = await projectStore.get(project.parentId);
+  if (!parent || !canAccess(req.user, parent)) return res.status(404).json({ error: "親プロジェクトが見つかりません（削除済み）" });
+
+  res.json({
+    parent: { id: parent.id, slug: parent.slug, variantName: parent.variantName || null },
+    project: { id: project.id, slug: project.slug, variantName: project.variantName || null },
+    // 親のブロック内の /api/projects/<親ID>/… を子側に揃えてから比較（URLの違いを差分にしない）
+    ...compareBlocks(
+      remapProjectReferences({ blocks: parent.blocks }, { fromId: parent.id, toId: project.id, fromDirs: parent.dirs, toDirs: project.dirs || {} }).blocks,
+      project.blocks,
+    ),
+  });
+}));
+
+// PUT /api/projects/:id/retention - Update pinned / expiresAt
+app.put("/api/projects/:id/retention", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+
+  const { pinned, expiresAt, ttlHours } = req.body;
+  const retention = getRetention(project);
+  if (pinned !== undefined) retention.pinned = !!pinned;
+  if (ttlHours !== undefined) {
+    const hours = Number(ttlHours);
+    if (!Number.isFinite(hours) || hours < 0) return res.status(400).json({ error: "ttlHours must be a non-negative number" });
+    retention.expiresAt = hours > 0 ? Date.now() + hours * 60 * 60 * 1000 : null;
+  } else if (expiresAt !== undefined) {
+    if (expiresAt !== null && !Number.isFinite(new Date(expiresAt).getTime())) {
+      return res.status(400).json({ error: "Invalid expiresAt" });
+    }
+    retention.expiresAt = expiresAt === null ? null : new Date(expiresAt).getTime();
+  }
+  project.retention = retention;
+  await projectStore.save(project);
+  res.json({ ok: true, retention });
+}));
+
+// POST /api/projects/:id/archive - Archive now
+app.post("/api/projects/:id/archive", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (getRetention(project).archived) return res.status(409).json({ error: "既にアーカイブ済みです" });
+  if (["scraping", "parsing", "building"].includes(project.status)) {
+    return res.status(409).json({ error: "処理中のプロジェクトはアーカイブできません" });
+  }
+
+  try {
+    const retention = await archiveProject(project);
+    res.json({ ok: true, retention });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// GET /api/archives - List archived projects
+app.get("/api/archives", (req, res) => {
+  const list = [];
+  for (const p of projectStore.list()) {
+    const retention = getRetention(p);
+    if (!retention.archived || !canAccess(req.user, p)) continue;
+    list.push({
+      id: p.id,
+      url: p.url,
+      slug: p.slug,
+      blockCount: p.blockCount,
+      createdAt: p.createdAt,
+      archivedAt: retention.archivedAt,
+      archiveSize: retention.archiveSize,
+      archiveSizeFormatted: retention.archiveSize ? formatBytes(retention.archiveSize) : null,
+      fileCount: retention.archiveFileCount,
+    });
+  }
+  list.sort((a, b) => b.archivedAt - a.archivedAt);
+  res.json({ archives: list });
+});
+
+// POST /api/archives/:id/restore - Extract archived files and reactivate project
+app.post("/api/archives/:id/restore", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (!getRetention(project).archived) return res.status(409).json({ error: "アーカイブされていません" });
+
+  try {
+    const { fileCount } = await restoreProjectFiles(project);
+    // 復元後は新たに保持期間を設定（すぐ再アーカイブされないように）
+    project.retention = {
+      pinned: getRetention(project).pinned,
+      archived: false,
+      expiresAt: PROJECT_TTL > 0 ? Date.now() + PROJECT_TTL : null,
+    };
+    await projectStore.save(project);
+    res.json({ ok: true, fileCount, retention: getRetention(project) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// DELETE /api/archives/:id - Permanently purge an archived project
+app.delete("/api/archives/:id", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (!getRetention(project).archived) {
+    return res.status(409).json({ error: "アーカイブ済みのプロジェクトのみ完全削除できます" });
+  }
+
+  try {
+    await removeProject(project.id);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// GET /api/output-dirs/orphaned - Output directories not referenced by any project
+app.get("/api/output-dirs/orphaned", requireRole("admin"), asyncHandler(async (req, res) => {
+  try {
+    const orphaned = await listOrphanedOutputDirs(projectStore.list());
+    const totalSize = orphaned.reduce((s, o) => s + o.size, 0);
+    res.json({
+      orphaned: orphaned.map((o) => ({ ...o, sizeFormatted: formatBytes(o.size) })),
+      totalSize,
+      totalSizeFormatted: formatBytes(totalSize),
+      pendingMigration: planOutputMigration(projectStore.list()).length,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// POST /api/output-dirs/gc - Delete orphaned output directories ({ slugs, minAgeHours, dryRun })
+app.post("/api/output-dirs/gc", requireRole("admin"), asyncHandler(async (req, res) => {
+  const { slugs, minAgeHours, dryRun } = req.body || {};
+  const minAgeMs = minAgeHours != null ? Math.max(Number(minAgeHours) || 0, 0) * 60 * 60 * 1000 : DEFAULT_GC_MIN_AGE;
+  try {
+    const result = await removeOrphanedOutputDirs(projectStore.list(), { slugs, minAgeMs, dryRun: !!dryRun });
+    res.json({
+      ok: true,
+      dryRun: !!dryRun,
+      removed: result.removed.map((o) => o.slug),
+      skipped: result.skipped,
+      freed: result.freed,
+      freedFormatted: formatBytes(result.freed),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// POST /api/output-dirs/migrate - Move legacy shared directories to per-project directories
+app.post("/api/output-dirs/migrate", requireRole("admin"), asyncHandler(async (req, res) => {
+  try {
+    const results = await migrateOutputLayout();
+    res.json({ ok: true, migrated: results.filter((r) => !r.error).length, results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
 // GET /api/projects/:id/blocks/:idx - Get single block full detail
-app.get("/api/projects/:id/blocks/:idx", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/blocks/:idx", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   const idx = parseInt(req.params.idx, 10);
   const block = project.blocks[idx];
@@ -384,11 +1773,11 @@ app.get("/api/projects/:id/blocks/:idx", (req, res) => {
 
   // Add projectId for panel asset URL resolution
   res.json({ ...block, projectId: project.id });
-});
+}));
 
 // PUT /api/projects/:id/blocks/:idx - Update block
-app.put("/api/projects/:id/blocks/:idx", (req, res) => {
-  const project = projects.get(req.params.id);
+app.put("/api/projects/:id/blocks/:idx", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.params.idx, 10);
@@ -396,23 +1785,66 @@ app.put("/api/projects/:id/blocks/:idx", (req, res) => {
     return res.status(404).json({ error: "Block not found" });
   }
 
-  const { html, text, href } = req.body;
+  const { html, text, href, chrome, structured } = req.body;
   const block = project.blocks[idx];
+  // 構造化データ（クイズ・口コミ・比較表・FAQ の項目）の編集は元のHTMLに書き戻す
+  let structuredHtml;
+  if (structured !== undefined) {
+    if (!STRUCTURED_TYPES[block.type]) return res.status(400).json({ error: `${block.type} ブロックは項目編集に対応していません` });
+    try {
+      structuredHtml = renderStructured(html ?? block.html, block.type, structured);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+  if (chrome !== undefined) {
+    if (!block.chrome) return res.status(400).json({ error: "ヘッダー・フッター・追従CTAのブロックではありません" });
+    if (chrome.position !== undefined && !CHROME_POSITIONS.includes(chrome.position)) {
+      return res.status(400).json({ error: `position は ${CHROME_POSITIONS.join(" / ")} のいずれかです` });
+    }
+    if (chrome.edge !== undefined && !CHROME_EDGES.includes(chrome.edge)) {
+      return res.status(400).json({ error: `edge は ${CHROME_EDGES.join(" / ")} のいずれかです` });
+    }
+  }
 
   if (html !== undefined) block.html = html;
   if (text !== undefined) block.text = text;
   if (href !== undefined) block.href = href;
+  if (structuredHtml !== undefined) {
+    block.html = structuredHtml;
+    if (text === undefined) {
+      const cheerio = await import("cheerio");
+      block.text = cheerio.load(structuredHtml).text().trim();
+    }
+  }
+  if (STRUCTURED_TYPES[block.type] && (html !== undefined || structuredHtml !== undefined)) {
+    block.structured = extractStructured(block.html, block.type) || undefined;
+  }
+  // 外枠ブロックの表示位置はラッパーの属性に書き込む
+  if (chrome !== undefined) {
+    const updated = updateChromeHtml(block.html, chrome);
+    if (updated) Object.assign(block, updated);
+  }
 
   // Rebuild modifiedHtml from blocks
-  project.modifiedHtml = project.blocks.map((b) => b.html).join("\n");
-  saveProjectsToDisk();
+  project.modifiedHtml = flattenBlocks(project.blocks, project.blockGroups);
+  await projectStore.save(project);
+  await recordRevision(project, req, "edit_block", `ブロック ${idx} を編集`);
 
-  res.json({ ok: true, block: { index: block.index, type: block.type } });
-});
+  res.json({
+    ok: true,
+    block: {
+      index: block.index,
+      type: block.type,
+      ...(block.chrome && { chrome: block.chrome, html: block.html }),
+      ...(structuredHtml !== undefined && { structured: block.structured || null, html: block.html }),
+    },
+  });
+}));
 
 // POST /api/projects/:id/blocks/insert - Insert a new block
-app.post("/api/projects/:id/blocks/insert", (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/blocks/insert", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const { afterIndex, html, type, widgetType } = req.body;
@@ -432,20 +1864,24 @@ app.post("/api/projects/:id/blocks/insert", (req, res) => {
   };
 
   project.blocks.splice(insertAt, 0, newBlock);
+  // 前後のブロックと同じラッパーの中に入れる
+  const groupId = groupIdAt(project.blocks, insertAt);
+  if (groupId) newBlock.groupId = groupId;
 
   // Re-index all blocks
   project.blocks.forEach((b, i) => { b.index = i; });
 
   // Rebuild modifiedHtml
-  project.modifiedHtml = project.blocks.map((b) => b.html).join("\n");
-  saveProjectsToDisk();
+  project.modifiedHtml = flattenBlocks(project.blocks, project.blockGroups);
+  await projectStore.save(project);
+  await recordRevision(project, req, "insert_block", `ブロック ${insertAt} を挿入`);
 
   res.json({ ok: true, insertedIndex: insertAt, blockCount: project.blocks.length });
-});
+}));
 
 // DELETE /api/projects/:id/blocks/:idx - Delete a block
-app.delete("/api/projects/:id/blocks/:idx", (req, res) => {
-  const project = projects.get(req.params.id);
+app.delete("/api/projects/:id/blocks/:idx", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.params.idx, 10);
@@ -459,15 +1895,16 @@ app.delete("/api/projects/:id/blocks/:idx", (req, res) => {
   project.blocks.forEach((b, i) => { b.index = i; });
 
   // Rebuild modifiedHtml
-  project.modifiedHtml = project.blocks.map((b) => b.html).join("\n");
-  saveProjectsToDisk();
+  project.modifiedHtml = flattenBlocks(project.blocks, project.blockGroups);
+  await projectStore.save(project);
+  await recordRevision(project, req, "delete_block", `ブロック ${idx} を削除`);
 
   res.json({ ok: true, blockCount: project.blocks.length });
-});
+}));
 
 // POST /api/projects/:id/blocks/reorder - Reorder blocks
-app.post("/api/projects/:id/blocks/reorder", (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/blocks/reorder", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const { fromIndex, toIndex } = req.body;
@@ -480,87 +1917,257 @@ app.post("/api/projects/:id/blocks/reorder", (req, res) => {
 
   const [moved] = project.blocks.splice(fromIndex, 1);
   project.blocks.splice(toIndex, 0, moved);
+  // 移動先のラッパーに入れる（外枠ブロックはラッパーに属さない）
+  if (!moved.chrome) {
+    const groupId = groupIdAt(project.blocks, toIndex);
+    if (groupId) moved.groupId = groupId;
+    else delete moved.groupId;
+  }
 
   // Re-index all blocks
   project.blocks.forEach((b, i) => { b.index = i; });
 
   // Rebuild modifiedHtml
-  project.modifiedHtml = project.blocks.map((b) => b.html).join("\n");
-  saveProjectsToDisk();
+  project.modifiedHtml = flattenBlocks(project.blocks, project.blockGroups);
+  await projectStore.save(project);
+  await recordRevision(project, req, "reorder_block", `ブロック ${fromIndex} → ${toIndex} に移動`);
 
   res.json({ ok: true, blockCount: project.blocks.length });
+}));
+
+// POST /api/projects/:id/reclassify - 分類ルールでブロックを分類し直す（dryRun: true なら結果だけ返す）
+app.post("/api/projects/:id/reclassify", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (!project.blocks?.length) return res.status(400).json({ error: "ブロックがありません" });
+
+  const dryRun = !!req.body?.dryRun;
+  try {
+    const result = reclassifyBlocks(project.blocks, blockRuleRegistry.rulesFor(project.team));
+    const changed = result.report.filter((r) => r.changed).length;
+    if (!dryRun) {
+      // type が変わらなくても発火したルールは更新しておく（履歴は type が変わったときだけ）
+      project.blocks = result.blocks;
+      project.sections = result.sections;
+      project.widgets = result.widgets;
+      await projectStore.save(project);
+      if (changed > 0) await recordRevision(project, req, "reclassify", `ブロック分類の見直し（${changed}件変更）`);
+    }
+    res.json({ ok: true, dryRun, changed, report: result.report });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// セクションの一覧（ブロックIDの配列は件数だけ返す）
+function sectionView({ startIndex, blocks, label, role, roleLabel, title, confidence, labelSource }) {
+  return { startIndex, blockCount: blocks.length, label, role: role || "other", roleLabel: roleLabel || "その他", title: title || "", confidence: confidence ?? null, labelSource: labelSource || null };
+}
+
+// POST /api/projects/:id/sections/label - セクションを区切り直して役割ラベルを付ける（ai: true なら AI で判定）
+app.post("/api/projects/:id/sections/label", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (!project.blocks?.length) return res.status(400).json({ error: "ブロックがありません" });
+
+  const { ai = false, provider = "nanobanana" } = req.body || {};
+  try {
+    const sections = detectSections(project.blocks);
+    if (ai) {
+      trackAiUsage("section-label");
+      await aiLabelSections(sections, project.blocks, (text, instruction) => aiRewriteText(text, instruction, "", provider));
+    }
+    project.sections = sections;
+    await projectStore.save(project);
+    res.json({
+      ok: true,
+      sections: sections.map(sectionView),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// ── Block Rules ───────────────────────────────────────────
+// ブロック分類ルール（組み込み + data/block-rules.json の独自ルール）
+
+// GET /api/block-rules - 適用されるルールと保存されている独自ルール
+app.get("/api/block-rules", (req, res) => {
+  const team = hasRole(req.user, "admin") && req.query.team ? String(req.query.team) : req.user?.team || null;
+  res.json({ team, rules: blockRuleRegistry.describe(team), custom: blockRuleRegistry.list() });
 });
 
+// PUT /api/block-rules - 独自ルールを入れ替え（admin）
+app.put("/api/block-rules", requireRole("admin"), asyncHandler(async (req, res) => {
+  try {
+    const count = await blockRuleRegistry.replace(req.body?.rules);
+    res.json({ ok: true, count, custom: blockRuleRegistry.list() });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}));
+
 // GET /api/projects/:id/tag-settings
-app.get("/api/projects/:id/tag-settings", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/tag-settings", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   // Ensure defaults for projects restored from disk without tagSettings
   if (!project.tagSettings) {
     project.tagSettings = { headTags: "", bodyTags: "", noindex: false, jsHead: "", jsBody: "", masterCss: "" };
   }
   res.json(project.tagSettings);
-});
+}));
 
 // PUT /api/projects/:id/tag-settings
-app.put("/api/projects/:id/tag-settings", (req, res) => {
-  const project = projects.get(req.params.id);
+app.put("/api/projects/:id/tag-settings", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   Object.assign(project.tagSettings, req.body);
-  saveProjectsToDisk();
+  await projectStore.save(project);
   res.json({ ok: true });
-});
+}));
 
 // GET /api/projects/:id/exit-popup
-app.get("/api/projects/:id/exit-popup", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/exit-popup", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   res.json(project.exitPopup);
-});
+}));
 
 // PUT /api/projects/:id/exit-popup
-app.put("/api/projects/:id/exit-popup", (req, res) => {
-  const project = projects.get(req.params.id);
+app.put("/api/projects/:id/exit-popup", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   Object.assign(project.exitPopup, req.body);
-  saveProjectsToDisk();
+  await projectStore.save(project);
   res.json({ ok: true });
-});
+}));
 
 // GET /api/projects/:id/snapshot - Get current state snapshot for undo/redo
-app.get("/api/projects/:id/snapshot", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/snapshot", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   res.json({
     modifiedHtml: project.modifiedHtml || project.html || "",
     blocks: JSON.stringify(project.blocks),
   });
-});
+}));
 
-// PUT /api/projects/:id/restore - Restore from snapshot
-app.put("/api/projects/:id/restore", (req, res) => {
-  const project = projects.get(req.params.id);
+// PUT /api/projects/:id/restore - Restore from snapshot or server revision
+app.put("/api/projects/:id/restore", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
-  const { modifiedHtml, blocks } = req.body;
-  if (!blocks) return res.status(400).json({ error: "blocks is required" });
+  const { modifiedHtml, blocks, revisionId } = req.body;
+  if (!blocks && !revisionId) return res.status(400).json({ error: "blocks or revisionId is required" });
+
+  if (revisionId) {
+    const state = await revisionLog.getState(project.id, revisionId);
+    if (!state) return res.status(404).json({ error: "Revision not found" });
+    project.blocks = state.blocks;
+    // groupId は当時のラッパー構成を指すので一緒に戻す（構成を記録していない旧リビジョンは現在のまま）
+    if (state.blockGroups) project.blockGroups = state.blockGroups;
+    if (state.sections) project.sections = state.sections;
+    project.modifiedHtml = flattenBlocks(project.blocks, project.blockGroups);
+    await projectStore.save(project);
+    const label = state.revision.name || state.revision.description || `#${state.revision.seq}`;
+    const revision = await recordRevision(project, req, "restore", `リビジョン「${label}」に復元`);
+    return res.json({ ok: true, blockCount: project.blocks.length, revision });
+  }
 
+  // 400 になるのはスナップショットの解析失敗だけ（保存・リビジョン記録の失敗は 500）
+  let restored;
   try {
-    project.blocks = JSON.parse(blocks);
-    project.modifiedHtml = modifiedHtml || project.blocks.map((b) => b.html).join("\n");
+    restored = JSON.parse(blocks);
+  } catch {
+    return res.status(400).json({ error: "Invalid blocks data" });
+  }
+  if (!Array.isArray(restored)) return res.status(400).json({ error: "Invalid blocks data" });
+
+  try {
+    project.blocks = restored;
+    project.modifiedHtml = modifiedHtml || flattenBlocks(project.blocks, project.blockGroups);
+    await projectStore.save(project);
+    await recordRevision(project, req, "restore", "スナップショットから復元");
     res.json({ ok: true, blockCount: project.blocks.length });
   } catch (err) {
-    res.status(400).json({ error: "Invalid blocks data" });
+    res.status(500).json({ error: err.message });
   }
-});
+}));
+
+// GET /api/projects/:id/revisions - List server-side revisions (newest first)
+app.get("/api/projects/:id/revisions", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  const revisions = await revisionLog.list(project.id);
+  res.json({ revisions });
+}));
+
+// POST /api/projects/:id/revisions - Save current state as a named revision
+app.post("/api/projects/:id/revisions", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+
+  const { name, description } = req.body;
+  if (!name) return res.status(400).json({ error: "name is required" });
+
+  const revision = await revisionLog.record(project, {
+    action: "named",
+    description: description || name,
+    author: revisionAuthor(req),
+    name,
+  });
+  res.json({ ok: true, revision });
+}));
+
+// GET /api/projects/:id/revisions/diff?from=&to= - Block-level diff between two revisions
+app.get("/api/projects/:id/revisions/diff", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+
+  const { from, to } = req.query;
+  if (!from || !to) return res.status(400).json({ error: "from and to are required" });
+
+  const diff = await revisionLog.diff(project.id, from, to);
+  if (!diff) return res.status(404).json({ error: "Revision not found" });
+  res.json(diff);
+}));
+
+// GET /api/projects/:id/revisions/:rid - Revision detail with block list
+app.get("/api/projects/:id/revisions/:rid", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+
+  const state = await revisionLog.getState(project.id, req.params.rid);
+  if (!state) return res.status(404).json({ error: "Revision not found" });
+  res.json({
+    ...state.revision,
+    blocks: state.blocks.map((b) => ({ index: b.index, type: b.type, text: b.text?.slice(0, 100), widgetType: b.widgetType })),
+  });
+}));
+
+// PUT /api/projects/:id/revisions/:rid - Rename a revision
+app.put("/api/projects/:id/revisions/:rid", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+
+  const revision = await revisionLog.rename(project.id, req.params.rid, req.body.name);
+  if (!revision) return res.status(404).json({ error: "Revision not found" });
+  res.json({ ok: true, revision });
+}));
 
 // GET /api/projects/:id/preview - Preview HTML for iframe
-app.get("/api/projects/:id/preview", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/preview", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
-  const rawHtml = project.modifiedHtml || project.html || "";
+  // ラッパーのあるLPはブロックから組み立て、ラッパーに data-block-group を付ける（ブロック番号の対応付け用）
+  const sourceHtml = project.blockGroups?.length
+    ? flattenBlocks(project.blocks, project.blockGroups, { markGroups: true })
+    : project.modifiedHtml || project.html || "";
+  // ?device= で別プロファイルのレスポンシブ画像に差し替え
+  const rawHtml = applyDeviceVariants(sourceHtml, project, req.query.device);
 
   // Rewrite all asset URLs to serve through our API
   const html = rewriteAssetsForPreview(rawHtml, project);
@@ -572,6 +2179,15 @@ app.get("/api/projects/:id/preview", async (req, res) => {
   const headTagsBlock = (ts.headTags || "") + (ts.jsHead ? `<script>${ts.jsHead}<\/script>` : "");
   let bodyEndBlock = (ts.bodyTags || "") + (ts.jsBody ? `<script>${ts.jsBody}<\/script>` : "");
 
+  // スクレイピング時に収集した元ページのCSS・SVGスプライト
+  // （スプライトはブロック番号の対応付けに影響しないよう body 末尾に置く）
+  const sourceStylesBlock = (project.styles?.stylesheets || [])
+    .map((s) => `<link rel="stylesheet" href="/api/projects/${project.id}/assets/${s.localFile}"${s.media ? ` media="${s.media.replace(/"/g, "&quot;")}"` : ""}>`)
+    .join("\n");
+  if (project.styles?.spriteHtml) bodyEndBlock += project.styles.spriteHtml;
+  // ヘッダー・追従CTAの固定表示（data-chrome ラッパーの属性から）
+  const chromeCssBlock = project.blocks.some((b) => b.chrome) ? `<style id="chrome-css">${chromePreviewCss()}</style>` : "";
+
   // Exit popup injection for preview
   if (project.exitPopup?.enabled) {
     try {
@@ -591,6 +2207,8 @@ app.get("/api/projects/:id/preview", async (req, res) => {
 <meta charset="UTF-8">
 <meta name="viewport" content="width=device-width, initial-scale=1.0">
 ${noindexTag}
+${sourceStylesBlock}
+${chromeCssBlock}
 ${masterCssBlock}
 ${headTagsBlock}
 <style>
@@ -759,39 +2377,43 @@ ${headTagsBlock}
 ${html}
 <script>
 (function() {
-  var children = Array.from(document.body.children);
   var idx = 0;
   var types = ${JSON.stringify(project.blocks.map(b => b.type))};
 
-  children.forEach(function(child) {
-    if (child.tagName === 'SCRIPT' || child.tagName === 'STYLE') return;
-
-    var wrapper = document.createElement('div');
-    wrapper.className = 'block-wrapper';
-    wrapper.dataset.blockIndex = idx;
-
-    var overlay = document.createElement('div');
-    overlay.className = 'block-overlay';
-
-    var badge = document.createElement('span');
-    badge.className = 'block-type-badge';
-    badge.textContent = types[idx] || 'block';
-
-    child.parentNode.insertBefore(wrapper, child);
-    wrapper.appendChild(child);
-    wrapper.appendChild(overlay);
-    wrapper.appendChild(badge);
+  function wrapBlocks(parent) {
+    Array.from(parent.children).forEach(function(child) {
+      if (parent === document.body && (child.tagName === 'SCRIPT' || child.tagName === 'STYLE')) return;
+      // 本文を包むラッパー（parser.js のグループ）は中の要素をブロックとして扱う
+      if (child.hasAttribute('data-block-group')) { wrapBlocks(child); return; }
+
+      var wrapper = document.createElement('div');
+      wrapper.className = 'block-wrapper';
+      wrapper.dataset.blockIndex = idx;
+
+      var overlay = document.createElement('div');
+      overlay.className = 'block-overlay';
+
+      var badge = document.createElement('span');
+      badge.className = 'block-type-badge';
+      badge.textContent = types[idx] || 'block';
+
+      child.parentNode.insertBefore(wrapper, child);
+      wrapper.appendChild(child);
+      wrapper.appendChild(overlay);
+      wrapper.appendChild(badge);
+
+      wrapper.addEventListener('click', function(ev) {
+        document.querySelectorAll('.block-wrapper.active').forEach(function(w) { w.classList.remove('active'); });
+        wrapper.classList.add('active');
+        var bi = parseInt(wrapper.dataset.blockIndex);
+        var bt = types[bi] || 'block';
+        window.parent.postMessage({ type: 'blockClick', blockIndex: bi, blockType: bt, clientX: ev.clientX, clientY: ev.clientY }, '*');
+      });
 
-    wrapper.addEventListener('click', function(ev) {
-      document.querySelectorAll('.block-wrapper.active').forEach(function(w) { w.classList.remove('active'); });
-      wrapper.classList.add('active');
-      var bi = parseInt(wrapper.dataset.blockIndex);
-      var bt = types[bi] || 'block';
-      window.parent.postMessage({ type: 'blockClick', blockIndex: bi, blockType: bt, clientX: ev.clientX, clientY: ev.clientY }, '*');
+      idx++;
     });
-
-    idx++;
-  });
+  }
+  wrapBlocks(document.body);
 
   window.addEventListener('message', function(e) {
     if (!e.data || !e.data.type) return;
@@ -1517,23 +3139,23 @@ ${bodyEndBlock}
 </html>`;
 
   res.type("html").send(previewHtml);
-});
+}));
 
 // GET /api/projects/:id/assets/:file - Serve scraped assets
-app.get("/api/projects/:id/assets/:file", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/assets/:file", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project || !project.dirs) return res.status(404).send("Not found");
 
   const filePath = safePath(project.dirs.assets, req.params.file);
   if (!filePath || !existsSync(filePath)) return res.status(404).send("Asset not found");
 
   res.sendFile(filePath);
-});
+}));
 
 // POST /api/projects/:id/describe-image/:idx - AI describe image
-app.post("/api/projects/:id/describe-image/:idx", async (req, res) => {
+app.post("/api/projects/:id/describe-image/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("describe-image");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.params.idx, 10);
@@ -1567,12 +3189,12 @@ app.post("/api/projects/:id/describe-image/:idx", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/generate-image/:idx - Generate image
-app.post("/api/projects/:id/generate-image/:idx", async (req, res) => {
+app.post("/api/projects/:id/generate-image/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("generate-image");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -1599,12 +3221,12 @@ app.post("/api/projects/:id/generate-image/:idx", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/one-click-image/:idx - One-click AI image generation
-app.post("/api/projects/:id/one-click-image/:idx", async (req, res) => {
+app.post("/api/projects/:id/one-click-image/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("one-click-image");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -1630,29 +3252,40 @@ app.post("/api/projects/:id/one-click-image/:idx", async (req, res) => {
   const width = asset.width || 580;
   const height = asset.height || 580;
 
-  try {
+  const job = jobQueue.enqueue("one-click-image", {
+    projectId: project.id, idx, referencePath: assetEntry.localPath,
+    nuance, style, designRequirements, customPrompt, genMode, provider, width, height,
+  }, { projectId: project.id, label: `ワンクリック画像生成 (ブロック${idx})`, ...ownerFields(req.user) });
+  res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+}));
+
+jobQueue.register("one-click-image", {
+  provider: (params) => params.provider || "pixai",
+  maxAttempts: 2,
+  handler: async ({ projectId, idx, referencePath, width, height, ...options }, ctx) => {
+    const project = await projectStore.get(projectId);
+    if (!project?.dirs) throw new Error("Project not found");
     const results = [];
     for (let i = 0; i < 2; i++) {
+      ctx.throwIfCancelled();
+      ctx.progress(`画像生成中 (${i + 1}/2)...`, { current: i + 1, total: 2 });
       const outputPath = path.join(
         project.dirs.images,
         `block_${idx}_oneclick_${i}_${Date.now()}.jpg`
       );
-      await generateImageFromReference(assetEntry.localPath, {
-        nuance, style, width, height, outputPath, designRequirements, customPrompt, genMode, provider,
-      });
+      await generateImageFromReference(referencePath, { ...options, width, height, outputPath, signal: ctx.signal });
+      ctx.throwIfCancelled();
       results.push(`/api/projects/${project.id}/generated-images/${path.basename(outputPath)}`);
-      // Delay between generations for rate limiting
-      if (i < 1) await new Promise(r => setTimeout(r, 2000));
+      // Delay between generations for rate limiting（キャンセル時は待たずに抜ける）
+      if (i < 1) await delay(2000, undefined, { signal: ctx.signal }).catch(() => {});
     }
-    res.json({ ok: true, images: results, width, height });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+    return { ok: true, images: results, width, height };
+  },
 });
 
 // PUT /api/projects/:id/apply-image/:idx - Apply selected image to block HTML
-app.put("/api/projects/:id/apply-image/:idx", (req, res) => {
-  const project = projects.get(req.params.id);
+app.put("/api/projects/:id/apply-image/:idx", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.params.idx, 10);
@@ -1662,45 +3295,34 @@ app.put("/api/projects/:id/apply-image/:idx", (req, res) => {
   const { imageUrl } = req.body;
   if (!imageUrl) return res.status(400).json({ error: "imageUrl is required" });
 
-  // Replace image sources in block HTML (src, data-src, data-srcset)
-  let html = block.html;
+  // Replace every source of the image (src, data-src, srcset candidates, <source>, CSS background)
   const asset = block.assets?.[0];
   if (asset) {
-    // Replace all image source attributes
-    const oldSrcs = [asset.src, asset.webpSrc, asset.avifSrc, asset.dataSrc].filter(Boolean);
-    // Also find asset-rewritten URLs
-    const assetEntry = project.assets.find((a) =>
-      a.originalUrl === asset.src ||
-      a.originalUrl === asset.webpSrc ||
-      a.originalUrl === asset.avifSrc
-    );
-    if (assetEntry) {
-      oldSrcs.push(`/api/projects/${project.id}/assets/${assetEntry.localFile}`);
-    }
-
-    for (const oldSrc of oldSrcs) {
-      if (oldSrc) html = html.split(oldSrc).join(imageUrl);
-    }
-  }
-
-  block.html = html;
-  // Update asset reference
-  if (block.assets?.[0]) {
-    block.assets[0].src = imageUrl;
-    block.assets[0].webpSrc = null;
-    block.assets[0].avifSrc = null;
+    const urls = assetUrls(asset);
+    // Also the downloaded-asset URLs of the same images
+    const aliases = (project.assets || [])
+      .filter((a) => urls.includes(a.originalUrl))
+      .map((a) => `/api/projects/${project.id}/assets/${a.localFile}`);
+    // srcset・<source> の候補は新しい画像から幅・形式ごとに作り直す
+    const generated = await regenerateProjectCandidates(project, asset, imageUrl, `block_${idx}_rsp`);
+    const replaced = replaceAssetImage(block.html, asset, imageUrl, generated, aliases);
+    block.html = replaced.html;
+    // 差し替えた画像の取得時のデバイス別バリアントは古い画像を指すので引き継がない
+    const variants = new Map(block.assets.filter((a) => a.variants).map((a) => [a.src, a.variants]));
+    block.assets = replaced.assets.map((a) => (variants.has(a.src) ? { ...a, variants: variants.get(a.src) } : a));
   }
 
   // Rebuild modifiedHtml
-  project.modifiedHtml = project.blocks.map((b) => b.html).join("\n");
-  saveProjectsToDisk();
+  project.modifiedHtml = flattenBlocks(project.blocks, project.blockGroups);
+  await projectStore.save(project);
+  await recordRevision(project, req, "image_apply", `ブロック ${idx} の画像を差し替え`);
 
   res.json({ ok: true });
-});
+}));
 
 // POST /api/projects/:id/upload-image/:idx - Upload local image/video and apply to block
-app.post("/api/projects/:id/upload-image/:idx", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/upload-image/:idx", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -1751,11 +3373,11 @@ app.post("/api/projects/:id/upload-image/:idx", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/upload-free - Upload image/video (no block required) for insert or reference
-app.post("/api/projects/:id/upload-free", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/upload-free", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -1782,12 +3404,12 @@ app.post("/api/projects/:id/upload-free", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/ai-from-reference - Generate AI image from uploaded reference
-app.post("/api/projects/:id/ai-from-reference", async (req, res) => {
+app.post("/api/projects/:id/ai-from-reference", asyncHandler(async (req, res) => {
   trackAiUsage("ai-from-reference");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -1808,12 +3430,12 @@ app.post("/api/projects/:id/ai-from-reference", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/describe-uploaded - Describe uploaded reference image
-app.post("/api/projects/:id/describe-uploaded", async (req, res) => {
+app.post("/api/projects/:id/describe-uploaded", asyncHandler(async (req, res) => {
   trackAiUsage("describe-uploaded");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const { localPath, provider } = req.body;
@@ -1827,11 +3449,11 @@ app.post("/api/projects/:id/describe-uploaded", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/compose-images - Compose two images into one
-app.post("/api/projects/:id/compose-images", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/compose-images", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -1867,12 +3489,12 @@ app.post("/api/projects/:id/compose-images", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/generate-video/:idx - Generate video with VEO3
-app.post("/api/projects/:id/generate-video/:idx", async (req, res) => {
+app.post("/api/projects/:id/generate-video/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("generate-video");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -1880,39 +3502,63 @@ app.post("/api/projects/:id/generate-video/:idx", async (req, res) => {
   const { prompt, resolution = "720p", duration = "6", format = "mp4" } = req.body;
   if (!prompt) return res.status(400).json({ error: "prompt is required" });
 
-  try {
+  const job = jobQueue.enqueue("generate-video", { projectId: project.id, idx, prompt, resolution, duration, format },
+    { projectId: project.id, label: `動画生成 (ブロック${idx})`, ...ownerFields(req.user) });
+  res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+}));
+
+// ffmpeg を子プロセスで非同期に実行（timeout 超過・signal の中断でプロセスを終了して reject）
+function runFfmpeg(args, { timeout, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn("ffmpeg", args, { stdio: "ignore", timeout, signal });
+    child.on("error", reject);
+    child.on("close", (code, killSignal) => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg failed (${killSignal || `exit ${code}`})`));
+    });
+  });
+}
+
+jobQueue.register("generate-video", {
+  provider: "veo",
+  maxAttempts: 2,
+  handler: async ({ projectId, idx, prompt, resolution, duration, format }, ctx) => {
+    const project = await projectStore.get(projectId);
+    if (!project?.dirs) throw new Error("Project not found");
+
     const ext = format === "gif" ? "gif" : "mp4";
     const outFile = `block_${idx}_video_${Date.now()}.${ext}`;
     const outputPath = path.join(project.dirs.images, outFile);
 
-    await generateVideo(prompt, { outputPath, resolution, durationSeconds: duration });
+    ctx.progress("動画生成中...");
+    await generateVideo(prompt, { outputPath, resolution, durationSeconds: duration, signal: ctx.signal });
+    ctx.throwIfCancelled();
 
     // GIF変換が必要な場合
     if (format === "gif") {
       // ffmpegが利用可能な場合のみ（なければmp4のまま）
       try {
-        const { execSync } = await import("child_process");
+        ctx.progress("GIF変換中...");
         const gifFile = `block_${idx}_video_${Date.now()}.gif`;
         const gifPath = path.join(project.dirs.images, gifFile);
-        execSync(`ffmpeg -i "${outputPath}" -vf "fps=10,scale=480:-1:flags=lanczos" -y "${gifPath}"`, { timeout: 30000 });
+        await runFfmpeg(["-i", outputPath, "-vf", "fps=10,scale=480:-1:flags=lanczos", "-y", gifPath], { timeout: 30000, signal: ctx.signal });
         const videoUrl = `/api/projects/${project.id}/generated-images/${gifFile}`;
-        return res.json({ ok: true, videoUrl, format: "gif" });
+        return { ok: true, videoUrl, format: "gif" };
       } catch {
+        ctx.throwIfCancelled();
         // ffmpeg not available, return mp4
       }
     }
 
     const videoUrl = `/api/projects/${project.id}/generated-images/${outFile}`;
-    res.json({ ok: true, videoUrl, format: "mp4" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+    return { ok: true, videoUrl, format: "mp4" };
+  },
 });
 
 // POST /api/projects/:id/describe-video/:idx - Describe existing video for prompt
-app.post("/api/projects/:id/describe-video/:idx", async (req, res) => {
+app.post("/api/projects/:id/describe-video/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("describe-video");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.params.idx, 10);
@@ -1941,9 +3587,8 @@ app.post("/api/projects/:id/describe-video/:idx", async (req, res) => {
     // Try to extract a frame with ffmpeg, if not available describe text context
     let description = "";
     try {
-      const { execSync } = await import("child_process");
       const framePath = path.join(project.dirs.images, `frame_tmp_${Date.now()}.jpg`);
-      execSync(`ffmpeg -i "${filePath}" -ss 1 -vframes 1 -y "${framePath}"`, { timeout: 10000 });
+      await runFfmpeg(["-i", filePath, "-ss", "1", "-vframes", "1", "-y", framePath], { timeout: 10000 });
       if (existsSync(framePath)) {
         description = await describeImage(framePath, context);
         // Clean up temp frame
@@ -1957,11 +3602,11 @@ app.post("/api/projects/:id/describe-video/:idx", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/upload-video/:idx - Upload video file
-app.post("/api/projects/:id/upload-video/:idx", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/upload-video/:idx", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -1984,11 +3629,11 @@ app.post("/api/projects/:id/upload-video/:idx", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // List all project images (for image picker gallery)
-app.get("/api/projects/:id/all-images", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/all-images", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Not found" });
 
   const images = [];
@@ -2020,22 +3665,22 @@ app.get("/api/projects/:id/all-images", (req, res) => {
   }
 
   res.json({ ok: true, images });
-});
+}));
 
 // Serve generated images
-app.get("/api/projects/:id/generated-images/:file", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/generated-images/:file", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project || !project.dirs) return res.status(404).send("Not found");
 
   const filePath = safePath(project.dirs.images, req.params.file);
   if (!filePath || !existsSync(filePath)) return res.status(404).send("Not found");
 
   res.sendFile(filePath);
-});
+}));
 
 // Serve layer crop images (subdirectory pattern)
-app.get("/api/projects/:id/generated-images/:subdir/:file", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/generated-images/:subdir/:file", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project || !project.dirs) return res.status(404).send("Not found");
 
   const subPath = path.join(req.params.subdir, req.params.file);
@@ -2043,11 +3688,11 @@ app.get("/api/projects/:id/generated-images/:subdir/:file", (req, res) => {
   if (!filePath || !existsSync(filePath)) return res.status(404).send("Not found");
 
   res.sendFile(filePath);
-});
+}));
 
 // GET /api/projects/:id/text-blocks - Get text blocks for editing
-app.get("/api/projects/:id/text-blocks", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/text-blocks", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const textBlocks = project.blocks
@@ -2062,11 +3707,11 @@ app.get("/api/projects/:id/text-blocks", (req, res) => {
     }));
 
   res.json({ textBlocks });
-});
+}));
 
 // GET /api/projects/:id/links - Extract all links from blocks
-app.get("/api/projects/:id/links", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/links", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const linkMap = new Map(); // url -> { count, blockIndices }
@@ -2084,11 +3729,11 @@ app.get("/api/projects/:id/links", (req, res) => {
   });
 
   res.json({ ok: true, links: Array.from(linkMap.values()) });
-});
+}));
 
 // POST /api/projects/:id/replace-links - Replace links across all blocks
-app.post("/api/projects/:id/replace-links", (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/replace-links", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const { oldUrls, newUrl, newTab } = req.body;
@@ -2108,14 +3753,19 @@ app.post("/api/projects/:id/replace-links", (req, res) => {
     });
     if (changed) block.html = html;
   });
+  if (totalReplaced > 0) {
+    project.modifiedHtml = flattenBlocks(project.blocks, project.blockGroups);
+    await projectStore.save(project);
+    await recordRevision(project, req, "replace_links", `リンク置換: ${newUrl}`);
+  }
 
   res.json({ ok: true, replaced: totalReplaced });
-});
+}));
 
 // POST /api/projects/:id/text-modify - Bulk text replacement
-app.post("/api/projects/:id/text-modify", (req, res) => {
+app.post("/api/projects/:id/text-modify", asyncHandler(async (req, res) => {
   trackAiUsage("text-modify");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const config = req.body;
@@ -2124,7 +3774,9 @@ app.post("/api/projects/:id/text-modify", (req, res) => {
     if (config.blockReplacements && config.blockReplacements.length > 0) {
       const updatedBlocks = applyBlockReplacements(project.blocks, config.blockReplacements);
       project.blocks = updatedBlocks;
-      project.modifiedHtml = updatedBlocks.map((b) => b.html).join("\n");
+      project.modifiedHtml = flattenBlocks(updatedBlocks, project.blockGroups);
+      await projectStore.save(project);
+      await recordRevision(project, req, "text_modify", `${config.blockReplacements.length}ブロック テキスト編集`);
 
       return res.json({ ok: true, blockCount: project.blocks.length });
     }
@@ -2135,20 +3787,24 @@ app.post("/api/projects/:id/text-modify", (req, res) => {
     const modified = applyTextModifications(sourceHtml, config);
     project.modifiedHtml = modified;
 
-    // Re-parse blocks
-    const structure = parseHtml(modified);
+    // Re-parse blocks (text edits keep image URLs, so the device variants carry over by asset)
+    const structure = parseHtml(modified, { rules: blockRuleRegistry.rulesFor(project.team) });
+    carryAssetVariants(project.blocks, structure.blocks);
     project.blocks = structure.blocks;
+    project.blockGroups = structure.groups;
     project.sections = structure.sections;
+    await projectStore.save(project);
+    await recordRevision(project, req, "text_modify", "一括テキスト差し替え");
 
     res.json({ ok: true, blockCount: structure.blocks.length });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/build - Build SB HTML
-app.post("/api/projects/:id/build", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/build", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   try {
@@ -2165,6 +3821,9 @@ app.post("/api/projects/:id/build", async (req, res) => {
       project.status = "ready";
       return res.status(400).json({ error: "No HTML to build" });
     }
+    if (config.imageMap && Object.keys(config.imageMap).length > 0) {
+      config.imageMap = await expandImageMap(project, config.imageMap);
+    }
 
     // Beyond貼り付け対応: 相対URLを絶対化 + ローカル画像base64埋め込み
     config.baseUrl = `${req.protocol}://${req.get("host")}`;
@@ -2176,7 +3835,7 @@ app.post("/api/projects/:id/build", async (req, res) => {
     project.buildResult = result;
     project.validation = validation;
     project.status = "done";
-    saveProjectsToDisk();
+    await projectStore.save(project);
 
     const sizeBytes = Buffer.byteLength(result, "utf-8");
 
@@ -2202,11 +3861,11 @@ app.post("/api/projects/:id/build", async (req, res) => {
     project.status = "ready";
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // GET /api/projects/:id/export - Download final HTML
-app.get("/api/projects/:id/export", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/export", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const html = project.buildResult || project.modifiedHtml || project.html;
@@ -2215,13 +3874,71 @@ app.get("/api/projects/:id/export", (req, res) => {
   res.setHeader("Content-Type", "text/html; charset=utf-8");
   res.setHeader("Content-Disposition", `attachment; filename="cloned-lp-${project.slug}.html"`);
   res.send(html);
-});
+}));
+
+// GET /api/projects/:id/bundle - Download self-contained project bundle (zip)
+app.get("/api/projects/:id/bundle", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+  if (getRetention(project).archived) {
+    return res.status(409).json({ error: "アーカイブ済みのプロジェクトは復元してから書き出してください" });
+  }
+
+  try {
+    const buffer = createProjectBundle(project);
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="lp-bundle-${project.slug}-${project.id}.zip"`);
+    res.send(buffer);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// POST /api/projects/import - Rebuild a project from a bundle (raw zip body)
+app.post("/api/projects/import", express.raw({ type: ["application/zip", "application/x-zip-compressed", "application/octet-stream"], limit: "500mb" }), asyncHandler(async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: "zipファイルを送信してください（Content-Type: application/zip）" });
+  }
+
+  let bundle;
+  try {
+    bundle = readProjectBundle(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const id = genId();
+  try {
+    const project = await createProject(id, bundle.project.url, req.user);
+    const dirs = await initOutputDirs(project.slug);
+    const { project: data, fileCount } = await extractProjectBundle(bundle, { id, dirs });
+
+    // 元LPの再取得結果はエクスポート元サーバーのファイルを指すので引き継がない
+    const { createdAt, retention, status, slug, upstream, upstreamSlug, ...rest } = data;
+    Object.assign(project, rest, {
+      id,
+      dirs,
+      ...ownerFields(req.user),
+      status: status === "done" ? "done" : "ready",
+      error: null,
+      importedFrom: { sourceId: bundle.manifest.sourceId, exportedAt: bundle.manifest.exportedAt, sourceCreatedAt: createdAt || null },
+    });
+    await projectStore.save(project);
+    await recordRevision(project, req, "import", "バンドルから取り込み");
+
+    res.json({ ok: true, id, slug: project.slug, blockCount: project.blocks.length, fileCount });
+  } catch (err) {
+    // 途中まで作成したプロジェクトは残さない
+    if (projectStore.has(id)) await removeProject(id).catch(() => {});
+    res.status(500).json({ error: err.message });
+  }
+}));
 
 // GET /api/projects/:id/copy-html - Googleドキュメント・外部エディタ貼り付け用HTML
 // 画像は元の外部CDN URLを使用（Googleのサーバーが直接フェッチ可能）
 // data: URIはGoogleドキュメントで非対応のため使わない
-app.get("/api/projects/:id/copy-html", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/copy-html", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   try {
@@ -2333,21 +4050,21 @@ app.get("/api/projects/:id/copy-html", async (req, res) => {
     console.error("[copy-html] Error:", err);
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // GET /api/projects/:id/editor-html - Get current editor HTML (modifiedHtml, not built)
-app.get("/api/projects/:id/editor-html", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/editor-html", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
-  const rawHtml = project.modifiedHtml || project.blocks.map(b => b.html).join("\n") || project.html || "";
+  const rawHtml = project.modifiedHtml || flattenBlocks(project.blocks, project.blockGroups) || project.html || "";
   const html = rewriteAssetsForPreview(rawHtml, project);
   res.setHeader("Content-Type", "text/html; charset=utf-8");
   res.send(html);
-});
+}));
 
 // GET /api/projects/:id/editor-text - Get clean text copy (no HTML tags)
-app.get("/api/projects/:id/editor-text", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/editor-text", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const cheerio = await import("cheerio");
@@ -2404,12 +4121,12 @@ app.get("/api/projects/:id/editor-text", async (req, res) => {
   const result = textParts.join("\n\n");
   res.setHeader("Content-Type", "text/plain; charset=utf-8");
   res.send(result);
-});
+}));
 
 // POST /api/projects/:id/ai-rewrite/:idx - AI text rewrite
-app.post("/api/projects/:id/ai-rewrite/:idx", async (req, res) => {
+app.post("/api/projects/:id/ai-rewrite/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("ai-rewrite");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.params.idx, 10);
@@ -2438,11 +4155,11 @@ app.post("/api/projects/:id/ai-rewrite/:idx", async (req, res) => {
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/ocr - OCR text extraction using extract-elements API
-app.post("/api/projects/:id/ocr", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/ocr", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.body.blockIndex, 10);
@@ -2479,12 +4196,12 @@ app.post("/api/projects/:id/ocr", async (req, res) => {
     console.error(`[ocr] Error: ${err.message}`);
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // POST /api/projects/:id/extract-elements/:idx - AI Vision element extraction
-app.post("/api/projects/:id/extract-elements/:idx", async (req, res) => {
+app.post("/api/projects/:id/extract-elements/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("extract-elements");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.params.idx, 10);
@@ -2532,13 +4249,13 @@ app.post("/api/projects/:id/extract-elements/:idx", async (req, res) => {
   }
 
   // Try Anthropic Claude Vision first, then Gemini fallback
-  const anthropicKey = process.env.ANTHROPIC_API_KEY;
+  const anthropicKey = secrets.get("ANTHROPIC_API_KEY");
   let geminiKey;
   for (let k = 1; k <= 3; k++) {
-    const kk = process.env[`GEMINI_API_KEY_${k}`];
+    const kk = secrets.get(`GEMINI_API_KEY_${k}`);
     if (kk) { geminiKey = kk; break; }
   }
-  if (!geminiKey) geminiKey = process.env.GEMINI_API_KEY;
+  if (!geminiKey) geminiKey = secrets.get("GEMINI_API_KEY");
 
   const visionPrompt = `この広告画像をPhotoshop/Figmaのように「レイヤー階層分解」してください。
 
@@ -2638,7 +4355,7 @@ app.post("/api/projects/:id/extract-elements/:idx", async (req, res) => {
       elements = parseElementsJson(responseText);
       console.log(`[extract-elements] Gemini returned ${elements.length} layers`);
     } else {
-      return res.status(400).json({ error: "ANTHROPIC_API_KEY または GEMINI_API_KEY を .env に設定してください" });
+      return res.status(400).json({ error: "ANTHROPIC_API_KEY または GEMINI_API_KEY をシークレット設定（または .env）に設定してください" });
     }
 
     // Cache in project
@@ -2650,11 +4367,11 @@ app.post("/api/projects/:id/extract-elements/:idx", async (req, res) => {
     console.error(`[extract-elements] Error: ${err.message}`);
     res.status(500).json({ error: `要素抽出エラー: ${err.message}` });
   }
-});
+}));
 
 // POST /api/projects/:id/crop-layers/:idx - Crop each element from original image
-app.post("/api/projects/:id/crop-layers/:idx", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/crop-layers/:idx", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -2739,12 +4456,12 @@ app.post("/api/projects/:id/crop-layers/:idx", async (req, res) => {
     console.error(`[crop-layers] Error: ${err.message}`);
     res.status(500).json({ error: `レイヤー切り出しエラー: ${err.message}` });
   }
-});
+}));
 
 // POST /api/projects/:id/layer-edit/:idx - Per-layer AI edit
-app.post("/api/projects/:id/layer-edit/:idx", async (req, res) => {
+app.post("/api/projects/:id/layer-edit/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("layer-edit");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -2772,7 +4489,7 @@ app.post("/api/projects/:id/layer-edit/:idx", async (req, res) => {
 
       // Use Anthropic first, then Gemini
       let newText = currentText;
-      const anthropicKey = process.env.ANTHROPIC_API_KEY;
+      const anthropicKey = secrets.get("ANTHROPIC_API_KEY");
       if (anthropicKey) {
         const resp = await fetch("https://api.anthropic.com/v1/messages", {
           method: "POST",
@@ -2795,10 +4512,10 @@ app.post("/api/projects/:id/layer-edit/:idx", async (req, res) => {
         // Gemini fallback
         let geminiKey;
         for (let k = 1; k <= 3; k++) {
-          const kk = process.env[`GEMINI_API_KEY_${k}`];
+          const kk = secrets.get(`GEMINI_API_KEY_${k}`);
           if (kk) { geminiKey = kk; break; }
         }
-        if (!geminiKey) geminiKey = process.env.GEMINI_API_KEY;
+        if (!geminiKey) geminiKey = secrets.get("GEMINI_API_KEY");
         if (geminiKey) {
           const resp = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${geminiKey}`, {
             method: "POST",
@@ -2874,7 +4591,7 @@ app.post("/api/projects/:id/layer-edit/:idx", async (req, res) => {
     console.error(`[layer-edit] Error: ${err.message}`);
     res.status(500).json({ error: `レイヤー編集エラー: ${err.message}` });
   }
-});
+}));
 
 // Helper: parse JSON array from AI response text
 function parseElementsJson(text) {
@@ -2908,9 +4625,9 @@ function parseElementsJson(text) {
 }
 
 // POST /api/projects/:id/remove-text/:idx - Remove text from image using AI
-app.post("/api/projects/:id/remove-text/:idx", async (req, res) => {
+app.post("/api/projects/:id/remove-text/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("remove-text");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const idx = parseInt(req.params.idx, 10);
@@ -2934,67 +4651,81 @@ app.post("/api/projects/:id/remove-text/:idx", async (req, res) => {
     return res.status(400).json({ error: "ブロックに画像がありません" });
   }
 
-  // Resolve local image path
-  let imgSrc = imgSrcs[0];
-  let localPath;
-  try {
-    if (imgSrc.startsWith("/projects/") || imgSrc.startsWith("projects/")) {
-      localPath = path.join(PROJECT_ROOT, "data", imgSrc.replace(/^\//, ""));
-    } else if (imgSrc.startsWith("/api/projects/") && imgSrc.includes("/assets/")) {
-      const fileName = imgSrc.split("/assets/").pop();
-      if (project.dirs?.assets) localPath = path.join(project.dirs.assets, fileName);
-    } else if (imgSrc.startsWith("http")) {
-      // Download remote image to temp
-      const imgResp = await fetch(imgSrc);
-      if (!imgResp.ok) return res.status(400).json({ error: "画像ダウンロード失敗" });
-      const buf = Buffer.from(await imgResp.arrayBuffer());
-      localPath = path.join(PROJECT_ROOT, "output", `tmp_remove_text_${Date.now()}.jpg`);
-      await writeFile(localPath, buf);
-    } else {
-      // Try as asset
-      const assetEntry = project.assets?.find(a => a.originalUrl === imgSrc || a.src === imgSrc);
-      if (assetEntry?.localPath) localPath = assetEntry.localPath;
-    }
-
-    if (!localPath || !existsSync(localPath)) {
-      return res.status(400).json({ error: "画像ファイルが見つかりません" });
+  const job = jobQueue.enqueue("remove-text", { projectId: project.id, idx, imgSrc: imgSrcs[0] },
+    { projectId: project.id, label: `テキスト除去 (ブロック${idx})`, ...ownerFields(req.user) });
+  res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+}));
+
+jobQueue.register("remove-text", {
+  provider: "gemini",
+  maxAttempts: 2,
+  handler: async ({ projectId, idx, imgSrc }, ctx) => {
+    const project = await projectStore.get(projectId);
+    if (!project) throw new Error("Project not found");
+
+    // Resolve local image path
+    ctx.progress("画像取得中...");
+    let localPath;
+    try {
+      if (imgSrc.startsWith("/projects/") || imgSrc.startsWith("projects/")) {
+        localPath = path.join(PROJECT_ROOT, "data", imgSrc.replace(/^\//, ""));
+      } else if (imgSrc.startsWith("/api/projects/") && imgSrc.includes("/assets/")) {
+        const fileName = imgSrc.split("/assets/").pop();
+        if (project.dirs?.assets) localPath = path.join(project.dirs.assets, fileName);
+      } else if (imgSrc.startsWith("http")) {
+        // Download remote image to temp
+        const imgResp = await fetch(imgSrc, { signal: ctx.signal });
+        if (!imgResp.ok) throw new Error("画像ダウンロード失敗");
+        const buf = Buffer.from(await imgResp.arrayBuffer());
+        localPath = path.join(PROJECT_ROOT, "output", `tmp_remove_text_${Date.now()}.jpg`);
+        await writeFile(localPath, buf);
+      } else {
+        // Try as asset
+        const assetEntry = project.assets?.find(a => a.originalUrl === imgSrc || a.src === imgSrc);
+        if (assetEntry?.localPath) localPath = assetEntry.localPath;
+      }
+    } catch (err) {
+      throw new Error(`画像取得エラー: ${err.message}`);
     }
-  } catch (err) {
-    return res.status(500).json({ error: `画像取得エラー: ${err.message}` });
-  }
+    if (!localPath || !existsSync(localPath)) throw new Error("画像ファイルが見つかりません");
 
-  try {
-    // Ensure output directory exists
-    const imagesDir = path.join(PROJECT_ROOT, "output", "images", req.params.id);
-    await mkdir(imagesDir, { recursive: true });
+    try {
+      ctx.progress("テキスト除去中...");
+      // Ensure output directory exists
+      const imagesDir = path.join(PROJECT_ROOT, "output", "images", projectId);
+      await mkdir(imagesDir, { recursive: true });
 
-    const outputPath = path.join(imagesDir, `block_${idx}_clean_${Date.now()}.jpg`);
-    await removeTextFromImage(localPath, { outputPath });
+      const outputPath = path.join(imagesDir, `block_${idx}_clean_${Date.now()}.jpg`);
+      await removeTextFromImage(localPath, { outputPath });
 
-    // Cache in project
-    if (!project._cleanImages) project._cleanImages = {};
-    project._cleanImages[idx] = outputPath;
+      // Cache in project
+      if (!project._cleanImages) project._cleanImages = {};
+      project._cleanImages[idx] = outputPath;
 
-    // Return URL that can be served
-    const relPath = path.relative(path.join(PROJECT_ROOT, "output"), outputPath);
-    const cleanImageUrl = `/output/${relPath.replace(/\\/g, "/")}`;
+      // Return URL that can be served
+      const relPath = path.relative(path.join(PROJECT_ROOT, "output"), outputPath);
+      const cleanImageUrl = `/output/${relPath.replace(/\\/g, "/")}`;
 
-    res.json({ ok: true, cleanImageUrl, outputPath: relPath });
-  } catch (err) {
-    console.error(`[remove-text] Error: ${err.message}`);
-    const isQuota = err.message.includes("クォータ") || err.message.includes("レートリミット") || err.message.includes("quota");
-    res.status(isQuota ? 429 : 500).json({
-      error: `テキスト除去エラー: ${err.message}`,
-      isQuota,
-      hint: isQuota ? "Gemini画像生成APIのクォータが超過しています。時間をおいて再試行するか、Google AI Studioでプランを確認してください。" : undefined,
-    });
-  }
+      return { ok: true, cleanImageUrl, outputPath: relPath };
+    } catch (err) {
+      console.error(`[remove-text] Error: ${err.message}`);
+      const isQuota = err.message.includes("クォータ") || err.message.includes("レートリミット") || err.message.includes("quota");
+      const wrapped = new Error(`テキスト除去エラー: ${err.message}`);
+      // クォータ超過は再試行しても回復しないので即失敗
+      if (isQuota) wrapped.retryable = false;
+      wrapped.info = {
+        isQuota,
+        hint: isQuota ? "Gemini画像生成APIのクォータが超過しています。時間をおいて再試行するか、Google AI Studioでプランを確認してください。" : undefined,
+      };
+      throw wrapped;
+    }
+  },
 });
 
 // POST /api/projects/:id/decompose-layers/:idx - fal.ai RGBA layer decomposition
-app.post("/api/projects/:id/decompose-layers/:idx", async (req, res) => {
+app.post("/api/projects/:id/decompose-layers/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("decompose-layers");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -3003,8 +4734,8 @@ app.post("/api/projects/:id/decompose-layers/:idx", async (req, res) => {
   if (!block) return res.status(404).json({ error: "Block not found" });
 
   const { numLayers = 6 } = req.body;
-  const falKey = process.env.FAL_KEY;
-  if (!falKey) return res.status(400).json({ error: "FAL_KEY が .env に設定されていません" });
+  const falKey = secrets.get("FAL_KEY");
+  if (!falKey) return res.status(400).json({ error: "FAL_KEY がシークレット設定（または .env）に設定されていません" });
 
   // Get image URL from block HTML
   const cheerio = await import("cheerio");
@@ -3012,167 +4743,190 @@ app.post("/api/projects/:id/decompose-layers/:idx", async (req, res) => {
   let imgSrc = $("img").attr("data-src") || $("img").attr("src") || $("source[data-srcset]").attr("data-srcset") || "";
   if (!imgSrc) return res.json({ elements: [], error: "No image in block" });
 
-  // Resolve to absolute URL for fal.ai
-  let imageUrl = imgSrc;
-  let imgBuffer = null;
-  try {
-    if (imgSrc.startsWith("/projects/") || imgSrc.startsWith("projects/")) {
-      const localPath = path.join(PROJECT_ROOT, "data", imgSrc.replace(/^\//, ""));
-      if (existsSync(localPath)) imgBuffer = await readFile(localPath);
-    } else if (imgSrc.startsWith("/api/projects/")) {
-      const match = imgSrc.match(/\/generated-images\/(.+)/) || imgSrc.match(/\/assets\/(.+)/);
-      if (match) {
-        const fname = match[1];
-        let localPath = path.join(project.dirs.images, fname);
-        if (!existsSync(localPath)) {
-          const assetEntry = project.assets?.find(a => a.localFile === fname);
-          if (assetEntry) localPath = assetEntry.localPath;
-        }
+  const job = jobQueue.enqueue("decompose-layers", { projectId: project.id, idx, imgSrc, numLayers },
+    { projectId: project.id, label: `レイヤー分解 (ブロック${idx})`, ...ownerFields(req.user) });
+  res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+}));
+
+jobQueue.register("decompose-layers", {
+  provider: "fal",
+  maxAttempts: 2,
+  handler: async ({ projectId, idx, imgSrc, numLayers }, ctx) => {
+    const project = await projectStore.get(projectId);
+    if (!project?.dirs) throw new Error("Project not found");
+    const falKey = secrets.get("FAL_KEY");
+    if (!falKey) throw new Error("FAL_KEY がシークレット設定（または .env）に設定されていません");
+
+    // Resolve to absolute URL for fal.ai
+    let imageUrl = imgSrc;
+    let imgBuffer = null;
+    try {
+      if (imgSrc.startsWith("/projects/") || imgSrc.startsWith("projects/")) {
+        const localPath = path.join(PROJECT_ROOT, "data", imgSrc.replace(/^\//, ""));
         if (existsSync(localPath)) imgBuffer = await readFile(localPath);
+      } else if (imgSrc.startsWith("/api/projects/")) {
+        const match = imgSrc.match(/\/generated-images\/(.+)/) || imgSrc.match(/\/assets\/(.+)/);
+        if (match) {
+          const fname = match[1];
+          let localPath = path.join(project.dirs.images, fname);
+          if (!existsSync(localPath)) {
+            const assetEntry = project.assets?.find(a => a.localFile === fname);
+            if (assetEntry) localPath = assetEntry.localPath;
+          }
+          if (existsSync(localPath)) imgBuffer = await readFile(localPath);
+        }
+      } else if (imgSrc.startsWith("http")) {
+        // Already an absolute URL, fal.ai can use it directly
       }
-    } else if (imgSrc.startsWith("http")) {
-      // Already an absolute URL, fal.ai can use it directly
-    }
-  } catch {}
+    } catch {}
 
-  // If we have a local buffer, we need to upload it or convert to data URL
-  let falImageUrl = imageUrl;
-  if (imgBuffer) {
-    // Convert to base64 data URL for fal.ai
-    const sharp = (await import("sharp")).default;
-    const pngBuf = await sharp(imgBuffer).png().toBuffer();
-    falImageUrl = `data:image/png;base64,${pngBuf.toString("base64")}`;
-  } else if (!imageUrl.startsWith("http")) {
-    return res.status(400).json({ error: "画像URLを解決できません" });
-  }
+    // If we have a local buffer, we need to upload it or convert to data URL
+    let falImageUrl = imageUrl;
+    if (imgBuffer) {
+      // Convert to base64 data URL for fal.ai
+      const sharp = (await import("sharp")).default;
+      const pngBuf = await sharp(imgBuffer).png().toBuffer();
+      falImageUrl = `data:image/png;base64,${pngBuf.toString("base64")}`;
+    } else if (!imageUrl.startsWith("http")) {
+      throw new Error("画像URLを解決できません");
+    }
 
-  try {
-    console.log(`[decompose-layers] Block ${idx}: Starting fal.ai Qwen-Image-Layered (${numLayers} layers)...`);
-    const startTime = Date.now();
+    try {
+      console.log(`[decompose-layers] Block ${idx}: Starting fal.ai Qwen-Image-Layered (${numLayers} layers)...`);
+      const startTime = Date.now();
 
-    // Call fal.ai Qwen-Image-Layered
-    const falResp = await fetch("https://queue.fal.run/fal-ai/qwen-image-layered", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Key ${falKey}`,
-      },
-      body: JSON.stringify({
-        image_url: falImageUrl,
-        num_layers: numLayers,
-        num_inference_steps: 28,
-        guidance_scale: 5,
-        resolution: 640,
-      }),
-    });
+      // Call fal.ai Qwen-Image-Layered
+      ctx.progress("fal.ai にリクエスト送信中...");
+      const falResp = await fetch("https://queue.fal.run/fal-ai/qwen-image-layered", {
+        method: "POST",
+        signal: ctx.signal,
+        headers: {
+          "Content-Type": "application/json",
+          "Authorization": `Key ${falKey}`,
+        },
+        body: JSON.stringify({
+          image_url: falImageUrl,
+          num_layers: numLayers,
+          num_inference_steps: 28,
+          guidance_scale: 5,
+          resolution: 640,
+        }),
+      });
 
-    if (!falResp.ok) {
-      const errText = await falResp.text();
-      console.error(`[decompose-layers] fal.ai error: ${falResp.status} ${errText}`);
-      throw new Error(`fal.ai API error: ${falResp.status}`);
-    }
+      if (!falResp.ok) {
+        const errText = await falResp.text();
+        console.error(`[decompose-layers] fal.ai error: ${falResp.status} ${errText}`);
+        throw new Error(`fal.ai API error: ${falResp.status}`);
+      }
 
-    const falData = await falResp.json();
-
-    // fal.ai queue returns request_id for async jobs
-    let result = falData;
-    if (falData.request_id && !falData.images) {
-      // Poll for result
-      const reqId = falData.request_id;
-      console.log(`[decompose-layers] Queued: ${reqId}, polling...`);
-      let attempts = 0;
-      while (attempts < 60) {
-        await new Promise(r => setTimeout(r, 3000));
-        const statusResp = await fetch(`https://queue.fal.run/fal-ai/qwen-image-layered/requests/${reqId}/status`, {
-          headers: { "Authorization": `Key ${falKey}` },
-        });
-        const status = await statusResp.json();
-        if (status.status === "COMPLETED") {
-          const resultResp = await fetch(`https://queue.fal.run/fal-ai/qwen-image-layered/requests/${reqId}`, {
+      const falData = await falResp.json();
+
+      // fal.ai queue returns request_id for async jobs
+      let result = falData;
+      if (falData.request_id && !falData.images) {
+        // Poll for result
+        const reqId = falData.request_id;
+        console.log(`[decompose-layers] Queued: ${reqId}, polling...`);
+        let attempts = 0;
+        while (attempts < 60) {
+          await new Promise(r => setTimeout(r, 3000));
+          ctx.throwIfCancelled();
+          ctx.progress(`fal.ai 処理待ち (${(attempts + 1) * 3}秒経過)`);
+          const statusResp = await fetch(`https://queue.fal.run/fal-ai/qwen-image-layered/requests/${reqId}/status`, {
             headers: { "Authorization": `Key ${falKey}` },
           });
-          result = await resultResp.json();
-          break;
-        } else if (status.status === "FAILED") {
-          throw new Error("fal.ai job failed");
+          const status = await statusResp.json();
+          if (status.status === "COMPLETED") {
+            const resultResp = await fetch(`https://queue.fal.run/fal-ai/qwen-image-layered/requests/${reqId}`, {
+              headers: { "Authorization": `Key ${falKey}` },
+            });
+            result = await resultResp.json();
+            break;
+          } else if (status.status === "FAILED") {
+            throw new Error("fal.ai job failed");
+          }
+          attempts++;
         }
-        attempts++;
+        if (attempts >= 60) throw new Error("fal.ai job timed out");
       }
-      if (attempts >= 60) throw new Error("fal.ai job timed out");
-    }
 
-    // Process layer images
-    const layerImages = result.images || [];
-    if (layerImages.length === 0) {
-      throw new Error("fal.ai returned no layers");
-    }
+      // Process layer images
+      ctx.progress("レイヤー画像を保存中...");
+      const layerImages = result.images || [];
+      if (layerImages.length === 0) {
+        throw new Error("fal.ai returned no layers");
+      }
 
-    console.log(`[decompose-layers] Got ${layerImages.length} layers in ${Date.now() - startTime}ms`);
+      console.log(`[decompose-layers] Got ${layerImages.length} layers in ${Date.now() - startTime}ms`);
 
-    // Download and save each layer as PNG
-    const sharpMod = (await import("sharp")).default;
-    const layersDir = path.join(project.dirs.images, `fal_layers_${idx}`);
-    await mkdir(layersDir, { recursive: true });
+      // Download and save each layer as PNG
+      const sharpMod = (await import("sharp")).default;
+      const layersDir = path.join(project.dirs.images, `fal_layers_${idx}`);
+      await mkdir(layersDir, { recursive: true });
 
-    const elements = [];
-    for (let i = 0; i < layerImages.length; i++) {
-      const layerUrl = layerImages[i].url || layerImages[i];
-      const layerPath = path.join(layersDir, `layer_${i}.png`);
+      const elements = [];
+      for (let i = 0; i < layerImages.length; i++) {
+        const layerUrl = layerImages[i].url || layerImages[i];
+        const layerPath = path.join(layersDir, `layer_${i}.png`);
 
-      // Download layer image
-      const layerResp = await fetch(layerUrl);
-      if (!layerResp.ok) {
-        console.warn(`[decompose-layers] Failed to download layer ${i}`);
-        continue;
+        // Download layer image
+        const layerResp = await fetch(layerUrl);
+        if (!layerResp.ok) {
+          console.warn(`[decompose-layers] Failed to download layer ${i}`);
+          continue;
+        }
+        const layerBuf = Buffer.from(await layerResp.arrayBuffer());
+        await writeFile(layerPath, layerBuf);
+
+        // Get layer dimensions
+        const meta = await sharpMod(layerBuf).metadata();
+        const localUrl = `/api/projects/${project.id}/generated-images/fal_layers_${idx}/layer_${i}.png`;
+
+        elements.push({
+          id: `fal_${idx}_${i}_${Date.now()}`,
+          type: i === 0 ? "background" : "image",
+          label: i === 0 ? "背景レイヤー" : `レイヤー ${i + 1}`,
+          x: 0,
+          y: 0,
+          w: meta.width || 412,
+          h: meta.height || 0,
+          zIndex: i,
+          visible: true,
+          locked: false,
+          opacity: 1,
+          layerImageUrl: localUrl,
+        });
       }
-      const layerBuf = Buffer.from(await layerResp.arrayBuffer());
-      await writeFile(layerPath, layerBuf);
-
-      // Get layer dimensions
-      const meta = await sharpMod(layerBuf).metadata();
-      const localUrl = `/api/projects/${project.id}/generated-images/fal_layers_${idx}/layer_${i}.png`;
-
-      elements.push({
-        id: `fal_${idx}_${i}_${Date.now()}`,
-        type: i === 0 ? "background" : "image",
-        label: i === 0 ? "背景レイヤー" : `レイヤー ${i + 1}`,
-        x: 0,
-        y: 0,
-        w: meta.width || 412,
-        h: meta.height || 0,
-        zIndex: i,
-        visible: true,
-        locked: false,
-        opacity: 1,
-        layerImageUrl: localUrl,
-      });
-    }
 
-    // Cache in project
-    if (!project._decomposedLayers) project._decomposedLayers = {};
-    project._decomposedLayers[idx] = elements;
+      // Cache in project
+      if (!project._decomposedLayers) project._decomposedLayers = {};
+      project._decomposedLayers[idx] = elements;
 
-    const elapsed = Date.now() - startTime;
-    console.log(`[decompose-layers] Block ${idx}: ${elements.length} layers processed in ${elapsed}ms`);
+      const elapsed = Date.now() - startTime;
+      console.log(`[decompose-layers] Block ${idx}: ${elements.length} layers processed in ${elapsed}ms`);
 
-    res.json({
-      elements,
-      meta: {
-        totalLayers: elements.length,
-        processingTimeMs: elapsed,
-        provider: "fal-ai/qwen-image-layered",
-      },
-    });
-  } catch (err) {
-    console.error(`[decompose-layers] Error: ${err.message}`);
-    res.status(500).json({ error: `レイヤー分解エラー: ${err.message}` });
-  }
+      return {
+        elements,
+        meta: {
+          totalLayers: elements.length,
+          processingTimeMs: elapsed,
+          provider: "fal-ai/qwen-image-layered",
+        },
+      };
+    } catch (err) {
+      if (err instanceof JobCancelledError || ctx.signal.aborted) throw err;
+      console.error(`[decompose-layers] Error: ${err.message}`);
+      const wrapped = new Error(`レイヤー分解エラー: ${err.message}`);
+      wrapped.retryable = err.retryable;
+      throw wrapped;
+    }
+  },
 });
 
 // POST /api/projects/:id/ocr-layer - OCR text extraction from layer image
-app.post("/api/projects/:id/ocr-layer", async (req, res) => {
+app.post("/api/projects/:id/ocr-layer", asyncHandler(async (req, res) => {
   trackAiUsage("ocr-layer");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const { imageUrl } = req.body;
@@ -3203,13 +4957,13 @@ app.post("/api/projects/:id/ocr-layer", async (req, res) => {
   if (!base64) return res.status(400).json({ error: "画像を取得できません" });
 
   // Use Anthropic Vision for OCR (better quality), fallback to Gemini
-  const anthropicKey = process.env.ANTHROPIC_API_KEY;
+  const anthropicKey = secrets.get("ANTHROPIC_API_KEY");
   let geminiKey;
   for (let k = 1; k <= 3; k++) {
-    const kk = process.env[`GEMINI_API_KEY_${k}`];
+    const kk = secrets.get(`GEMINI_API_KEY_${k}`);
     if (kk) { geminiKey = kk; break; }
   }
-  if (!geminiKey) geminiKey = process.env.GEMINI_API_KEY;
+  if (!geminiKey) geminiKey = secrets.get("GEMINI_API_KEY");
 
   const ocrPrompt = `この画像内のテキストを全て検出してください。各テキストについて以下のJSON配列形式で返してください：
 [
@@ -3290,7 +5044,7 @@ app.post("/api/projects/:id/ocr-layer", async (req, res) => {
     console.error(`[ocr-layer] Error: ${err.message}`);
     res.status(500).json({ error: `OCRエラー: ${err.message}` });
   }
-});
+}));
 
 function mergeNearbyTexts(texts) {
   if (!texts || !texts.length) return [];
@@ -3319,8 +5073,8 @@ function mergeNearbyTexts(texts) {
 }
 
 // POST /api/projects/:id/export-layers/:idx - Composite layers into final image
-app.post("/api/projects/:id/export-layers/:idx", async (req, res) => {
-  const project = projects.get(req.params.id);
+app.post("/api/projects/:id/export-layers/:idx", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   if (!project.dirs) return res.status(400).json({ error: "Project not initialized" });
 
@@ -3395,11 +5149,11 @@ app.post("/api/projects/:id/export-layers/:idx", async (req, res) => {
     console.error(`[export-layers] Error: ${err.message}`);
     res.status(500).json({ error: `レイヤー合成エラー: ${err.message}` });
   }
-});
+}));
 
 // GET /api/projects/:id/images - List all project images
-app.get("/api/projects/:id/images", (req, res) => {
-  const project = projects.get(req.params.id);
+app.get("/api/projects/:id/images", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
 
   const images = [];
@@ -3424,10 +5178,10 @@ app.get("/api/projects/:id/images", (req, res) => {
     });
   }
   res.json({ images });
-});
+}));
 
 // GET /api/proxy-image - Proxy external images for Canvas (CORS workaround)
-app.get("/api/proxy-image", async (req, res) => {
+app.get("/api/proxy-image", asyncHandler(async (req, res) => {
   const imageUrl = req.query.url;
   if (!imageUrl) return res.status(400).send("url required");
   try {
@@ -3443,10 +5197,10 @@ app.get("/api/proxy-image", async (req, res) => {
   } catch (err) {
     res.status(500).send(err.message);
   }
-});
+}));
 
 // POST /api/search-images - Image search proxy
-app.post("/api/search-images", async (req, res) => {
+app.post("/api/search-images", asyncHandler(async (req, res) => {
   const { query, source = "google" } = req.body;
   if (!query) return res.status(400).json({ error: "query is required" });
 
@@ -3454,7 +5208,7 @@ app.post("/api/search-images", async (req, res) => {
   const providers = [];
 
   // Google Custom Search
-  const googleKey = process.env.GOOGLE_API_KEY;
+  const googleKey = secrets.get("GOOGLE_API_KEY");
   const googleCx = process.env.GOOGLE_CX;
   if (source === "google" && googleKey && googleCx) {
     providers.push("google");
@@ -3480,7 +5234,7 @@ app.post("/api/search-images", async (req, res) => {
   }
 
   // Unsplash
-  const unsplashKey = process.env.UNSPLASH_ACCESS_KEY;
+  const unsplashKey = secrets.get("UNSPLASH_ACCESS_KEY");
   if (source === "unsplash" && unsplashKey) {
     providers.push("unsplash");
     try {
@@ -3514,12 +5268,12 @@ app.post("/api/search-images", async (req, res) => {
   }
 
   res.json({ results, providers });
-});
+}));
 
 // POST /api/projects/:id/auto-keywords/:idx - AI generates search keywords from image
-app.post("/api/projects/:id/auto-keywords/:idx", async (req, res) => {
+app.post("/api/projects/:id/auto-keywords/:idx", asyncHandler(async (req, res) => {
   trackAiUsage("auto-keywords");
-  const project = projects.get(req.params.id);
+  const project = await projectStore.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Project not found" });
   const idx = parseInt(req.params.idx, 10);
   const block = project.blocks[idx];
@@ -3551,10 +5305,10 @@ app.post("/api/projects/:id/auto-keywords/:idx", async (req, res) => {
   } catch { return res.json({ keywords: "", redKeywords: [] }); }
 
   // Use Anthropic or Gemini to generate keywords
-  const anthropicKey = process.env.ANTHROPIC_API_KEY;
+  const anthropicKey = secrets.get("ANTHROPIC_API_KEY");
   let geminiKey;
-  for (let k = 1; k <= 3; k++) { const kk = process.env[`GEMINI_API_KEY_${k}`]; if (kk) { geminiKey = kk; break; } }
-  if (!geminiKey) geminiKey = process.env.GEMINI_API_KEY;
+  for (let k = 1; k <= 3; k++) { const kk = secrets.get(`GEMINI_API_KEY_${k}`); if (kk) { geminiKey = kk; break; } }
+  if (!geminiKey) geminiKey = secrets.get("GEMINI_API_KEY");
 
   const prompt = `この広告画像の類似画像を検索するための検索キーワードを生成してください。
 
@@ -3608,45 +5362,47 @@ JSONのみを返してください。`;
     console.warn(`[auto-keywords] Error: ${err.message}`);
     res.json({ keywords: "", redKeywords: [] });
   }
-});
+}));
 
 // Health check
 app.get("/api/health", (req, res) => {
-  res.json({ ok: true, projects: projects.size, uptime: process.uptime() });
+  res.json({ ok: true, projects: projectStore.size, uptime: process.uptime() });
 });
 
 // GET /api/models - 利用可能なAIモデル一覧（動的取得）
-app.get("/api/models", async (req, res) => {
+app.get("/api/models", asyncHandler(async (req, res) => {
   try {
     const models = await discoverModels(req.query.refresh === "1");
     res.json({ ok: true, models });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
-});
+}));
 
 // Status check - API key configuration
 app.get("/api/status", (req, res) => {
-  const keys = [];
-  for (let i = 1; i <= 3; i++) {
-    const k = process.env[`GEMINI_API_KEY_${i}`];
-    if (k) keys.push(i);
-  }
-  if (keys.length === 0 && process.env.GEMINI_API_KEY) keys.push(0);
-  const hasOpenAI = !!process.env.OPENAI_API_KEY;
-  const hasPixAI = !!process.env.PIXAI_API_KEY;
+  const geminiNames = [1, 2, 3].map((i) => `GEMINI_API_KEY_${i}`).filter((name) => secrets.has(name));
+  if (geminiNames.length === 0 && secrets.has("GEMINI_API_KEY")) geminiNames.push("GEMINI_API_KEY");
+  const hasOpenAI = secrets.has("OPENAI_API_KEY");
+  const hasPixAI = secrets.has("PIXAI_API_KEY");
   res.json({
-    gemini: keys.length > 0,
-    geminiKeyCount: keys.length,
+    gemini: geminiNames.length > 0,
+    geminiKeyCount: geminiNames.length,
     openai: hasOpenAI,
     pixai: hasPixAI,
+    // 値はマスク済みのみ返す
+    masked: {
+      gemini: geminiNames.map((name) => maskSecret(secrets.get(name))),
+      openai: maskSecret(secrets.get("OPENAI_API_KEY")),
+      pixai: maskSecret(secrets.get("PIXAI_API_KEY")),
+    },
     providers: getAvailableProviders(),
     version: "1.3.0",
   });
 });
 
 // POST /api/set-key - Save Gemini API key at runtime
-app.post("/api/set-key", async (req, res) => {
+app.post("/api/set-key", requireRole("admin"), asyncHandler(async (req, res) => {
   const { key } = req.body;
   if (!key || typeof key !== "string" || key.trim().length < 10) {
     return res.status(400).json({ error: "有効なAPIキーを入力してください" });
@@ -3666,53 +5422,22 @@ app.post("/api/set-key", async (req, res) => {
     return res.status(400).json({ error: "APIキーの検証に失敗しました。ネットワークを確認してください。" });
   }
 
-  // Set in process.env (runtime)
-  // Find first empty slot or use GEMINI_API_KEY
-  let saved = false;
-  for (let i = 1; i <= 3; i++) {
-    if (!process.env[`GEMINI_API_KEY_${i}`]) {
-      process.env[`GEMINI_API_KEY_${i}`] = trimmedKey;
-      saved = true;
-      break;
-    }
-  }
-  if (!saved) {
-    process.env.GEMINI_API_KEY = trimmedKey;
-  }
-
-  // Also persist to .env file if possible
-  try {
-    const envPath = path.join(PROJECT_ROOT, ".env");
-    let envContent = "";
-    if (existsSync(envPath)) {
-      envContent = await readFile(envPath, "utf-8");
-    }
-    // Add or update key
-    if (envContent.includes("GEMINI_API_KEY_1=")) {
-      // Already has keys, check if this specific key is already there
-      if (!envContent.includes(trimmedKey)) {
-        // Find empty slot
-        for (let i = 1; i <= 3; i++) {
-          const pattern = `GEMINI_API_KEY_${i}=`;
-          if (!envContent.includes(pattern) || envContent.match(new RegExp(`${pattern}\\s*$`, 'm'))) {
-            envContent += `\nGEMINI_API_KEY_${i}=${trimmedKey}`;
-            break;
-          }
-        }
-      }
-    } else {
-      envContent += `\nGEMINI_API_KEY_1=${trimmedKey}`;
+  // 暗号化保管庫に保存（空きスロット → なければ GEMINI_API_KEY を上書き）
+  const slots = [1, 2, 3].map((i) => `GEMINI_API_KEY_${i}`);
+  if (!slots.some((name) => secrets.get(name) === trimmedKey)) {
+    const slot = slots.find((name) => !secrets.has(name)) || "GEMINI_API_KEY";
+    try {
+      await secrets.set({ [slot]: trimmedKey }, { actor: req.user.username });
+    } catch (err) {
+      return res.status(500).json({ error: `APIキーの保存に失敗しました: ${err.message}` });
     }
-    await writeFile(envPath, envContent.trim() + "\n", "utf-8");
-  } catch {
-    // File write failed - that's ok, runtime env is already set
   }
 
   res.json({ ok: true, message: "APIキーを保存しました" });
-});
+}));
 
 // POST /api/set-openai-key - Save OpenAI API key at runtime
-app.post("/api/set-openai-key", async (req, res) => {
+app.post("/api/set-openai-key", requireRole("admin"), asyncHandler(async (req, res) => {
   const { key } = req.body;
   if (!key || typeof key !== "string" || !key.trim().startsWith("sk-")) {
     return res.status(400).json({ error: "有効なOpenAI APIキーを入力してください（sk-で始まる）" });
@@ -3732,28 +5457,19 @@ app.post("/api/set-openai-key", async (req, res) => {
     return res.status(400).json({ error: "APIキーの検証に失敗しました" });
   }
 
-  process.env.OPENAI_API_KEY = trimmedKey;
-
-  // Persist to .env
   try {
-    const envPath = path.join(PROJECT_ROOT, ".env");
-    let envContent = "";
-    if (existsSync(envPath)) envContent = await readFile(envPath, "utf-8");
-    if (envContent.includes("OPENAI_API_KEY=")) {
-      envContent = envContent.replace(/OPENAI_API_KEY=.*/, `OPENAI_API_KEY=${trimmedKey}`);
-    } else {
-      envContent += `\nOPENAI_API_KEY=${trimmedKey}`;
-    }
-    await writeFile(envPath, envContent.trim() + "\n", "utf-8");
-  } catch {}
+    await secrets.set({ OPENAI_API_KEY: trimmedKey }, { actor: req.user.username });
+  } catch (err) {
+    return res.status(500).json({ error: `APIキーの保存に失敗しました: ${err.message}` });
+  }
 
   res.json({ ok: true, message: "OpenAI APIキーを保存しました" });
-});
+}));
 
 // ── Cloudflare Pages 公開 ─────────────────────────────────
 
 // POST /api/set-cloudflare - Save Cloudflare credentials
-app.post("/api/set-cloudflare", async (req, res) => {
+app.post("/api/set-cloudflare", requireRole("admin"), asyncHandler(async (req, res) => {
   const { apiToken, accountId } = req.body;
   if (!apiToken || !accountId) {
     return res.status(400).json({ error: "APIトークンとアカウントIDが必要です" });
@@ -3772,51 +5488,78 @@ app.post("/api/set-cloudflare", async (req, res) => {
     return res.status(400).json({ error: "Cloudflare API接続に失敗しました" });
   }
 
-  process.env.CLOUDFLARE_API_TOKEN = apiToken;
-  process.env.CLOUDFLARE_ACCOUNT_ID = accountId;
-
-  // Persist to .env
   try {
-    const envPath = path.join(PROJECT_ROOT, ".env");
-    let envContent = existsSync(envPath) ? await readFile(envPath, "utf-8") : "";
-    // Remove old entries
-    envContent = envContent.replace(/^CLOUDFLARE_API_TOKEN=.*$/m, "").replace(/^CLOUDFLARE_ACCOUNT_ID=.*$/m, "");
-    envContent = envContent.trim() + `\nCLOUDFLARE_API_TOKEN=${apiToken}\nCLOUDFLARE_ACCOUNT_ID=${accountId}\n`;
-    await writeFile(envPath, envContent, "utf-8");
-  } catch {}
+    await secrets.set({ CLOUDFLARE_API_TOKEN: apiToken, CLOUDFLARE_ACCOUNT_ID: accountId }, { actor: req.user.username });
+  } catch (err) {
+    return res.status(500).json({ error: `Cloudflare設定の保存に失敗しました: ${err.message}` });
+  }
 
   res.json({ ok: true, message: "Cloudflare設定を保存しました" });
-});
+}));
 
 // GET /api/cloudflare-status
 app.get("/api/cloudflare-status", (req, res) => {
   res.json({
-    configured: !!(process.env.CLOUDFLARE_API_TOKEN && process.env.CLOUDFLARE_ACCOUNT_ID),
+    configured: secrets.has("CLOUDFLARE_API_TOKEN") && secrets.has("CLOUDFLARE_ACCOUNT_ID"),
+    apiToken: maskSecret(secrets.get("CLOUDFLARE_API_TOKEN")),
+    accountId: maskSecret(secrets.get("CLOUDFLARE_ACCOUNT_ID")),
   });
 });
 
-// POST /api/projects/:id/publish - Deploy to Cloudflare Pages
-app.post("/api/projects/:id/publish", async (req, res) => {
-  const project = projects.get(req.params.id);
-  if (!project) return res.status(404).json({ error: "Project not found" });
+// ── シークレット管理（admin） ─────────────────────────────
+// APIキー等は src/secrets.js の暗号化保管庫に保存。値はマスク済みでのみ返す
 
-  const cfToken = process.env.CLOUDFLARE_API_TOKEN;
-  const cfAccountId = process.env.CLOUDFLARE_ACCOUNT_ID;
-  if (!cfToken || !cfAccountId) {
-    return res.status(400).json({ error: "Cloudflare APIトークンが未設定です。先に設定してください。" });
+// GET /api/secrets - Masked status of all known secrets
+app.get("/api/secrets", requireRole("admin"), (req, res) => {
+  res.json({ vault: secrets.info(), secrets: secrets.status() });
+});
+
+// PUT /api/secrets - Set / clear secrets ({ values: { NAME: "value" | null } })
+app.put("/api/secrets", requireRole("admin"), asyncHandler(async (req, res) => {
+  const values = req.body?.values;
+  if (!values || typeof values !== "object") return res.status(400).json({ error: "values が必要です" });
+  const unknown = Object.keys(values).filter((name) => !SECRET_DEFS[name]);
+  if (unknown.length) return res.status(400).json({ error: `不明なシークレット名です: ${unknown.join(", ")}` });
+
+  try {
+    const result = await secrets.set(values, { actor: req.user.username });
+    res.json({ ok: true, ...result, secrets: secrets.status() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// POST /api/secrets/rotate - Re-encrypt all secrets with new keys
+app.post("/api/secrets/rotate", requireRole("admin"), asyncHandler(async (req, res) => {
+  try {
+    const result = await secrets.rotate({ actor: req.user.username, masterKey: req.body?.masterKey });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
+}));
 
-  // Build if not already built
+// GET /api/secrets/audit - Change history (names and actors only, never values)
+app.get("/api/secrets/audit", requireRole("admin"), asyncHandler(async (req, res) => {
+  try {
+    res.json({ entries: await secrets.auditLog({ limit: Math.min(Number(req.query.limit) || 200, 1000) }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}));
+
+// 公開用のスタンドアロンHTML（未ビルドならビルドして buildResult に保存）
+function buildPublishHtml(project, baseUrl) {
   let html = project.buildResult;
   if (!html) {
     const sourceHtml = project.modifiedHtml || project.html;
-    if (!sourceHtml) return res.status(400).json({ error: "公開するHTMLがありません" });
-    html = buildSbHtml(sourceHtml, { baseUrl: `${req.protocol}://${req.get("host")}`, imagesDir: project.dirs?.images });
+    if (!sourceHtml) return null;
+    html = buildSbHtml(sourceHtml, { baseUrl, imagesDir: project.dirs?.images });
     project.buildResult = html;
   }
 
   // Wrap in a full HTML page for standalone viewing
-  const fullHtml = `<!DOCTYPE html>
+  return `<!DOCTYPE html>
 <html lang="ja">
 <head>
 <meta charset="UTF-8">
@@ -3828,89 +5571,117 @@ app.post("/api/projects/:id/publish", async (req, res) => {
 ${html}
 </body>
 </html>`;
+}
 
-  const projectName = `lp-${project.slug || project.id}`.replace(/[^a-z0-9-]/g, "-").slice(0, 50);
-
-  try {
-    // 1. Ensure Pages project exists (create if needed)
-    const listRes = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${cfAccountId}/pages/projects/${projectName}`,
-      { headers: { Authorization: `Bearer ${cfToken}` } }
-    );
-
-    if (!listRes.ok) {
-      // Create project
-      const createRes = await fetch(
-        `https://api.cloudflare.com/client/v4/accounts/${cfAccountId}/pages/projects`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${cfToken}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            name: projectName,
-            production_branch: "main",
-          }),
-        }
-      );
-      const createData = await createRes.json();
-      if (!createData.success) {
-        const errMsg = createData.errors?.[0]?.message || "プロジェクト作成失敗";
-        // If project already exists with different casing, that's fine
-        if (!errMsg.includes("already exists")) {
-          return res.status(500).json({ error: errMsg });
-        }
-      }
-    }
-
-    // 2. Direct Upload deployment using form data
-    // Create a deployment with the HTML file
-    const FormData = (await import("form-data")).default;
-    const form = new FormData();
-    form.append("index.html", Buffer.from(fullHtml, "utf-8"), {
-      filename: "index.html",
-      contentType: "text/html",
-    });
+/**
+ * Cloudflare Pages にファイル群をデプロイ（プロジェクトがなければ作成）
+ * @param {string} projectName
+ * @param {Object<string, string>} files - ファイル名 -> HTML
+ * @returns {Promise<{ url: string, pagesDevUrl: string, deploymentId: string }>}
+ */
+async function deployToCloudflarePages(projectName, files) {
+  const cfToken = secrets.get("CLOUDFLARE_API_TOKEN");
+  const cfAccountId = secrets.get("CLOUDFLARE_ACCOUNT_ID");
+
+  // 1. Ensure Pages project exists (create if needed)
+  const listRes = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${cfAccountId}/pages/projects/${projectName}`,
+    { headers: { Authorization: `Bearer ${cfToken}` } }
+  );
 
-    const deployRes = await fetch(
-      `https://api.cloudflare.com/client/v4/accounts/${cfAccountId}/pages/projects/${projectName}/deployments`,
+  if (!listRes.ok) {
+    // Create project
+    const createRes = await fetch(
+      `https://api.cloudflare.com/client/v4/accounts/${cfAccountId}/pages/projects`,
       {
         method: "POST",
         headers: {
           Authorization: `Bearer ${cfToken}`,
-          ...form.getHeaders(),
+          "Content-Type": "application/json",
         },
-        body: form,
+        body: JSON.stringify({
+          name: projectName,
+          production_branch: "main",
+        }),
       }
     );
+    const createData = await createRes.json();
+    if (!createData.success) {
+      const errMsg = createData.errors?.[0]?.message || "プロジェクト作成失敗";
+      // If project already exists with different casing, that's fine
+      if (!errMsg.includes("already exists")) throw new Error(errMsg);
+    }
+  }
 
-    const deployData = await deployRes.json();
+  // 2. Direct Upload deployment using form data
+  const FormData = (await import("form-data")).default;
+  const form = new FormData();
+  for (const [fileName, content] of Object.entries(files)) {
+    form.append(fileName, Buffer.from(content, "utf-8"), {
+      filename: fileName,
+      contentType: "text/html",
+    });
+  }
 
-    if (!deployData.success) {
-      const errMsg = deployData.errors?.[0]?.message || "デプロイ失敗";
-      return res.status(500).json({ error: errMsg });
+  const deployRes = await fetch(
+    `https://api.cloudflare.com/client/v4/accounts/${cfAccountId}/pages/projects/${projectName}/deployments`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${cfToken}`,
+        ...form.getHeaders(),
+      },
+      body: form,
     }
+  );
+
+  const deployData = await deployRes.json();
+  if (!deployData.success) {
+    throw new Error(deployData.errors?.[0]?.message || "デプロイ失敗");
+  }
+
+  const deployment = deployData.result;
+  return {
+    url: deployment.url || `https://${projectName}.pages.dev`,
+    pagesDevUrl: `https://${projectName}.pages.dev`,
+    deploymentId: deployment.id,
+  };
+}
+
+// POST /api/projects/:id/publish - Deploy to Cloudflare Pages
+app.post("/api/projects/:id/publish", asyncHandler(async (req, res) => {
+  const project = await projectStore.get(req.params.id);
+  if (!project) return res.status(404).json({ error: "Project not found" });
+
+  if (!secrets.has("CLOUDFLARE_API_TOKEN") || !secrets.has("CLOUDFLARE_ACCOUNT_ID")) {
+    return res.status(400).json({ error: "Cloudflare APIトークンが未設定です。先に設定してください。" });
+  }
 
-    const deployment = deployData.result;
-    const liveUrl = deployment.url || `https://${projectName}.pages.dev`;
+  const fullHtml = buildPublishHtml(project, `${req.protocol}://${req.get("host")}`);
+  if (!fullHtml) return res.status(400).json({ error: "公開するHTMLがありません" });
+
+  const projectName = `lp-${project.slug || project.id}`.replace(/[^a-z0-9-]/g, "-").slice(0, 50);
+
+  try {
+    const deployment = await deployToCloudflarePages(projectName, { "index.html": fullHtml });
 
     // Store publish info on project
-    project.publishedUrl = liveUrl;
+    project.publishedUrl = deployment.url;
     project.publishedAt = new Date().toISOString();
     project.cfProjectName = projectName;
+    await projectStore.save(project);
 
     res.json({
       ok: true,
-      url: liveUrl,
-      pagesDevUrl: `https://${projectName}.pages.dev`,
+      url: deployment.url,
+      pagesDevUrl: deployment.pagesDevUrl,
       projectName,
-      deploymentId: deployment.id,
+      deploymentId: deployment.deploymentId,
     });
   } catch (err) {
     res.status(500).json({ error: `公開エラー: ${err.message}` });
   }
-});
+}));
 
 // ── Widget Template CRUD ────────────────────────────────
 
@@ -3932,12 +5703,12 @@ async function saveWidgetTemplates(templates) {
   await writeFile(WIDGET_TEMPLATES_PATH, JSON.stringify(templates, null, 2), "utf-8");
 }
 
-app.get("/api/widget-templates", async (req, res) => {
+app.get("/api/widget-templates", asyncHandler(async (req, res) => {
   const templates = await loadWidgetTemplates();
   res.json({ templates });
-});
+}));
 
-app.post("/api/widget-templates", async (req, res) => {
+app.post("/api/widget-templates", asyncHandler(async (req, res) => {
   const { name, icon, category, description, html, css, isFavorite } = req.body;
   if (!name) return res.status(400).json({ error: "name is required" });
 
@@ -3947,9 +5718,9 @@ app.post("/api/widget-templates", async (req, res) => {
   templates.push(newTemplate);
   await saveWidgetTemplates(templates);
   res.json({ ok: true, template: newTemplate });
-});
+}));
 
-app.put("/api/widget-templates/:id", async (req, res) => {
+app.put("/api/widget-templates/:id", asyncHandler(async (req, res) => {
   const templates = await loadWidgetTemplates();
   const idx = templates.findIndex((t) => t.id === req.params.id);
   if (idx === -1) return res.status(404).json({ error: "Template not found" });
@@ -3957,14 +5728,14 @@ app.put("/api/widget-templates/:id", async (req, res) => {
   Object.assign(templates[idx], req.body, { id: req.params.id });
   await saveWidgetTemplates(templates);
   res.json({ ok: true, template: templates[idx] });
-});
+}));
 
-app.delete("/api/widget-templates/:id", async (req, res) => {
+app.delete("/api/widget-templates/:id", asyncHandler(async (req, res) => {
   let templates = await loadWidgetTemplates();
   templates = templates.filter((t) => t.id !== req.params.id);
   await saveWidgetTemplates(templates);
   res.json({ ok: true });
-});
+}));
 
 // GET /api/usage-stats - AI usage statistics
 app.get("/api/usage-stats", (req, res) => {
@@ -3973,7 +5744,15 @@ app.get("/api/usage-stats", (req, res) => {
 });
 
 // ── 広告入稿ルート ────────────────────────────────
-app.use(createAdRoutes((id) => projects.get(id)));
+app.use(createAdRoutes((id) => projectStore.get(id)));
+
+// ── A/Bテスト配信ルート ───────────────────────────
+app.use(createExperimentRoutes({
+  getProject: (id) => projectStore.get(id),
+  saveProject: (project) => projectStore.save(project),
+  buildPublishHtml,
+  deployToCloudflarePages,
+}));
 
 // 画像分解エディタ スタンドアロンページ
 app.get("/image-decomposer", (req, res) => {
@@ -3981,15 +5760,15 @@ app.get("/image-decomposer", (req, res) => {
 });
 
 // POST /api/decompose-image - Claude Vision で画像を分解
-app.post("/api/decompose-image", async (req, res) => {
+app.post("/api/decompose-image", asyncHandler(async (req, res) => {
   const { image, mediaType } = req.body;
   if (!image || !mediaType) {
     return res.status(400).json({ error: "image と mediaType が必要です" });
   }
 
-  const anthropicKey = process.env.ANTHROPIC_API_KEY;
+  const anthropicKey = secrets.get("ANTHROPIC_API_KEY");
   if (!anthropicKey) {
-    return res.status(400).json({ error: "ANTHROPIC_API_KEY を .env に設定してください" });
+    return res.status(400).json({ error: "ANTHROPIC_API_KEY をシークレット設定（または .env）に設定してください" });
   }
 
   const decomposePrompt = `この広告画像を分析し、HTML/CSSで再構成するために全要素を分解してください。
@@ -4074,15 +5853,17 @@ app.post("/api/decompose-image", async (req, res) => {
     console.error(`[decompose-image] Error: ${err.message}`);
     res.status(500).json({ error: `分解エラー: ${err.message}` });
   }
-});
+}));
 
 // ── Screenshot Scalper ────────────────────────────────────
 const scalpProjects = new Map();
 
-// POST /api/scalp - Start screenshot scalping
-app.post("/api/scalp", async (req, res) => {
+// POST /api/scalp - Start screenshot scalping ({ url, sliceHeight, network: プロキシ・地域・リファラー・追加ヘッダー })
+app.post("/api/scalp", asyncHandler(async (req, res) => {
   const { url, sliceHeight } = req.body;
   if (!url) return res.status(400).json({ error: "url is required" });
+  const network = parseNetworkOptions(req.body);
+  if (network.error) return res.status(400).json({ error: network.error });
 
   const projectId = genId();
   scalpProjects.set(projectId, { id: projectId, url, status: "processing", slices: [], error: null, sseClients: [], log: [] });
@@ -4101,6 +5882,7 @@ app.post("/api/scalp", async (req, res) => {
       const result = await screenshotScalp(url, {
         sliceHeight: sliceHeight || 800,
         projectId,
+        network: network.networkSettings,
         onProgress: (msg) => sendScalpSSE("progress", { message: msg }),
       });
       project.result = result;
@@ -4113,7 +5895,7 @@ app.post("/api/scalp", async (req, res) => {
       sendScalpSSE("error", { message: err.message });
     }
   })();
-});
+}));
 
 // GET /api/scalp/:id/sse - SSE for scalp progress
 app.get("/api/scalp/:id/sse", (req, res) => {
@@ -4130,7 +5912,7 @@ app.get("/api/scalp/:id/sse", (req, res) => {
 app.get("/api/scalp/:id", (req, res) => {
   const project = scalpProjects.get(req.params.id);
   if (!project) return res.status(404).json({ error: "Not found" });
-  res.json({ id: project.id, url: project.url, status: project.status, slices: project.slices, error: project.error });
+  res.json({ id: project.id, url: project.url, status: project.status, slices: project.slices, network: project.result?.network || null, error: project.error });
 });
 
 // Serve scalp slice images
@@ -4151,6 +5933,11 @@ app.get("/ad-manager", (req, res) => {
   res.sendFile(path.join(PROJECT_ROOT, "public", "ad-manager.html"));
 });
 
+// A/Bテスト ダッシュボード
+app.get("/experiments", (req, res) => {
+  res.sendFile(path.join(PROJECT_ROOT, "public", "experiments.html"));
+});
+
 // APP_MODE=ad-manager → ルートで広告マネージャーを表示
 const AD_MODE = process.env.APP_MODE === "ad-manager";
 
@@ -4163,6 +5950,31 @@ app.get("*", (req, res) => {
   }
 });
 
+// ルートで捕捉されなかったエラー（asyncHandler 経由の reject を含む）は 500 で返す
+app.use((err, req, res, next) => {
+  console.error(`[server] ${req.method} ${req.originalUrl}:`, err);
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  if (req.path.startsWith("/api/")) return res.status(status).json({ error: err.message || "Internal Server Error" });
+  res.status(status).send(err.message || "Internal Server Error");
+});
+
+// ルート外（SSE・ウォッチ等のコールバック）で取りこぼした reject でもサーバーは落とさない
+process.on("unhandledRejection", (err) => {
+  console.error("[server] Unhandled rejection:", err);
+});
+
+// 再開されるスクレイピングが新しいディレクトリを使うように、ワーカー開始前に移行
+await migrateOutputLayout();
+
+// ジョブ種別の登録が済んでからワーカーを開始（再起動前の未完了ジョブもここで再開）
+jobQueue.start();
+// 期限が来たウォッチの再取得をジョブとして登録
+watchManager.start(
+  (watch) => enqueueRescrape(watch.url, watch.projectIds, { label: `元LP監視: ${watch.url}`, owner: watch.owner, team: watch.team }).id,
+  (watch) => jobQueue.hasActive((j) => j.type === "rescrape" && j.params.url === watch.url),
+);
+
 app.listen(PORT, () => {
   if (AD_MODE) {
     console.log(`\n  広告入稿マネージャー（スタンドアロン）`);
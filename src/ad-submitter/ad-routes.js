@@ -9,76 +9,102 @@ import { templateManager } from "./template-manager.js";
 import { validateTemplate } from "./validators.js";
 import { adSubmitter } from "./index.js";
 import AutoOperator from "./auto-operator.js";
+import { requireRole, canAccess, ownerFields } from "../auth.js";
+import { asyncHandler } from "../utils.js";
 
 // 自動運用エンジン（シングルトン）
 const autoOperator = new AutoOperator(adSubmitter.clients);
 
 export function createAdRoutes(getProject) {
   const router = Router();
+  const adminOnly = requireRole("admin");
+
+  /** テンプレートを取得し、アクセス権がなければ 404 を返す */
+  async function getOwnTemplate(req, res) {
+    const template = await templateManager.get(req.params.id);
+    if (!template || !canAccess(req.user, template)) {
+      res.status(404).json({ error: "テンプレートが見つかりません" });
+      return null;
+    }
+    return template;
+  }
+
+  /** 自動運用設定は owner / team を持ち、admin か所有者のみ閲覧・変更できる */
+  const requireOperatorAccess = asyncHandler(async (req, res, next) => {
+    const config = await autoOperator.loadConfig();
+    if (!config.owner && !config.team) {
+      return req.user?.role === "admin" ? next() : res.status(403).json({ error: "自動運用設定へのアクセス権がありません" });
+    }
+    if (!canAccess(req.user, config)) return res.status(403).json({ error: "自動運用設定へのアクセス権がありません" });
+    next();
+  });
 
   // ── テンプレートCRUD ────────────────────────────
 
-  router.get("/api/ad-templates", async (req, res) => {
+  router.get("/api/ad-templates", asyncHandler(async (req, res) => {
     try {
-      const templates = await templateManager.list();
+      const templates = (await templateManager.list()).filter((t) => canAccess(req.user, t));
       res.json({ templates });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.post("/api/ad-templates", async (req, res) => {
+  router.post("/api/ad-templates", asyncHandler(async (req, res) => {
     try {
       if (!req.body.name) {
         return res.status(400).json({ error: "テンプレート名は必須です" });
       }
-      const template = await templateManager.create(req.body);
+      const template = await templateManager.create({ ...req.body, ...ownerFields(req.user) });
       res.json({ ok: true, template });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.put("/api/ad-templates/:id", async (req, res) => {
+  router.put("/api/ad-templates/:id", asyncHandler(async (req, res) => {
     try {
-      const template = await templateManager.update(req.params.id, req.body);
+      if (!(await getOwnTemplate(req, res))) return;
+      const { owner, team, ...data } = req.body;
+      const template = await templateManager.update(req.params.id, data);
       if (!template) return res.status(404).json({ error: "テンプレートが見つかりません" });
       res.json({ ok: true, template });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.delete("/api/ad-templates/:id", async (req, res) => {
+  router.delete("/api/ad-templates/:id", asyncHandler(async (req, res) => {
     try {
+      if (!(await getOwnTemplate(req, res))) return;
       const deleted = await templateManager.delete(req.params.id);
       if (!deleted) return res.status(404).json({ error: "テンプレートが見つかりません" });
       res.json({ ok: true });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.get("/api/ad-templates/:id/validate", async (req, res) => {
+  router.get("/api/ad-templates/:id/validate", asyncHandler(async (req, res) => {
     try {
-      const template = await templateManager.get(req.params.id);
-      if (!template) return res.status(404).json({ error: "テンプレートが見つかりません" });
+      const template = await getOwnTemplate(req, res);
+      if (!template) return;
       const result = validateTemplate(template);
       res.json(result);
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
   // ── 認証情報 ────────────────────────────────
 
-  router.post("/api/ad-platforms/:platform/credentials", async (req, res) => {
+  router.post("/api/ad-platforms/:platform/credentials", adminOnly, asyncHandler(async (req, res) => {
     try {
       const { platform } = req.params;
       if (!["google", "meta", "tiktok", "line"].includes(platform)) {
         return res.status(400).json({ error: "不明なプラットフォームです" });
       }
-      await adSubmitter.saveCredentials(platform, req.body);
+      await adSubmitter.saveCredentials(platform, req.body, { actor: req.user?.username });
 
       // 接続テスト
       const client = adSubmitter.clients[platform];
@@ -91,21 +117,22 @@ export function createAdRoutes(getProject) {
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.get("/api/ad-platforms/status", async (req, res) => {
+  // 設定済みのプラットフォームが分かるので、認証情報の登録と同じく admin のみ
+  router.get("/api/ad-platforms/status", adminOnly, asyncHandler(async (req, res) => {
     try {
       const status = await adSubmitter.getPlatformStatus();
       res.json(status);
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
   // ── クリエイティブ抽出 ─────────────────────────
 
-  router.post("/api/projects/:id/extract-creatives", (req, res) => {
-    const project = getProject(req.params.id);
+  router.post("/api/projects/:id/extract-creatives", asyncHandler(async (req, res) => {
+    const project = await getProject(req.params.id);
     if (!project) return res.status(404).json({ error: "プロジェクトが見つかりません" });
 
     try {
@@ -114,12 +141,12 @@ export function createAdRoutes(getProject) {
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
   // ── 入稿プレビュー ─────────────────────────
 
-  router.post("/api/projects/:id/ad-submit/preview", async (req, res) => {
-    const project = getProject(req.params.id);
+  router.post("/api/projects/:id/ad-submit/preview", adminOnly, asyncHandler(async (req, res) => {
+    const project = await getProject(req.params.id);
     if (!project) return res.status(404).json({ error: "プロジェクトが見つかりません" });
 
     try {
@@ -131,12 +158,12 @@ export function createAdRoutes(getProject) {
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
   // ── 入稿実行（SSE経由の非同期） ─────────────
 
-  router.post("/api/projects/:id/ad-submit", async (req, res) => {
-    const project = getProject(req.params.id);
+  router.post("/api/projects/:id/ad-submit", adminOnly, asyncHandler(async (req, res) => {
+    const project = await getProject(req.params.id);
     if (!project) return res.status(404).json({ error: "プロジェクトが見つかりません" });
 
     const { templateId, platforms, lpUrl } = req.body;
@@ -170,20 +197,20 @@ export function createAdRoutes(getProject) {
     } finally {
       res.end();
     }
-  });
+  }));
 
   // ── 入稿履歴 ─────────────────────────────
 
-  router.get("/api/projects/:id/ad-submissions", async (req, res) => {
+  router.get("/api/projects/:id/ad-submissions", asyncHandler(async (req, res) => {
     try {
       const submissions = await adSubmitter.getSubmissions(req.params.id);
       res.json({ submissions });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.get("/api/projects/:id/ad-submissions/:sid", async (req, res) => {
+  router.get("/api/projects/:id/ad-submissions/:sid", asyncHandler(async (req, res) => {
     try {
       const submission = await adSubmitter.getSubmission(req.params.id, req.params.sid);
       if (!submission) return res.status(404).json({ error: "入稿記録が見つかりません" });
@@ -191,31 +218,39 @@ export function createAdRoutes(getProject) {
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
   // ═══════════════════════════════════════════════
   // 自動運用エンジン API
   // ═══════════════════════════════════════════════
 
-  router.get("/api/auto-operator/config", async (req, res) => {
+  router.get("/api/auto-operator/config", requireOperatorAccess, asyncHandler(async (req, res) => {
     try {
       const config = await autoOperator.loadConfig();
       res.json(config);
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.put("/api/auto-operator/config", async (req, res) => {
+  router.put("/api/auto-operator/config", requireOperatorAccess, asyncHandler(async (req, res) => {
     try {
-      const config = await autoOperator.saveConfig(req.body);
+      const { owner, team, ...updates } = req.body;
+      // 初回保存時に所有者を設定（admin は owner / team を付け替え可能）
+      const current = autoOperator.getConfig();
+      if (!current.owner && !current.team) Object.assign(updates, ownerFields(req.user));
+      if (req.user.role === "admin") {
+        if (owner !== undefined) updates.owner = owner || null;
+        if (team !== undefined) updates.team = team || null;
+      }
+      const config = await autoOperator.saveConfig(updates);
       res.json({ ok: true, config });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.post("/api/auto-operator/start", async (req, res) => {
+  router.post("/api/auto-operator/start", adminOnly, asyncHandler(async (req, res) => {
     try {
       const result = await autoOperator.start();
       if (result.status === "error") {
@@ -225,9 +260,9 @@ export function createAdRoutes(getProject) {
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
-  router.post("/api/auto-operator/stop", (req, res) => {
+  router.post("/api/auto-operator/stop", adminOnly, (req, res) => {
     try {
       const result = autoOperator.stop();
       res.json(result);
@@ -236,7 +271,7 @@ export function createAdRoutes(getProject) {
     }
   });
 
-  router.get("/api/auto-operator/status", (req, res) => {
+  router.get("/api/auto-operator/status", requireOperatorAccess, (req, res) => {
     try {
       res.json(autoOperator.getStatus());
     } catch (err) {
@@ -244,7 +279,7 @@ export function createAdRoutes(getProject) {
     }
   });
 
-  router.post("/api/auto-operator/execute-now", async (req, res) => {
+  router.post("/api/auto-operator/execute-now", adminOnly, asyncHandler(async (req, res) => {
     try {
       const decisions = await autoOperator.executeNow();
       res.json({ ok: true, decisions });
@@ -252,9 +287,9 @@ export function createAdRoutes(getProject) {
       // validateBeforeRun の throw を 400 で返す
       res.status(400).json({ error: err.message });
     }
-  });
+  }));
 
-  router.get("/api/auto-operator/logs", async (req, res) => {
+  router.get("/api/auto-operator/logs", requireOperatorAccess, asyncHandler(async (req, res) => {
     try {
       const date = req.query.date || new Date().toISOString().slice(0, 10);
       const logs = await autoOperator.getLogs(date);
@@ -262,7 +297,7 @@ export function createAdRoutes(getProject) {
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
-  });
+  }));
 
   return router;
 }
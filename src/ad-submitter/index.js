@@ -16,6 +16,7 @@ import { extractCreatives, generatePreview } from "./creative-extractor.js";
 import { GoogleAdsClient } from "./platforms/google-ads.js";
 import { MetaAdsClient } from "./platforms/meta-ads.js";
 import { TikTokAdsClient } from "./platforms/tiktok-ads.js";
+import { secrets } from "../secrets.js";
 
 const SUBMISSIONS_DIR = path.join(PROJECT_ROOT, "data", "ad-submissions");
 
@@ -29,6 +30,32 @@ const STATUS = {
   ERROR: "error",
 };
 
+// 媒体ごとの認証情報フィールド -> シークレット名
+const CREDENTIAL_KEYS = {
+  google: {
+    clientId: "GOOGLE_ADS_CLIENT_ID",
+    clientSecret: "GOOGLE_ADS_CLIENT_SECRET",
+    developerToken: "GOOGLE_ADS_DEVELOPER_TOKEN",
+    refreshToken: "GOOGLE_ADS_REFRESH_TOKEN",
+    managerAccountId: "GOOGLE_ADS_MANAGER_ACCOUNT_ID",
+    customerAccountId: "GOOGLE_ADS_CUSTOMER_ACCOUNT_ID",
+  },
+  meta: {
+    appId: "META_APP_ID",
+    appSecret: "META_APP_SECRET",
+    accessToken: "META_ACCESS_TOKEN",
+    adAccountId: "META_AD_ACCOUNT_ID",
+    pageId: "META_PAGE_ID",
+  },
+  tiktok: {
+    appId: "TIKTOK_APP_ID",
+    appSecret: "TIKTOK_APP_SECRET",
+    accessToken: "TIKTOK_ACCESS_TOKEN",
+    refreshToken: "TIKTOK_REFRESH_TOKEN",
+    advertiserId: "TIKTOK_ADVERTISER_ID",
+  },
+};
+
 export class AdSubmitter {
   constructor() {
     this.clients = {
@@ -46,6 +73,9 @@ export class AdSubmitter {
         configured: client.isConfigured(),
         connected: false,
         details: null,
+        // 値はマスクして返す
+        credentials: secrets.status(Object.values(CREDENTIAL_KEYS[name] || {}))
+          .map(({ name: key, label, masked, source, updatedAt }) => ({ key, label, masked, source, updatedAt })),
       };
       if (client.isConfigured()) {
         try {
@@ -60,61 +90,17 @@ export class AdSubmitter {
     return status;
   }
 
-  /** 認証情報を保存 (.envファイルに書き込み) */
-  async saveCredentials(platform, credentials) {
-    const envPath = path.join(PROJECT_ROOT, ".env");
-    let envContent = "";
-
-    try {
-      if (existsSync(envPath)) {
-        envContent = await readFile(envPath, "utf-8");
-      }
-    } catch {}
-
-    const keyMap = {
-      google: {
-        clientId: "GOOGLE_ADS_CLIENT_ID",
-        clientSecret: "GOOGLE_ADS_CLIENT_SECRET",
-        developerToken: "GOOGLE_ADS_DEVELOPER_TOKEN",
-        refreshToken: "GOOGLE_ADS_REFRESH_TOKEN",
-        managerAccountId: "GOOGLE_ADS_MANAGER_ACCOUNT_ID",
-        customerAccountId: "GOOGLE_ADS_CUSTOMER_ACCOUNT_ID",
-      },
-      meta: {
-        appId: "META_APP_ID",
-        appSecret: "META_APP_SECRET",
-        accessToken: "META_ACCESS_TOKEN",
-        adAccountId: "META_AD_ACCOUNT_ID",
-        pageId: "META_PAGE_ID",
-      },
-      tiktok: {
-        appId: "TIKTOK_APP_ID",
-        appSecret: "TIKTOK_APP_SECRET",
-        accessToken: "TIKTOK_ACCESS_TOKEN",
-        refreshToken: "TIKTOK_REFRESH_TOKEN",
-        advertiserId: "TIKTOK_ADVERTISER_ID",
-      },
-    };
+  /** 認証情報を保存 (暗号化保管庫 secrets に書き込み) */
+  async saveCredentials(platform, credentials, { actor } = {}) {
 
-    const mapping = keyMap[platform];
+    const mapping = CREDENTIAL_KEYS[platform];
     if (!mapping) throw new Error(`不明なプラットフォーム: ${platform}`);
 
+    const values = {};
     for (const [field, envKey] of Object.entries(mapping)) {
-      if (credentials[field] !== undefined) {
-        const val = credentials[field];
-        // 既存の行を置き換え or 追加
-        const regex = new RegExp(`^${envKey}=.*$`, "m");
-        if (regex.test(envContent)) {
-          envContent = envContent.replace(regex, `${envKey}=${val}`);
-        } else {
-          envContent += `\n${envKey}=${val}`;
-        }
-        // process.env にも反映
-        process.env[envKey] = val;
-      }
+      if (credentials[field] !== undefined) values[envKey] = credentials[field];
     }
-
-    await writeFile(envPath, envContent.trim() + "\n", "utf-8");
+    await secrets.set(values, { actor });
 
     // クライアントを再初期化
     this.clients[platform] = {
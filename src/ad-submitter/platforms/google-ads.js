@@ -5,6 +5,7 @@
  * キャンペーン → 広告グループ → 広告 を作成する。
  */
 import fetch from "node-fetch";
+import { secrets } from "../../secrets.js";
 
 const GOOGLE_ADS_API_VERSION = "v18";
 const GOOGLE_ADS_BASE = `https://googleads.googleapis.com/${GOOGLE_ADS_API_VERSION}`;
@@ -25,14 +26,15 @@ export class GoogleAdsClient {
     this.tokenExpiry = 0;
   }
 
+  /** 認証情報は secrets（暗号化保管庫 → .env）から読み込む */
   static fromEnv() {
     return new GoogleAdsClient({
-      clientId: process.env.GOOGLE_ADS_CLIENT_ID || "",
-      clientSecret: process.env.GOOGLE_ADS_CLIENT_SECRET || "",
-      developerToken: process.env.GOOGLE_ADS_DEVELOPER_TOKEN || "",
-      refreshToken: process.env.GOOGLE_ADS_REFRESH_TOKEN || "",
-      managerAccountId: process.env.GOOGLE_ADS_MANAGER_ACCOUNT_ID || "",
-      customerAccountId: process.env.GOOGLE_ADS_CUSTOMER_ACCOUNT_ID || "",
+      clientId: secrets.get("GOOGLE_ADS_CLIENT_ID"),
+      clientSecret: secrets.get("GOOGLE_ADS_CLIENT_SECRET"),
+      developerToken: secrets.get("GOOGLE_ADS_DEVELOPER_TOKEN"),
+      refreshToken: secrets.get("GOOGLE_ADS_REFRESH_TOKEN"),
+      managerAccountId: secrets.get("GOOGLE_ADS_MANAGER_ACCOUNT_ID"),
+      customerAccountId: secrets.get("GOOGLE_ADS_CUSTOMER_ACCOUNT_ID"),
     });
   }
 
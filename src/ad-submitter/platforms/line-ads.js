@@ -4,6 +4,7 @@
  * LINE Ads Platform API でキャンペーン管理・パフォーマンス取得。
  */
 import fetch from "node-fetch";
+import { secrets } from "../../secrets.js";
 
 const LINE_ADS_API_BASE = "https://ads.line.me/api/v3";
 
@@ -13,10 +14,11 @@ export class LineAdsClient {
     this.accountId = config.accountId;
   }
 
+  /** 認証情報は secrets（暗号化保管庫 → .env）から読み込む */
   static fromEnv() {
     return new LineAdsClient({
-      accessToken: process.env.LINE_ADS_ACCESS_TOKEN || "",
-      accountId: process.env.LINE_ADS_ACCOUNT_ID || "",
+      accessToken: secrets.get("LINE_ADS_ACCESS_TOKEN"),
+      accountId: secrets.get("LINE_ADS_ACCOUNT_ID"),
     });
   }
 
@@ -7,6 +7,7 @@
 import fetch from "node-fetch";
 import { readFile } from "fs/promises";
 import path from "path";
+import { secrets } from "../../secrets.js";
 
 const META_API_VERSION = "v21.0";
 const META_API_BASE = `https://graph.facebook.com/${META_API_VERSION}`;
@@ -19,12 +20,13 @@ export class MetaAdsClient {
     this.adAccountId = config.adAccountId; // act_XXXXXXXXX
   }
 
+  /** 認証情報は secrets（暗号化保管庫 → .env）から読み込む */
   static fromEnv() {
     return new MetaAdsClient({
-      appId: process.env.META_APP_ID || "",
-      appSecret: process.env.META_APP_SECRET || "",
-      accessToken: process.env.META_ACCESS_TOKEN || "",
-      adAccountId: process.env.META_AD_ACCOUNT_ID || "",
+      appId: secrets.get("META_APP_ID"),
+      appSecret: secrets.get("META_APP_SECRET"),
+      accessToken: secrets.get("META_ACCESS_TOKEN"),
+      adAccountId: secrets.get("META_AD_ACCOUNT_ID"),
     });
   }
 
@@ -152,7 +154,7 @@ export class MetaAdsClient {
     const params = {
       name,
       object_story_spec: {
-        page_id: pageId || process.env.META_PAGE_ID,
+        page_id: pageId || secrets.get("META_PAGE_ID"),
         link_data: {
           link: linkUrl,
           message: primaryText || "",
@@ -7,6 +7,7 @@
 import fetch from "node-fetch";
 import { readFile } from "fs/promises";
 import path from "path";
+import { secrets } from "../../secrets.js";
 
 const TIKTOK_API_BASE = "https://business-api.tiktok.com/open_api/v1.3";
 
@@ -20,13 +21,14 @@ export class TikTokAdsClient {
     this.tokenExpiry = config.tokenExpiry || 0;
   }
 
+  /** 認証情報は secrets（暗号化保管庫 → .env）から読み込む */
   static fromEnv() {
     return new TikTokAdsClient({
-      appId: process.env.TIKTOK_APP_ID || "",
-      appSecret: process.env.TIKTOK_APP_SECRET || "",
-      accessToken: process.env.TIKTOK_ACCESS_TOKEN || "",
-      refreshToken: process.env.TIKTOK_REFRESH_TOKEN || "",
-      advertiserId: process.env.TIKTOK_ADVERTISER_ID || "",
+      appId: secrets.get("TIKTOK_APP_ID"),
+      appSecret: secrets.get("TIKTOK_APP_SECRET"),
+      accessToken: secrets.get("TIKTOK_ACCESS_TOKEN"),
+      refreshToken: secrets.get("TIKTOK_REFRESH_TOKEN"),
+      advertiserId: secrets.get("TIKTOK_ADVERTISER_ID"),
     });
   }
 
@@ -0,0 +1,182 @@
+/**
+ * asset-downloader.js - 画像・動画・フォントのダウンロード（再試行・ホットリンク対策・失敗記録）
+ *
+ *   1. node-fetch で取得（Referer = ページURL、Cookie = Playwright コンテキストの Cookie）
+ *      ネットワークエラー・タイムアウト・429/5xx は間隔を空けて再試行（タイムアウトも段階的に延長）
+ *   2. それでも取れない場合（403 のホットリンク対策・画像URLなのにHTMLが返る等）は
+ *      page.request（ブラウザと同じ Cookie・TLS）で取得し直す
+ *   3. 最終的に失敗したURLは理由つきで返し、プロジェクトに記録して後から再取得できるようにする
+ *
+ * プロキシ経由の取得では node-fetch を使わず最初から page.request で取得する（browserOnly）。
+ *
+ * 保存済みのファイルはスキップするので、ジョブの再試行・欠落アセットの再取得は途中から再開される。
+ */
+import fetch from "node-fetch";
+import { existsSync, statSync } from "fs";
+import path from "path";
+import { sleep, urlToFilename, writeFileAtomic } from "./utils.js";
+
+export const DEFAULT_DOWNLOAD_ATTEMPTS = 3;
+const DEFAULT_CONCURRENCY = 20;
+const BASE_TIMEOUT = 10000;
+const BACKOFF_MS = 500;
+// 再試行しても結果が変わらないステータス
+const PERMANENT_STATUSES = new Set([400, 401, 403, 404, 410, 451]);
+const MEDIA_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|svg|mp4|webm|mov|woff2?|ttf|otf|eot)$/i;
+
+/** ダウンロード失敗（status = HTTPステータス、ネットワークエラー時は null） */
+export class AssetDownloadError extends Error {
+  constructor(message, { status = null, attempts = 0 } = {}) {
+    super(message);
+    this.name = "AssetDownloadError";
+    this.status = status;
+    this.attempts = attempts;
+  }
+}
+
+/** Playwright コンテキストの Cookie を Cookie ヘッダーに（取得できなければ空文字） */
+export async function cookieHeaderFor(context, url) {
+  if (!context) return "";
+  try {
+    const cookies = await context.cookies(url);
+    return cookies.map((c) => `${c.name}=${c.value}`).join("; ");
+  } catch {
+    return "";
+  }
+}
+
+// 画像・動画のURLに HTML が返ってきた（ホットリンク対策のリダイレクト等）
+function isUnexpectedHtml(url, contentType) {
+  if (!/text\/html/i.test(contentType || "")) return false;
+  try {
+    return MEDIA_EXTENSIONS.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+async function fetchWithRetry(url, { userAgent, referer, cookieHeader, attempts, signal }) {
+  let lastError;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      const headers = { "User-Agent": userAgent, Accept: "*/*" };
+      if (referer) headers.Referer = referer;
+      if (cookieHeader) headers.Cookie = cookieHeader;
+      const resp = await fetch(url, { headers, timeout: BASE_TIMEOUT * attempt });
+      if (!resp.ok) throw new AssetDownloadError(`HTTP ${resp.status}`, { status: resp.status, attempts: attempt });
+      if (isUnexpectedHtml(url, resp.headers.get("content-type"))) {
+        throw new AssetDownloadError("画像の代わりにHTMLが返されました（ホットリンク対策）", { status: resp.status, attempts: attempt });
+      }
+      return { buffer: Buffer.from(await resp.arrayBuffer()), attempts: attempt };
+    } catch (err) {
+      lastError = err instanceof AssetDownloadError ? err : new AssetDownloadError(err.message, { attempts: attempt });
+      lastError.attempts = attempt;
+      if (PERMANENT_STATUSES.has(lastError.status) || /HTMLが返されました/.test(lastError.message)) break;
+      if (attempt < attempts) await sleep(BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+  throw lastError;
+}
+
+async function fetchViaBrowser(request, url, { referer, signal }) {
+  signal?.throwIfAborted();
+  const resp = await request.get(url, {
+    headers: referer ? { Referer: referer } : {},
+    timeout: BASE_TIMEOUT * 3,
+    failOnStatusCode: false,
+  });
+  if (!resp.ok()) throw new AssetDownloadError(`HTTP ${resp.status()}（ブラウザ経由）`, { status: resp.status() });
+  if (isUnexpectedHtml(url, resp.headers()["content-type"])) {
+    throw new AssetDownloadError("画像の代わりにHTMLが返されました（ブラウザ経由）", { status: resp.status() });
+  }
+  return resp.body();
+}
+
+async function fetchViaBrowserWithRetry(request, url, { referer, attempts, signal }) {
+  let lastError;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      return { buffer: await fetchViaBrowser(request, url, { referer, signal }), attempts: attempt };
+    } catch (err) {
+      lastError = err instanceof AssetDownloadError ? err : new AssetDownloadError(err.message);
+      lastError.attempts = attempt;
+      if (signal?.aborted || PERMANENT_STATUSES.has(lastError.status) || /HTMLが返されました/.test(lastError.message)) break;
+      if (attempt < attempts) await sleep(BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * URLを1件ダウンロードして保存
+ * @param {string} url
+ * @param {object} opts
+ * @param {string} opts.dir - 保存先ディレクトリ
+ * @param {string} opts.userAgent
+ * @param {string} [opts.referer] - 通常は元ページのURL
+ * @param {string} [opts.cookieHeader]
+ * @param {import("playwright").APIRequestContext} [opts.request] - フォールバック用（page.request）
+ * @param {boolean} [opts.browserOnly=false] - request だけで取得（ページと同じプロキシ・ヘッダーを使う）
+ * @param {number} [opts.attempts=3]
+ * @param {boolean} [opts.resume=true] - 保存済みのファイルがあればダウンロードしない
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ originalUrl, localFile, localPath, size, via: "fetch"|"browser"|"cache", attempts }>}
+ * @throws {AssetDownloadError}
+ */
+export async function downloadAsset(url, { dir, userAgent, referer, cookieHeader, request, browserOnly = false, attempts = DEFAULT_DOWNLOAD_ATTEMPTS, resume = true, signal }) {
+  const localFile = urlToFilename(url);
+  const localPath = path.join(dir, localFile);
+  // 前回の取得で保存済み（書き込みはアトミックなので途中のファイルは残らない）
+  if (resume && existsSync(localPath)) {
+    const size = statSync(localPath).size;
+    if (size > 0) return { originalUrl: url, localFile, localPath, size, via: "cache", attempts: 0 };
+  }
+
+  let result;
+  if (browserOnly && request) {
+    result = { ...await fetchViaBrowserWithRetry(request, url, { referer, attempts, signal }), via: "browser" };
+  } else {
+    try {
+      result = { ...await fetchWithRetry(url, { userAgent, referer, cookieHeader, attempts, signal }), via: "fetch" };
+    } catch (err) {
+      if (!request || signal?.aborted) throw err;
+      try {
+        result = { buffer: await fetchViaBrowser(request, url, { referer, signal }), attempts: err.attempts + 1, via: "browser" };
+      } catch (fallbackErr) {
+        // 元のエラー（ステータス）を優先して返す
+        throw new AssetDownloadError(`${err.message} / ${fallbackErr.message}`, { status: err.status ?? fallbackErr.status ?? null, attempts: err.attempts + 1 });
+      }
+    }
+  }
+  await writeFileAtomic(localPath, result.buffer);
+  return { originalUrl: url, localFile, localPath, size: result.buffer.length, via: result.via, attempts: result.attempts };
+}
+
+/**
+ * 複数URLを並列でダウンロード
+ * @param {string[]} urls
+ * @param {object} opts - downloadAsset() のオプション + concurrency, onProgress(done, total)
+ * @returns {Promise<{ assets: Array, failures: Array<{ url, status, reason, attempts }> }>}
+ */
+export async function downloadAssets(urls, { concurrency = DEFAULT_CONCURRENCY, onProgress = () => {}, ...opts }) {
+  const assets = [];
+  const failures = [];
+  let done = 0;
+  for (let i = 0; i < urls.length; i += concurrency) {
+    opts.signal?.throwIfAborted();
+    await Promise.all(urls.slice(i, i + concurrency).map(async (url) => {
+      try {
+        assets.push(await downloadAsset(url, opts));
+      } catch (err) {
+        if (opts.signal?.aborted) return;
+        failures.push({ url, status: err.status ?? null, reason: err.message, attempts: err.attempts || 0 });
+        console.warn(`[downloader] Failed: ${url} - ${err.message}`);
+      }
+      done++;
+      if (done % 10 === 0 || done === urls.length) onProgress(done, urls.length);
+    }));
+  }
+  opts.signal?.throwIfAborted();
+  return { assets, failures };
+}
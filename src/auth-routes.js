@@ -0,0 +1,126 @@
+/**
+ * auth-routes.js - ログイン・セッション・ユーザー管理 Express Router
+ *
+ * /api/auth/*  … ログイン / ログアウト / 現在のユーザー / 初回セットアップ
+ * /api/users/* … ユーザーCRUD（admin のみ）
+ */
+import { Router } from "express";
+import { authManager, AuthError, SESSION_COOKIE, getRequestToken, requireRole, canRunSetup, isLoopbackRequest } from "./auth.js";
+import { asyncHandler } from "./utils.js";
+
+const COOKIE_MAX_AGE = 7 * 24 * 60 * 60; // 秒
+
+function setSessionCookie(req, res, token) {
+  const secure = req.secure ? "; Secure" : "";
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${COOKIE_MAX_AGE}${secure}`);
+}
+
+function clearSessionCookie(res) {
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+function sendAuthError(res, err) {
+  res.status(err instanceof AuthError ? err.status : 500).json({ error: err.message });
+}
+
+export function createAuthRoutes() {
+  const router = Router();
+  const adminOnly = requireRole("admin");
+
+  // ── セッション ────────────────────────────────
+
+  router.post("/api/auth/login", asyncHandler(async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+      const { token, user, expiresAt } = await authManager.login(username, password, req.ip);
+      setSessionCookie(req, res, token);
+      res.json({ ok: true, user, token, expiresAt });
+    } catch (err) {
+      sendAuthError(res, err);
+    }
+  }));
+
+  router.post("/api/auth/logout", asyncHandler(async (req, res) => {
+    try {
+      await authManager.logout(getRequestToken(req));
+      clearSessionCookie(res);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }));
+
+  router.get("/api/auth/me", (req, res) => {
+    if (!req.user) {
+      const setupRequired = !authManager.hasUsers();
+      return res.status(401).json({
+        error: "ログインが必要です",
+        setupRequired,
+        ...(setupRequired && { setupTokenRequired: !isLoopbackRequest(req) }),
+      });
+    }
+    res.json({ user: req.user });
+  });
+
+  // POST /api/auth/setup - 初回セットアップ（ユーザーが1人もいない場合のみ管理者を作成）
+  // SETUP_TOKEN（X-Setup-Token ヘッダー / body.setupToken）か、サーバー上からのアクセスが必要
+  router.post("/api/auth/setup", asyncHandler(async (req, res) => {
+    try {
+      if (authManager.hasUsers()) return res.status(409).json({ error: "セットアップは完了しています" });
+      if (!canRunSetup(req)) {
+        return res.status(403).json({
+          error: process.env.SETUP_TOKEN
+            ? "セットアップトークンが正しくありません"
+            : "初回セットアップはサーバー上から行うか、環境変数 SETUP_TOKEN を設定してください",
+        });
+      }
+      const { username, password } = req.body || {};
+      await authManager.createInitialAdmin({ username, password });
+      const { token, user, expiresAt } = await authManager.login(username, password, req.ip);
+      setSessionCookie(req, res, token);
+      res.json({ ok: true, user, token, expiresAt });
+    } catch (err) {
+      sendAuthError(res, err);
+    }
+  }));
+
+  // ── ユーザー管理（admin） ─────────────────────────
+
+  router.get("/api/users", adminOnly, (req, res) => {
+    res.json({ users: authManager.listUsers() });
+  });
+
+  router.post("/api/users", adminOnly, asyncHandler(async (req, res) => {
+    try {
+      const { username, password, role, team } = req.body || {};
+      const user = await authManager.createUser({ username, password, role, team });
+      res.json({ ok: true, user });
+    } catch (err) {
+      sendAuthError(res, err);
+    }
+  }));
+
+  router.put("/api/users/:id", adminOnly, asyncHandler(async (req, res) => {
+    try {
+      const { role, team, password } = req.body || {};
+      const user = await authManager.updateUser(req.params.id, { role, team, password });
+      if (!user) return res.status(404).json({ error: "ユーザーが見つかりません" });
+      res.json({ ok: true, user });
+    } catch (err) {
+      sendAuthError(res, err);
+    }
+  }));
+
+  router.delete("/api/users/:id", adminOnly, asyncHandler(async (req, res) => {
+    try {
+      if (req.params.id === req.user.id) return res.status(400).json({ error: "自分自身は削除できません" });
+      const deleted = await authManager.deleteUser(req.params.id);
+      if (!deleted) return res.status(404).json({ error: "ユーザーが見つかりません" });
+      res.json({ ok: true });
+    } catch (err) {
+      sendAuthError(res, err);
+    }
+  }));
+
+  return router;
+}
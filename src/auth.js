@@ -0,0 +1,356 @@
+/**
+ * auth.js - ユーザー認証・セッション・ロール
+ *
+ * ユーザーは data/users.json（パスワードは scrypt ハッシュ）、
+ * セッションは data/sessions.json（トークンは SHA-256 ハッシュのみ保存）に永続化。
+ * ロールは viewer < editor < admin の3段階。
+ *
+ * プロジェクト・広告テンプレート等のリソースは owner（ユーザーID）/ team を持ち、
+ * admin 以外は自分が owner か同じ team のリソースのみアクセスできる。
+ */
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { promisify } from "util";
+import { PROJECT_ROOT, writeFileAtomic } from "./utils.js";
+
+const USERS_PATH = path.join(PROJECT_ROOT, "data", "users.json");
+const SESSIONS_PATH = path.join(PROJECT_ROOT, "data", "sessions.json");
+
+export const ROLES = ["viewer", "editor", "admin"];
+export const SESSION_COOKIE = "lpc_session";
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7日（アクセスのたびに延長）
+const LOGIN_WINDOW = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+const scrypt = promisify(crypto.scrypt);
+
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ── パスワード ─────────────────────────────────────────────
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(password, Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// 存在しないユーザー名でも同じコストで照合し、応答時間からユーザー名の有無を推測させない
+const DUMMY_PASSWORD_HASH = `scrypt$${"0".repeat(32)}$${"0".repeat(128)}`;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function genUserId() {
+  return "u" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** 外部に返すユーザー情報（パスワードハッシュを除く） */
+export function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+// ── アクセス制御 ───────────────────────────────────────────
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/** リソース（owner / team を持つ）にアクセスできるか。owner 未設定のリソースは admin のみ */
+export function canAccess(user, resource) {
+  if (!user || !resource) return false;
+  if (user.role === "admin") return true;
+  if (resource.owner && resource.owner === user.id) return true;
+  if (resource.team && user.team && resource.team === user.team) return true;
+  return false;
+}
+
+/** 新規リソースに付与する所有者フィールド */
+export function ownerFields(user) {
+  return { owner: user?.id || null, team: user?.team || null };
+}
+
+// ── Manager ─────────────────────────────────────────────
+
+export class AuthManager {
+  constructor({ usersPath = USERS_PATH, sessionsPath = SESSIONS_PATH } = {}) {
+    this.usersPath = usersPath;
+    this.sessionsPath = sessionsPath;
+    this.users = [];
+    this.sessions = new Map(); // tokenHash -> { userId, expiresAt }
+    this._failures = new Map(); // ip -> { count, since }
+    this._sessionsDirty = false;
+    this._writes = Promise.resolve();
+  }
+
+  async init() {
+    this.users = await readJson(this.usersPath, []);
+    const sessions = await readJson(this.sessionsPath, {});
+    const now = Date.now();
+    for (const [hash, s] of Object.entries(sessions)) {
+      if (s.expiresAt > now) this.sessions.set(hash, s);
+    }
+
+    // 初回起動: ADMIN_USERNAME / ADMIN_PASSWORD があれば管理者を作成
+    if (this.users.length === 0 && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+      await this.createUser({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD, role: "admin" });
+      console.log(`[auth] 管理者ユーザー ${process.env.ADMIN_USERNAME} を作成しました`);
+    }
+    return this.users.length;
+  }
+
+  hasUsers() {
+    return this.users.length > 0;
+  }
+
+  listUsers() {
+    return this.users.map(publicUser);
+  }
+
+  getUser(id) {
+    return this.users.find((u) => u.id === id) || null;
+  }
+
+  async createUser({ username, password, role = "editor", team = null }) {
+    return this._insertUser({ username, password, role, team });
+  }
+
+  /**
+   * 初回セットアップの管理者を作成（ユーザーが1人もいないときだけ）
+   * @throws {AuthError} 409 - 既にユーザーがいる（同時に来た別のセットアップが先に作成した場合も）
+   */
+  async createInitialAdmin({ username, password }) {
+    if (this.hasUsers()) throw new AuthError("セットアップは完了しています", 409);
+    return this._insertUser({ username, password, role: "admin", team: null }, { onlyIfEmpty: true });
+  }
+
+  async _insertUser({ username, password, role, team }, { onlyIfEmpty = false } = {}) {
+    username = String(username || "").trim();
+    if (!username) throw new AuthError("ユーザー名は必須です");
+    if (!/^[\w.@-]{1,64}$/.test(username)) throw new AuthError("ユーザー名に使用できない文字が含まれています");
+    if (!ROLES.includes(role)) throw new AuthError(`ロールは ${ROLES.join(" / ")} のいずれかです`);
+    validatePassword(password);
+    const passwordHash = await hashPassword(password);
+
+    // ハッシュ計算（await）の間に他のリクエストが追加しているかもしれないので、確認と追加は直列に
+    return this._serialize(async () => {
+      if (onlyIfEmpty && this.hasUsers()) throw new AuthError("セットアップは完了しています", 409);
+      if (this.users.some((u) => u.username.toLowerCase() === username.toLowerCase())) {
+        throw new AuthError("このユーザー名は既に使われています", 409);
+      }
+      const user = { id: genUserId(), username, role, team: team || null, passwordHash, createdAt: Date.now() };
+      this.users.push(user);
+      await this._saveUsers();
+      return publicUser(user);
+    });
+  }
+
+  async updateUser(id, { role, team, password }) {
+    const user = this.getUser(id);
+    if (!user) return null;
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) throw new AuthError(`ロールは ${ROLES.join(" / ")} のいずれかです`);
+      if (user.role === "admin" && role !== "admin" && this._adminCount() === 1) {
+        throw new AuthError("最後の管理者のロールは変更できません");
+      }
+      user.role = role;
+    }
+    if (team !== undefined) user.team = team || null;
+    if (password !== undefined) {
+      validatePassword(password);
+      user.passwordHash = await hashPassword(password);
+      this._revokeUserSessions(user.id);
+    }
+    await this._saveUsers();
+    return publicUser(user);
+  }
+
+  async deleteUser(id) {
+    const user = this.getUser(id);
+    if (!user) return false;
+    if (user.role === "admin" && this._adminCount() === 1) throw new AuthError("最後の管理者は削除できません");
+    this.users = this.users.filter((u) => u.id !== id);
+    this._revokeUserSessions(id);
+    await this._saveUsers();
+    return true;
+  }
+
+  /**
+   * ログイン
+   * @returns {Promise<{ token: string, user: object, expiresAt: number }>}
+   */
+  async login(username, password, ip = "") {
+    const failure = this._failures.get(ip);
+    if (failure && Date.now() - failure.since < LOGIN_WINDOW && failure.count >= LOGIN_MAX_FAILURES) {
+      throw new AuthError("ログイン試行回数が多すぎます。しばらくしてから再度お試しください", 429);
+    }
+
+    const user = this.users.find((u) => u.username.toLowerCase() === String(username || "").trim().toLowerCase());
+    const verified = await verifyPassword(String(password || ""), user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    const ok = !!user && verified;
+    if (!ok) {
+      const f = failure && Date.now() - failure.since < LOGIN_WINDOW ? failure : { count: 0, since: Date.now() };
+      f.count++;
+      this._failures.set(ip, f);
+      throw new AuthError("ユーザー名またはパスワードが正しくありません", 401);
+    }
+    this._failures.delete(ip);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = Date.now() + SESSION_TTL;
+    this.sessions.set(hashToken(token), { userId: user.id, expiresAt });
+    await this._saveSessions();
+    return { token, user: publicUser(user), expiresAt };
+  }
+
+  async logout(token) {
+    if (!token) return;
+    this.sessions.delete(hashToken(token));
+    await this._saveSessions();
+  }
+
+  /** セッショントークンからユーザーを取得（有効期限を延長） */
+  getSessionUser(token) {
+    if (!token) return null;
+    const hash = hashToken(token);
+    const session = this.sessions.get(hash);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(hash);
+      this._sessionsDirty = true;
+      return null;
+    }
+    const user = this.getUser(session.userId);
+    if (!user) {
+      this.sessions.delete(hash);
+      this._sessionsDirty = true;
+      return null;
+    }
+    // 延長は残り半分を切ったときだけ（毎リクエストの書き込みを避ける）
+    if (session.expiresAt - Date.now() < SESSION_TTL / 2) {
+      session.expiresAt = Date.now() + SESSION_TTL;
+      this._sessionsDirty = true;
+    }
+    if (this._sessionsDirty) this._saveSessions().catch(() => {});
+    return publicUser(user);
+  }
+
+  _adminCount() {
+    return this.users.filter((u) => u.role === "admin").length;
+  }
+
+  _revokeUserSessions(userId) {
+    for (const [hash, s] of this.sessions) {
+      if (s.userId === userId) this.sessions.delete(hash);
+    }
+    this._saveSessions().catch(() => {});
+  }
+
+  _serialize(fn) {
+    const run = this._writes.then(fn);
+    this._writes = run.catch(() => {});
+    return run;
+  }
+
+  async _saveUsers() {
+    await writeFileAtomic(this.usersPath, JSON.stringify(this.users, null, 2));
+  }
+
+  async _saveSessions() {
+    this._sessionsDirty = false;
+    await writeFileAtomic(this.sessionsPath, JSON.stringify(Object.fromEntries(this.sessions), null, 2));
+  }
+}
+
+/**
+ * 初回セットアップを許可するか
+ * SETUP_TOKEN が設定されていれば一致するトークン、なければサーバー自身（ループバック直結、プロキシ経由でない）からのみ。
+ * 再デプロイで users.json が消える環境で、外部の誰かが先に管理者を作れないようにする
+ */
+export function canRunSetup(req) {
+  const expected = process.env.SETUP_TOKEN || "";
+  const given = String(req.get("X-Setup-Token") || req.body?.setupToken || "");
+  if (expected && given) {
+    const a = crypto.createHash("sha256").update(given).digest();
+    const b = crypto.createHash("sha256").update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+  return isLoopbackRequest(req);
+}
+
+/** ソケットがループバックで、転送ヘッダーもない（trust proxy の req.ip は使わない） */
+export function isLoopbackRequest(req) {
+  if (req.get("X-Forwarded-For") || req.get("Forwarded")) return false;
+  const addr = req.socket?.remoteAddress || "";
+  return addr === "127.0.0.1" || addr === "::1" || addr === "::ffff:127.0.0.1";
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`パスワードは${MIN_PASSWORD_LENGTH}文字以上にしてください`);
+  }
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    if (existsSync(filePath)) return JSON.parse(await readFile(filePath, "utf-8"));
+  } catch (err) {
+    console.error(`[auth] ${path.basename(filePath)} 読み込みエラー: ${err.message}`);
+  }
+  return fallback;
+}
+
+// ── Express ミドルウェア ────────────────────────────────────
+
+/** リクエストからセッショントークンを取得（Cookie または Authorization: Bearer） */
+export function getRequestToken(req) {
+  const auth = req.get("Authorization");
+  if (auth?.startsWith("Bearer ")) return auth.slice(7).trim();
+  const cookie = req.get("Cookie") || "";
+  for (const part of cookie.split(";")) {
+    const [name, ...rest] = part.trim().split("=");
+    if (name === SESSION_COOKIE) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+/** req.user を設定（未ログインなら null） */
+export function authenticate(req, res, next) {
+  req.user = authManager.getSessionUser(getRequestToken(req));
+  next();
+}
+
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: "ログインが必要です", setupRequired: !authManager.hasUsers() });
+  }
+  next();
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "ログインが必要です" });
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: "この操作を行う権限がありません" });
+    next();
+  };
+}
+
+export const authManager = new AuthManager();
@@ -0,0 +1,308 @@
+/**
+ * block-rules.js - ブロック分類ルール
+ *
+ * parser.js の classifyBlock() はルールを優先度の高い順に試し、最初に全条件を満たしたルールの
+ * type をブロックに付ける（block.rule に発火したルールの id）。ルールの条件はすべて AND:
+ *
+ *   {
+ *     id: "price_table", type: "price_table", label: "料金表", priority: 65,
+ *     selector: "table" | ["table", ".price"],   // 要素自身か子孫にすべて一致
+ *     notSelector: ".sb-custom",                 // 要素自身か子孫に一致したら不成立
+ *     classPattern: "price|plan",                // 要素自身の class / id（正規表現、大文字小文字を区別しない）
+ *     text: "円|税込" | ["…", "…"],              // テキスト（いずれかに一致）
+ *     textScope: 30,                             // text を先頭何文字で判定するか（タイトル位置の判定用）
+ *     textLength: { min: 1, max: 50 },
+ *     style: { "font-size": ">=21", "text-align": "center" },  // インラインスタイル（数値比較 or 正規表現）
+ *     position: { contentIndex: { max: 1 }, index: { min: 0 } }, // contentIndex は外枠・<style> 等を除いた順番
+ *     once: true,                                // 1回の解析で1ブロックだけ
+ *     build: "basic",                            // ブロックの組み立て方（BUILDS）
+ *     team: "team-a",                            // 指定チームのプロジェクトだけに適用（省略時は全体）
+ *   }
+ *
+ * 組み込みルール（BUILTIN_RULES）に、data/block-rules.json の独自ルールを重ねる。
+ * 同じ id の独自ルールは組み込みルールを上書きし、enabled: false で無効化できる。
+ */
+import * as cheerio from "cheerio";
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { PROJECT_ROOT, writeFileAtomic } from "./utils.js";
+
+const RULES_PATH = path.join(PROJECT_ROOT, "data", "block-rules.json");
+
+// ブロックの組み立て方（widget / video / image / cta_link は専用の解析、text はフォント情報つき）
+export const BUILDS = ["basic", "text", "image", "cta_link", "video", "widget"];
+const MAX_RULES = 200;
+const ID_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/;
+const TYPE_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+// 外枠・ラッパーの判定で使う type は独自ルールに使わせない
+const RESERVED_TYPES = ["header", "footer", "sticky_cta"];
+const STYLE_COMPARATOR = /^(<=|>=|<|>|=)\s*(-?\d+(?:\.\d+)?)$/;
+
+const HEADING_COLORS = '[style*="color: rgb(161, 0, 0)"], [style*="color: rgb(255, 0, 0)"]';
+
+export const BUILTIN_RULES = [
+  { id: "widget", type: "widget", label: "ウィジェット", priority: 100, selector: ".sb-custom", build: "widget" },
+  { id: "faq_details", type: "faq", label: "FAQ", priority: 92, selector: ["details", "summary"] },
+  { id: "faq_class", type: "faq", label: "FAQ", priority: 91, classPattern: "faq|(^|[\\s_-])qa([\\s_-]|$)|よくある質問" },
+  { id: "quiz_input", type: "quiz", label: "アンケート", priority: 90, selector: 'input[type="radio"], input[type="checkbox"]' },
+  { id: "quiz_class", type: "quiz", label: "アンケート", priority: 89, classPattern: "question|quiz|survey|アンケート" },
+  { id: "faq_title", type: "faq", label: "FAQ", priority: 86, text: "よくある質問|Q&A|Ｑ＆Ａ|FAQ", textScope: 20, textLength: { min: 40 } },
+  { id: "review_class", type: "review", label: "口コミ", priority: 82, classPattern: "review|testimonial|voice|kuchikomi|口コミ|レビュー" },
+  { id: "review_stars", type: "review", label: "口コミ", priority: 81, text: "[★☆]{3,}" },
+  // 本文中に「感想」等が出てくるだけのブロックは口コミではない。タイトル位置にあり本文が続くものだけ
+  { id: "review_title", type: "review", label: "口コミ", priority: 80, text: "口コミ|レビュー|体験談|お客様の声|感想", textScope: 20, textLength: { min: 60 } },
+  { id: "fv_class", type: "fv", label: "FV", priority: 72, classPattern: "(^|[\\s_-])(fv|mv|kv|hero|firstview|first-view)([\\s_-]|$)", selector: "img, picture", position: { contentIndex: { max: 2 } }, once: true },
+  // キャッチコピーの下にFV画像が来る構成もあるので、本文の2ブロック目まで
+  { id: "fv_first_image", type: "fv", label: "FV", priority: 70, selector: "img, picture", position: { contentIndex: { max: 1 } }, once: true },
+  { id: "comparison_table", type: "comparison", label: "比較表", priority: 60, selector: "table" },
+  { id: "comparison_class", type: "comparison", label: "比較表", priority: 59, classPattern: "compar|ranking|hikaku" },
+  { id: "comparison_title", type: "comparison", label: "比較表", priority: 58, text: "比較|ランキング|compare", textScope: 30, textLength: { min: 60 } },
+  { id: "video", type: "video", label: "動画", priority: 50, selector: "video", build: "video" },
+  { id: "cta_link", type: "cta_link", label: "CTAリンク", priority: 41, selector: ["img, picture", "a"], build: "cta_link" },
+  { id: "image", type: "image", label: "画像", priority: 40, selector: "img, picture", build: "image" },
+  { id: "spacer_br", type: "spacer", label: "スペーサー", priority: 30, selector: "br", textLength: { max: 0 } },
+  { id: "heading_tag", type: "heading", label: "見出し", priority: 22, selector: "h1, h2, h3, h4", textLength: { min: 1, max: 50 }, build: "text" },
+  { id: "heading_strong", type: "heading", label: "見出し", priority: 21, selector: "strong, b", style: { "font-size": ">=21" }, textLength: { min: 1, max: 50 }, build: "text" },
+  { id: "heading_color", type: "heading", label: "見出し", priority: 20, selector: HEADING_COLORS, style: { "font-size": ">=21" }, textLength: { min: 1, max: 50 }, build: "text" },
+  { id: "text", type: "text", label: "テキスト", priority: 10, textLength: { min: 1 }, build: "text" },
+  { id: "spacer", type: "spacer", label: "スペーサー", priority: 0 },
+];
+
+const asList = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+function compilePattern(source, field) {
+  if (source instanceof RegExp) return source;
+  try {
+    return new RegExp(String(source), "i");
+  } catch (err) {
+    throw new Error(`${field} の正規表現が不正です: ${err.message}`);
+  }
+}
+
+function checkRange(range, field) {
+  if (range == null) return null;
+  if (typeof range !== "object" || Array.isArray(range)) throw new Error(`${field} は { min, max } で指定してください`);
+  const out = {};
+  for (const key of ["min", "max"]) {
+    if (range[key] == null) continue;
+    if (!Number.isFinite(Number(range[key]))) throw new Error(`${field}.${key} は数値で指定してください`);
+    out[key] = Number(range[key]);
+  }
+  return out;
+}
+
+const inRange = (value, range) => !range || ((range.min == null || value >= range.min) && (range.max == null || value <= range.max));
+
+function compileStyle(style) {
+  if (style == null) return [];
+  if (typeof style !== "object" || Array.isArray(style)) throw new Error("style は { プロパティ: 条件 } で指定してください");
+  return Object.entries(style).map(([prop, condition]) => {
+    const name = prop.trim().toLowerCase();
+    if (!/^[a-z-]+$/.test(name)) throw new Error(`不正なスタイルプロパティ: ${prop}`);
+    const m = String(condition).trim().match(STYLE_COMPARATOR);
+    if (m) {
+      const [, op, n] = m;
+      const limit = Number(n);
+      const compare = { "<": (v) => v < limit, "<=": (v) => v <= limit, ">": (v) => v > limit, ">=": (v) => v >= limit, "=": (v) => v === limit }[op];
+      return { prop: name, test: (values) => values.some((v) => Number.isFinite(parseFloat(v)) && compare(parseFloat(v))) };
+    }
+    const re = compilePattern(condition, `style.${prop}`);
+    return { prop: name, test: (values) => values.some((v) => re.test(v)) };
+  });
+}
+
+/**
+ * ルールを検証して判定関数つきの形にする
+ * @param {object} raw
+ * @returns {object} { id, type, label, priority, build, once, team, source, match(ctx) }
+ * @throws {Error} 不正なルール
+ */
+export function compileRule(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("ルールはオブジェクトで指定してください");
+  const id = String(raw.id || "").trim();
+  if (!ID_PATTERN.test(id)) throw new Error(`不正なルールID: ${raw.id || "(なし)"}（英小文字・数字・_ - で40文字まで）`);
+  // 無効化（組み込みルールを止める）だけなら id 以外は不要
+  if (raw.enabled === false) return { id, team: raw.team ? String(raw.team) : null, disabled: true, source: raw };
+  const type = String(raw.type || "").trim();
+  if (!TYPE_PATTERN.test(type)) throw new Error(`${id}: 不正な type: ${raw.type || "(なし)"}（英小文字・数字・_ で40文字まで）`);
+  if (RESERVED_TYPES.includes(type)) throw new Error(`${id}: type ${type} は外枠専用です`);
+  const priority = Number(raw.priority ?? 50);
+  if (!Number.isFinite(priority)) throw new Error(`${id}: priority は数値で指定してください`);
+  const build = raw.build || "basic";
+  if (!BUILDS.includes(build)) throw new Error(`${id}: build は ${BUILDS.join(" / ")} のいずれかです`);
+
+  const selectors = asList(raw.selector).map(String);
+  const notSelectors = asList(raw.notSelector).map(String);
+  const classPattern = raw.classPattern ? compilePattern(raw.classPattern, `${id}.classPattern`) : null;
+  const texts = asList(raw.text).map((t) => compilePattern(t, `${id}.text`));
+  const textScope = raw.textScope == null ? null : Number(raw.textScope);
+  if (textScope != null && !(textScope > 0)) throw new Error(`${id}: textScope は正の数で指定してください`);
+  const textLength = checkRange(raw.textLength, `${id}.textLength`);
+  const styles = compileStyle(raw.style);
+  const position = raw.position || {};
+  const contentIndex = checkRange(position.contentIndex, `${id}.position.contentIndex`);
+  const index = checkRange(position.index, `${id}.position.index`);
+
+  const matchSelector = (ctx, sel) => {
+    try {
+      return ctx.$el.is(sel) || ctx.$el.find(sel).length > 0;
+    } catch {
+      throw new Error(`${id}: 不正なセレクター: ${sel}`);
+    }
+  };
+  const match = (ctx) => {
+    if (!inRange(ctx.index, index) || !inRange(ctx.contentIndex, contentIndex)) return false;
+    if (!inRange(ctx.text.length, textLength)) return false;
+    if (classPattern && !classPattern.test(ctx.classes)) return false;
+    if (texts.length) {
+      const text = textScope ? ctx.text.slice(0, textScope) : ctx.text;
+      if (!texts.some((re) => re.test(text))) return false;
+    }
+    if (!selectors.every((sel) => matchSelector(ctx, sel))) return false;
+    if (notSelectors.some((sel) => matchSelector(ctx, sel))) return false;
+    return styles.every(({ prop, test }) => test(styleValues(ctx, prop)));
+  };
+
+  // セレクターの構文はここで確かめておく（保存時にエラーにする）
+  const $probe = cheerio.load("<div></div>", null, false);
+  for (const sel of [...selectors, ...notSelectors]) {
+    try {
+      $probe.root().find(sel);
+    } catch {
+      throw new Error(`${id}: 不正なセレクター: ${sel}`);
+    }
+  }
+
+  return {
+    id,
+    type,
+    label: raw.label ? String(raw.label) : type,
+    priority,
+    build,
+    once: !!raw.once,
+    team: raw.team ? String(raw.team) : null,
+    source: raw,
+    match,
+  };
+}
+
+/** 要素自身と子孫のインラインスタイルから、指定プロパティの値を集める */
+function styleValues(ctx, prop) {
+  if (prop === "font-size" && ctx.fontSize != null) return ctx.fontSize ? [String(ctx.fontSize)] : [];
+  const re = new RegExp(`(?:^|;)\\s*${prop}\\s*:\\s*([^;]+)`, "i");
+  const values = [];
+  const read = (el) => {
+    const m = (ctx.$(el).attr("style") || "").match(re);
+    if (m) values.push(m[1].trim());
+  };
+  read(ctx.$el);
+  ctx.$el.find(`[style*="${prop}"]`).each((_, el) => read(el));
+  return values;
+}
+
+/**
+ * ブロックに最初に一致するルール（優先度順）
+ * @param {Array} rules - 優先度順に並んだコンパイル済みルール
+ * @param {object} ctx - { $, $el, index, contentIndex, text, classes, fontSize }
+ * @param {Set<string>} fired - 発火済みルールID（once の判定用）
+ */
+export function findRule(rules, ctx, fired) {
+  for (const rule of rules) {
+    if (rule.once && fired.has(rule.id)) continue;
+    if (rule.match(ctx)) return rule;
+  }
+  return null;
+}
+
+const byPriority = (a, b) => b.priority - a.priority;
+
+/** 組み込みルールだけ（優先度順） */
+export const DEFAULT_RULES = BUILTIN_RULES.map(compileRule).sort(byPriority);
+
+export class BlockRuleRegistry {
+  constructor(filePath = RULES_PATH) {
+    this.filePath = filePath;
+    this.custom = []; // 保存されている独自ルール（コンパイル済み）
+    this._cache = new Map(); // team -> 有効なルール
+  }
+
+  async init() {
+    try {
+      if (existsSync(this.filePath)) {
+        const data = JSON.parse(await readFile(this.filePath, "utf-8"));
+        this.custom = [];
+        for (const raw of data.rules || []) {
+          try {
+            this.custom.push(compileRule(raw));
+          } catch (err) {
+            console.error(`[block-rules] ルールを読み飛ばしました: ${err.message}`);
+          }
+        }
+      }
+    } catch (err) {
+      console.error(`[block-rules] block-rules.json 読み込みエラー: ${err.message}`);
+    }
+    this._cache.clear();
+    return this.custom.length;
+  }
+
+  /** 保存されている独自ルール（JSONのまま） */
+  list() {
+    return this.custom.map((r) => r.source);
+  }
+
+  /**
+   * チームに適用するルール（組み込み → 全体の独自ルール → チームの独自ルールの順に上書き）
+   * @param {string|null} team
+   */
+  rulesFor(team = null) {
+    const key = team || "";
+    if (this._cache.has(key)) return this._cache.get(key);
+    const byId = new Map(DEFAULT_RULES.map((r) => [r.id, r]));
+    for (const rule of [...this.custom.filter((r) => !r.team), ...this.custom.filter((r) => r.team && r.team === team)]) {
+      if (rule.disabled) byId.delete(rule.id);
+      else byId.set(rule.id, rule);
+    }
+    const rules = [...byId.values()].sort(byPriority);
+    this._cache.set(key, rules);
+    return rules;
+  }
+
+  /**
+   * 独自ルールを入れ替えて保存
+   * @param {Array} rawRules
+   * @throws {Error} 不正なルール（1件でもあれば何も変更しない）
+   */
+  async replace(rawRules) {
+    if (!Array.isArray(rawRules)) throw new Error("rules は配列で指定してください");
+    if (rawRules.length > MAX_RULES) throw new Error(`独自ルールは${MAX_RULES}件までです`);
+    const compiled = rawRules.map(compileRule);
+    const seen = new Set();
+    for (const rule of compiled) {
+      const key = `${rule.team || ""}/${rule.id}`;
+      if (seen.has(key)) throw new Error(`ルールIDが重複しています: ${rule.id}`);
+      seen.add(key);
+    }
+    this.custom = compiled;
+    this._cache.clear();
+    await writeFileAtomic(this.filePath, JSON.stringify({ rules: this.list() }, null, 2));
+    return this.custom.length;
+  }
+
+  /** 画面用: 適用されるルールの一覧 */
+  describe(team = null) {
+    const customIds = new Set(this.custom.filter((r) => !r.team || r.team === team).map((r) => r.id));
+    return this.rulesFor(team).map((r) => ({
+      id: r.id,
+      type: r.type,
+      label: r.label,
+      priority: r.priority,
+      build: r.build,
+      team: r.team,
+      custom: customIds.has(r.id),
+    }));
+  }
+}
+
+export const blockRuleRegistry = new BlockRuleRegistry();
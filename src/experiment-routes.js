@@ -0,0 +1,227 @@
+/**
+ * experiment-routes.js - A/Bテスト配信 Express Router
+ *
+ * /api/experiments/* … 実験CRUD・イベント収集・集計・Cloudflare公開
+ * /x/:id/            … ローカル配信（ルーター index.html + バリアントページ）
+ */
+import express, { Router } from "express";
+import { experimentManager, buildRouterHtml, injectTracker, variantFileName } from "./experiments.js";
+import { canAccess, ownerFields } from "./auth.js";
+import { secrets } from "./secrets.js";
+import { asyncHandler } from "./utils.js";
+
+// 公開のイベント収集は IP × 実験ごとに固定ウィンドウで件数を制限する
+// （1訪問は閲覧1 + スクロール最大4 + クリック数件なので、同じIPの複数訪問者にも十分な上限）
+const EVENT_WINDOW = 60 * 1000;
+const EVENT_MAX_PER_WINDOW = 120;
+const EVENT_RATE_PRUNE_SIZE = 10000;
+
+/**
+ * @param {object} deps
+ * @param {(id: string) => Promise<object|null>} deps.getProject
+ * @param {(project: object) => Promise<void>} deps.saveProject
+ * @param {(project: object, baseUrl: string) => string|null} deps.buildPublishHtml
+ * @param {(projectName: string, files: object) => Promise<object>} deps.deployToCloudflarePages
+ */
+export function createExperimentRoutes({ getProject, saveProject, buildPublishHtml, deployToCloudflarePages }) {
+  const router = Router();
+  const eventRates = new Map(); // "ip|experimentId" -> { count, since }
+
+  function allowEvent(ip, experimentId) {
+    const now = Date.now();
+    const key = `${ip}|${experimentId}`;
+    let rate = eventRates.get(key);
+    if (!rate || now - rate.since >= EVENT_WINDOW) {
+      // 期限切れのウィンドウはまとめて捨てる
+      if (eventRates.size >= EVENT_RATE_PRUNE_SIZE) {
+        for (const [k, r] of eventRates) if (now - r.since >= EVENT_WINDOW) eventRates.delete(k);
+      }
+      rate = { count: 0, since: now };
+      eventRates.set(key, rate);
+    }
+    return ++rate.count <= EVENT_MAX_PER_WINDOW;
+  }
+
+  function baseUrlOf(req) {
+    return `${req.protocol}://${req.get("host")}`;
+  }
+
+  function collectorUrlOf(experiment, req) {
+    const base = (experiment.collectorUrl || baseUrlOf(req)).replace(/\/+$/, "");
+    return `${base}/api/experiments/${experiment.id}/events`;
+  }
+
+  /** バリアントページを生成（計測スクリプト入り） */
+  async function buildVariantHtml(experiment, variant, req) {
+    const project = await getProject(variant.projectId);
+    if (!project) throw new Error(`バリアント ${variant.key} のプロジェクトが見つかりません`);
+    const hadBuild = !!project.buildResult;
+    const html = buildPublishHtml(project, baseUrlOf(req));
+    if (!html) throw new Error(`バリアント ${variant.key} に公開するHTMLがありません`);
+    if (!hadBuild) await saveProject(project);
+    return injectTracker(html, experiment, variant.key, collectorUrlOf(experiment, req));
+  }
+
+  async function validateVariantProjects(variants, user) {
+    for (const v of variants || []) {
+      const project = await getProject(v.projectId);
+      if (!project || !canAccess(user, project)) return `プロジェクトが見つかりません: ${v.projectId}`;
+      if (!["ready", "done"].includes(project.status)) return `プロジェクト ${project.slug} はまだ編集可能な状態ではありません`;
+    }
+    return null;
+  }
+
+  /** 所有者・チーム以外の実験は存在しないものとして扱う（見つからなければ 404 を返して null） */
+  async function findExperiment(req, res) {
+    const experiment = await experimentManager.get(req.params.id);
+    if (!experiment || !canAccess(req.user, experiment)) {
+      res.status(404).json({ error: "実験が見つかりません" });
+      return null;
+    }
+    return experiment;
+  }
+
+  // ── 実験CRUD ────────────────────────────────
+
+  router.get("/api/experiments", asyncHandler(async (req, res) => {
+    try {
+      const experiments = (await experimentManager.list()).filter((e) => canAccess(req.user, e));
+      res.json({ experiments });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }));
+
+  router.post("/api/experiments", asyncHandler(async (req, res) => {
+    try {
+      const invalid = await validateVariantProjects(req.body.variants, req.user);
+      if (invalid) return res.status(400).json({ error: invalid });
+      const experiment = await experimentManager.create(req.body, ownerFields(req.user));
+      res.json({ ok: true, experiment, localUrl: `/x/${experiment.id}/` });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }));
+
+  router.get("/api/experiments/:id", asyncHandler(async (req, res) => {
+    try {
+      const experiment = await findExperiment(req, res);
+      if (!experiment) return;
+      res.json({ experiment, localUrl: `/x/${experiment.id}/` });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }));
+
+  router.put("/api/experiments/:id", asyncHandler(async (req, res) => {
+    try {
+      if (!await findExperiment(req, res)) return;
+      const experiment = await experimentManager.update(req.params.id, req.body);
+      if (!experiment) return res.status(404).json({ error: "実験が見つかりません" });
+      res.json({ ok: true, experiment });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }));
+
+  router.delete("/api/experiments/:id", asyncHandler(async (req, res) => {
+    try {
+      if (!await findExperiment(req, res)) return;
+      const deleted = await experimentManager.delete(req.params.id);
+      if (!deleted) return res.status(404).json({ error: "実験が見つかりません" });
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }));
+
+  // ── イベント収集（sendBeacon は text/plain で届く） ──────
+
+  router.post("/api/experiments/:id/events", express.text({ type: "*/*", limit: "16kb" }), asyncHandler(async (req, res) => {
+    try {
+      if (!allowEvent(req.ip, req.params.id)) return res.status(429).json({ error: "イベントが多すぎます" });
+      const experiment = await experimentManager.get(req.params.id);
+      if (!experiment) return res.status(404).json({ error: "実験が見つかりません" });
+
+      let event = req.body;
+      if (typeof event === "string") {
+        try { event = JSON.parse(event); } catch { return res.status(400).json({ error: "Invalid event" }); }
+      }
+      await experimentManager.recordEvent(experiment, event);
+      res.status(204).end();
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }));
+
+  router.get("/api/experiments/:id/stats", asyncHandler(async (req, res) => {
+    try {
+      const experiment = await findExperiment(req, res);
+      if (!experiment) return;
+      res.json(await experimentManager.getStats(experiment));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }));
+
+  // ── Cloudflare Pages 公開 ─────────────────────────
+
+  router.post("/api/experiments/:id/publish", asyncHandler(async (req, res) => {
+    try {
+      const experiment = await findExperiment(req, res);
+      if (!experiment) return;
+      if (!secrets.has("CLOUDFLARE_API_TOKEN") || !secrets.has("CLOUDFLARE_ACCOUNT_ID")) {
+        return res.status(400).json({ error: "Cloudflare APIトークンが未設定です。先に設定してください。" });
+      }
+
+      const files = { "index.html": buildRouterHtml(experiment) };
+      for (const variant of experiment.variants) {
+        files[variantFileName(variant.key)] = await buildVariantHtml(experiment, variant, req);
+      }
+
+      const projectName = `ab-${experiment.id}`.replace(/[^a-z0-9-]/g, "-").slice(0, 50);
+      const deployment = await deployToCloudflarePages(projectName, files);
+      const updated = await experimentManager.update(experiment.id, { publishedUrl: deployment.url, cfProjectName: projectName });
+
+      res.json({
+        ok: true,
+        ...deployment,
+        projectName,
+        collectorUrl: collectorUrlOf(experiment, req),
+        experiment: updated,
+      });
+    } catch (err) {
+      res.status(500).json({ error: `公開エラー: ${err.message}` });
+    }
+  }));
+
+  // ── ローカル配信 ─────────────────────────────
+
+  router.get("/x/:id", asyncHandler(async (req, res) => {
+    const experiment = await experimentManager.get(req.params.id);
+    if (!experiment) return res.status(404).send("Experiment not found");
+    // 相対パスでバリアントに遷移するため末尾スラッシュに揃える
+    if (!req.path.endsWith("/")) {
+      const query = req.originalUrl.slice(req.path.length);
+      return res.redirect(302, `${req.path}/${query}`);
+    }
+    res.setHeader("Cache-Control", "no-store");
+    res.type("html").send(buildRouterHtml(experiment));
+  }));
+
+  router.get("/x/:id/:file", asyncHandler(async (req, res) => {
+    try {
+      const experiment = await experimentManager.get(req.params.id);
+      if (!experiment) return res.status(404).send("Experiment not found");
+      const variant = experiment.variants.find((v) => variantFileName(v.key) === req.params.file);
+      if (!variant) return res.status(404).send("Variant not found");
+
+      res.setHeader("Cache-Control", "no-store");
+      res.type("html").send(await buildVariantHtml(experiment, variant, req));
+    } catch (err) {
+      res.status(500).send(err.message);
+    }
+  }));
+
+  return router;
+}
@@ -0,0 +1,396 @@
+/**
+ * experiments.js - バリアントLPのA/B配信 + コンバージョン計測
+ *
+ * 複数のバリアントプロジェクトを1つのURLの背後で配信する。
+ *   index.html   … ルータースクリプト（重みで振り分け、Cookieで訪問者をバリアントに固定）
+ *   v-<key>.html … 各バリアント（閲覧・スクロール深度・CTAクリックをビーコン送信）
+ * 同じファイル群をローカルの Express（/x/:id/）と Cloudflare Pages の両方で配信できる。
+ *
+ * 実験の設定は data/experiments.json、イベントは output/experiments/<id>.jsonl に追記
+ * （公開エンドポイントから届くため、1実験あたり MAX_EVENTS_PER_EXPERIMENT 件で打ち止め）。
+ * 集計はイベントファイルから初回に再構築し、以降はメモリ上で更新する。
+ */
+import { readFile, appendFile, rm } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { PROJECT_ROOT, OUTPUT_DIR, ensureDir, writeFileAtomic } from "./utils.js";
+
+const EXPERIMENTS_PATH = path.join(PROJECT_ROOT, "data", "experiments.json");
+const EVENTS_DIR = path.join(OUTPUT_DIR, "experiments");
+
+export const EVENT_TYPES = ["view", "scroll", "click"];
+const SCROLL_MARKS = [25, 50, 75, 100];
+const VARIANT_KEYS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const COOKIE_MAX_AGE = 30 * 24 * 60 * 60; // 30日
+export const MAX_EVENTS_PER_EXPERIMENT = 500000; // 1行およそ100バイト → 50MB 程度
+
+function genExperimentId() {
+  return "x" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+async function loadExperiments() {
+  try {
+    if (existsSync(EXPERIMENTS_PATH)) {
+      const raw = await readFile(EXPERIMENTS_PATH, "utf-8");
+      return JSON.parse(raw);
+    }
+  } catch {}
+  return [];
+}
+
+async function saveExperiments(experiments) {
+  await writeFileAtomic(EXPERIMENTS_PATH, JSON.stringify(experiments, null, 2));
+}
+
+/** バリアント定義を正規化（キーの自動採番・重みの検証） */
+function normalizeVariants(variants) {
+  if (!Array.isArray(variants) || variants.length < 2) {
+    throw new Error("バリアントは2つ以上必要です");
+  }
+  if (variants.length > VARIANT_KEYS.length) throw new Error("バリアントが多すぎます");
+  const seen = new Set();
+  return variants.map((v, i) => {
+    if (!v.projectId) throw new Error("各バリアントに projectId が必要です");
+    const key = VARIANT_KEYS[i];
+    const weight = v.weight === undefined ? 1 : Number(v.weight);
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`バリアント ${key} の重みが不正です`);
+    if (seen.has(v.projectId)) throw new Error("同じプロジェクトが重複しています");
+    seen.add(v.projectId);
+    return { key, projectId: v.projectId, label: v.label || `バリアント ${key}`, weight };
+  });
+}
+
+export function variantFileName(key) {
+  return `v-${key.toLowerCase()}.html`;
+}
+
+// ── 配信用HTML ─────────────────────────────────────────────
+
+/** ルーター（index.html）: 重み付きランダムで振り分け、Cookieで固定してリダイレクト */
+export function buildRouterHtml(experiment) {
+  const config = {
+    cookie: `lpx_${experiment.id}`,
+    maxAge: COOKIE_MAX_AGE,
+    variants: experiment.variants.map((v) => ({ key: v.key, weight: v.weight, file: variantFileName(v.key) })),
+  };
+  const fallback = variantFileName(experiment.variants[0].key);
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtmlText(experiment.name)}</title>
+<script>
+(function () {
+  var c = ${scriptJson(config)};
+  var m = document.cookie.match(new RegExp("(?:^|; )" + c.cookie + "=([^;]+)"));
+  var pick = null;
+  if (m) c.variants.forEach(function (v) { if (v.key === m[1] && v.weight > 0) pick = v; });
+  if (!pick) {
+    var total = 0;
+    c.variants.forEach(function (v) { total += v.weight; });
+    var r = Math.random() * total;
+    for (var i = 0; i < c.variants.length; i++) {
+      r -= c.variants[i].weight;
+      if (r < 0) { pick = c.variants[i]; break; }
+    }
+    pick = pick || c.variants[0];
+    document.cookie = c.cookie + "=" + pick.key + "; path=/; max-age=" + c.maxAge + "; SameSite=Lax";
+  }
+  location.replace(pick.file + location.search + location.hash);
+})();
+</script>
+<noscript><meta http-equiv="refresh" content="0;url=${fallback}"></noscript>
+</head>
+<body></body>
+</html>`;
+}
+
+/** 計測スクリプト: 閲覧 / スクロール深度 / CTAクリックを collectorUrl にビーコン送信 */
+export function buildTrackerScript(experiment, variantKey, collectorUrl) {
+  const config = { variant: variantKey, url: collectorUrl, marks: SCROLL_MARKS };
+  return `<script>
+(function () {
+  var c = ${scriptJson(config)};
+  var m = document.cookie.match(/(?:^|; )lpx_vid=([^;]+)/);
+  var visitor = m ? m[1] : Math.random().toString(36).slice(2) + Date.now().toString(36);
+  if (!m) document.cookie = "lpx_vid=" + visitor + "; path=/; max-age=31536000; SameSite=Lax";
+  function send(type, extra) {
+    var data = { type: type, variant: c.variant, visitorId: visitor, ts: Date.now() };
+    for (var k in extra || {}) data[k] = extra[k];
+    var body = JSON.stringify(data);
+    if (navigator.sendBeacon && navigator.sendBeacon(c.url, body)) return;
+    try { fetch(c.url, { method: "POST", body: body, keepalive: true, mode: "no-cors" }); } catch (e) {}
+  }
+  send("view", { referrer: document.referrer.slice(0, 300) });
+  var sent = {};
+  function onScroll() {
+    var h = document.documentElement;
+    var max = h.scrollHeight - window.innerHeight;
+    var pct = max <= 0 ? 100 : Math.round((window.scrollY / max) * 100);
+    c.marks.forEach(function (mark) {
+      if (pct >= mark && !sent[mark]) { sent[mark] = 1; send("scroll", { depth: mark }); }
+    });
+  }
+  window.addEventListener("scroll", onScroll, { passive: true });
+  window.addEventListener("load", onScroll);
+  document.addEventListener("click", function (e) {
+    var el = e.target.closest && e.target.closest("a[href], button, [data-cta]");
+    if (!el) return;
+    var href = el.getAttribute("href") || "";
+    if (href.charAt(0) === "#") return; // ページ内リンクはCTAとして数えない
+    send("click", { href: href.slice(0, 300) });
+  }, true);
+})();
+</script>`;
+}
+
+/** バリアントページのHTMLに計測スクリプトを挿入 */
+export function injectTracker(html, experiment, variantKey, collectorUrl) {
+  const script = buildTrackerScript(experiment, variantKey, collectorUrl);
+  if (html.includes("</body>")) return html.replace(/<\/body>(?![\s\S]*<\/body>)/, `${script}\n</body>`);
+  return html + script;
+}
+
+// <script> 内に埋め込むJSON（</script> で閉じられないように < をエスケープ）
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+function escapeHtmlText(str) {
+  return String(str || "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+}
+
+// ── 統計 ─────────────────────────────────────────────────
+
+/** Wilson スコア区間（二項比率の信頼区間） */
+export function wilsonInterval(successes, n, z = 1.96) {
+  if (n === 0) return [0, 0];
+  const p = successes / n;
+  const denom = 1 + (z * z) / n;
+  const center = (p + (z * z) / (2 * n)) / denom;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+// 標準正規分布の累積分布関数（Abramowitz-Stegun 近似）
+function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const d = 0.3989423 * Math.exp((-x * x) / 2);
+  const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return x > 0 ? 1 - p : p;
+}
+
+/** 2群の比率差の両側 z 検定 p 値 */
+function twoProportionPValue(s1, n1, s2, n2) {
+  if (n1 === 0 || n2 === 0) return null;
+  const pooled = (s1 + s2) / (n1 + n2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  if (se === 0) return null;
+  const z = (s2 / n2 - s1 / n1) / se;
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+function emptyCounters() {
+  return { visitors: new Set(), clickers: new Set(), views: 0, clicks: 0, scroll: Object.fromEntries(SCROLL_MARKS.map((m) => [m, new Set()])) };
+}
+
+// ── Manager ─────────────────────────────────────────────
+
+export class ExperimentManager {
+  constructor(eventsDir = EVENTS_DIR) {
+    this.eventsDir = eventsDir;
+    this._counters = new Map(); // experimentId -> { variantKey -> counters }
+    this._eventCounts = new Map(); // experimentId -> 記録済みイベント数
+    this._writes = Promise.resolve();
+  }
+
+  // 読み込み → 変更 → 保存 を1つずつ実行（同時の更新・公開・削除で変更を失わないように）
+  _serialize(fn) {
+    const run = this._writes.then(fn);
+    this._writes = run.catch(() => {});
+    return run;
+  }
+
+  async list() {
+    return loadExperiments();
+  }
+
+  async get(id) {
+    const experiments = await loadExperiments();
+    return experiments.find((e) => e.id === id) || null;
+  }
+
+  async create(data, owner = {}) {
+    return this._serialize(() => this._create(data, owner));
+  }
+
+  async _create(data, owner) {
+    const experiments = await loadExperiments();
+    const experiment = {
+      id: genExperimentId(),
+      name: data.name || "A/Bテスト",
+      status: "running",
+      variants: normalizeVariants(data.variants),
+      collectorUrl: data.collectorUrl || "",
+      publishedUrl: null,
+      owner: owner.owner || null,
+      team: owner.team || null,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    experiments.push(experiment);
+    await saveExperiments(experiments);
+    return experiment;
+  }
+
+  async update(id, updates) {
+    return this._serialize(() => this._update(id, updates));
+  }
+
+  async _update(id, updates) {
+    const experiments = await loadExperiments();
+    const idx = experiments.findIndex((e) => e.id === id);
+    if (idx === -1) return null;
+    const current = experiments[idx];
+    const next = { ...current, updatedAt: Date.now() };
+    if (updates.name !== undefined) next.name = updates.name;
+    if (updates.collectorUrl !== undefined) next.collectorUrl = updates.collectorUrl;
+    if (updates.status !== undefined) {
+      if (!["running", "stopped"].includes(updates.status)) throw new Error("status は running / stopped のいずれかです");
+      next.status = updates.status;
+    }
+    if (updates.variants !== undefined) {
+      // 重みとラベルのみ変更可（バリアント構成の変更は集計が壊れるため新しい実験で）
+      const byKey = new Map(updates.variants.map((v) => [v.key, v]));
+      next.variants = current.variants.map((v) => {
+        const u = byKey.get(v.key);
+        if (!u) return v;
+        const weight = u.weight === undefined ? v.weight : Number(u.weight);
+        if (!Number.isFinite(weight) || weight < 0) throw new Error(`バリアント ${v.key} の重みが不正です`);
+        return { ...v, label: u.label ?? v.label, weight };
+      });
+      if (next.variants.every((v) => v.weight === 0)) throw new Error("少なくとも1つのバリアントの重みを0より大きくしてください");
+    }
+    if (updates.publishedUrl !== undefined) next.publishedUrl = updates.publishedUrl;
+    if (updates.cfProjectName !== undefined) next.cfProjectName = updates.cfProjectName;
+    experiments[idx] = next;
+    await saveExperiments(experiments);
+    return next;
+  }
+
+  async delete(id) {
+    const deleted = await this._serialize(async () => {
+      const experiments = await loadExperiments();
+      const filtered = experiments.filter((e) => e.id !== id);
+      if (filtered.length === experiments.length) return false;
+      await saveExperiments(filtered);
+      return true;
+    });
+    if (!deleted) return false;
+    this._counters.delete(id);
+    this._eventCounts.delete(id);
+    await rm(this._eventsFile(id), { force: true });
+    return true;
+  }
+
+  _eventsFile(id) {
+    return path.join(this.eventsDir, `${id}.jsonl`);
+  }
+
+  /**
+   * イベントを検証して記録
+   * @returns {Promise<boolean>} 記録したか（不正・停止中・上限到達は false）
+   */
+  async recordEvent(experiment, raw) {
+    if (experiment.status !== "running") return false;
+    const type = raw?.type;
+    const variant = experiment.variants.find((v) => v.key === raw?.variant);
+    const visitorId = typeof raw?.visitorId === "string" ? raw.visitorId.slice(0, 64) : "";
+    if (!EVENT_TYPES.includes(type) || !variant || !visitorId) return false;
+
+    const event = { type, variant: variant.key, visitorId, ts: Date.now() };
+    if (type === "scroll") {
+      event.depth = Number(raw.depth);
+      if (!SCROLL_MARKS.includes(event.depth)) return false;
+    }
+    if (type === "click" && raw.href) event.href = String(raw.href).slice(0, 300);
+
+    const counters = await this._loadCounters(experiment);
+    const recorded = this._eventCounts.get(experiment.id) || 0;
+    if (recorded >= MAX_EVENTS_PER_EXPERIMENT) return false;
+    this._eventCounts.set(experiment.id, recorded + 1);
+    await ensureDir(this.eventsDir);
+    await appendFile(this._eventsFile(experiment.id), JSON.stringify(event) + "\n", "utf-8");
+    applyEvent(counters, event);
+    return true;
+  }
+
+  /** バリアントごとの集計（CTR・Wilson信頼区間・コントロール比リフト・スクロール到達率） */
+  async getStats(experiment) {
+    const counters = await this._loadCounters(experiment);
+    const control = experiment.variants[0];
+    const controlCounters = counters[control.key];
+
+    const variants = experiment.variants.map((v) => {
+      const c = counters[v.key];
+      const visitors = c.visitors.size;
+      const clickers = c.clickers.size;
+      const ctr = visitors ? clickers / visitors : 0;
+      const [ciLow, ciHigh] = wilsonInterval(clickers, visitors);
+      const controlCtr = controlCounters.visitors.size ? controlCounters.clickers.size / controlCounters.visitors.size : 0;
+      const isControl = v.key === control.key;
+      return {
+        key: v.key,
+        label: v.label,
+        projectId: v.projectId,
+        weight: v.weight,
+        visitors,
+        views: c.views,
+        clicks: c.clicks,
+        clickers,
+        ctr,
+        ci: [ciLow, ciHigh],
+        lift: isControl || !controlCtr ? null : (ctr - controlCtr) / controlCtr,
+        pValue: isControl ? null : twoProportionPValue(controlCounters.clickers.size, controlCounters.visitors.size, clickers, visitors),
+        scroll: Object.fromEntries(SCROLL_MARKS.map((m) => [m, visitors ? c.scroll[m].size / visitors : 0])),
+      };
+    });
+    return { experimentId: experiment.id, confidence: 0.95, variants };
+  }
+
+  async _loadCounters(experiment) {
+    if (this._counters.has(experiment.id)) return this._counters.get(experiment.id);
+    const counters = Object.fromEntries(experiment.variants.map((v) => [v.key, emptyCounters()]));
+    const file = this._eventsFile(experiment.id);
+    let recorded = 0;
+    if (existsSync(file)) {
+      const raw = await readFile(file, "utf-8");
+      for (const line of raw.split("\n")) {
+        if (!line.trim()) continue;
+        recorded++;
+        try { applyEvent(counters, JSON.parse(line)); } catch {}
+      }
+    }
+    this._counters.set(experiment.id, counters);
+    this._eventCounts.set(experiment.id, recorded);
+    return counters;
+  }
+}
+
+function applyEvent(counters, event) {
+  const c = counters[event.variant];
+  if (!c) return;
+  if (event.type === "view") {
+    c.views++;
+    c.visitors.add(event.visitorId);
+  } else if (event.type === "click") {
+    c.clicks++;
+    // 閲覧イベントのない訪問者のクリックはCTRの分子に含めない
+    if (c.visitors.has(event.visitorId)) c.clickers.add(event.visitorId);
+  } else if (event.type === "scroll") {
+    c.scroll[event.depth]?.add(event.visitorId);
+  }
+}
+
+export const experimentManager = new ExperimentManager();
@@ -3,11 +3,13 @@
  *
  * SB互換ルール:
  * - <picture> + <source type="image/webp" data-srcset> + <img class="lazyload" data-src>
+ * - 画像差し替えは srcset・<source> の全候補を書き換える（候補の作り直しは responsive-images.js）
  * - <video class="ql-video lazyload" autoplay muted loop playsinline>
  * - sb-part-XXXXX / sb-custom-part-XXXXX は新規ID生成
  * - スコープドCSS更新
  * - CTA href差し替え
  * - 末尾にvideo margin resetウィジェット
+ * - ヘッダー・フッター・追従CTA（data-chrome ラッパー）は固定表示のSBウィジェットに変換
  * - <html>/<body>タグなし（SBフラグメント）
  */
 import * as cheerio from "cheerio";
@@ -15,14 +17,18 @@ import { readFile, writeFile } from "fs/promises";
 import { readFileSync, existsSync } from "fs";
 import path from "path";
 import { generateSbId, generateSbPartNumber } from "./utils.js";
+import { readChromeAttrs, chromePositionCss } from "./page-chrome.js";
+import { rewriteImageUrls, styleImageUrls } from "./responsive-images.js";
+import { parseSrcset } from "./lazy-load.js";
 
 /**
  * SB互換HTMLを構築
  * @param {string} html - 差し替え済みHTML
  * @param {object} config - ビルド設定
- * @param {object} config.imageMap - { originalSrc: localPath } 画像差し替えマップ
+ * @param {object} config.imageMap - { originalSrc: localPath } 画像差し替えマップ（srcset 等の候補URLごとの指定も可）
  * @param {string} config.ctaUrl - CTA差し替えURL
  * @param {boolean} config.regenerateIds - SBパートIDを再生成するか (default: true)
+ * @param {boolean} config.includeChrome - ヘッダー・フッター・追従CTAを出力するか (default: true)
  * @returns {string} SB互換HTML
  */
 export function buildSbHtml(html, config = {}) {
@@ -52,6 +58,9 @@ export function buildSbHtml(html, config = {}) {
   // 4. lazyload属性の確認・修正
   ensureLazyload($);
 
+  // 4.2. ページ外枠 → SBウィジェット
+  convertChromeBlocks($, config.includeChrome !== false);
+
   // 4.5. 画像URLの絶対化 + ローカル画像base64埋め込み（Beyond貼り付け対応）
   if (config.baseUrl || config.imagesDir) {
     const embedBase64 = config.embedBase64 !== false;
@@ -168,48 +177,27 @@ function regenerateSbIds($) {
 
 /**
  * 画像を差し替え
+ * imageMap に元の候補URL（srcset・<source>）ごとの作り直した画像があればそれを、
+ * なければ代表URLの差し替え先を入れる（古い候補を残さない）
  */
 function replaceImages($, imageMap) {
-  // picture内のsource + img
-  $("picture").each((_, pictureEl) => {
-    const $picture = $(pictureEl);
-    const $img = $picture.find("img").first();
-    const originalSrc =
-      $img.attr("data-src") || $img.attr("src") || "";
-
+  $("picture, img").each((_, mediaEl) => {
+    const $media = $(mediaEl);
+    if (mediaEl.tagName.toLowerCase() === "img" && $media.closest("picture").length > 0) return; // picture内はpicture側で処理
+    const $img = $media.is("img") ? $media : $media.find("img").first();
+    const originalSrc = $img.attr("data-src") || $img.attr("src") || "";
     if (!originalSrc || !imageMap[originalSrc]) return;
 
     const newSrc = imageMap[originalSrc];
-
-    // imgのdata-srcとsrcを更新
-    $img.attr("data-src", newSrc);
-    if ($img.attr("src")) $img.attr("src", newSrc);
-
-    // webp/avif sourceのdata-srcsetも更新
-    $picture.find("source").each((_, sourceEl) => {
-      const $source = $(sourceEl);
-      const type = $source.attr("type") || "";
-      // 元のURLベースで同一アセットのsourceを更新
-      if ($source.attr("data-srcset")) {
-        $source.attr("data-srcset", newSrc);
-      }
-      if ($source.attr("srcset")) {
-        $source.attr("srcset", newSrc);
-      }
-    });
+    rewriteImageUrls($, $media, (url) => imageMap[url] || newSrc);
   });
 
-  // 単独img（picture外）
-  $("img").each((_, imgEl) => {
-    const $img = $(imgEl);
-    if ($img.closest("picture").length > 0) return; // picture内は処理済み
-
-    const originalSrc = $img.attr("data-src") || $img.attr("src") || "";
-    if (originalSrc && imageMap[originalSrc]) {
-      const newSrc = imageMap[originalSrc];
-      $img.attr("data-src", newSrc);
-      if ($img.attr("src")) $img.attr("src", newSrc);
-    }
+  // CSS背景（image-set() の他の候補も差し替え先に揃える）
+  $('[style*="url("]').each((_, el) => {
+    const urls = styleImageUrls($(el).attr("style"));
+    const hit = urls.find((url) => imageMap[url]);
+    if (!hit) return;
+    rewriteImageUrls($, $(el), (url) => imageMap[url] || (urls.includes(url) ? imageMap[hit] : null));
   });
 }
 
@@ -326,18 +314,36 @@ function absolutifyImageUrls($, baseUrl, imagesDir, embedBase64 = true) {
     }
   });
 
+  // srcset（候補ごとに解決し、幅・密度の記述子は残す）
+  function resolveSrcset(value) {
+    return parseSrcset(value)
+      .map(({ url, descriptor }) => {
+        const resolved = resolveUrl(url) || url;
+        return descriptor ? `${resolved} ${descriptor}` : resolved;
+      })
+      .join(", ");
+  }
+
   // source要素（picture内）
   $("source").each((_, el) => {
     const $source = $(el);
     const dataSrcset = $source.attr("data-srcset") || "";
     const srcset = $source.attr("srcset") || "";
-    const resolved = resolveUrl(dataSrcset) || resolveUrl(srcset);
+    const resolved = resolveSrcset(dataSrcset || srcset);
     if (resolved) {
       $source.attr("srcset", resolved);
       $source.attr("data-srcset", resolved);
     }
   });
 
+  // img の srcset
+  $("img[srcset], img[data-srcset]").each((_, el) => {
+    const $img = $(el);
+    for (const attr of ["srcset", "data-srcset"]) {
+      if ($img.attr(attr)) $img.attr(attr, resolveSrcset($img.attr(attr)));
+    }
+  });
+
   // video source
   $("video source").each((_, el) => {
     const $source = $(el);
@@ -351,6 +357,34 @@ function absolutifyImageUrls($, baseUrl, imagesDir, embedBase64 = true) {
   });
 }
 
+/**
+ * data-chrome ラッパーをSBカスタムウィジェットに変換（include=false なら削除）
+ * 固定表示のものはスコープドCSSで position: fixed にし、下部固定なら本文末尾が隠れないよう余白を足す
+ */
+function convertChromeBlocks($, include) {
+  $("[data-chrome]").each((_, el) => {
+    const $el = $(el);
+    const chrome = readChromeAttrs($el);
+    if (!chrome) return;
+    if (!include) {
+      $el.remove();
+      return;
+    }
+    const partNum = generateSbPartNumber();
+    const classId = generateSbId();
+    const rules = [];
+    const positionCss = chromePositionCss(chrome);
+    if (positionCss) rules.push(`    #sb-part-${partNum} { ${positionCss} }`);
+    if (positionCss && chrome.edge === "bottom" && chrome.height) {
+      rules.push(`    body .article-body { padding-bottom: ${chrome.height}px; }`);
+    }
+    $el.replaceWith(`<div><div class="sb-custom"><span><div id="sb-part-${partNum}" class="sb-custom-part-${classId}">
+${$el.html()}
+${rules.length ? `<style>\n${rules.join("\n")}\n</style>\n` : ""}</div>
+<style></style></span></div></div>`);
+  });
+}
+
 /**
  * video margin resetウィジェットを生成
  */
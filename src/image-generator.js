@@ -10,6 +10,7 @@ import sharp from "sharp";
 import { writeFile, readFile } from "fs/promises";
 import path from "path";
 import { sleep } from "./utils.js";
+import { secrets } from "./secrets.js";
 
 // ── 動的モデル発見（ハードコードせず、APIから最新モデルを自動取得） ──
 // フォールバック用のみハードコード（API取得が完全失敗した時のみ使用）
@@ -154,11 +155,11 @@ class KeyRotator {
   _loadKeys() {
     this.keys = [];
     for (let i = 1; i <= 3; i++) {
-      const key = process.env[`GEMINI_API_KEY_${i}`];
+      const key = secrets.get(`GEMINI_API_KEY_${i}`);
       if (key && key.length >= 10 && !this.disabledKeys.has(key)) this.keys.push(key);
     }
-    if (this.keys.length === 0 && process.env.GEMINI_API_KEY) {
-      const k = process.env.GEMINI_API_KEY;
+    if (this.keys.length === 0 && secrets.has("GEMINI_API_KEY")) {
+      const k = secrets.get("GEMINI_API_KEY");
       if (!this.disabledKeys.has(k)) this.keys.push(k);
     }
   }
@@ -196,25 +197,25 @@ const keyRotator = new KeyRotator();
 // ── OpenAI helpers ──
 
 function getOpenAIKey() {
-  const k = process.env.OPENAI_API_KEY;
+  const k = secrets.get("OPENAI_API_KEY");
   if (!k) throw new Error("OPENAI_API_KEY が未設定です");
   return k;
 }
 
 function openaiAvailable() {
-  return !!process.env.OPENAI_API_KEY;
+  return secrets.has("OPENAI_API_KEY");
 }
 
 // ── PixAI helpers ──
 
 function getPixAIKey() {
-  const k = process.env.PIXAI_API_KEY;
+  const k = secrets.get("PIXAI_API_KEY");
   if (!k) throw new Error("PIXAI_API_KEY が未設定です");
   return k;
 }
 
 function pixaiAvailable() {
-  return !!process.env.PIXAI_API_KEY;
+  return secrets.has("PIXAI_API_KEY");
 }
 
 // ── Provider router ──
@@ -233,7 +234,7 @@ export async function describeImage(imagePath, context = "", provider = "nanoban
   if (provider === "openai") return describeImageOpenAI(imagePath, context);
   // PixAI/nanobanana has no vision API, use Anthropic if available, then Gemini
   if (provider === "pixai" || provider === "anthropic" || provider === "nanobanana") {
-    const anthropicKey = process.env.ANTHROPIC_API_KEY;
+    const anthropicKey = secrets.get("ANTHROPIC_API_KEY");
     if (anthropicKey) return describeImageAnthropic(imagePath, context, anthropicKey);
     // fallback to Gemini if no Anthropic key
   }
@@ -511,11 +512,13 @@ async function generateImagePixAI(prompt, options = {}) {
   const outputPath = options.outputPath || `generated_${Date.now()}.png`;
   const width = options.width || 580;
   const height = options.height || 580;
+  const signal = options.signal;
 
   try {
     // 1) タスク作成
     const createResp = await fetch("https://api.pixai.art/v1/task", {
       method: "POST",
+      signal,
       headers: {
         "Content-Type": "application/json",
         Authorization: `Bearer ${key}`,
@@ -547,10 +550,12 @@ async function generateImagePixAI(prompt, options = {}) {
 
     while (elapsed < maxWait) {
       await sleep(interval);
+      signal?.throwIfAborted();
       elapsed += interval;
 
       const statusResp = await fetch(`https://api.pixai.art/v1/task/${taskId}`, {
         headers: { Authorization: `Bearer ${key}` },
+        signal,
       });
 
       if (!statusResp.ok) continue;
@@ -565,10 +570,11 @@ async function generateImagePixAI(prompt, options = {}) {
         if (!mediaUrl) throw new Error("PixAI: No media URL in completed task");
 
         // 3) 画像ダウンロード → リサイズ → 保存
-        const imgResp = await fetch(mediaUrl);
+        const imgResp = await fetch(mediaUrl, { signal });
         if (!imgResp.ok) throw new Error(`PixAI image download failed: ${imgResp.status}`);
         const buf = Buffer.from(await imgResp.arrayBuffer());
         const resized = await sharp(buf).resize(width, height, { fit: "cover" }).jpeg({ quality: 85 }).toBuffer();
+        signal?.throwIfAborted();
         await writeFile(outputPath, resized);
         console.log(`[image-gen] Generated (PixAI): ${outputPath} (${width}x${height})`);
         return outputPath;
@@ -592,12 +598,14 @@ export async function generateVideo(prompt, options = {}) {
   const aspectRatio = options.aspectRatio || "16:9";
   const resolution = options.resolution || "720p";
   const duration = options.durationSeconds || "6";
+  const signal = options.signal;
 
   try {
     // 1) タスク作成
     const url = `https://generativelanguage.googleapis.com/v1beta/models/veo-3.1-generate-preview:predictLongRunning`;
     const resp = await fetch(url, {
       method: "POST",
+      signal,
       headers: {
         "Content-Type": "application/json",
         "x-goog-api-key": key,
@@ -629,10 +637,12 @@ export async function generateVideo(prompt, options = {}) {
 
     while (elapsed < maxWait) {
       await sleep(interval);
+      signal?.throwIfAborted();
       elapsed += interval;
 
       const statusResp = await fetch(`${baseUrl}/${opName}`, {
         headers: { "x-goog-api-key": key },
+        signal,
       });
 
       if (!statusResp.ok) continue;
@@ -648,9 +658,10 @@ export async function generateVideo(prompt, options = {}) {
 
         // 3) 動画ダウンロード → 保存
         const dlUrl = `${videoUri}&key=${key}`;
-        const vidResp = await fetch(dlUrl);
+        const vidResp = await fetch(dlUrl, { signal });
         if (!vidResp.ok) throw new Error(`Veo 3 download failed: ${vidResp.status}`);
         const buf = Buffer.from(await vidResp.arrayBuffer());
+        signal?.throwIfAborted();
         await writeFile(outputPath, buf);
         console.log(`[video-gen] Generated (Veo 3): ${outputPath}`);
         return outputPath;
@@ -668,12 +679,14 @@ export async function generateVideo(prompt, options = {}) {
 
 // ── generateImageFromReference ──
 
+// options.signal を渡すと中断時にAPI呼び出しを打ち切り、出力ファイルも書かない
 export async function generateImageFromReference(imagePath, options = {}) {
   const provider = options.provider || (pixaiAvailable() ? "pixai" : "nanobanana");
   if (provider === "pixai") {
     // PixAI: 画像説明を取得してプロンプトベースで生成
     let description = "商品関連画像";
     try { description = await describeImage(imagePath); } catch {}
+    options.signal?.throwIfAborted();
     return generateImagePixAI(description, options);
   }
   if (provider === "openai") return generateImageFromReferenceOpenAI(imagePath, options);
@@ -697,6 +710,7 @@ async function generateImageFromReferenceGemini(imagePath, options = {}) {
   // Try multiple keys × multiple models for reference-based generation
   const triedKeys = new Set();
   for (let attempt = 0; attempt < 3; attempt++) {
+    options.signal?.throwIfAborted();
     let key;
     try { key = keyRotator.getKey(); } catch { break; }
     if (triedKeys.has(key)) break;
@@ -708,6 +722,7 @@ async function generateImageFromReferenceGemini(imagePath, options = {}) {
       try {
         const resp = await fetch(url, {
           method: "POST",
+          signal: options.signal,
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({
             contents: [{ parts: [
@@ -734,12 +749,14 @@ async function generateImageFromReferenceGemini(imagePath, options = {}) {
           if (part.inline_data?.mime_type?.startsWith("image/")) {
             const buffer = Buffer.from(part.inline_data.data, "base64");
             const resized = await sharp(buffer).resize(width, height, { fit: "cover" }).jpeg({ quality: 85 }).toBuffer();
+            options.signal?.throwIfAborted();
             await writeFile(outputPath, resized);
             console.log(`[image-gen] Reference-based (${model}): ${outputPath} (${width}x${height}, ${nuance}/${style})`);
             return outputPath;
           }
         }
       } catch (err) {
+        if (options.signal?.aborted) throw err;
         console.warn(`[image-gen] ${model} reference error: ${err.message}`);
       }
     }
@@ -766,6 +783,7 @@ async function generateImageFromReferenceOpenAI(imagePath, options = {}) {
   // Step 1: Describe reference image
   const descResp = await fetch("https://api.openai.com/v1/chat/completions", {
     method: "POST",
+    signal: options.signal,
     headers: { "Content-Type": "application/json", Authorization: `Bearer ${key}` },
     body: JSON.stringify({
       model: "gpt-4o",
@@ -789,6 +807,7 @@ async function generateImageFromReferenceOpenAI(imagePath, options = {}) {
   // Step 3: Generate with DALL-E 3
   const genResp = await fetch("https://api.openai.com/v1/images/generations", {
     method: "POST",
+    signal: options.signal,
     headers: { "Content-Type": "application/json", Authorization: `Bearer ${key}` },
     body: JSON.stringify({
       model: "dall-e-3",
@@ -811,6 +830,7 @@ async function generateImageFromReferenceOpenAI(imagePath, options = {}) {
 
   const buffer = Buffer.from(imageBase64, "base64");
   const resized = await sharp(buffer).resize(width, height, { fit: "cover" }).jpeg({ quality: 85 }).toBuffer();
+  options.signal?.throwIfAborted();
   await writeFile(outputPath, resized);
   console.log(`[image-gen] Reference-based (DALL-E 3): ${outputPath} (${width}x${height})`);
   return outputPath;
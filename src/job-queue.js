@@ -0,0 +1,363 @@
+/**
+ * job-queue.js - 長時間処理（スクレイピング・AI生成）のジョブキュー
+ *
+ * 重いルートはジョブを登録して jobId を即座に返し、ワーカーが
+ * プロバイダーごとの同時実行数の上限内で順番に処理する。
+ *   - 一時的なエラー（ネットワーク・5xx・レートリミット）は指数バックオフで再試行
+ *   - 実行中のジョブは AbortSignal でキャンセルを通知
+ *   - ジョブは data/jobs.json に永続化し、再起動時に未完了ジョブを再開
+ *
+ * 同時実行数は JOB_CONCURRENCY（例: "playwright=1,fal=3"）で上書きできる。
+ */
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { PROJECT_ROOT, writeFileAtomic } from "./utils.js";
+
+const JOBS_PATH = path.join(PROJECT_ROOT, "data", "jobs.json");
+
+export const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+const ACTIVE_STATUSES = new Set(["queued", "running"]);
+
+// プロバイダーごとの同時実行数（未定義のプロバイダーは default）
+const DEFAULT_CONCURRENCY = { playwright: 2, gemini: 2, openai: 2, pixai: 1, fal: 2, veo: 1, default: 2 };
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 60000;
+const MAX_RESUMES = 3; // 再起動をまたいで再開する回数の上限
+const FINISHED_TTL = 24 * 60 * 60 * 1000; // 完了済みジョブの保持期間
+const MAX_FINISHED = 500;
+
+export class JobCancelledError extends Error {
+  constructor(message = "ジョブはキャンセルされました") {
+    super(message);
+    this.name = "JobCancelledError";
+  }
+}
+
+/** 再試行すべき一時的なエラーか */
+export function isRetryableError(err) {
+  if (!err || err instanceof JobCancelledError) return false;
+  if (typeof err.retryable === "boolean") return err.retryable;
+  return /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|socket hang up|fetch failed|network timeout|\b(429|500|502|503|504)\b|レートリミット|rate limit|timed out|Timeout \d+ms exceeded/i.test(err.message || "");
+}
+
+function parseConcurrency(spec) {
+  const limits = { ...DEFAULT_CONCURRENCY };
+  for (const part of String(spec || "").split(",")) {
+    const [name, value] = part.split("=").map((s) => s.trim());
+    const n = parseInt(value, 10);
+    if (name && n > 0) limits[name] = n;
+  }
+  return limits;
+}
+
+function genJobId() {
+  return "j" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export class JobQueue {
+  constructor({ filePath = JOBS_PATH, concurrency = process.env.JOB_CONCURRENCY } = {}) {
+    this.filePath = filePath;
+    this.limits = parseConcurrency(concurrency);
+    this.jobs = new Map();     // id -> job（永続化される）
+    this.handlers = new Map(); // type -> { provider, maxAttempts, handler, onFail }
+    this.running = new Map();  // id -> { controller, provider }
+    this.listeners = [];
+    this._started = false;
+    this._timer = null;
+    this._saving = null;
+    this._dirty = false;
+  }
+
+  /**
+   * ジョブ種別を登録
+   * @param {string} type
+   * @param {object} def
+   * @param {string|function} [def.provider] - プロバイダー名、または params から決める関数
+   * @param {number} [def.maxAttempts=1] - 一時的エラー時の最大試行回数
+   * @param {function} def.handler - async (params, ctx) => result
+   * @param {function} [def.onFail] - 最終的に失敗・キャンセルされたときの後処理 (params, job) => void
+   */
+  register(type, { provider = "default", maxAttempts = 1, handler, onFail = null }) {
+    this.handlers.set(type, { provider, maxAttempts, handler, onFail });
+  }
+
+  /** プロバイダーの同時実行数を設定（バッチ単位の上限など） */
+  setLimit(provider, limit) {
+    this.limits[provider] = Math.max(1, limit);
+    this._pump();
+  }
+
+  /** (job, event, data) => void。event は queued / started / progress / retry / completed / failed / cancelled */
+  onEvent(listener) {
+    this.listeners.push(listener);
+  }
+
+  /** 起動時: 永続化されたジョブを読み込み、実行中だったものを待機列に戻す */
+  async init() {
+    let saved = [];
+    try {
+      if (existsSync(this.filePath)) saved = JSON.parse(await readFile(this.filePath, "utf-8"));
+    } catch (err) {
+      console.error(`[jobs] jobs.json 読み込みエラー: ${err.message}`);
+    }
+    let resumed = 0;
+    for (const job of saved) {
+      if (job.status === "running") {
+        job.resumeCount = (job.resumeCount || 0) + 1;
+        if (job.resumeCount > MAX_RESUMES) {
+          Object.assign(job, { status: "failed", error: "サーバー再起動による再開回数の上限を超えました", finishedAt: Date.now() });
+        } else {
+          Object.assign(job, { status: "queued", nextRunAt: 0, progress: { message: "サーバー再起動後に再開待ち", at: Date.now() } });
+        }
+      }
+      if (ACTIVE_STATUSES.has(job.status)) resumed++;
+      this.jobs.set(job.id, job);
+    }
+    this._prune();
+    if (resumed) console.log(`[jobs] ${resumed} 件の未完了ジョブを再開します`);
+    return resumed;
+  }
+
+  /** ハンドラー登録後にワーカーを開始 */
+  start() {
+    this._started = true;
+    this._persist();
+    this._pump();
+  }
+
+  /**
+   * ジョブを登録
+   * @param {string} type
+   * @param {object} params - JSON化できる値のみ（再起動後にそのまま使う）
+   * @param {object} [meta] - { projectId, owner, team, label }
+   */
+  enqueue(type, params = {}, { projectId = null, owner = null, team = null, label = "" } = {}) {
+    const def = this.handlers.get(type);
+    if (!def) throw new Error(`未登録のジョブ種別です: ${type}`);
+    const provider = typeof def.provider === "function" ? def.provider(params) : def.provider;
+    const job = {
+      id: genJobId(),
+      type,
+      label: label || type,
+      provider: provider || "default",
+      projectId,
+      owner,
+      team,
+      params,
+      status: "queued",
+      attempts: 0,
+      maxAttempts: def.maxAttempts,
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      nextRunAt: 0,
+    };
+    this.jobs.set(job.id, job);
+    this._emit(job, "queued", { position: this._queuePosition(job) });
+    this._persist();
+    // 呼び出し側が jobId を記録してから開始する
+    setImmediate(() => this._pump());
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /** 新しい順。filter で絞り込み */
+  list(filter = () => true) {
+    return [...this.jobs.values()].filter(filter).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /** 指定条件の未完了ジョブがあるか */
+  hasActive(predicate) {
+    for (const job of this.jobs.values()) {
+      if (ACTIVE_STATUSES.has(job.status) && predicate(job)) return true;
+    }
+    return false;
+  }
+
+  /** キャンセル。待機中は即座に、実行中は AbortSignal で中断を通知 */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || !ACTIVE_STATUSES.has(job.status)) return job || null;
+    const running = this.running.get(id);
+    if (running) running.controller.abort(new JobCancelledError());
+    this._finish(job, "cancelled", { error: "キャンセルされました" });
+    return job;
+  }
+
+  /** プロバイダーごとの実行状況 */
+  stats() {
+    const providers = {};
+    for (const job of this.jobs.values()) {
+      if (!ACTIVE_STATUSES.has(job.status)) continue;
+      const p = (providers[job.provider] ||= { running: 0, queued: 0, limit: this._limit(job.provider) });
+      if (this.running.has(job.id)) p.running++;
+      else if (job.status === "queued") p.queued++;
+    }
+    return providers;
+  }
+
+  // ── 内部処理 ─────────────────────────────────────────
+
+  _limit(provider) {
+    return this.limits[provider] || this.limits.default;
+  }
+
+  _activeCount(provider) {
+    let n = 0;
+    for (const r of this.running.values()) if (r.provider === provider) n++;
+    return n;
+  }
+
+  _queuePosition(job) {
+    let pos = 0;
+    for (const other of this.jobs.values()) {
+      if (other.status === "queued" && other.provider === job.provider && other.createdAt <= job.createdAt) pos++;
+    }
+    return pos;
+  }
+
+  /** 空きスロットのあるプロバイダーの待機ジョブを古い順に開始 */
+  _pump() {
+    if (!this._started) return;
+    clearTimeout(this._timer);
+    const now = Date.now();
+    let nextWake = Infinity;
+    const queued = [...this.jobs.values()]
+      .filter((j) => j.status === "queued")
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of queued) {
+      if (job.nextRunAt > now) {
+        nextWake = Math.min(nextWake, job.nextRunAt);
+        continue;
+      }
+      if (this._activeCount(job.provider) >= this._limit(job.provider)) continue;
+      this._run(job);
+    }
+    if (nextWake < Infinity) this._timer = setTimeout(() => this._pump(), nextWake - now);
+  }
+
+  async _run(job) {
+    const def = this.handlers.get(job.type);
+    if (!def) {
+      this._finish(job, "failed", { error: `未登録のジョブ種別です: ${job.type}` });
+      return;
+    }
+
+    const controller = new AbortController();
+    this.running.set(job.id, { controller, provider: job.provider });
+    job.status = "running";
+    job.attempts++;
+    job.startedAt = Date.now();
+    job.error = null;
+    this._emit(job, "started", { attempt: job.attempts, maxAttempts: job.maxAttempts });
+    this._persist();
+
+    const ctx = {
+      job,
+      signal: controller.signal,
+      attempt: job.attempts,
+      progress: (message, extra = {}) => {
+        if (controller.signal.aborted) return;
+        job.progress = { message, ...extra, at: Date.now() };
+        this._emit(job, "progress", job.progress);
+        this._persist();
+      },
+      throwIfCancelled: () => {
+        if (controller.signal.aborted) throw new JobCancelledError();
+      },
+    };
+
+    try {
+      const result = await def.handler(job.params, ctx);
+      if (!controller.signal.aborted) this._finish(job, "completed", { result: result ?? null });
+    } catch (err) {
+      if (controller.signal.aborted || err instanceof JobCancelledError) {
+        // cancel() で既に終了済み
+      } else if (job.attempts < job.maxAttempts && isRetryableError(err)) {
+        const delay = Math.min(RETRY_BASE_DELAY * 2 ** (job.attempts - 1), RETRY_MAX_DELAY);
+        job.status = "queued";
+        job.error = err.message;
+        job.nextRunAt = Date.now() + delay;
+        console.warn(`[jobs] ${job.type} ${job.id} を ${Math.round(delay / 1000)}秒後に再試行 (${job.attempts}/${job.maxAttempts}): ${err.message}`);
+        this._emit(job, "retry", { attempt: job.attempts, maxAttempts: job.maxAttempts, delayMs: delay, error: err.message });
+        this._persist();
+      } else {
+        console.error(`[jobs] ${job.type} ${job.id} 失敗: ${err.message}`);
+        this._finish(job, "failed", { error: err.message, errorInfo: err.info || null });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this._pump();
+    }
+  }
+
+  _finish(job, status, { result = null, error = null, errorInfo = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    if (errorInfo) job.errorInfo = errorInfo;
+    job.finishedAt = Date.now();
+    this._emit(job, status, status === "completed" ? { result } : { error });
+    if (status !== "completed") {
+      const onFail = this.handlers.get(job.type)?.onFail;
+      if (onFail) {
+        Promise.resolve()
+          .then(() => onFail(job.params, job))
+          .catch((err) => console.error(`[jobs] onFail エラー (${job.id}): ${err.message}`));
+      }
+    }
+    this._prune();
+    this._persist();
+  }
+
+  _emit(job, event, data) {
+    for (const listener of this.listeners) {
+      try {
+        listener(job, event, data);
+      } catch (err) {
+        console.error(`[jobs] イベント通知エラー: ${err.message}`);
+      }
+    }
+  }
+
+  /** 古い完了済みジョブを削除 */
+  _prune() {
+    const now = Date.now();
+    const finished = [...this.jobs.values()]
+      .filter((j) => !ACTIVE_STATUSES.has(j.status))
+      .sort((a, b) => b.finishedAt - a.finishedAt);
+    finished.forEach((job, i) => {
+      if (i >= MAX_FINISHED || now - (job.finishedAt || 0) > FINISHED_TTL) this.jobs.delete(job.id);
+    });
+  }
+
+  /** 書き込みは直列化し、書き込み中の変更は完了後にまとめて保存 */
+  _persist() {
+    if (!this._started) return;
+    if (this._saving) {
+      this._dirty = true;
+      return;
+    }
+    this._saving = (async () => {
+      do {
+        this._dirty = false;
+        try {
+          await writeFileAtomic(this.filePath, JSON.stringify([...this.jobs.values()], null, 2));
+        } catch (err) {
+          console.error(`[jobs] jobs.json 保存エラー: ${err.message}`);
+        }
+      } while (this._dirty);
+    })().finally(() => {
+      this._saving = null;
+    });
+  }
+}
+
+export const jobQueue = new JobQueue();
@@ -0,0 +1,409 @@
+/**
+ * lazy-load.js - 遅延読み込み画像の展開（scraper.js / screenshot-scalper.js 共通）
+ *
+ * 1. リゾルバで data-src 以外の遅延読み込み属性（data-original / data-lazy-src / <noscript> 等）を
+ *    src / srcset / poster / background-image に書き戻す
+ * 2. 適応スクロール: 1画面ずつ進め、通信が落ち着くまで待つ。末尾で画像数・ページ高さが
+ *    変わらなくなったら終了（固定回数のスクロールでは取りこぼすLP向け）
+ *
+ * リゾルバは2種類:
+ *   - 属性型 { name, attrs: { src, srcset, poster, background } } … 属性名のリスト（先頭優先）
+ *   - 関数型 { name, apply } … ページ内で実行する関数（書き換えた要素数を返す）。
+ *     window.__lazyLoad.normalizeMediaUrl / parseSrcset を使える
+ * registerLazyResolver() で追加、scrape() の lazyResolvers オプションでその回だけ追加もできる。
+ *
+ * URLの正規化（normalizeMediaUrl）はページ内にも注入し、Node 側と同じ規則で扱う。
+ */
+import { sleep } from "./utils.js";
+
+const RESOLVER_TARGETS = ["src", "srcset", "poster", "background"];
+const DEFAULT_SCROLL = {
+  stepRatio: 0.85, // 1回のスクロール量（画面の高さに対する割合）
+  idleTime: 500, // 通信がこの時間途切れたら「落ち着いた」とみなす
+  idleTimeout: 3000, // 1ステップで通信を待つ上限（計測タグ等で途切れないページ向け）
+  maxSteps: 80,
+  maxDuration: 60000,
+  stableChecks: 2, // 末尾で変化なしが続いた回数
+};
+
+/**
+ * メディアURLを正規化（前後の空白・&amp;・url("...")・プロトコル相対を処理し、絶対URLに）
+ * data: / blob: / javascript: や http(s) 以外は null
+ * ※ ページ内にも注入するので、外部の変数・関数を参照しないこと
+ * @param {string} value
+ * @param {string} [baseUrl]
+ * @returns {string|null}
+ */
+export function normalizeMediaUrl(value, baseUrl) {
+  if (typeof value !== "string") return null;
+  let url = value.trim().replace(/&amp;/g, "&");
+  const cssUrl = url.match(/^url\(\s*(['"]?)(.*?)\1\s*\)$/i);
+  if (cssUrl) url = cssUrl[2].trim();
+  if (!url || /^(data:|blob:|javascript:|about:|#)/i.test(url)) return null;
+  if (url.startsWith("//") && !baseUrl) url = "https:" + url;
+  try {
+    const u = baseUrl ? new URL(url, baseUrl) : new URL(url);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    u.hash = "";
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * srcset を候補に分解（URL内のカンマにも対応）
+ * ※ ページ内にも注入するので、外部の変数・関数を参照しないこと
+ * @returns {Array<{ url: string, descriptor: string }>}
+ */
+export function parseSrcset(value) {
+  const s = String(value || "");
+  const candidates = [];
+  let i = 0;
+  while (i < s.length) {
+    while (i < s.length && /[\s,]/.test(s[i])) i++;
+    if (i >= s.length) break;
+    let start = i;
+    while (i < s.length && !/\s/.test(s[i])) i++;
+    let url = s.slice(start, i);
+    let descriptor = "";
+    if (url.endsWith(",")) {
+      url = url.replace(/,+$/, "");
+    } else {
+      start = i;
+      while (i < s.length && s[i] !== ",") i++;
+      descriptor = s.slice(start, i).trim();
+    }
+    if (url) candidates.push({ url, descriptor });
+  }
+  return candidates;
+}
+
+// ── リゾルバ ───────────────────────────────────────────────
+
+const resolvers = new Map();
+
+/**
+ * リゾルバを登録（同じ name は置き換え）
+ * @param {{ name: string, description?: string, attrs?: object, apply?: function }} resolver
+ */
+export function registerLazyResolver(resolver) {
+  if (!resolver?.name) throw new Error("リゾルバには name が必要です");
+  if (resolver.apply) {
+    if (typeof resolver.apply !== "function") throw new Error(`${resolver.name}: apply は関数で指定してください`);
+  } else {
+    const targets = Object.keys(resolver.attrs || {});
+    if (!targets.length) throw new Error(`${resolver.name}: attrs か apply を指定してください`);
+    for (const target of targets) {
+      if (!RESOLVER_TARGETS.includes(target)) throw new Error(`${resolver.name}: 不明な対象 ${target}（${RESOLVER_TARGETS.join(" / ")}）`);
+      const names = resolver.attrs[target];
+      if (!Array.isArray(names) || !names.every((n) => typeof n === "string" && /^[\w:-]+$/.test(n))) {
+        throw new Error(`${resolver.name}: attrs.${target} は属性名の配列で指定してください`);
+      }
+    }
+  }
+  resolvers.set(resolver.name, resolver);
+}
+
+export function listLazyResolvers() {
+  return [...resolvers.values()];
+}
+
+registerLazyResolver({ name: "data-src", description: "lazysizes・lozad 等", attrs: { src: ["data-src"], srcset: ["data-srcset"] } });
+registerLazyResolver({ name: "data-original", description: "jQuery lazyload", attrs: { src: ["data-original"], srcset: ["data-original-set"] } });
+registerLazyResolver({ name: "data-lazy-src", description: "WordPress 系（WP Rocket・a3 Lazy Load 等）", attrs: { src: ["data-lazy-src"], srcset: ["data-lazy-srcset"] } });
+registerLazyResolver({ name: "data-echo", description: "echo.js ほか", attrs: { src: ["data-echo", "data-lazy"] } });
+registerLazyResolver({ name: "background", description: "背景画像（lozad の data-background-image 等）", attrs: { background: ["data-background-image", "data-bg", "data-background"] } });
+registerLazyResolver({ name: "poster", description: "動画のポスター画像", attrs: { poster: ["data-poster"] } });
+registerLazyResolver({
+  name: "noscript",
+  description: "<noscript> 内のフォールバック画像",
+  apply: () => {
+    const { normalizeMediaUrl } = window.__lazyLoad;
+    const isPlaceholder = (img) => {
+      const src = img.getAttribute("src") || "";
+      return !src || src.startsWith("data:") ||
+        /(blank|spacer|placeholder|loading|lazy|dummy|transparent|grey|gray)[^/]*\.(gif|png|svg|jpe?g|webp)/i.test(src) ||
+        (img.complete && img.naturalWidth <= 1);
+    };
+    let count = 0;
+    for (const ns of document.querySelectorAll("noscript")) {
+      const template = document.createElement("template");
+      template.innerHTML = ns.textContent;
+      const fallback = template.content.querySelector("img");
+      const url = fallback && normalizeMediaUrl(fallback.getAttribute("src") || fallback.getAttribute("data-src") || "", document.baseURI);
+      if (!url) continue;
+      const prev = ns.previousElementSibling;
+      const placeholder = prev?.tagName === "IMG" ? prev : prev?.querySelector("img") || null;
+      if (placeholder) {
+        if (!isPlaceholder(placeholder) || placeholder.getAttribute("src") === url) continue;
+        placeholder.setAttribute("src", url);
+        placeholder.setAttribute("data-src", url);
+        if (fallback.getAttribute("srcset")) placeholder.setAttribute("srcset", fallback.getAttribute("srcset"));
+      } else {
+        // 表示用の画像がない（noscript だけ）→ フォールバック画像を実体化
+        fallback.setAttribute("src", url);
+        ns.replaceWith(fallback);
+      }
+      count++;
+    }
+    return count;
+  },
+});
+
+// ページ内に正規化関数を注入（ナビゲーションで消えるので使う直前に毎回）
+async function injectHelpers(page) {
+  await page.evaluate(`window.__lazyLoad = { normalizeMediaUrl: ${normalizeMediaUrl.toString()}, parseSrcset: ${parseSrcset.toString()} };`);
+}
+
+/**
+ * リゾルバを実行して遅延読み込み属性を書き戻す
+ * @param {import("playwright").Page} page
+ * @param {Array} [extra] - 今回だけ追加するリゾルバ
+ * @returns {Promise<object>} { [resolverName]: 書き換えた要素数 }
+ */
+export async function resolveLazyMedia(page, extra = []) {
+  await injectHelpers(page);
+  const all = [...listLazyResolvers(), ...extra];
+  const counts = await page.evaluate((attrResolvers) => {
+    const { normalizeMediaUrl, parseSrcset } = window.__lazyLoad;
+    const base = document.baseURI;
+    const first = (el, names = []) => names.map((n) => el.getAttribute(n)).find((v) => v && v.trim()) || null;
+    const normalizeSrcset = (value) => parseSrcset(value)
+      .map((c) => {
+        const url = normalizeMediaUrl(c.url, base);
+        return url && (c.descriptor ? `${url} ${c.descriptor}` : url);
+      })
+      .filter(Boolean)
+      .join(", ");
+    const set = (el, attr, value) => {
+      if (!value || el.getAttribute(attr) === value) return false;
+      el.setAttribute(attr, value);
+      return true;
+    };
+
+    const result = {};
+    for (const { name, attrs } of attrResolvers) {
+      const selector = Object.values(attrs).flat().map((a) => `[${a}]`).join(",");
+      let count = 0;
+      for (const el of document.querySelectorAll(selector)) {
+        const isMedia = el.matches("img, source, video, audio, iframe");
+        const inPicture = el.tagName === "SOURCE" && el.parentElement?.tagName === "PICTURE";
+        let changed = false;
+        const src = isMedia && normalizeMediaUrl(first(el, attrs.src), base);
+        if (src) {
+          changed = set(el, inPicture ? "srcset" : "src", src) || changed;
+          // 下流（parser.js・SB出力）は data-src を参照する
+          if (!inPicture && !el.hasAttribute("data-src")) el.setAttribute("data-src", src);
+        }
+        const srcset = isMedia && first(el, attrs.srcset);
+        if (srcset) changed = set(el, "srcset", normalizeSrcset(srcset)) || changed;
+        const poster = el.tagName === "VIDEO" && normalizeMediaUrl(first(el, attrs.poster), base);
+        if (poster) changed = set(el, "poster", poster) || changed;
+        const background = normalizeMediaUrl(first(el, attrs.background), base);
+        if (background && !el.style.backgroundImage.includes(background)) {
+          el.style.backgroundImage = `url("${background}")`;
+          changed = true;
+        }
+        if (changed) count++;
+      }
+      result[name] = count;
+    }
+    return result;
+  }, all.filter((r) => !r.apply).map(({ name, attrs }) => ({ name, attrs })));
+
+  for (const resolver of all.filter((r) => r.apply)) {
+    try {
+      counts[resolver.name] = await page.evaluate(resolver.apply);
+    } catch (err) {
+      console.warn(`[lazy-load] ${resolver.name}: ${err.message}`);
+    }
+  }
+  return counts;
+}
+
+// ── 適応スクロール ─────────────────────────────────────────
+
+// 実行中のリクエスト数を数える（ページ読み込み前から続くリクエストもあるので 0 未満にはしない）
+function trackNetwork(page) {
+  let inflight = 0;
+  let lastChange = Date.now();
+  const onStart = () => {
+    inflight++;
+    lastChange = Date.now();
+  };
+  const onEnd = () => {
+    inflight = Math.max(0, inflight - 1);
+    lastChange = Date.now();
+  };
+  page.on("request", onStart);
+  page.on("requestfinished", onEnd);
+  page.on("requestfailed", onEnd);
+  return {
+    async waitForIdle({ idleTime, timeout }) {
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline) {
+        if (inflight === 0 && Date.now() - lastChange >= idleTime) return true;
+        await sleep(100);
+      }
+      return false;
+    },
+    dispose() {
+      page.off("request", onStart);
+      page.off("requestfinished", onEnd);
+      page.off("requestfailed", onEnd);
+    },
+  };
+}
+
+function pageState() {
+  const el = document.scrollingElement || document.documentElement;
+  return {
+    y: window.scrollY,
+    height: el.scrollHeight,
+    atBottom: window.scrollY + window.innerHeight >= el.scrollHeight - 2,
+    images: document.images.length + document.querySelectorAll("video, picture source").length,
+    pending: [...document.images].filter((img) => !img.complete && img.loading !== "lazy").length,
+  };
+}
+
+/**
+ * 1画面ずつスクロールし、通信が落ち着くのを待ちながら末尾まで進める
+ * 末尾で画像数・ページ高さが変わらず、読み込み中の画像がなくなったら終了
+ * @param {import("playwright").Page} page
+ * @param {object} [options] - DEFAULT_SCROLL の各値 + signal, onProgress(message)
+ * @returns {Promise<{ steps: number, images: number, height: number, timedOut: boolean }>}
+ */
+export async function adaptiveScroll(page, options = {}) {
+  const { signal, onProgress = () => {}, ...rest } = options;
+  const opts = { ...DEFAULT_SCROLL, ...rest };
+  const tracker = trackNetwork(page);
+  const started = Date.now();
+  let steps = 0;
+  let stable = 0;
+  let last = null;
+  try {
+    while (steps < opts.maxSteps && Date.now() - started < opts.maxDuration) {
+      signal?.throwIfAborted();
+      await page.evaluate((ratio) => window.scrollBy(0, Math.max(200, window.innerHeight * ratio)), opts.stepRatio);
+      steps++;
+      await tracker.waitForIdle({ idleTime: opts.idleTime, timeout: opts.idleTimeout });
+      const state = await page.evaluate(pageState);
+      if (steps % 5 === 0) {
+        onProgress(`ページスクロール中 ${Math.min(100, Math.round(((state.y + 1) / state.height) * 100))}%（画像 ${state.images}件）`);
+      }
+      if (state.atBottom) {
+        const unchanged = last && last.images === state.images && last.height === state.height;
+        stable = unchanged && state.pending === 0 ? stable + 1 : 0;
+        if (stable >= opts.stableChecks) break;
+      }
+      last = state;
+    }
+    const final = await page.evaluate(pageState);
+    return { steps, images: final.images, height: final.height, timedOut: stable < opts.stableChecks };
+  } finally {
+    tracker.dispose();
+  }
+}
+
+/**
+ * 遅延読み込みをすべて展開（リゾルバ → 適応スクロール → 追加された要素に再度リゾルバ → トップに戻す）
+ * @param {import("playwright").Page} page
+ * @param {object} [options]
+ * @param {Array} [options.resolvers] - 今回だけ追加するリゾルバ
+ * @param {object} [options.scroll] - adaptiveScroll() のオプション
+ * @param {AbortSignal} [options.signal]
+ * @param {function} [options.onProgress]
+ * @returns {Promise<{ resolved: object, steps: number, images: number, timedOut: boolean }>}
+ */
+export async function expandLazyContent(page, { resolvers: extra = [], scroll = {}, signal, onProgress = () => {} } = {}) {
+  const before = await resolveLazyMedia(page, extra);
+  const scrolled = await adaptiveScroll(page, { ...scroll, signal, onProgress });
+  // スクロール中に追加された要素にも適用し、書き戻した画像の読み込みを待つ
+  const tracker = trackNetwork(page);
+  let after;
+  try {
+    after = await resolveLazyMedia(page, extra);
+    if (Object.values(after).some((n) => n)) {
+      await tracker.waitForIdle({ idleTime: DEFAULT_SCROLL.idleTime, timeout: scroll.idleTimeout || DEFAULT_SCROLL.idleTimeout });
+    }
+  } finally {
+    tracker.dispose();
+  }
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await sleep(200);
+  const resolved = {};
+  for (const [name, count] of Object.entries(before)) resolved[name] = count + (after[name] || 0);
+  return { resolved, steps: scrolled.steps, images: scrolled.images, timedOut: scrolled.timedOut };
+}
+
+/**
+ * ダウンロード対象のメディアURLを収集（img / picture source / video・poster / インラインの背景画像）
+ * srcset は候補ごとに分解し、すべて normalizeMediaUrl() で正規化
+ * @returns {Promise<string[]>}
+ */
+export async function collectMediaUrls(page) {
+  await injectHelpers(page);
+  return page.evaluate(() => {
+    const { normalizeMediaUrl, parseSrcset } = window.__lazyLoad;
+    const base = document.baseURI;
+    const urls = new Set();
+    const add = (value) => {
+      const url = normalizeMediaUrl(value || "", base);
+      if (url) urls.add(url);
+    };
+    const addSrcset = (value) => parseSrcset(value).forEach((c) => add(c.url));
+    document.querySelectorAll("img").forEach((img) => {
+      add(img.getAttribute("data-src"));
+      add(img.getAttribute("src"));
+      addSrcset(img.getAttribute("srcset"));
+      addSrcset(img.getAttribute("data-srcset"));
+    });
+    document.querySelectorAll("source").forEach((source) => {
+      addSrcset(source.getAttribute("data-srcset"));
+      addSrcset(source.getAttribute("srcset"));
+      add(source.getAttribute("data-src"));
+      add(source.getAttribute("src"));
+    });
+    document.querySelectorAll("video").forEach((video) => {
+      add(video.getAttribute("src"));
+      add(video.getAttribute("poster"));
+    });
+    document.querySelectorAll('[style*="url("]').forEach((el) => {
+      for (const m of el.getAttribute("style").matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g)) add(m[1]);
+    });
+    return [...urls];
+  });
+}
+
+/**
+ * 本文のメディア属性（src / data-src / srcset / poster）を正規化済みの絶対URLに書き換え
+ * ダウンロードしたアセットの originalUrl とHTML内の表記を揃え、プレビューで置換できるようにする
+ */
+export async function normalizeMediaAttributes(page) {
+  await injectHelpers(page);
+  return page.evaluate(() => {
+    const { normalizeMediaUrl, parseSrcset } = window.__lazyLoad;
+    const base = document.baseURI;
+    let count = 0;
+    const rewrite = (el, attr, srcset) => {
+      const value = el.getAttribute(attr);
+      if (!value) return;
+      const next = srcset
+        ? parseSrcset(value).map((c) => {
+          const url = normalizeMediaUrl(c.url, base) || c.url;
+          return c.descriptor ? `${url} ${c.descriptor}` : url;
+        }).join(", ")
+        : normalizeMediaUrl(value, base);
+      if (next && next !== value) {
+        el.setAttribute(attr, next);
+        count++;
+      }
+    };
+    document.querySelectorAll("img, source, video").forEach((el) => {
+      for (const attr of ["src", "data-src", "poster"]) rewrite(el, attr, false);
+      for (const attr of ["srcset", "data-srcset"]) rewrite(el, attr, true);
+    });
+    return count;
+  });
+}
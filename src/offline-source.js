@@ -0,0 +1,347 @@
+/**
+ * offline-source.js - 保存済みページ（HTML / MHTML / zip）からのプロジェクト作成
+ *
+ * 地域制限・公開終了などでURLから取得できないLPを、手元の保存ファイルから取り込む。
+ *   - HTML  … 単体のHTMLファイル（data: URI で埋め込まれた画像は取り出す）
+ *   - MHTML … Chrome の「ウェブページ、1つのファイル」。各パートの Content-Location を元URLとして扱う
+ *   - zip   … 「ウェブページ、完全」の HTML + _files ディレクトリ等をまとめたもの
+ *
+ * 画像などの参照はすべて絶対URLに揃え、そのURLを originalUrl としてアセットに登録する
+ * （スクレイピング時と同じく、プレビューでは originalUrl → /api/projects/:id/assets/ に置換される）。
+ * 元URLが分からないファイルは https://offline.invalid/<projectId>/ を仮のURLにする。
+ */
+import * as cheerio from "cheerio";
+import AdmZip from "adm-zip";
+import crypto from "crypto";
+import path from "path";
+import { urlToFilename } from "./utils.js";
+import { absolutizeCssUrls, cssFileName } from "./style-capture.js";
+
+export const SOURCE_FORMATS = ["html", "mhtml", "zip"];
+export const OFFLINE_HOST = "offline.invalid";
+// これより小さい data: URI はHTMLに残す（アイコン等）
+const MIN_EMBEDDED_BYTES = 2048;
+const RESOURCE_ATTRS = ["src", "data-src", "poster", "data-original", "data-lazy-src"];
+const SRCSET_ATTRS = ["srcset", "data-srcset"];
+const CONTENT_TYPE_EXTENSIONS = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/avif": ".avif",
+  "image/svg+xml": ".svg",
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+  "font/woff2": ".woff2",
+  "font/woff": ".woff",
+  "font/ttf": ".ttf",
+  "text/css": ".css",
+};
+
+/** 仮のページURL（元URLが不明なとき） */
+export function offlinePageUrl(projectId) {
+  return `https://${OFFLINE_HOST}/${projectId}/`;
+}
+
+export function isOfflineUrl(url) {
+  try {
+    return new URL(url).hostname === OFFLINE_HOST;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * ファイル形式を判定（中身を優先し、判別できなければ拡張子）
+ * @returns {"html"|"mhtml"|"zip"|null}
+ */
+export function detectSourceFormat(buffer, filename = "") {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return "zip";
+  const head = buffer.subarray(0, 4096).toString("latin1");
+  if (/^content-type:\s*multipart\/related/im.test(head) && /^mime-version:/im.test(head)) return "mhtml";
+  if (/<(!doctype\s+html|html|head|body|div|p|img)[\s>]/i.test(head)) return "html";
+  const ext = path.extname(filename).toLowerCase();
+  if (ext === ".zip") return "zip";
+  if ([".mht", ".mhtml"].includes(ext)) return "mhtml";
+  if ([".html", ".htm", ".xhtml"].includes(ext)) return "html";
+  return null;
+}
+
+/** zip がプロジェクトバンドル（/api/projects/import 用）か */
+export function isProjectBundle(buffer) {
+  try {
+    return !!new AdmZip(buffer).getEntry("bundle.json");
+  } catch {
+    return false;
+  }
+}
+
+// ── 読み込み ───────────────────────────────────────────────
+
+/** meta charset / Content-Type の charset を考慮してHTMLをデコード */
+function decodeText(buffer, charset) {
+  let label = charset;
+  if (!label) {
+    const head = buffer.subarray(0, 4096).toString("latin1");
+    label = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i)?.[1];
+  }
+  try {
+    return new TextDecoder(label || "utf-8").decode(buffer);
+  } catch {
+    return buffer.toString("utf-8");
+  }
+}
+
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const i = line.indexOf(":");
+    if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  }
+  return headers;
+}
+
+function headerParam(value, name) {
+  return value?.match(new RegExp(`${name}\\s*=\\s*"?([^";]+)"?`, "i"))?.[1] || null;
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const s = text.replace(/=\r?\n/g, "");
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "=" && /^[0-9A-F]{2}$/i.test(s.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(s.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(s.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function splitHeaderBody(text) {
+  const m = text.match(/\r?\n\r?\n/);
+  if (!m) return [text, ""];
+  return [text.slice(0, m.index), text.slice(m.index + m[0].length)];
+}
+
+/**
+ * MHTML を分解
+ * @returns {{ html: string, pageUrl: string|null, resources: Map<string, {data: Buffer, contentType: string}> }}
+ */
+export function readMhtml(buffer) {
+  const raw = buffer.toString("latin1"); // バイト列をそのまま保持
+  const [topHeaderText, topBody] = splitHeaderBody(raw);
+  const top = parseHeaders(topHeaderText);
+  const boundary = headerParam(top["content-type"], "boundary");
+  if (!boundary) throw new Error("MHTML の boundary が見つかりません");
+
+  const resources = new Map();
+  let html = null;
+  let pageUrl = top["snapshot-content-location"] || null;
+  for (const chunk of topBody.split(`--${boundary}`).slice(1)) {
+    if (chunk.startsWith("--")) break;
+    const [headerText, body] = splitHeaderBody(chunk.replace(/^\r?\n/, ""));
+    const headers = parseHeaders(headerText);
+    const contentType = (headers["content-type"] || "application/octet-stream").split(";")[0].trim().toLowerCase();
+    const encoding = (headers["content-transfer-encoding"] || "").toLowerCase();
+    const data = encoding === "base64" ? Buffer.from(body.replace(/\s+/g, ""), "base64")
+      : encoding === "quoted-printable" ? decodeQuotedPrintable(body)
+      : Buffer.from(body.replace(/\r?\n$/, ""), "latin1");
+    const location = headers["content-location"];
+    const cid = headers["content-id"]?.replace(/^<|>$/g, "");
+
+    if (contentType === "text/html" && html === null && (!pageUrl || !location || location === pageUrl)) {
+      html = decodeText(data, headerParam(headers["content-type"], "charset"));
+      pageUrl = pageUrl || location || null;
+      continue;
+    }
+    const resource = { data, contentType };
+    if (location) resources.set(location, resource);
+    if (cid) resources.set(`cid:${cid}`, resource);
+  }
+  if (html === null) throw new Error("MHTML に HTML パートがありません");
+  return { html, pageUrl, resources };
+}
+
+/**
+ * zip からHTMLと同梱ファイルを取り出す（index.html 優先、なければ最も浅い階層の .html）
+ * 同梱ファイルのURLは HTML の位置からの相対パスを pageUrl で解決したもの
+ * @returns {{ html: string, htmlEntry: string, resources: Map<string, {data: Buffer, contentType: string|null}> }}
+ */
+export function readZipSource(buffer, pageUrl) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw new Error("zipファイルとして読み込めません");
+  }
+  const entries = zip.getEntries().filter((e) => !e.isDirectory && !e.entryName.startsWith("__MACOSX/"));
+  const depth = (e) => e.entryName.split("/").length;
+  const htmlEntries = entries.filter((e) => /\.x?html?$/i.test(e.entryName)).sort((a, b) => depth(a) - depth(b));
+  const htmlEntry = htmlEntries.find((e) => /(^|\/)index\.html?$/i.test(e.entryName) && depth(e) === depth(htmlEntries[0])) || htmlEntries[0];
+  if (!htmlEntry) throw new Error("zip 内に HTML ファイルがありません");
+
+  const htmlDir = path.posix.dirname(htmlEntry.entryName);
+  const resources = new Map();
+  for (const entry of entries) {
+    if (entry === htmlEntry) continue;
+    const relative = path.posix.relative(htmlDir === "." ? "" : htmlDir, entry.entryName);
+    resources.set(new URL(relative.split("/").map(encodeURIComponent).join("/"), pageUrl).href, { data: entry.getData(), contentType: null });
+  }
+  return { html: decodeText(htmlEntry.getData()), htmlEntry: htmlEntry.entryName, resources };
+}
+
+/**
+ * 形式に応じて読み込み
+ * @param {Buffer} buffer
+ * @param {object} opts
+ * @param {string} opts.format - detectSourceFormat() の結果
+ * @param {string} opts.pageUrl - 元URL（不明なら offlinePageUrl()）。MHTML は埋め込まれたURLを優先
+ * @returns {{ html: string, pageUrl: string, resources: Map }}
+ */
+export function loadOfflineSource(buffer, { format, pageUrl }) {
+  if (format === "mhtml") {
+    const mhtml = readMhtml(buffer);
+    return { html: mhtml.html, pageUrl: mhtml.pageUrl || pageUrl, resources: mhtml.resources };
+  }
+  if (format === "zip") {
+    const zip = readZipSource(buffer, pageUrl);
+    return { html: zip.html, pageUrl, resources: zip.resources };
+  }
+  if (format === "html") return { html: decodeText(buffer), pageUrl, resources: new Map() };
+  throw new Error("HTML / MHTML / zip のいずれかをアップロードしてください");
+}
+
+// ── 参照の書き換え ─────────────────────────────────────────
+
+function resolveUrl(value, baseUrl) {
+  const url = String(value || "").trim();
+  if (!url || /^(#|javascript:|mailto:|tel:|about:)/i.test(url)) return null;
+  if (/^(data:|cid:)/i.test(url)) return url;
+  try {
+    return new URL(url, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+function extensionFor(url, contentType) {
+  if (contentType && CONTENT_TYPE_EXTENSIONS[contentType]) return CONTENT_TYPE_EXTENSIONS[contentType];
+  try {
+    return path.extname(new URL(url).pathname).toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+/** 保存ファイル名（URLに拡張子がなければ Content-Type から補う） */
+export function offlineFileName(url, contentType) {
+  const name = urlToFilename(url);
+  if (!name.endsWith(".bin")) return name;
+  const ext = extensionFor(url, contentType);
+  return ext ? name.replace(/\.bin$/, ext) : name;
+}
+
+/**
+ * 読み込んだページの参照を整理
+ *   - 画像・動画等の参照を絶対URLに（同梱ファイル・cid: は元URLへ）
+ *   - 大きな data: URI は仮URLのファイルとして取り出す
+ *   - <link rel=stylesheet> / <style> を style-capture.js の writeStylesheets() 用エントリに
+ * @param {{ html: string, pageUrl: string, resources: Map }} source - loadOfflineSource() の結果
+ * @param {object} opts
+ * @param {string} opts.embeddedBase - data: URI を取り出したファイルの仮URLのベース
+ * @returns {{ html: string, resources: Map, stylesheets: Array, remoteUrls: string[], spriteHtml: string }}
+ *   html = 抽出範囲（.article-body、なければ body）の innerHTML、remoteUrls = 同梱されていない http(s) の参照
+ */
+export function prepareOfflineHtml({ html, pageUrl, resources }, { embeddedBase }) {
+  const $ = cheerio.load(html, { decodeEntities: false });
+  const files = new Map(resources);
+  const remote = new Set();
+
+  const extractDataUri = (uri) => {
+    const m = uri.match(/^data:([\w/+.-]+)?(;[^,]*)?,(.*)$/s);
+    if (!m) return uri;
+    const isBase64 = /;base64/i.test(m[2] || "");
+    const data = isBase64 ? Buffer.from(m[3], "base64") : Buffer.from(decodeURIComponent(m[3]), "utf-8");
+    if (data.length < MIN_EMBEDDED_BYTES) return uri;
+    const contentType = (m[1] || "application/octet-stream").toLowerCase();
+    const hash = crypto.createHash("md5").update(data).digest("hex").slice(0, 12);
+    const url = `${embeddedBase}embedded/${hash}${CONTENT_TYPE_EXTENSIONS[contentType] || ""}`;
+    files.set(url, { data, contentType });
+    return url;
+  };
+
+  // 参照1件を絶対URL（またはそのまま）に
+  const mapRef = (value, baseUrl = pageUrl) => {
+    const resolved = resolveUrl(value, baseUrl);
+    if (!resolved) return value;
+    if (resolved.startsWith("data:")) return extractDataUri(resolved);
+    if (resolved.startsWith("cid:")) {
+      const resource = files.get(resolved);
+      if (!resource) return value;
+      // cid: 参照は仮URLに置き換えて保存
+      const url = `${embeddedBase}cid/${encodeURIComponent(resolved.slice(4))}${extensionFor("", resource.contentType)}`;
+      files.set(url, resource);
+      return url;
+    }
+    if (!files.has(resolved) && /^https?:/i.test(resolved) && !isOfflineUrl(resolved)) remote.add(resolved);
+    return resolved;
+  };
+  const mapSrcset = (value) => value.split(",").map((part) => {
+    const [url, ...descriptor] = part.trim().split(/\s+/);
+    return url ? [mapRef(url), ...descriptor].join(" ") : "";
+  }).filter(Boolean).join(", ");
+  const mapCss = (css, baseUrl = pageUrl) => css.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, url) => {
+    const mapped = mapRef(url, baseUrl);
+    return mapped === url ? match : `url("${mapped}")`;
+  });
+
+  $("*").each((_, el) => {
+    for (const attr of RESOURCE_ATTRS) {
+      if (el.attribs?.[attr]) el.attribs[attr] = mapRef(el.attribs[attr]);
+    }
+    for (const attr of SRCSET_ATTRS) {
+      if (el.attribs?.[attr]) el.attribs[attr] = mapSrcset(el.attribs[attr]);
+    }
+    if (el.attribs?.style?.includes("url(")) el.attribs.style = mapCss(el.attribs.style);
+    if (el.name === "use" || el.name === "image") {
+      for (const attr of ["href", "xlink:href"]) {
+        if (el.attribs?.[attr] && !el.attribs[attr].startsWith("#")) el.attribs[attr] = mapRef(el.attribs[attr]);
+      }
+    }
+  });
+
+  // スタイルシート（同梱されているものだけ。外部CSSはプレビューで元URLから読まれる）
+  const stylesheets = [];
+  $('link[rel~="stylesheet"][href]').each((_, el) => {
+    const href = resolveUrl($(el).attr("href"), pageUrl);
+    const resource = href && files.get(href);
+    if (!resource) return;
+    files.delete(href);
+    const css = mapCss(decodeText(resource.data, "utf-8"), href);
+    stylesheets.push({ href, media: $(el).attr("media") || "", text: absolutizeCssUrls(css, href), fileName: cssFileName(href), inline: false, imported: false });
+  });
+  const root = $(".article-body").first().length ? $(".article-body").first() : $("body");
+  $("style").each((i, el) => {
+    const text = $(el).html() || "";
+    if (!text.trim()) return;
+    const css = absolutizeCssUrls(mapCss(text), pageUrl);
+    const hash = crypto.createHash("md5").update(css).digest("hex").slice(0, 8);
+    stylesheets.push({ href: pageUrl, media: $(el).attr("media") || "", text: css, fileName: `inline-${i}-${hash}.css`, inline: true, imported: false });
+  });
+
+  // 抽出範囲外の SVG <symbol>（<use href="#id"> の参照先）
+  const symbols = [];
+  root.find("use").each((_, el) => {
+    const ref = $(el).attr("href") || $(el).attr("xlink:href") || "";
+    if (!ref.startsWith("#")) return;
+    const target = $(`[id="${ref.slice(1).replace(/"/g, '\\"')}"]`).first();
+    if (target.length && !cheerio.contains(root[0], target[0]) && !symbols.includes($.html(target))) symbols.push($.html(target));
+  });
+  const spriteHtml = symbols.length
+    ? `<svg xmlns="http://www.w3.org/2000/svg" style="display:none" aria-hidden="true">${symbols.join("")}</svg>`
+    : "";
+
+  return { html: (root.html() || "").trim(), resources: files, stylesheets, remoteUrls: [...remote], spriteHtml };
+}
@@ -0,0 +1,148 @@
+/**
+ * output-dirs.js - プロジェクト出力ディレクトリ（output/{scraped,analysis,images,final}/<slug>）の管理
+ *
+ * 旧バージョンのスラッグはホスト名のみで、同じドメインの別LPが同じディレクトリを共有し
+ * source.html / assets-catalog.json / 最終HTMLを上書きし合っていた。
+ *   - 旧レイアウトのプロジェクトを一意なスラッグ（urlToSlug(url, id)）のディレクトリへ移行
+ *   - どのプロジェクトからも参照されていないディレクトリ（削除済みプロジェクト等）を一覧・削除
+ */
+import { readdir, stat, rm, rename, cp } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { SCRAPED_DIR, ANALYSIS_DIR, IMAGES_DIR, FINAL_DIR, outputDirsFor, ensureDir } from "./utils.js";
+
+// 出力ディレクトリの種類（assets は scraped 配下）
+export const OUTPUT_KIND_DIRS = { scraped: SCRAPED_DIR, analysis: ANALYSIS_DIR, images: IMAGES_DIR, final: FINAL_DIR };
+// 作成直後のディレクトリ（スクレイピング中で project.dirs 未設定）を消さないための猶予
+export const DEFAULT_GC_MIN_AGE = 60 * 60 * 1000;
+
+/** プロジェクト固有のディレクトリを使っているか（スラッグがプロジェクトIDで終わる） */
+export function hasUniqueOutputDirs(project) {
+  if (!project.dirs?.scraped) return true; // スクレイピング前・失敗時はディレクトリなし
+  return path.basename(project.dirs.scraped).endsWith(project.id);
+}
+
+/**
+ * 移行が必要なプロジェクトを列挙
+ * アーカイブ済み（ディレクトリが zip 内にある）プロジェクトは復元後に移行する
+ * @param {Array} projects - projectStore.list() のメタデータ
+ * @returns {Array<{ id, fromSlug, shared: boolean }>} shared = 他のプロジェクトと同じディレクトリを使用
+ */
+export function planOutputMigration(projects) {
+  const users = new Map();
+  for (const p of projects) {
+    if (!p.dirs?.scraped) continue;
+    users.set(p.dirs.scraped, (users.get(p.dirs.scraped) || 0) + 1);
+  }
+  return projects
+    .filter((p) => !p.retention?.archived && !hasUniqueOutputDirs(p))
+    .map((p) => ({ id: p.id, fromSlug: path.basename(p.dirs.scraped), shared: users.get(p.dirs.scraped) > 1 }));
+}
+
+/**
+ * ディレクトリを新しいスラッグへ移動（共有ディレクトリはコピー）
+ * @returns {Promise<object>} 新しい dirs
+ */
+export async function relocateOutputDirs(fromDirs, toSlug, { copy = false } = {}) {
+  const toDirs = outputDirsFor(toSlug);
+  for (const kind of Object.keys(OUTPUT_KIND_DIRS)) {
+    const from = fromDirs?.[kind];
+    const to = toDirs[kind];
+    if (!from || from === to || !existsSync(from)) continue;
+    if (existsSync(to)) throw new Error(`移行先が既に存在します: ${to}`);
+    await ensureDir(path.dirname(to));
+    if (copy) await cp(from, to, { recursive: true });
+    else await rename(from, to);
+  }
+  for (const dir of Object.values(toDirs)) await ensureDir(dir);
+  return toDirs;
+}
+
+/** プロジェクトが参照している（またはスクレイピングで使う予定の）ディレクトリ */
+function referencedDirs(projects) {
+  const refs = new Set();
+  for (const p of projects) {
+    for (const dir of Object.values(p.dirs || {})) if (dir) refs.add(path.resolve(dir));
+    if (p.slug) for (const dir of Object.values(outputDirsFor(p.slug))) refs.add(path.resolve(dir));
+    // 元LPの再取得結果（同じURLのプロジェクトで共有）
+    if (p.upstreamSlug) for (const dir of Object.values(outputDirsFor(p.upstreamSlug))) refs.add(path.resolve(dir));
+  }
+  return refs;
+}
+
+async function dirUsage(dir) {
+  let size = 0;
+  let fileCount = 0;
+  let modifiedAt = (await stat(dir)).mtimeMs;
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const sub = await dirUsage(full);
+      size += sub.size;
+      fileCount += sub.fileCount;
+      modifiedAt = Math.max(modifiedAt, sub.modifiedAt);
+    } else if (entry.isFile()) {
+      const st = await stat(full);
+      size += st.size;
+      fileCount++;
+      modifiedAt = Math.max(modifiedAt, st.mtimeMs);
+    }
+  }
+  return { size, fileCount, modifiedAt };
+}
+
+/**
+ * どのプロジェクトからも参照されていない出力ディレクトリをスラッグ単位で一覧
+ * @param {Array} projects - projectStore.list() のメタデータ
+ * @returns {Promise<Array<{ slug, paths: object, size, fileCount, modifiedAt }>>}
+ */
+export async function listOrphanedOutputDirs(projects) {
+  const refs = referencedDirs(projects);
+  const bySlug = new Map();
+  for (const [kind, root] of Object.entries(OUTPUT_KIND_DIRS)) {
+    if (!existsSync(root)) continue;
+    for (const entry of await readdir(root, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const dir = path.join(root, entry.name);
+      if (refs.has(path.resolve(dir))) continue;
+      const usage = await dirUsage(dir);
+      const item = bySlug.get(entry.name) || { slug: entry.name, paths: {}, size: 0, fileCount: 0, modifiedAt: 0 };
+      item.paths[kind] = dir;
+      item.size += usage.size;
+      item.fileCount += usage.fileCount;
+      item.modifiedAt = Math.max(item.modifiedAt, usage.modifiedAt);
+      bySlug.set(entry.name, item);
+    }
+  }
+  return [...bySlug.values()].sort((a, b) => b.size - a.size);
+}
+
+/**
+ * 孤立ディレクトリを削除
+ * @param {Array} projects - projectStore.list() のメタデータ
+ * @param {object} [opts]
+ * @param {string[]} [opts.slugs] - 対象を限定（省略時はすべての孤立ディレクトリ）
+ * @param {number} [opts.minAgeMs] - 最終更新からこの時間が経過したものだけ削除
+ * @param {boolean} [opts.dryRun]
+ * @returns {Promise<{ removed: Array, skipped: Array, freed: number }>}
+ */
+export async function removeOrphanedOutputDirs(projects, { slugs, minAgeMs = DEFAULT_GC_MIN_AGE, dryRun = false } = {}) {
+  const only = Array.isArray(slugs) ? new Set(slugs) : null;
+  const removed = [];
+  const skipped = [];
+  let freed = 0;
+  const now = Date.now();
+  for (const item of await listOrphanedOutputDirs(projects)) {
+    if (only && !only.has(item.slug)) continue;
+    if (now - item.modifiedAt < minAgeMs) {
+      skipped.push({ slug: item.slug, reason: "最近更新されています" });
+      continue;
+    }
+    if (!dryRun) {
+      for (const dir of Object.values(item.paths)) await rm(dir, { recursive: true, force: true });
+    }
+    removed.push(item);
+    freed += item.size;
+  }
+  return { removed, skipped, freed };
+}
@@ -0,0 +1,265 @@
+/**
+ * page-actions.js - HTML抽出前のページ操作（年齢確認・Cookieバナー・インタースティシャル対策）
+ *
+ * プロジェクトごとのアクションスクリプト（click / fill / wait / dismiss）と、
+ * 日本のLPによくあるゲート（「20歳以上ですか？」・Cookie同意・全画面モーダル）を
+ * 自動で突破するヒューリスティックを提供する。
+ *
+ * スクリプト形式（1行1アクション、# 以降はコメント）:
+ *   click .btn-yes
+ *   fill #age = 1990
+ *   wait .article-body        … セレクタの出現を待つ（数値ならミリ秒待機）
+ *   dismiss .modal-overlay    … 要素を削除してスクロールロックを解除（セレクタ省略時はヒューリスティック）
+ */
+
+export const ACTION_TYPES = ["click", "fill", "wait", "dismiss"];
+const DEFAULT_ACTION_TIMEOUT = 5000;
+const MAX_ACTIONS = 30;
+const MAX_WAIT_MS = 30000;
+
+// 年齢確認・同意ゲートと判定するテキスト
+const GATE_TEXT = "(20|２０|二十|18|１８)歳以上|20歳未満|未成年|成人|年齢確認|年齢認証|生年月日|お酒は|飲酒|アルコール|Cookie|クッキー|cookie";
+// ゲート内で押す肯定ボタンのテキスト
+const YES_TEXT = "^(はい|YES|Yes|OK|ＯＫ|入る|入場|ENTER|Enter|同意する|同意して(閉じる|続ける)|同意します|すべて(許可|同意|受け入れる)|全て(許可|同意)|Accept( all)?|Allow( all)?|Agree|承諾|確認しました|閉じる|20歳以上です|20歳以上|18歳以上です|18歳以上|はい、20歳以上です)"
+  + "[\\s。!！]*$";
+// 主要なCookie同意ツールの同意ボタン
+const COOKIE_SELECTORS = [
+  "#onetrust-accept-btn-handler",
+  "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll",
+  ".cc-allow",
+  ".cc-btn.cc-dismiss",
+  "#cookie_action_close_header",
+  ".cookie-consent-accept",
+  "[data-cookie-accept]",
+  "#cookie-accept",
+];
+
+/**
+ * アクション配列 or スクリプト文字列を正規化
+ * @param {Array|string} input
+ * @returns {Array<{type, selector?, value?, ms?, timeout?}>}
+ * @throws {Error} 不正なアクション
+ */
+export function normalizeActions(input) {
+  if (!input) return [];
+  const list = typeof input === "string" ? parseActionScript(input) : input;
+  if (!Array.isArray(list)) throw new Error("actions は配列またはスクリプト文字列で指定してください");
+  if (list.length > MAX_ACTIONS) throw new Error(`アクションは${MAX_ACTIONS}件までです`);
+
+  return list.map((raw, i) => {
+    const type = String(raw?.type || "").toLowerCase();
+    if (!ACTION_TYPES.includes(type)) throw new Error(`${i + 1}件目: 不明なアクション "${raw?.type}"（${ACTION_TYPES.join(" / ")}）`);
+    const action = { type };
+    if (raw.selector) action.selector = String(raw.selector).trim();
+    if (raw.timeout) action.timeout = Math.min(Math.max(parseInt(raw.timeout, 10) || DEFAULT_ACTION_TIMEOUT, 100), MAX_WAIT_MS);
+
+    if ((type === "click" || type === "fill") && !action.selector) {
+      throw new Error(`${i + 1}件目: ${type} にはセレクタが必要です`);
+    }
+    if (type === "fill") action.value = String(raw.value ?? "");
+    if (type === "wait") {
+      if (raw.ms != null) action.ms = Math.min(Math.max(parseInt(raw.ms, 10) || 0, 0), MAX_WAIT_MS);
+      if (!action.selector && action.ms == null) throw new Error(`${i + 1}件目: wait にはセレクタまたはミリ秒が必要です`);
+    }
+    return action;
+  });
+}
+
+/** スクリプト文字列 → アクション配列 */
+export function parseActionScript(script) {
+  const actions = [];
+  for (const line of String(script).split(/\r?\n/)) {
+    const text = line.replace(/(^|\s)#(?![\w-]).*$/, "").trim();
+    if (!text) continue;
+    const [, type = "", rest = ""] = text.match(/^(\S+)\s*(.*)$/) || [];
+    const action = { type };
+    if (type === "fill") {
+      const eq = rest.indexOf("=");
+      action.selector = (eq >= 0 ? rest.slice(0, eq) : rest).trim();
+      action.value = eq >= 0 ? rest.slice(eq + 1).trim() : "";
+    } else if (type === "wait" && /^\d+$/.test(rest)) {
+      action.ms = parseInt(rest, 10);
+    } else if (rest) {
+      action.selector = rest;
+    }
+    actions.push(action);
+  }
+  return actions;
+}
+
+/** アクション → スクリプト1行（parseActionScript() で元に戻せる形式） */
+export function describeAction(action) {
+  if (action.type === "fill") return `fill ${action.selector} = ${action.value}`;
+  if (action.type === "wait" && action.ms != null && !action.selector) return `wait ${action.ms}`;
+  return `${action.type}${action.selector ? " " + action.selector : ""}`;
+}
+
+/**
+ * アクションスクリプトを実行。失敗したアクションは記録して続行する
+ * @param {import("playwright").Page} page
+ * @param {Array} actions - normalizeActions() 済みのアクション
+ * @param {object} [options]
+ * @param {function} [options.onAction] - (record) => void
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{source, type, target, ok, message}>>}
+ */
+export async function runPageActions(page, actions, { onAction = () => {}, signal } = {}) {
+  const records = [];
+  for (const action of actions) {
+    signal?.throwIfAborted();
+    const timeout = action.timeout || DEFAULT_ACTION_TIMEOUT;
+    const record = { source: "script", type: action.type, target: describeAction(action), ok: true, message: "" };
+    try {
+      switch (action.type) {
+        case "click":
+          await page.click(action.selector, { timeout });
+          await settle(page);
+          break;
+        case "fill":
+          await page.fill(action.selector, action.value, { timeout });
+          break;
+        case "wait":
+          if (action.selector) await page.waitForSelector(action.selector, { timeout: action.timeout || action.ms || DEFAULT_ACTION_TIMEOUT });
+          else await page.waitForTimeout(action.ms);
+          break;
+        case "dismiss": {
+          const removed = action.selector
+            ? await page.evaluate(removeElements, action.selector)
+            : (await dismissOverlays(page)).length;
+          record.message = `${removed}件削除`;
+          break;
+        }
+      }
+    } catch (err) {
+      record.ok = false;
+      record.message = err.message.split("\n")[0];
+    }
+    records.push(record);
+    onAction(record);
+  }
+  return records;
+}
+
+/**
+ * 年齢確認・Cookie同意・全画面モーダルを自動で処理
+ * 1. Cookie同意ツールの同意ボタンを押す
+ * 2. 画面の大半を覆う固定要素のうちゲート文言を含むものは肯定ボタンを押す
+ * 3. それでも残るゲートは削除してスクロールロックを解除
+ * @returns {Promise<Array<{source, type, target, ok, message}>>}
+ */
+export async function runGateHeuristics(page, { onAction = () => {} } = {}) {
+  const records = [];
+  const push = (record) => {
+    records.push(record);
+    onAction(record);
+  };
+
+  let clicked = [];
+  try {
+    clicked = await page.evaluate(clickGateButtons, { gateText: GATE_TEXT, yesText: YES_TEXT, cookieSelectors: COOKIE_SELECTORS });
+  } catch (err) {
+    // クリックでページ遷移した場合など
+    push({ source: "heuristic", type: "click", target: "gate", ok: false, message: err.message.split("\n")[0] });
+  }
+  for (const hit of clicked) {
+    push({ source: "heuristic", type: "click", target: hit.target, ok: true, message: `${hit.rule}: 「${hit.text}」` });
+  }
+  if (clicked.length) await settle(page);
+
+  for (const target of await dismissOverlays(page).catch(() => [])) {
+    push({ source: "heuristic", type: "dismiss", target, ok: true, message: "ゲート要素を削除" });
+  }
+  return records;
+}
+
+// クリック後の遷移・描画を待つ
+async function settle(page) {
+  await page.waitForLoadState("domcontentloaded", { timeout: 10000 }).catch(() => {});
+  await page.waitForTimeout(500);
+}
+
+// ゲート文言を含むオーバーレイを削除（削除した要素の説明を返す）
+function dismissOverlays(page) {
+  return page.evaluate(removeGateOverlays, { gateText: GATE_TEXT });
+}
+
+// ── ブラウザ内で実行する関数（page.evaluate に渡す） ─────────────
+
+function removeElements(selector) {
+  const els = [...document.querySelectorAll(selector)];
+  els.forEach((el) => el.remove());
+  for (const el of [document.documentElement, document.body]) {
+    if (getComputedStyle(el).overflow === "hidden") el.style.setProperty("overflow", "auto", "important");
+  }
+  return els.length;
+}
+
+function clickGateButtons({ gateText, yesText, cookieSelectors }) {
+  const hits = [];
+  const gateRe = new RegExp(gateText);
+  const yesRe = new RegExp(yesText, "i");
+  const visible = (el) => {
+    const r = el.getBoundingClientRect();
+    const cs = getComputedStyle(el);
+    return r.width > 0 && r.height > 0 && cs.visibility !== "hidden" && cs.display !== "none" && cs.opacity !== "0";
+  };
+  const describe = (el) => {
+    const cls = typeof el.className === "string" ? el.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+    return el.tagName.toLowerCase() + (el.id ? `#${el.id}` : "") + cls.map((c) => `.${c}`).join("");
+  };
+  const labelOf = (el) => (el.innerText || el.value || el.getAttribute("aria-label") || "").trim().replace(/\s+/g, " ");
+
+  for (const selector of cookieSelectors) {
+    const el = document.querySelector(selector);
+    if (el && visible(el)) {
+      hits.push({ rule: "cookie", target: describe(el), text: labelOf(el).slice(0, 40) });
+      el.click();
+      break;
+    }
+  }
+
+  const viewportArea = window.innerWidth * window.innerHeight;
+  // 固定表示 or 前面（z-index 100以上）の短いレイヤーだけを対象にする（本文中のクイズ等を押さないように）
+  const layers = [...document.querySelectorAll("body *")].filter((el) => {
+    const cs = getComputedStyle(el);
+    const front = cs.position === "fixed" || (cs.position === "absolute" && parseInt(cs.zIndex, 10) >= 100);
+    if (!front || !visible(el) || (el.innerText || "").length > 2000) return false;
+    const r = el.getBoundingClientRect();
+    return r.width * r.height >= viewportArea * 0.5 || (cs.position === "fixed" && gateRe.test(el.innerText || ""));
+  });
+  for (const layer of layers) {
+    if (!gateRe.test(layer.innerText || "")) continue;
+    const buttons = [...layer.querySelectorAll("button, a, input[type=button], input[type=submit], [role=button]")].filter(visible);
+    const yes = buttons.find((b) => yesRe.test(labelOf(b)));
+    if (!yes) continue;
+    hits.push({ rule: /cookie|クッキー/i.test(layer.innerText) ? "cookie" : "age-gate", target: describe(yes), text: labelOf(yes).slice(0, 40) });
+    yes.click();
+    break;
+  }
+  return hits;
+}
+
+function removeGateOverlays({ gateText }) {
+  const gateRe = new RegExp(gateText);
+  const removed = [];
+  const viewportArea = window.innerWidth * window.innerHeight;
+  for (const el of [...document.querySelectorAll("body *")]) {
+    if (!el.isConnected) continue;
+    const cs = getComputedStyle(el);
+    if (cs.position !== "fixed" || cs.display === "none" || cs.visibility === "hidden") continue;
+    const r = el.getBoundingClientRect();
+    if (r.width * r.height < viewportArea * 0.5) continue;
+    // 本文そのものを包む固定要素は消さない
+    if (el.querySelector(".article-body") || (el.innerText || "").length > 2000) continue;
+    if (!gateRe.test(el.innerText || "")) continue;
+    const cls = typeof el.className === "string" ? el.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : [];
+    removed.push(el.tagName.toLowerCase() + (el.id ? `#${el.id}` : "") + cls.map((c) => `.${c}`).join(""));
+    el.remove();
+  }
+  if (removed.length) {
+    for (const el of [document.documentElement, document.body]) {
+      if (getComputedStyle(el).overflow === "hidden") el.style.setProperty("overflow", "auto", "important");
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,163 @@
+/**
+ * page-chrome.js - ページの外枠（ヘッダー・フッター・追従CTA）の取得
+ *
+ * .article-body の innerHTML だけでは、ヘッダー・フッターや画面下部に固定されたCTAバーが失われる。
+ * スクレイピング時にこれらを検出し、data-chrome 属性つきのラッパーで包んで本文の前後に付け足す:
+ *
+ *   <div data-chrome="sticky_cta" data-chrome-position="fixed" data-chrome-edge="bottom"
+ *        data-chrome-z="1000" data-chrome-height="64">…元の要素…</div>
+ *
+ * parser.js はラッパーを header / footer / sticky_cta ブロックとして扱い、
+ * プレビューは chromePreviewCss()、SB出力は html-builder.js が固定表示ウィジェットに変換する。
+ * 表示位置はラッパーの属性だけが持つ（元要素の position は static に戻す）ので、
+ * エディタで位置を変えるときは属性を書き換えればよい。
+ */
+import * as cheerio from "cheerio";
+
+export const CHROME_ROLES = ["header", "footer", "sticky_cta"];
+export const CHROME_POSITIONS = ["fixed", "static"];
+export const CHROME_EDGES = ["top", "bottom"];
+export const DEFAULT_CHROME_Z = 1000;
+
+// 画面の高さに対してこれより大きい固定要素はモーダル・オーバーレイとみなす
+const MAX_FIXED_HEIGHT_RATIO = 0.4;
+
+/**
+ * 固定要素・ヘッダー・フッターを検出し、ラッパーつきのHTMLを返す
+ * スクロール後に出てくる追従CTAもあるので、ページ中ほどとトップの2か所で検出する。
+ * 検出した要素には data-chrome-source を付けるので、本文の抽出時に除外すること。
+ * @param {import("playwright").Page} page
+ * @returns {Promise<Array<{ role, position, edge, zIndex, height, html }>>}
+ */
+export async function capturePageChrome(page) {
+  const detect = () => page.evaluate(({ maxRatio, defaultZ }) => {
+    const root = document.querySelector(".article-body") || document.body;
+    const vh = window.innerHeight;
+    const found = [];
+    const marked = () => [...document.querySelectorAll("[data-chrome-source]")];
+    const taken = (el) => marked().some((m) => m.contains(el) || el.contains(m));
+    const className = (el) => el.getAttribute("class") || "";
+    const isVisible = (el, cs) => {
+      const rect = el.getBoundingClientRect();
+      return cs.display !== "none" && cs.visibility !== "hidden" && Number(cs.opacity) > 0 && rect.width > 0 && rect.height > 0;
+    };
+    // ページ内リンク（ページトップへ戻る等）だけの要素はCTAではない
+    const hasAction = (el) => [el, ...el.querySelectorAll("a[href], button")].some((a) =>
+      a.tagName === "BUTTON" || (a.tagName === "A" && a.hasAttribute("href") && !a.getAttribute("href").startsWith("#")));
+
+    const capture = (el, info) => {
+      const clone = el.cloneNode(true);
+      if (info.position === "fixed") {
+        for (const prop of ["position", "top", "bottom", "left", "right", "transform"]) {
+          clone.style.setProperty(prop, prop === "position" ? "static" : prop === "transform" ? "none" : "auto");
+        }
+      }
+      el.setAttribute("data-chrome-source", info.role);
+      const attrs = `data-chrome="${info.role}" data-chrome-position="${info.position}" data-chrome-edge="${info.edge}"` +
+        ` data-chrome-z="${info.zIndex}" data-chrome-height="${info.height}"`;
+      found.push({ ...info, html: `<div ${attrs}>${clone.outerHTML}</div>` });
+    };
+
+    // 1. position: fixed / sticky
+    for (const el of document.body.querySelectorAll("*")) {
+      if (["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE"].includes(el.tagName)) continue;
+      const cs = getComputedStyle(el);
+      if (cs.position !== "fixed" && cs.position !== "sticky") continue;
+      if (el === root || el.contains(root)) continue;
+      // 本文内の sticky（見出し・表ヘッダー等）は本文の一部
+      if (cs.position === "sticky" && root !== document.body && root.contains(el)) continue;
+      if (!isVisible(el, cs) || taken(el)) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.height > vh * maxRatio || rect.bottom <= 0 || rect.top >= vh) continue;
+
+      const edge = cs.position === "sticky"
+        ? (cs.top === "auto" && cs.bottom !== "auto" ? "bottom" : "top")
+        : (rect.top + rect.height / 2 > vh / 2 ? "bottom" : "top");
+      const semanticHeader = el.matches("header, [role=banner]") || /(^|[\s_-])header([\s_-]|$)/i.test(className(el));
+      let role;
+      if (semanticHeader || (edge === "top" && el.querySelector("nav, [class*=logo], [id*=logo]"))) role = "header";
+      else if (hasAction(el)) role = "sticky_cta";
+      else continue;
+      capture(el, { role, position: "fixed", edge, zIndex: parseInt(cs.zIndex, 10) || defaultZ, height: Math.round(rect.height) });
+    }
+
+    // 2. 通常配置のヘッダー・フッター（本文の外にあるもの）
+    const outside = (el) => root === document.body ? !el.closest("main, article") : !root.contains(el) && !el.contains(root);
+    const usable = (el) => outside(el) && isVisible(el, getComputedStyle(el)) && !taken(el);
+    if (!found.some((f) => f.role === "header")) {
+      const header = [...document.querySelectorAll("header, [role=banner]")].find(usable);
+      if (header) capture(header, { role: "header", position: "static", edge: "top", zIndex: 0, height: Math.round(header.getBoundingClientRect().height) });
+    }
+    if (!found.some((f) => f.role === "footer")) {
+      const footer = [...document.querySelectorAll("footer, [role=contentinfo]")].reverse().find(usable);
+      if (footer) capture(footer, { role: "footer", position: "static", edge: "bottom", zIndex: 0, height: Math.round(footer.getBoundingClientRect().height) });
+    }
+    return found;
+  }, { maxRatio: MAX_FIXED_HEIGHT_RATIO, defaultZ: DEFAULT_CHROME_Z });
+
+  await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight / 2));
+  await page.waitForTimeout(400);
+  const found = await detect();
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await page.waitForTimeout(200);
+  found.push(...await detect());
+  return found;
+}
+
+/**
+ * 本文HTMLの前後に外枠を付け足す（ヘッダー → 本文 → フッター → 追従CTA）
+ * @param {string} html - 本文（data-chrome-source の要素を除いたもの）
+ * @param {Array} chrome - capturePageChrome() の結果
+ */
+export function composeChromeHtml(html, chrome = []) {
+  if (!chrome.length) return html;
+  const byRole = (role) => chrome.filter((c) => c.role === role).map((c) => c.html);
+  return [...byRole("header"), html, ...byRole("footer"), ...byRole("sticky_cta")].join("\n");
+}
+
+/**
+ * ラッパー要素の属性を読み取る（Cheerio 要素）
+ * @returns {{ role, position, edge, zIndex, height }|null} data-chrome がなければ null
+ */
+export function readChromeAttrs($el) {
+  const role = $el.attr("data-chrome");
+  if (!CHROME_ROLES.includes(role)) return null;
+  const position = CHROME_POSITIONS.includes($el.attr("data-chrome-position")) ? $el.attr("data-chrome-position") : "static";
+  const edge = CHROME_EDGES.includes($el.attr("data-chrome-edge")) ? $el.attr("data-chrome-edge") : (role === "header" ? "top" : "bottom");
+  return {
+    role,
+    position,
+    edge,
+    zIndex: parseInt($el.attr("data-chrome-z"), 10) || DEFAULT_CHROME_Z,
+    height: parseInt($el.attr("data-chrome-height"), 10) || 0,
+  };
+}
+
+/**
+ * ブロックHTMLのラッパー属性を書き換えて表示位置を変更
+ * @param {string} html - chrome ブロックの html
+ * @param {{ position?: string, edge?: string }} changes
+ * @returns {{ html: string, chrome: object }|null} ラッパーがなければ null
+ */
+export function updateChromeHtml(html, { position, edge }) {
+  const $ = cheerio.load(html, { decodeEntities: false }, false);
+  const $el = $.root().children("[data-chrome]").first();
+  if (!$el.length) return null;
+  if (CHROME_POSITIONS.includes(position)) $el.attr("data-chrome-position", position);
+  if (CHROME_EDGES.includes(edge)) $el.attr("data-chrome-edge", edge);
+  const { role, ...chrome } = readChromeAttrs($el);
+  return { html: $.html(), chrome };
+}
+
+/** 固定表示の宣言（通常配置なら空文字） */
+export function chromePositionCss({ position, edge, zIndex }) {
+  if (position !== "fixed") return "";
+  return `position: fixed; ${edge === "top" ? "top" : "bottom"}: 0; left: 0; right: 0; z-index: ${zIndex || DEFAULT_CHROME_Z};`;
+}
+
+/** プレビュー用CSS（ラッパーの属性から固定表示を再現） */
+export function chromePreviewCss() {
+  return CHROME_EDGES.map((edge) =>
+    `[data-chrome-position="fixed"][data-chrome-edge="${edge}"] { ${chromePositionCss({ position: "fixed", edge })} }`
+  ).join("\n");
+}
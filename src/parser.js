@@ -3,37 +3,83 @@
  *
  * Cheerioでフラットなdiv列をコンテンツブロックに分類し、
  * セクション境界を検出、アセットカタログを生成する。
+ * 画像アセットは srcset の全候補・<source> の media・形式・CSS背景まで持つ（responsive-images.js）。
+ *
+ * 記事全体を1つのコンテナdivで包んだLP（SB以外ではよくある）は、包んでいるだけの要素を
+ * グループ（groups）として記録し、その中に降りてブロックを探す。ブロック自体はフラットな配列のまま
+ * block.groupId で親グループを持ち、flattenBlocks() でラッパーを復元してHTMLに戻す。
  *
  * ブロックタイプ:
  *   image / video / text / widget / spacer / cta_link / heading
- *   quiz / review / fv / comparison
+ *   quiz / review / fv / comparison / faq（block.structured に項目。structured-blocks.js）
+ *   header / footer / sticky_cta（ページの外枠。block.chrome に表示位置、セクションには含めない）
+ *   + data/block-rules.json の独自タイプ（price_table 等）
+ *
+ * 外枠・<style> 等の判定以外は block-rules.js のルールで分類し、block.rule に発火したルールの id を残す。
  */
 import * as cheerio from "cheerio";
 import { readFile, writeFile } from "fs/promises";
 import path from "path";
 import { saveJson } from "./utils.js";
+import { readChromeAttrs } from "./page-chrome.js";
+import { DEFAULT_RULES, findRule } from "./block-rules.js";
+import { labelSections } from "./section-labeler.js";
+import { extractStructured } from "./structured-blocks.js";
+import { extractImageAssets } from "./responsive-images.js";
+
+// 中身を包んでいるだけのコンテナとして降りてよいタグ
+const WRAPPER_TAGS = new Set(["div", "main", "article", "section", "center"]);
+// ブロック判定の対象外（ラッパー判定の「中身」に数えない）
+const NON_CONTENT_TAGS = new Set(["script", "style", "noscript", "template", "link", "meta"]);
+// 1つの部品として扱うべきコンテナ（スライダー・タブ・アコーディオン等は分解しない）
+const COMPONENT_CLASS = /(slider|carousel|swiper|slick|splide|tab|accordion|faq|quiz|question|survey|review|modal)/i;
+const MAX_GROUP_DEPTH = 8;
+// 兄弟要素がこの数以下で、1つが中身の大半を占めていればラッパーとみなす（ヘッダー + 本文 + フッター 等）
+const MAX_DOMINANT_SIBLINGS = 4;
+const DOMINANT_RATIO = 0.8;
 
 /**
  * HTMLを解析してstructure.jsonを生成
  * @param {string} html - 解析対象のHTML文字列
+ * @param {object} [options]
+ * @param {Array} [options.rules] - 分類ルール（blockRuleRegistry.rulesFor(team)。省略時は組み込みルール）
  * @returns {object} { blocks, sections, assets, widgets }
  */
-export function parseHtml(html) {
+export function parseHtml(html, { rules = DEFAULT_RULES } = {}) {
   const $ = cheerio.load(html, { decodeEntities: false });
   const blocks = [];
   const assets = [];
   const widgets = [];
+  const groups = [];
   let blockIndex = 0;
+  let contentIndex = 0;
+  const fired = new Set();
 
-  // トップレベルのdivを順番に処理
   // Cheerioはhtml/bodyで自動ラップするため、body配下を取得
   const $body = $("body");
   const topElements = $body.length > 0 ? $body.children() : $.root().children();
 
-  topElements.each((_, el) => {
-    const $el = $(el);
-    const block = classifyBlock($, $el, blockIndex);
-    if (block) {
+  // 要素列を順番に処理（ラッパーはグループとして記録して中に降りる）
+  const walk = (elements, groupId, depth) => {
+    const weights = elements.map((el) => (isContentElement(el) ? contentWeight($, $(el)) : 0));
+    const contentCount = elements.filter(isContentElement).length;
+    const total = weights.reduce((a, b) => a + b, 0);
+
+    elements.forEach((el, i) => {
+      const $el = $(el);
+      const dominant = contentCount === 1 || (contentCount <= MAX_DOMINANT_SIBLINGS && total > 0 && weights[i] >= total * DOMINANT_RATIO);
+      if (depth < MAX_GROUP_DEPTH && dominant && isWrapper($, $el)) {
+        const group = describeGroup($, $el, `g${groups.length}`, groupId, depth);
+        groups.push(group);
+        walk($el.children().toArray(), group.id, depth + 1);
+        return;
+      }
+
+      // 位置の判定（FV等）は外枠（ヘッダー等）・<style> 等を除いた順番で行う
+      const block = classifyBlock($, $el, blockIndex, contentIndex, rules, fired);
+      if (!block) return;
+      if (!block.chrome && isContentElement(el)) contentIndex++;
+      if (groupId) block.groupId = groupId;
       blocks.push(block);
       blockIndex++;
 
@@ -51,19 +97,106 @@ export function parseHtml(html) {
           sbCustomClass: block.sbCustomClass,
         });
       }
-    }
-  });
+    });
+  };
+  walk(topElements.toArray(), null, 0);
 
   // セクション境界検出
   const sections = detectSections(blocks);
 
-  return { blocks, sections, assets, widgets };
+  return { blocks, sections, assets, widgets, groups };
+}
+
+// 外枠（data-chrome）は本文とは別扱いなので、ラッパー判定の兄弟に数えない
+function isContentElement(el) {
+  return !NON_CONTENT_TAGS.has((el.tagName || "").toLowerCase()) && !el.attribs?.["data-chrome"];
+}
+
+// 中身の量（テキスト長 + メディア1件あたり100）
+function contentWeight($, $el) {
+  return $el.text().replace(/\s+/g, "").length + 100 * $el.find("img, picture, video, iframe").addBack("img, picture, video, iframe").length;
+}
+
+/**
+ * 包んでいるだけのコンテナか（直下にテキストがなく、本文要素を2つ以上持つ。
+ * 1つだけならそれもコンテナで、さらに包んでいる場合に限る）
+ * 外枠・SBウィジェット・スライダー等の部品は分解しない
+ */
+function isWrapper($, $el) {
+  const tag = $el.prop("tagName")?.toLowerCase() || "";
+  if (!WRAPPER_TAGS.has(tag)) return false;
+  if ($el.is("[data-chrome]") || $el.hasClass("sb-custom") || /^sb-part/.test($el.attr("id") || "")) return false;
+  if ($el.children(".sb-custom").length > 0) return false;
+  if (COMPONENT_CLASS.test(`${$el.attr("class") || ""} ${$el.attr("id") || ""}`)) return false;
+  const hasLooseText = $el.contents().toArray().some((node) => node.type === "text" && node.data.trim());
+  if (hasLooseText) return false;
+  const children = $el.children().toArray().filter(isContentElement);
+  if (children.length >= 2) return true;
+  return children.length === 1 && WRAPPER_TAGS.has(children[0].tagName.toLowerCase()) && $(children[0]).children().length > 0;
+}
+
+// ラッパーの開始・終了タグ（属性はそのまま残す）
+function describeGroup($, $el, id, parentId, depth) {
+  const tag = $el.prop("tagName").toLowerCase();
+  const attribs = $el.get(0).attribs || {};
+  const attrs = Object.entries(attribs)
+    .map(([name, value]) => (value === "" ? ` ${name}` : ` ${name}="${String(value).replace(/"/g, "&quot;")}"`))
+    .join("");
+  const classes = ($el.attr("class") || "").trim().split(/\s+/).filter(Boolean).slice(0, 2);
+  const label = tag + ($el.attr("id") ? `#${$el.attr("id")}` : "") + classes.map((c) => `.${c}`).join("");
+  return { id, parentId, depth, tag, label, openTag: `<${tag}${attrs}>`, closeTag: `</${tag}>` };
+}
+
+/**
+ * ブロック列をHTMLに戻す（groupId をたどってラッパーの開始・終了タグを復元）
+ * 同じグループが離れた位置に並んだ場合（並べ替え後など）はラッパーを複製する
+ * @param {Array} blocks
+ * @param {Array} [groups] - parseHtml() の groups
+ * @param {object} [options]
+ * @param {boolean} [options.markGroups=false] - ラッパーに data-block-group を付ける（プレビュー用）
+ * @returns {string}
+ */
+export function flattenBlocks(blocks, groups = [], { markGroups = false } = {}) {
+  if (!groups?.length) return blocks.map((b) => b.html).join("\n");
+  const byId = new Map(groups.map((g) => [g.id, g]));
+  const chainOf = (id) => {
+    const chain = [];
+    for (let g = byId.get(id); g && chain.length <= MAX_GROUP_DEPTH; g = byId.get(g.parentId)) chain.unshift(g);
+    return chain;
+  };
+  const out = [];
+  const open = [];
+  for (const block of blocks) {
+    const chain = chainOf(block.groupId);
+    let common = 0;
+    while (common < open.length && common < chain.length && open[common] === chain[common]) common++;
+    while (open.length > common) out.push(open.pop().closeTag);
+    for (const group of chain.slice(common)) {
+      out.push(markGroups ? group.openTag.replace(/^<([\w-]+)/, `<$1 data-block-group="${group.id}"`) : group.openTag);
+      open.push(group);
+    }
+    out.push(block.html);
+  }
+  while (open.length) out.push(open.pop().closeTag);
+  return out.join("\n");
+}
+
+/**
+ * index の位置に挿入・移動したブロックが入るグループ（直前のブロック、なければ直後のブロックに合わせる）
+ * 外枠ブロックはグループに属さないので参照しない
+ */
+export function groupIdAt(blocks, index) {
+  const neighbor = [blocks[index - 1], blocks[index + 1]].find((b) => b && !b.chrome);
+  return neighbor?.groupId || null;
 }
 
 /**
  * ブロックを分類
+ * @param {number} contentIndex - 外枠・<style> 等を除いた本文内の順番
+ * @param {Array} rules - 優先度順の分類ルール
+ * @param {Set<string>} fired - 発火済みルールID（once のルール用、呼び出し側で共有）
  */
-function classifyBlock($, $el, index) {
+function classifyBlock($, $el, index, contentIndex, rules = DEFAULT_RULES, fired = new Set()) {
   const tagName = $el.prop("tagName")?.toLowerCase() || "";
   const outerHtml = $.html($el);
   const innerText = $el.text().trim();
@@ -77,89 +210,95 @@ function classifyBlock($, $el, index) {
   if (style) css += `/* inline */ ${style}`;
   css = css.trim();
 
-  // SBカスタムウィジェット
-  if ($el.find(".sb-custom").length > 0 || $el.hasClass("sb-custom")) {
-    const w = parseSbWidget($, $el, index);
-    w.css = css;
-    return w;
-  }
-
-  // アンケート/クイズ
-  if ($el.find('input[type="radio"], input[type="checkbox"]').length > 0
-      || /question|quiz|survey|アンケート/.test(classes)) {
-    return { index, type: "quiz", html: outerHtml, text: innerText, style, css };
-  }
-
-  // レビュー/口コミ
-  if (/review|口コミ|レビュー|体験談|感想/.test(classes + innerText.slice(0, 100))) {
-    return { index, type: "review", html: outerHtml, text: innerText, style, css };
+  // ラッパー内の <style> / <script> 等（本文として編集させない）
+  if (NON_CONTENT_TAGS.has(tagName)) {
+    return { index, type: "spacer", rule: "non_content", html: outerHtml, css: tagName === "style" ? $el.html().trim() : "" };
   }
 
-  // FV（ファーストビュー）— index===0 かつ画像あり
-  if (index === 0 && $el.find('img, picture').length > 0) {
-    return { index, type: "fv", html: outerHtml, text: innerText, style, css, assets: extractImageAssets($, $el) };
-  }
-
-  // 比較表
-  if ($el.find('table').length > 0 || /比較|ランキング|compare/.test(classes + innerText)) {
-    return { index, type: "comparison", html: outerHtml, text: innerText, style, css };
+  // ページの外枠（スクレイピング時に data-chrome で包んだ要素）
+  const chrome = readChromeAttrs($el);
+  if (chrome) {
+    const $link = $el.find("a[href]").filter((_, a) => !($(a).attr("href") || "").startsWith("#")).first();
+    return {
+      index,
+      type: chrome.role,
+      rule: "chrome",
+      chrome: { position: chrome.position, edge: chrome.edge, zIndex: chrome.zIndex, height: chrome.height },
+      html: outerHtml,
+      text: innerText,
+      href: $link.attr("href") || "",
+      style,
+      css,
+      assets: extractImageAssets($, $el),
+    };
   }
 
-  // 動画ブロック
-  if ($el.find("video").length > 0 || tagName === "video") {
-    const v = parseVideoBlock($, $el, index);
-    v.css = css;
-    return v;
-  }
+  // ルールで分類（どれにも一致しなければスペーサー）
+  const fontSize = extractFontSize($, $el);
+  const ctx = { $, $el, index, contentIndex, text: innerText, classes: `${classes} ${($el.attr("id") || "").toLowerCase()}`, fontSize };
+  const rule = findRule(rules, ctx, fired);
+  if (!rule) return { index, type: "spacer", rule: null, html: outerHtml, css };
+  if (rule.once) fired.add(rule.id);
+
+  const block = buildBlock($, $el, rule.build, { index, outerHtml, innerText, style, css, fontSize });
+  block.type = rule.type;
+  block.rule = rule.id;
+  const structured = extractStructured(outerHtml, rule.type);
+  if (structured) block.structured = structured;
+  return block;
+}
 
-  // 画像ブロック (picture or img)
-  if ($el.find("picture").length > 0 || $el.find("img").length > 0) {
-    // CTAリンク付き画像
-    if ($el.find("a").length > 0) {
-      const $a = $el.find("a").first();
-      const href = $a.attr("href") || "";
+/**
+ * ルールの build に応じてブロックを組み立てる
+ */
+function buildBlock($, $el, build, { index, outerHtml, innerText, style, css, fontSize }) {
+  switch (build) {
+    case "widget": {
+      const w = parseSbWidget($, $el, index);
+      w.css = css;
+      return w;
+    }
+    case "video": {
+      const v = parseVideoBlock($, $el, index);
+      v.css = css;
+      return v;
+    }
+    case "image": {
+      const imgBlock = parseImageBlock($, $el, index);
+      imgBlock.css = css;
+      return imgBlock;
+    }
+    case "cta_link": {
+      const $a = $el.find("a").addBack("a").first();
       return {
         index,
-        type: "cta_link",
-        href,
+        href: $a.attr("href") || "",
         html: outerHtml,
         style,
         css,
         assets: extractImageAssets($, $el),
       };
     }
-    const imgBlock = parseImageBlock($, $el, index);
-    imgBlock.css = css;
-    return imgBlock;
-  }
-
-  // 空行/スペーサー
-  if (
-    innerText === "" &&
-    ($el.find("br").length > 0 || outerHtml.trim() === "<div><br></div>")
-  ) {
-    return { index, type: "spacer", html: outerHtml, css };
-  }
-
-  // テキストブロック
-  if (innerText.length > 0) {
-    // 見出し判定
-    const isHeading = detectHeading($, $el);
-    return {
-      index,
-      type: isHeading ? "heading" : "text",
-      text: innerText,
-      html: outerHtml,
-      style,
-      css,
-      fontSize: extractFontSize($, $el),
-      hasStrong: $el.find("strong, b").length > 0,
-      hasColor: style.includes("color") || $el.find("[style*='color']").length > 0,
-    };
+    case "text":
+      return {
+        index,
+        text: innerText,
+        html: outerHtml,
+        style,
+        css,
+        fontSize,
+        hasStrong: $el.find("strong, b").length > 0,
+        hasColor: style.includes("color") || $el.find("[style*='color']").length > 0,
+      };
+    default: {
+      // 画像を含むブロック（FV・独自タイプ等）は画像差し替えの対象にできるようアセットも持つ
+      const block = { index, html: outerHtml, text: innerText, style, css };
+      if ($el.find("picture, img").addBack("picture, img").length > 0 || $el.find('[style*="url("]').addBack('[style*="url("]').length > 0) {
+        block.assets = extractImageAssets($, $el);
+      }
+      return block;
+    }
   }
-
-  // その他
-  return { index, type: "spacer", html: outerHtml, css };
 }
 
 /**
@@ -250,57 +389,84 @@ function parseVideoBlock($, $el, index) {
 }
 
 /**
- * 要素内の画像アセットを抽出
+ * 他のデバイスプロファイルで取得したHTMLから画像のレスポンシブバリアントを紐付け
+ * ファイル名（サイズ接尾辞・拡張子を除く）で照合し、一致しない場合は
+ * 画像数が同じときに限り出現順で対応付ける。
+ * @param {Array} blocks - parseHtml() のブロック（asset.variants を追記）
+ * @param {object} captures - { [profile]: html }
+ * @returns {number} 紐付けたバリアント数
  */
-function extractImageAssets($, $el) {
-  const assets = [];
-  $el.find("picture, img").each((_, mediaEl) => {
-    const $media = $(mediaEl);
-    if ($media.prop("tagName")?.toLowerCase() === "picture") {
-      const $img = $media.find("img").first();
-      const $webp = $media.find('source[type="image/webp"]').first();
-      const $avif = $media.find('source[type="image/avif"]').first();
-      assets.push({
-        type: "image",
-        src: $img.attr("data-src") || $img.attr("src") || "",
-        webpSrc: $webp.attr("data-srcset") || "",
-        avifSrc: $avif.attr("data-srcset") || "",
-        width: parseInt($img.attr("width") || "0", 10),
-        height: parseInt($img.attr("height") || "0", 10),
-      });
-    } else if ($media.prop("tagName")?.toLowerCase() === "img") {
-      // picture外の単独img
-      if (!$media.closest("picture").length) {
-        assets.push({
-          type: "image",
-          src: $media.attr("data-src") || $media.attr("src") || "",
-          width: parseInt($media.attr("width") || "0", 10),
-          height: parseInt($media.attr("height") || "0", 10),
-        });
-      }
+export function attachResponsiveVariants(blocks, captures = {}) {
+  const primary = [];
+  for (const block of blocks) {
+    for (const asset of block.assets || []) {
+      if (asset.type === "image" && asset.src) primary.push(asset);
     }
-  });
-  return assets;
+  }
+
+  let count = 0;
+  for (const [profile, html] of Object.entries(captures)) {
+    if (!html) continue;
+    const others = parseHtml(html).blocks
+      .flatMap((b) => b.assets || [])
+      .filter((a) => a.type === "image" && a.src);
+    const byStem = new Map();
+    for (const a of others) {
+      const stem = imageStem(a.src);
+      if (!byStem.has(stem)) byStem.set(stem, a);
+    }
+    const sameOrder = others.length === primary.length;
+
+    primary.forEach((asset, i) => {
+      const match = byStem.get(imageStem(asset.src)) || (sameOrder ? others[i] : null);
+      if (!match || match.src === asset.src) return;
+      asset.variants = {
+        ...(asset.variants || {}),
+        [profile]: {
+          src: match.src,
+          webpSrc: match.webpSrc || "",
+          avifSrc: match.avifSrc || "",
+          width: match.width,
+          height: match.height,
+        },
+      };
+      count++;
+    });
+  }
+  return count;
 }
 
 /**
- * 見出しかどうかを判定
+ * 解析し直したブロックに、元のブロックで紐付けていたデバイス別バリアントを画像URLで引き継ぐ
+ * @param {Array} previous - 再解析前のブロック
+ * @param {Array} blocks - 再解析後のブロック（asset.variants を追記）
+ * @returns {number} 引き継いだアセット数
  */
-function detectHeading($, $el) {
-  const text = $el.text().trim();
-  if (text.length > 50) return false;
-
-  // 大きなフォントサイズ + strong/bold
-  const fontSize = extractFontSize($, $el);
-  const hasStrong = $el.find("strong, b").length > 0;
-  const hasHeadingColor =
-    $el.find('[style*="color: rgb(161, 0, 0)"]').length > 0 ||
-    $el.find('[style*="color: rgb(255, 0, 0)"]').length > 0;
-
-  if (fontSize >= 21 && (hasStrong || hasHeadingColor)) return true;
-  if ($el.find("h1, h2, h3, h4").length > 0) return true;
+export function carryAssetVariants(previous, blocks) {
+  const variants = new Map();
+  for (const block of previous || []) {
+    for (const asset of block.assets || []) {
+      if (asset.variants && asset.src && !variants.has(asset.src)) variants.set(asset.src, asset.variants);
+    }
+  }
+  let count = 0;
+  for (const block of blocks) {
+    for (const asset of block.assets || []) {
+      if (!variants.has(asset.src)) continue;
+      asset.variants = variants.get(asset.src);
+      count++;
+    }
+  }
+  return count;
+}
 
-  return false;
+/** 画像URL → 照合用のファイル名（"hero-sp@2x.jpg?v=1" → "hero"） */
+function imageStem(src) {
+  const file = src.split(/[?#]/)[0].split("/").pop() || "";
+  return file
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/([-_@](\d+x\d*|\d+w|\d+x|sp|pc|mobile|desktop|tablet))+$/i, "")
+    .toLowerCase();
 }
 
 /**
@@ -319,14 +485,51 @@ function extractFontSize($, $el) {
 }
 
 /**
- * セクション境界を検出
+ * 解析済みブロックをルールで分類し直す（HTML・グループ構造はそのまま）
+ * @param {Array} blocks - project.blocks
+ * @param {Array} [rules] - 分類ルール
+ * @returns {{ blocks: Array, sections: Array, widgets: Array, report: Array<{ index, before, after, rule, changed }> }}
+ */
+export function reclassifyBlocks(blocks, rules = DEFAULT_RULES) {
+  const fired = new Set();
+  let contentIndex = 0;
+  const report = [];
+  const next = blocks.map((block, i) => {
+    const $ = cheerio.load(block.html || "", { decodeEntities: false }, false);
+    const el = $.root().children().get(0);
+    if (!el) {
+      report.push({ index: i, before: block.type, after: block.type, rule: block.rule ?? null, changed: false });
+      return block;
+    }
+    const classified = classifyBlock($, $(el), i, contentIndex, rules, fired);
+    if (!classified.chrome && isContentElement(el)) contentIndex++;
+    const updated = { ...classified, index: i };
+    if (block.groupId) updated.groupId = block.groupId;
+    // 取得時に付けたレスポンシブ画像の候補は引き継ぐ
+    carryAssetVariants([block], [updated]);
+    report.push({ index: i, before: block.type, after: updated.type, rule: updated.rule, changed: block.type !== updated.type });
+    return updated;
+  });
+  const widgets = next.filter((b) => b.type === "widget").map((b) => ({
+    index: b.index,
+    widgetType: b.widgetType,
+    sbPartId: b.sbPartId,
+    sbCustomClass: b.sbCustomClass,
+  }));
+  return { blocks: next, sections: detectSections(next), widgets, report };
+}
+
+/**
+ * セクション境界を検出し、役割ラベル（section-labeler.js）を付ける
  */
-function detectSections(blocks) {
+export function detectSections(blocks) {
   const sections = [];
   let currentSection = { startIndex: 0, blocks: [], label: "intro" };
   let sectionCount = 0;
 
   for (const block of blocks) {
+    if (block.chrome) continue;
+    if (currentSection.blocks.length === 0) currentSection.startIndex = block.index;
     // セクション区切り条件
     const isBoundary =
       block.type === "heading" ||
@@ -351,7 +554,7 @@ function detectSections(blocks) {
     sections.push(currentSection);
   }
 
-  return sections;
+  return labelSections(sections, blocks);
 }
 
 /**
@@ -0,0 +1,96 @@
+/**
+ * project-archive.js - 期限切れプロジェクトのアーカイブ
+ *
+ * プロジェクトのスクレイピング素材・解析結果・生成画像・最終HTML（project.dirs）を
+ * output/archive/<id>.zip にまとめて圧縮し、元のディレクトリを削除する。
+ * プロジェクト本体（ブロック等のJSON）は project-store にそのまま残るため、
+ * 復元時は zip を元のディレクトリに展開するだけで編集を再開できる。
+ */
+import { readFile, writeFile, stat, rm, unlink } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import AdmZip from "adm-zip";
+import { OUTPUT_DIR, PROJECT_ROOT, ensureDir, writeFileAtomic } from "./utils.js";
+
+export const ARCHIVE_DIR = path.join(OUTPUT_DIR, "archive");
+// assets は scraped 配下なので個別には含めない
+const ARCHIVED_DIR_KEYS = ["scraped", "analysis", "images", "final"];
+const MANIFEST_ENTRY = "manifest.json";
+
+export function archiveFilePath(projectId) {
+  return path.join(ARCHIVE_DIR, `${projectId}.zip`);
+}
+
+/**
+ * プロジェクトのファイルをアーカイブ
+ * @param {object} project
+ * @param {object} opts
+ * @param {Set<string>} opts.keepDirs - 他のプロジェクトと共有しているため削除しないディレクトリ
+ * @returns {Promise<{ file: string, size: number, fileCount: number }>}
+ */
+export async function archiveProjectFiles(project, { keepDirs = new Set() } = {}) {
+  const zip = new AdmZip();
+  const dirs = {};
+
+  for (const key of ARCHIVED_DIR_KEYS) {
+    const dir = project.dirs?.[key];
+    if (!dir || !existsSync(dir)) continue;
+    zip.addLocalFolder(dir, key);
+    dirs[key] = path.relative(PROJECT_ROOT, dir);
+  }
+  const fileCount = zip.getEntries().filter((e) => !e.isDirectory).length;
+
+  const manifest = { projectId: project.id, url: project.url, slug: project.slug, dirs, fileCount, archivedAt: Date.now() };
+  zip.addFile(MANIFEST_ENTRY, Buffer.from(JSON.stringify(manifest, null, 2), "utf-8"));
+
+  const file = archiveFilePath(project.id);
+  await writeFileAtomic(file, zip.toBuffer());
+
+  // zip の書き込みが完了してから元ファイルを削除
+  for (const key of Object.keys(dirs)) {
+    const dir = project.dirs[key];
+    if (keepDirs.has(dir)) continue;
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  const { size } = await stat(file);
+  return { file, size, fileCount };
+}
+
+/**
+ * アーカイブを元のディレクトリに展開して zip を削除
+ * @returns {Promise<{ fileCount: number }>}
+ */
+export async function restoreProjectFiles(project) {
+  const file = archiveFilePath(project.id);
+  if (!existsSync(file)) throw new Error("アーカイブファイルが見つかりません");
+
+  const zip = new AdmZip(await readFile(file));
+  let fileCount = 0;
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory || entry.entryName === MANIFEST_ENTRY) continue;
+    const [key, ...rest] = entry.entryName.split("/");
+    const baseDir = project.dirs?.[key];
+    if (!baseDir || !ARCHIVED_DIR_KEYS.includes(key)) continue;
+
+    // Path traversal guard
+    const target = path.resolve(baseDir, rest.join("/"));
+    if (!target.startsWith(path.resolve(baseDir) + path.sep)) continue;
+
+    await ensureDir(path.dirname(target));
+    await writeFile(target, entry.getData());
+    fileCount++;
+  }
+  // 空ディレクトリも含めて作り直す（assets は scraped 配下）
+  for (const key of [...ARCHIVED_DIR_KEYS, "assets"]) {
+    if (project.dirs?.[key]) await ensureDir(project.dirs[key]);
+  }
+
+  await unlink(file);
+  return { fileCount };
+}
+
+/** アーカイブを完全削除 */
+export async function purgeProjectArchive(projectId) {
+  await rm(archiveFilePath(projectId), { force: true });
+}
@@ -0,0 +1,234 @@
+/**
+ * project-batches.js - 複数URLの一括クローン（バッチ）管理
+ *
+ * URLリストまたはCSV（url, tags 列）を受け取り、URLごとにプロジェクトを作成して
+ * スクレイピングジョブを登録する。バッチ自体は URL ごとの進捗・結果を保持するだけで、
+ * 実行はジョブキュー（バッチ単位の同時実行数）に任せる。
+ *
+ * バッチは data/batches.json に永続化。
+ */
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { PROJECT_ROOT, writeFileAtomic } from "./utils.js";
+
+const BATCHES_PATH = path.join(PROJECT_ROOT, "data", "batches.json");
+
+export const MAX_BATCH_URLS = 200;
+export const DEFAULT_BATCH_CONCURRENCY = 3;
+export const MAX_BATCH_CONCURRENCY = 6;
+// 再試行できる（＝失敗扱いの）状態
+export const RETRYABLE_ITEM_STATUSES = ["error", "cancelled"];
+
+function genBatchId() {
+  return "b" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** "a, b; c" → ["a", "b", "c"]（重複除去） */
+export function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,;|、]/);
+  return [...new Set(list.map((t) => String(t).trim()).filter(Boolean))].slice(0, 20);
+}
+
+/** CSV 1行を分割（ダブルクォート・エスケープ対応） */
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * CSVをパース。ヘッダー行に url 列があればその列を、なければ1列目をURL、2列目をタグとして扱う。
+ * タブ区切り（スプレッドシートからの貼り付け）にも対応。
+ */
+export function parseCsv(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return [];
+  const delimiter = lines[0].includes("\t") && !lines[0].includes(",") ? "\t" : ",";
+  const rows = lines.map((l) => splitCsvLine(l, delimiter));
+
+  const header = rows[0].map((h) => h.toLowerCase());
+  let urlCol = 0;
+  let tagCol = 1;
+  let start = 0;
+  const headerUrl = header.findIndex((h) => h === "url" || h === "リンク");
+  if (headerUrl >= 0) {
+    urlCol = headerUrl;
+    tagCol = header.findIndex((h) => h === "tags" || h === "tag" || h === "タグ");
+    start = 1;
+  }
+  return rows.slice(start).map((cells, i) => ({
+    line: i + start + 1,
+    url: cells[urlCol] || "",
+    tags: tagCol >= 0 ? normalizeTags(cells[tagCol]) : [],
+  }));
+}
+
+/**
+ * リクエスト（urls / csv / tags）をバッチ項目に変換
+ * @returns {{ items: Array<{url, tags}>, rejected: Array<{line, url, reason}> }}
+ */
+export function parseBatchInput({ urls, csv, tags } = {}) {
+  const commonTags = normalizeTags(tags);
+  let rows = [];
+  if (csv) rows = parseCsv(csv);
+  if (urls) {
+    const list = Array.isArray(urls) ? urls : String(urls).split(/\r?\n/);
+    list.forEach((entry, i) => {
+      if (entry && typeof entry === "object") rows.push({ line: i + 1, url: String(entry.url || ""), tags: normalizeTags(entry.tags) });
+      else rows.push({ line: i + 1, url: String(entry || "").trim(), tags: [] });
+    });
+  }
+
+  const items = [];
+  const rejected = [];
+  const seen = new Set();
+  for (const row of rows) {
+    if (!row.url) continue;
+    let normalized;
+    try {
+      const u = new URL(row.url);
+      if (u.protocol !== "http:" && u.protocol !== "https:") throw new Error();
+      normalized = u.href;
+    } catch {
+      rejected.push({ line: row.line, url: row.url, reason: "URLの形式が不正です" });
+      continue;
+    }
+    if (seen.has(normalized)) {
+      rejected.push({ line: row.line, url: row.url, reason: "重複しています" });
+      continue;
+    }
+    seen.add(normalized);
+    items.push({ url: normalized, tags: normalizeTags([...commonTags, ...row.tags]) });
+  }
+  return { items, rejected };
+}
+
+/** 状態ごとの件数 */
+export function summarizeBatch(batch) {
+  const counts = { total: batch.items.length, queued: 0, scraping: 0, ready: 0, error: 0, cancelled: 0 };
+  for (const item of batch.items) counts[item.status] = (counts[item.status] || 0) + 1;
+  const done = counts.ready + counts.error + counts.cancelled;
+  return { ...counts, done, finished: done === counts.total };
+}
+
+export class BatchManager {
+  constructor(filePath = BATCHES_PATH) {
+    this.filePath = filePath;
+    this.batches = new Map();
+    this._saving = null;
+    this._dirty = false;
+  }
+
+  async init() {
+    try {
+      if (existsSync(this.filePath)) {
+        for (const batch of JSON.parse(await readFile(this.filePath, "utf-8"))) this.batches.set(batch.id, batch);
+      }
+    } catch (err) {
+      console.error(`[batches] batches.json 読み込みエラー: ${err.message}`);
+    }
+    return this.batches.size;
+  }
+
+  /** 新しい順 */
+  list(filter = () => true) {
+    return [...this.batches.values()].filter(filter).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  get(id) {
+    return this.batches.get(id) || null;
+  }
+
+  create({
+    name = "", tags = [], concurrency = DEFAULT_BATCH_CONCURRENCY, owner = null, team = null, rejected = [],
+    deviceProfile = null, captureProfiles = [], scrapeActions = null, styleOptions = null, networkSettings = null,
+  }) {
+    const limit = Math.min(Math.max(parseInt(concurrency, 10) || DEFAULT_BATCH_CONCURRENCY, 1), MAX_BATCH_CONCURRENCY);
+    const batch = {
+      id: genBatchId(),
+      name: String(name || "").trim() || `一括クローン ${new Date().toLocaleString("ja-JP")}`,
+      tags: normalizeTags(tags),
+      concurrency: limit,
+      deviceProfile,
+      captureProfiles,
+      scrapeActions,
+      styleOptions,
+      networkSettings,
+      owner,
+      team,
+      items: [],
+      rejected,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    this.batches.set(batch.id, batch);
+    return batch;
+  }
+
+  /** 項目を追加（プロジェクト・ジョブ登録後に呼ぶ） */
+  addItem(batch, { url, tags, projectId, jobId }) {
+    batch.items.push({ url, tags, projectId, jobId, status: "queued", message: "", error: null, attempts: 0, updatedAt: Date.now() });
+    this.save();
+  }
+
+  findItem(batchId, projectId) {
+    return this.batches.get(batchId)?.items.find((i) => i.projectId === projectId) || null;
+  }
+
+  updateItem(batchId, projectId, patch) {
+    const batch = this.batches.get(batchId);
+    const item = batch?.items.find((i) => i.projectId === projectId);
+    if (!item) return null;
+    Object.assign(item, patch, { updatedAt: Date.now() });
+    batch.updatedAt = Date.now();
+    this.save();
+    return item;
+  }
+
+  delete(id) {
+    const deleted = this.batches.delete(id);
+    if (deleted) this.save();
+    return deleted;
+  }
+
+  /** 書き込みは直列化し、書き込み中の変更は完了後にまとめて保存 */
+  save() {
+    if (this._saving) {
+      this._dirty = true;
+      return this._saving;
+    }
+    this._saving = (async () => {
+      do {
+        this._dirty = false;
+        try {
+          await writeFileAtomic(this.filePath, JSON.stringify([...this.batches.values()], null, 2));
+        } catch (err) {
+          console.error(`[batches] batches.json 保存エラー: ${err.message}`);
+        }
+      } while (this._dirty);
+    })().finally(() => {
+      this._saving = null;
+    });
+    return this._saving;
+  }
+}
+
+export const batchManager = new BatchManager();
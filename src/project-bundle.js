@@ -0,0 +1,153 @@
+/**
+ * project-bundle.js - プロジェクトの書き出し / 取り込み（自己完結型 zip バンドル）
+ *
+ * バンドル構成:
+ *   bundle.json   … フォーマットバージョン・書き出し元プロジェクトID・ディレクトリ情報
+ *   project.json  … ブロック・セクション・タグ設定・離脱ポップアップ等のプロジェクト本体
+ *   assets/…      … スクレイピングしたアセット（project.dirs.assets）
+ *   images/…      … 生成画像・動画（project.dirs.images）
+ *
+ * 取り込み時は新しいプロジェクトIDとディレクトリに合わせて
+ * /api/projects/<旧ID>/… の参照とローカルパスを書き換える。
+ */
+import { writeFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import AdmZip from "adm-zip";
+import { ensureDir } from "./utils.js";
+
+export const BUNDLE_VERSION = 1;
+const BUNDLE_ENTRY = "bundle.json";
+const PROJECT_ENTRY = "project.json";
+// バンドルに含めるディレクトリ（zip内プレフィックス -> project.dirs のキー）
+const BUNDLED_DIRS = { assets: "assets", images: "images" };
+// バンドルに含めないフィールド（マシン依存・ランタイム専用・所有者）
+const EXCLUDED_FIELDS = ["sseClients", "log", "dirs", "retention", "owner", "team"];
+
+/**
+ * プロジェクトをzipバンドルに書き出し
+ * @param {object} project
+ * @returns {Buffer}
+ */
+export function createProjectBundle(project) {
+  const zip = new AdmZip();
+
+  const data = {};
+  for (const [key, value] of Object.entries(project)) {
+    if (!EXCLUDED_FIELDS.includes(key)) data[key] = value;
+  }
+  // プロキシのパスワードは持ち出さない
+  if (data.networkSettings?.proxy?.password) {
+    const { password, ...proxy } = data.networkSettings.proxy;
+    data.networkSettings = { ...data.networkSettings, proxy };
+  }
+
+  for (const [prefix, key] of Object.entries(BUNDLED_DIRS)) {
+    const dir = project.dirs?.[key];
+    if (!dir || !existsSync(dir)) continue;
+    zip.addLocalFolder(dir, prefix);
+  }
+  const fileCount = zip.getEntries().filter((e) => !e.isDirectory).length;
+
+  const manifest = {
+    version: BUNDLE_VERSION,
+    sourceId: project.id,
+    sourceDirs: project.dirs || null,
+    exportedAt: Date.now(),
+    fileCount,
+  };
+  zip.addFile(BUNDLE_ENTRY, Buffer.from(JSON.stringify(manifest, null, 2), "utf-8"));
+  zip.addFile(PROJECT_ENTRY, Buffer.from(JSON.stringify(data), "utf-8"));
+  return zip.toBuffer();
+}
+
+/**
+ * バンドルを読み込んで検証
+ * @param {Buffer} buffer
+ * @returns {{ manifest: object, project: object, zip: AdmZip }}
+ */
+export function readProjectBundle(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch {
+    throw new Error("zipファイルとして読み込めません");
+  }
+  const manifestEntry = zip.getEntry(BUNDLE_ENTRY);
+  const projectEntry = zip.getEntry(PROJECT_ENTRY);
+  if (!manifestEntry || !projectEntry) throw new Error("プロジェクトバンドルではありません（bundle.json / project.json がありません）");
+
+  const manifest = JSON.parse(manifestEntry.getData().toString("utf-8"));
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new Error(`未対応のバンドルバージョンです: ${manifest.version}`);
+  }
+  const project = JSON.parse(projectEntry.getData().toString("utf-8"));
+  return { manifest, project, zip };
+}
+
+/**
+ * バンドルのファイルを展開し、新しいIDとディレクトリに合わせて参照を書き換えたプロジェクトデータを返す
+ * @param {{ manifest: object, project: object, zip: AdmZip }} bundle - readProjectBundle() の戻り値
+ * @param {object} opts
+ * @param {string} opts.id - 新しいプロジェクトID
+ * @param {object} opts.dirs - initOutputDirs() で作成した展開先
+ * @returns {Promise<{ project: object, fileCount: number }>}
+ */
+export async function extractProjectBundle({ manifest, project, zip }, { id, dirs }) {
+  let fileCount = 0;
+  for (const entry of zip.getEntries()) {
+    if (entry.isDirectory) continue;
+    const [prefix, ...rest] = entry.entryName.split("/");
+    const key = BUNDLED_DIRS[prefix];
+    if (!key || rest.length === 0) continue;
+
+    // Path traversal guard
+    const baseDir = path.resolve(dirs[key]);
+    const target = path.resolve(baseDir, rest.join("/"));
+    if (!target.startsWith(baseDir + path.sep)) continue;
+
+    await ensureDir(path.dirname(target));
+    await writeFile(target, entry.getData());
+    fileCount++;
+  }
+
+  const remapped = remapProjectReferences(project, {
+    fromId: manifest.sourceId || project.id,
+    toId: id,
+    fromDirs: manifest.sourceDirs,
+    toDirs: dirs,
+  });
+  return { project: remapped, fileCount };
+}
+
+/**
+ * プロジェクトデータ内の参照を別のIDとディレクトリ向けに書き換えたコピーを返す
+ * （/api/projects/<旧ID>/… のURLと、旧ディレクトリを指すローカルパス）
+ */
+export function remapProjectReferences(project, { fromId, toId, fromDirs, toDirs }) {
+  let json = JSON.stringify(project);
+  if (fromId && fromId !== toId) {
+    json = json.split(`/api/projects/${fromId}/`).join(`/api/projects/${toId}/`);
+  }
+  // 1回の置換でまとめて書き換え（新パスが旧パスを含む場合の二重置換を防ぐ）。
+  // 深いパスを優先（assets は scraped 配下）、JSON文字列内のパスはエスケープ済みの形で照合
+  const pathMap = new Map();
+  for (const [key, dir] of Object.entries(fromDirs || {})) {
+    if (!dir || !toDirs[key] || dir === toDirs[key]) continue;
+    pathMap.set(JSON.stringify(dir).slice(1, -1), JSON.stringify(toDirs[key]).slice(1, -1));
+  }
+  if (pathMap.size > 0) {
+    const pattern = [...pathMap.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map((p) => p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|");
+    json = json.replace(new RegExp(pattern, "g"), (m) => pathMap.get(m));
+  }
+
+  const remapped = JSON.parse(json);
+  remapped.id = toId;
+  for (const asset of remapped.assets || []) {
+    if (asset.localFile) asset.localPath = path.join(toDirs.assets, asset.localFile);
+  }
+  return remapped;
+}
@@ -0,0 +1,282 @@
+/**
+ * project-store.js - プロジェクト永続化レイヤー
+ *
+ * プロジェクトを1件ずつ output/projects/<id>/ 配下に分割保存する。
+ *   project.json      … 軽量メタデータ（起動時に全件ロード）
+ *   <field>.json      … html / blocks などの大きなフィールド（get() 時に遅延ロード）
+ *
+ * 書き込みは一時ファイル → rename のアトミック置換で、プロジェクト単位に直列化。
+ * 内容が変わっていないフィールドは書き込みをスキップする。
+ * 保存先はバックエンド（readRaw / writeRaw / listIds / remove）を差し替えて変更できる。
+ */
+import { readFile, readdir, rm, rename } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { OUTPUT_DIR, writeFileAtomic } from "./utils.js";
+
+export const PROJECTS_DIR = path.join(OUTPUT_DIR, "projects");
+const LEGACY_DB = path.join(OUTPUT_DIR, "projects.json");
+const META_FILE = "project";
+
+// 個別ファイルに分離して遅延ロードする大きなフィールド
+// （captures = 追加デバイスプロファイルのHTML、styles = 元ページのCSS一覧・SVGスプライト、upstream = 元LPの再取得結果と差分、
+//   blockGroups = 本文を包むラッパーの開始・終了タグ）
+export const HEAVY_FIELDS = ["html", "modifiedHtml", "blocks", "blockGroups", "assets", "captures", "styles", "upstream", "buildResult", "log"];
+// 永続化しないランタイム専用フィールド
+const TRANSIENT_FIELDS = ["sseClients"];
+// 処理中はキャッシュから追い出さないステータス
+const BUSY_STATUSES = new Set(["scraping", "parsing", "building"]);
+
+/**
+ * ファイルバックエンド: output/projects/<id>/<name>.json
+ */
+export class FileProjectBackend {
+  constructor(rootDir = PROJECTS_DIR) {
+    this.rootDir = rootDir;
+  }
+
+  _file(id, name) {
+    return path.join(this.rootDir, id, `${name}.json`);
+  }
+
+  async listIds() {
+    if (!existsSync(this.rootDir)) return [];
+    const entries = await readdir(this.rootDir, { withFileTypes: true });
+    return entries
+      .filter((e) => e.isDirectory() && existsSync(this._file(e.name, META_FILE)))
+      .map((e) => e.name);
+  }
+
+  async readRaw(id, name) {
+    const filePath = this._file(id, name);
+    if (!existsSync(filePath)) return null;
+    return readFile(filePath, "utf-8");
+  }
+
+  async writeRaw(id, name, text) {
+    await writeFileAtomic(this._file(id, name), text);
+  }
+
+  async remove(id) {
+    await rm(path.join(this.rootDir, id), { recursive: true, force: true });
+  }
+}
+
+function hashText(text) {
+  return crypto.createHash("md5").update(text).digest("hex");
+}
+
+/** プロジェクトをメタデータと大きなフィールドに分割 */
+function splitProject(project) {
+  const meta = {};
+  const heavy = {};
+  for (const [key, value] of Object.entries(project)) {
+    if (TRANSIENT_FIELDS.includes(key)) continue;
+    if (HEAVY_FIELDS.includes(key)) heavy[key] = value;
+    else meta[key] = value;
+  }
+  return { meta, heavy };
+}
+
+function buildSummary(meta, stats) {
+  return { ...meta, blockCount: stats?.blockCount || 0 };
+}
+
+export class ProjectStore {
+  constructor(backend = new FileProjectBackend()) {
+    this.backend = backend;
+    this.index = new Map();    // id -> { meta, stats }（全件、軽量）
+    this.cache = new Map();    // id -> 完全なプロジェクト（ロード済みのみ）
+    this._loading = new Map(); // id -> ロード中Promise
+    this._queues = new Map();  // id -> 書き込みチェーン
+    this._hashes = new Map();  // id -> Map(name -> 最終書き込み内容のhash)
+    this._lastAccess = new Map();
+  }
+
+  /** 起動時: 旧 projects.json の移行 + メタデータ全件ロード */
+  async init() {
+    await this._migrateLegacyDb();
+    for (const id of await this.backend.listIds()) {
+      try {
+        const raw = await this.backend.readRaw(id, META_FILE);
+        const { project: meta, stats } = JSON.parse(raw);
+        this.index.set(id, { meta, stats });
+        this._rememberHash(id, META_FILE, raw);
+      } catch (err) {
+        console.error(`[project-store] メタデータ読み込み失敗 (${id}): ${err.message}`);
+      }
+    }
+    return this.index.size;
+  }
+
+  get size() {
+    return this.index.size;
+  }
+
+  has(id) {
+    return this.index.has(id);
+  }
+
+  /** 軽量メタデータのみ取得（所有者チェック等に使用） */
+  getMeta(id) {
+    const cached = this.cache.get(id);
+    if (cached) return cached;
+    return this.index.get(id)?.meta || null;
+  }
+
+  /** 一覧用サマリー（大きなフィールドはロードしない） */
+  list() {
+    const list = [];
+    for (const [id, entry] of this.index) {
+      const cached = this.cache.get(id);
+      if (cached) {
+        const { meta } = splitProject(cached);
+        list.push(buildSummary(meta, { blockCount: cached.blocks?.length || 0 }));
+      } else {
+        list.push(buildSummary(entry.meta, entry.stats));
+      }
+    }
+    return list;
+  }
+
+  /** プロジェクト全体を取得（未ロードならディスクから読み込み） */
+  async get(id) {
+    if (!id || !this.index.has(id)) return null;
+    this._lastAccess.set(id, Date.now());
+    if (this.cache.has(id)) return this.cache.get(id);
+    if (!this._loading.has(id)) {
+      const loading = this._hydrate(id).finally(() => this._loading.delete(id));
+      this._loading.set(id, loading);
+    }
+    return this._loading.get(id);
+  }
+
+  /** 大きなフィールドを1つだけ読み込み（プロジェクト全体はロードしない） */
+  async getField(id, field) {
+    if (!this.index.has(id)) return undefined;
+    const cached = this.cache.get(id);
+    if (cached) return cached[field];
+    if (!HEAVY_FIELDS.includes(field)) return this.index.get(id).meta[field];
+    const raw = await this.backend.readRaw(id, field);
+    return raw == null ? undefined : JSON.parse(raw);
+  }
+
+  /** 新規プロジェクトを登録して保存 */
+  async create(project) {
+    this.cache.set(project.id, project);
+    this.index.set(project.id, { meta: splitProject(project).meta, stats: { blockCount: project.blocks?.length || 0 } });
+    this._lastAccess.set(project.id, Date.now());
+    await this.save(project);
+    return project;
+  }
+
+  /**
+   * プロジェクトを保存。同一プロジェクトへの書き込みは直列化され、
+   * 変更のないフィールドはスキップされる。
+   */
+  save(project) {
+    const id = project.id;
+    const prev = this._queues.get(id) || Promise.resolve();
+    const next = prev.then(() => this._write(project));
+    const tail = next.catch((err) => {
+      console.error(`[project-store] 保存エラー (${id}): ${err.message}`);
+    });
+    this._queues.set(id, tail);
+    tail.then(() => {
+      if (this._queues.get(id) === tail) this._queues.delete(id);
+    });
+    return next;
+  }
+
+  /** 完全削除 */
+  async delete(id) {
+    await (this._queues.get(id) || Promise.resolve());
+    this.cache.delete(id);
+    this.index.delete(id);
+    this._hashes.delete(id);
+    this._lastAccess.delete(id);
+    await this.backend.remove(id);
+  }
+
+  /** 一定時間アクセスのないプロジェクトをメモリから解放（ディスクには残る） */
+  evictIdle(maxIdleMs) {
+    const now = Date.now();
+    let evicted = 0;
+    for (const [id, project] of this.cache) {
+      if (now - (this._lastAccess.get(id) || 0) < maxIdleMs) continue;
+      if (BUSY_STATUSES.has(project.status)) continue;
+      if (project.sseClients?.length) continue;
+      if (this._queues.has(id)) continue;
+      this.cache.delete(id);
+      evicted++;
+    }
+    return evicted;
+  }
+
+  async _hydrate(id) {
+    const raw = await this.backend.readRaw(id, META_FILE);
+    if (raw == null) return null;
+    const { project: meta } = JSON.parse(raw);
+    const project = { ...meta };
+    for (const field of HEAVY_FIELDS) {
+      const fieldRaw = await this.backend.readRaw(id, field);
+      if (fieldRaw == null) continue;
+      project[field] = JSON.parse(fieldRaw);
+      this._rememberHash(id, field, fieldRaw);
+    }
+    // ランタイム専用フィールドを復元
+    project.sseClients = [];
+    project.log = project.log || [];
+    // 並行ロード中に create() された場合はそちらを優先
+    if (this.cache.has(id)) return this.cache.get(id);
+    this.cache.set(id, project);
+    return project;
+  }
+
+  async _write(project) {
+    const id = project.id;
+    const { meta, heavy } = splitProject(project);
+    for (const field of HEAVY_FIELDS) {
+      if (heavy[field] === undefined) continue;
+      await this._writeIfChanged(id, field, JSON.stringify(heavy[field]));
+    }
+    const stats = { blockCount: project.blocks?.length || 0 };
+    await this._writeIfChanged(id, META_FILE, JSON.stringify({ project: meta, stats }, null, 2));
+    if (this.index.has(id)) this.index.set(id, { meta, stats });
+  }
+
+  async _writeIfChanged(id, name, text) {
+    const hash = hashText(text);
+    if (this._hashes.get(id)?.get(name) === hash) return;
+    await this.backend.writeRaw(id, name, text);
+    this._rememberHash(id, name, text, hash);
+  }
+
+  _rememberHash(id, name, text, hash = hashText(text)) {
+    if (!this._hashes.has(id)) this._hashes.set(id, new Map());
+    this._hashes.get(id).set(name, hash);
+  }
+
+  /** 旧形式 output/projects.json（全件1ファイル）を分割保存に移行 */
+  async _migrateLegacyDb() {
+    if (!existsSync(LEGACY_DB)) return;
+    try {
+      const data = JSON.parse(await readFile(LEGACY_DB, "utf-8"));
+      const existing = new Set(await this.backend.listIds());
+      let migrated = 0;
+      for (const [id, p] of Object.entries(data)) {
+        if (existing.has(id)) continue;
+        await this._write({ ...p, id });
+        migrated++;
+      }
+      this._hashes.clear();
+      await rename(LEGACY_DB, `${LEGACY_DB}.migrated`);
+      console.log(`[project-store] projects.json から ${migrated} プロジェクトを移行しました`);
+    } catch (err) {
+      console.error(`[project-store] projects.json 移行エラー: ${err.message}`);
+    }
+  }
+}
+
+export const projectStore = new ProjectStore();
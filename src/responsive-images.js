@@ -0,0 +1,273 @@
+/**
+ * responsive-images.js - レスポンシブ画像のモデルと候補の作り直し
+ *
+ * 画像1枚（<picture> / picture外の <img> / インラインの CSS 背景）ごとに、取得元のすべての候補を持つ:
+ *
+ *   asset.src / webpSrc / avifSrc  - 従来どおりの代表URL（webpSrc / avifSrc は該当形式の先頭候補）
+ *   asset.srcset     [{ url, descriptor, width, density }]  <img srcset>（width: "480w" / density: "2x"）
+ *   asset.sizes      <img sizes>
+ *   asset.sources    [{ media, type, format, sizes, width, height, candidates }]  <picture> の <source>
+ *   asset.formats    出てくる画像形式（"avif" / "webp" / "jpeg" / "png" / "gif"）
+ *   asset.background true なら CSS 背景（srcset は image-set() の候補）
+ *
+ * 画像を差し替えるときは regenerateCandidates() で新しい画像から候補を sharp で作り直し
+ * （幅・形式・<source> ごとの縦横比）、rewriteImageUrls() で src / srcset / 背景をまとめて書き換える。
+ * 作り直せない候補も差し替え後の画像を指すようにし、古い画像が残らないようにする。
+ */
+import * as cheerio from "cheerio";
+import sharp from "sharp";
+import path from "path";
+import { writeFile } from "fs/promises";
+import { parseSrcset } from "./lazy-load.js";
+
+const MAX_CANDIDATES = 24;
+const MAX_WIDTH = 4096;
+const OUTPUT_FORMATS = new Set(["jpeg", "png", "webp", "avif"]);
+const FORMAT_EXT = { jpeg: "jpg", png: "png", webp: "webp", avif: "avif" };
+const FORMAT_BY_EXT = { jpg: "jpeg", jpeg: "jpeg", png: "png", webp: "webp", avif: "avif", gif: "gif" };
+const CSS_URL = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+
+// ── 読み取り ──────────────────────────────────────────────
+
+/** srcset → 候補（幅・密度の記述子を数値にする） */
+export function parseCandidates(value) {
+  return parseSrcset(value).map(({ url, descriptor }) => {
+    const w = descriptor.match(/^(\d+)w$/i);
+    const x = descriptor.match(/^(\d*\.?\d+)x$/i);
+    return { url, descriptor, width: w ? Number(w[1]) : null, density: x ? Number(x[1]) : null };
+  });
+}
+
+/** MIMEタイプ → URLの拡張子の順で画像形式を判定 */
+export function imageFormat(type, url) {
+  const fromType = String(type || "").match(/^image\/([a-z0-9+]+)/i)?.[1]?.toLowerCase();
+  if (fromType) return fromType === "jpg" ? "jpeg" : fromType;
+  const ext = String(url || "").split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return FORMAT_BY_EXT[ext] || null;
+}
+
+const intAttr = ($node, name) => parseInt($node.attr(name) || "0", 10) || 0;
+
+function readSource($, sourceEl) {
+  const $source = $(sourceEl);
+  const candidates = parseCandidates($source.attr("data-srcset") || $source.attr("srcset") || $source.attr("data-src") || $source.attr("src") || "");
+  return {
+    media: $source.attr("media") || "",
+    type: $source.attr("type") || "",
+    format: imageFormat($source.attr("type"), candidates[0]?.url),
+    sizes: $source.attr("sizes") || "",
+    width: intAttr($source, "width"),
+    height: intAttr($source, "height"),
+    candidates,
+  };
+}
+
+function collectFormats(src, srcset, sources) {
+  const formats = [
+    ...sources.map((s) => s.format),
+    ...srcset.map((c) => imageFormat(null, c.url)),
+    imageFormat(null, src),
+  ].filter(Boolean);
+  return [...new Set(formats)];
+}
+
+/** <picture> または picture 外の <img> を読み取る */
+function describeImage($, mediaEl) {
+  const $media = $(mediaEl);
+  const isPicture = mediaEl.tagName?.toLowerCase() === "picture";
+  const $img = isPicture ? $media.find("img").first() : $media;
+  const src = $img.attr("data-src") || $img.attr("src") || "";
+  const srcset = parseCandidates($img.attr("data-srcset") || $img.attr("srcset") || "");
+  const sources = isPicture ? $media.find("source").toArray().map((el) => readSource($, el)) : [];
+  const firstOf = (format) => sources.find((s) => s.format === format)?.candidates[0]?.url || "";
+  return {
+    type: "image",
+    src,
+    ...(isPicture && { webpSrc: firstOf("webp"), avifSrc: firstOf("avif") }),
+    width: intAttr($img, "width"),
+    height: intAttr($img, "height"),
+    srcset,
+    sizes: $img.attr("sizes") || "",
+    sources,
+    formats: collectFormats(src, srcset, sources),
+  };
+}
+
+/** インライン style の url() をすべて取り出す */
+export function styleImageUrls(style) {
+  return [...String(style || "").matchAll(CSS_URL)].map((m) => m[2].trim());
+}
+
+/** インラインの background / background-image（image-set() は候補として持つ） */
+function describeBackground(style) {
+  const value = style.match(/background(?:-image)?\s*:([^;]+)/i)?.[1];
+  if (!value) return null;
+  const urls = styleImageUrls(value);
+  if (!urls.length) return null;
+  const imageSet = value.match(/image-set\(([\s\S]*)\)/i);
+  const srcset = imageSet
+    ? [...imageSet[1].matchAll(/url\(\s*(["']?)([^"')]+)\1\s*\)\s*([\d.]+x)?/g)].map((m) => ({
+      url: m[2].trim(), descriptor: m[3] || "", width: null, density: m[3] ? parseFloat(m[3]) : null,
+    }))
+    : [];
+  return {
+    type: "image",
+    background: true,
+    src: urls[0],
+    width: 0,
+    height: 0,
+    srcset,
+    sizes: "",
+    sources: [],
+    formats: collectFormats(urls[0], srcset, []),
+  };
+}
+
+/**
+ * 要素内の画像アセットを抽出（<picture> / <img> の出現順、続けて CSS 背景）
+ */
+export function extractImageAssets($, $el) {
+  const assets = [];
+  // ブロック自体が <img> / <picture> の場合もあるので自身も含める
+  $el.find("picture, img").addBack("picture, img").each((_, mediaEl) => {
+    // picture 内の img は picture 側で読む
+    if (mediaEl.tagName?.toLowerCase() === "img" && $(mediaEl).closest("picture").length) return;
+    assets.push(describeImage($, mediaEl));
+  });
+  $el.find('[style*="url("]').addBack('[style*="url("]').each((_, el) => {
+    const background = describeBackground($(el).attr("style") || "");
+    if (background) assets.push(background);
+  });
+  return assets;
+}
+
+/** アセットが参照するすべてのURL（代表URL + 全候補） */
+export function assetUrls(asset) {
+  const urls = [asset.src, asset.webpSrc, asset.avifSrc, ...(asset.srcset || []).map((c) => c.url)];
+  for (const source of asset.sources || []) urls.push(...source.candidates.map((c) => c.url));
+  return [...new Set(urls.filter(Boolean))];
+}
+
+// ── 書き換え ──────────────────────────────────────────────
+
+const rewriteSrcset = (value, resolve) =>
+  parseSrcset(value).map(({ url, descriptor }) => {
+    const next = resolve(url) || url;
+    return descriptor ? `${next} ${descriptor}` : next;
+  }).join(", ");
+
+/**
+ * $scope 内（自身を含む）の画像URLをまとめて書き換える
+ * img / source の src・data-src・srcset・data-srcset とインライン style の url()
+ * @param {(url: string) => string|null} resolve - 新しいURL（null なら変更しない）
+ * @returns {number} 書き換えた属性数
+ */
+export function rewriteImageUrls($, $scope, resolve) {
+  let count = 0;
+  const set = ($node, attr, next) => {
+    if (next !== $node.attr(attr)) {
+      $node.attr(attr, next);
+      count++;
+    }
+  };
+  $scope.find("img, source").addBack("img, source").each((_, el) => {
+    const $node = $(el);
+    for (const attr of ["src", "data-src"]) {
+      const value = $node.attr(attr);
+      if (value) set($node, attr, resolve(value.trim()) || value);
+    }
+    for (const attr of ["srcset", "data-srcset"]) {
+      const value = $node.attr(attr);
+      if (value) set($node, attr, rewriteSrcset(value, resolve));
+    }
+  });
+  $scope.find('[style*="url("]').addBack('[style*="url("]').each((_, el) => {
+    const $node = $(el);
+    const style = $node.attr("style");
+    set($node, "style", style.replace(CSS_URL, (m, quote, url) => {
+      const next = resolve(url.trim());
+      return next ? `url(${quote}${next}${quote})` : m;
+    }));
+  });
+  return count;
+}
+
+/**
+ * ブロックHTML内のアセット（代表URL・全候補）を差し替え後の画像に置き換える
+ * @param {string} html
+ * @param {object} asset - extractImageAssets() のアセット
+ * @param {string} newSrc - 差し替え後の画像URL
+ * @param {Map<string, string>} [generated] - regenerateCandidates() の結果
+ * @param {string[]} [aliases] - 同じ画像を指す別表記（ダウンロード済みアセットのURL等）
+ * @returns {{ html: string, assets: Array }} 書き換えたHTMLと読み直したアセット
+ */
+export function replaceAssetImage(html, asset, newSrc, generated = new Map(), aliases = []) {
+  const $ = cheerio.load(html, { decodeEntities: false }, false);
+  const old = new Set([...assetUrls(asset), ...aliases]);
+  rewriteImageUrls($, $.root(), (url) => (old.has(url) ? generated.get(url) || newSrc : null));
+  return { html: $.html(), assets: extractImageAssets($, $.root()) };
+}
+
+// ── 候補の作り直し ────────────────────────────────────────
+
+/** 作り直す候補の一覧（幅・形式・縦横比） */
+function plannedCandidates(asset, sourceWidth) {
+  const aspect = asset.width && asset.height ? asset.height / asset.width : null;
+  // 密度記述子の基準幅（HTMLに幅がなければ新しい画像を最大密度で割る）
+  const maxDensity = Math.max(1, ...[...(asset.srcset || []), ...(asset.sources || []).flatMap((s) => s.candidates)].map((c) => c.density || 1));
+  const baseWidth = asset.width || Math.round(sourceWidth / maxDensity);
+  const widthOf = (c, fallbackWidth) => c.width || (c.density ? Math.round(baseWidth * c.density) : fallbackWidth);
+
+  const planned = (asset.srcset || []).map((c) => ({ url: c.url, width: widthOf(c, baseWidth), format: imageFormat(null, c.url), aspect }));
+  for (const source of asset.sources || []) {
+    // アートディレクション: <source> に width/height があればその縦横比で切り出す
+    const sourceAspect = source.width && source.height ? source.height / source.width : aspect;
+    for (const c of source.candidates) {
+      planned.push({ url: c.url, width: widthOf(c, source.width || baseWidth), format: source.format || imageFormat(null, c.url), aspect: sourceAspect });
+    }
+  }
+  return planned.slice(0, MAX_CANDIDATES).map((p) => ({
+    ...p,
+    width: Math.min(p.width || sourceWidth, MAX_WIDTH),
+    format: OUTPUT_FORMATS.has(p.format) ? p.format : "jpeg",
+  }));
+}
+
+function encode(pipeline, format) {
+  if (format === "png") return pipeline.png();
+  if (format === "webp") return pipeline.webp({ quality: 85 });
+  if (format === "avif") return pipeline.avif({ quality: 60 });
+  return pipeline.jpeg({ quality: 88 });
+}
+
+/**
+ * 差し替え後の画像から、アセットの srcset・<source> の候補をすべて作り直す
+ * 候補がない単純な画像は作らない（rewriteImageUrls で差し替え後の画像を指すだけでよい）
+ * @param {object} asset - extractImageAssets() のアセット
+ * @param {string} imagePath - 差し替え後の画像ファイル
+ * @param {object} options
+ * @param {string} options.outDir - 出力先ディレクトリ
+ * @param {(file: string) => string} options.urlFor - 出力ファイル名 → 公開URL
+ * @param {string} [options.prefix] - 出力ファイル名の接頭辞
+ * @returns {Promise<Map<string, string>>} 元の候補URL → 作り直した画像のURL
+ */
+export async function regenerateCandidates(asset, imagePath, { outDir, urlFor, prefix = `rsp_${Date.now()}` }) {
+  const result = new Map();
+  if (!asset?.srcset?.length && !asset?.sources?.length) return result;
+
+  const meta = await sharp(imagePath).metadata();
+  const planned = plannedCandidates(asset, meta.width || asset.width || 0);
+  const written = new Map(); // 同じ幅・形式・縦横比は1回だけ作る
+  for (const p of planned) {
+    const height = p.aspect ? Math.round(p.width * p.aspect) : null;
+    const key = `${p.width}x${height ?? "auto"}.${p.format}`;
+    if (!written.has(key)) {
+      const file = `${prefix}_${p.width}w${height ? `_${height}h` : ""}.${FORMAT_EXT[p.format]}`;
+      const pipeline = sharp(imagePath).resize(p.width, height, height ? { fit: "cover" } : { withoutEnlargement: true });
+      await writeFile(path.join(outDir, file), await encode(pipeline, p.format).toBuffer());
+      written.set(key, urlFor(file));
+    }
+    if (!result.has(p.url)) result.set(p.url, written.get(key));
+  }
+  return result;
+}
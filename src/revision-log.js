@@ -0,0 +1,359 @@
+/**
+ * revision-log.js - プロジェクトのサーバー側リビジョン履歴
+ *
+ * ブロック変更のたびに直前の状態とのブロック単位差分を
+ * output/projects/<id>/revisions.jsonl に追記する（作成者・日時・説明付き）。
+ * 一定間隔でブロック全体のチェックポイントを保存し、任意のリビジョンの状態は
+ * 直近のチェックポイントから差分を再生して復元する。
+ * ブロックの groupId が指すラッパー構成（blockGroups）とセクションは、
+ * 変わったリビジョンとチェックポイントに layout として丸ごと保存する。
+ */
+import { readFile, appendFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { ensureDir, writeFileAtomic } from "./utils.js";
+import { PROJECTS_DIR } from "./project-store.js";
+
+const CHECKPOINT_INTERVAL = 20;
+
+function blockHash(block) {
+  // index は並び替えで変わるため比較対象から除外
+  const { index, ...rest } = block;
+  return crypto.createHash("md5").update(JSON.stringify(rest)).digest("hex");
+}
+
+function cloneBlocks(blocks) {
+  return JSON.parse(JSON.stringify(blocks || []));
+}
+
+/** ブロックと一緒に復元する構成情報（ラッパーのグループ・セクション） */
+function layoutOf(project) {
+  return { blockGroups: cloneBlocks(project.blockGroups), sections: cloneBlocks(project.sections) };
+}
+
+function layoutHash(layout) {
+  return layout ? crypto.createHash("md5").update(JSON.stringify(layout)).digest("hex") : null;
+}
+
+/**
+ * 2つのブロック列のLCS差分を ops 列で返す
+ *   { op: "keep", count } / { op: "remove", count } / { op: "insert", blocks }
+ */
+export function diffBlockLists(before, after) {
+  const a = before.map(blockHash);
+  const b = after.map(blockHash);
+  const n = a.length;
+  const m = b.length;
+  // lcs[i][j] = a[i..] と b[j..] のLCS長
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, payload) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) {
+      if (op === "insert") last.blocks.push(payload);
+      else last.count++;
+      return;
+    }
+    ops.push(op === "insert" ? { op, blocks: [payload] } : { op, count: 1 });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { push("keep"); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) { push("remove"); i++; }
+    else { push("insert", after[j]); j++; }
+  }
+  while (i < n) { push("remove"); i++; }
+  while (j < m) { push("insert", after[j]); j++; }
+  return ops;
+}
+
+/** ops をブロック列に適用 */
+export function applyBlockOps(before, ops) {
+  const result = [];
+  let i = 0;
+  for (const op of ops) {
+    if (op.op === "keep") {
+      result.push(...before.slice(i, i + op.count));
+      i += op.count;
+    } else if (op.op === "remove") {
+      i += op.count;
+    } else if (op.op === "insert") {
+      result.push(...cloneBlocks(op.blocks));
+    }
+  }
+  result.push(...before.slice(i));
+  result.forEach((b, idx) => { b.index = idx; });
+  return result;
+}
+
+/** ops を「追加 / 削除 / 変更」に集計（隣接する削除+挿入は変更として扱う） */
+function summarizeOps(ops) {
+  const summary = { added: 0, removed: 0, changed: 0 };
+  for (let k = 0; k < ops.length; k++) {
+    const op = ops[k];
+    if (op.op === "remove") {
+      const next = ops[k + 1];
+      if (next?.op === "insert") {
+        const paired = Math.min(op.count, next.blocks.length);
+        summary.changed += paired;
+        summary.removed += op.count - paired;
+        summary.added += next.blocks.length - paired;
+        k++;
+      } else {
+        summary.removed += op.count;
+      }
+    } else if (op.op === "insert") {
+      summary.added += op.blocks.length;
+    }
+  }
+  return summary;
+}
+
+function describeBlock(block) {
+  if (!block) return null;
+  return {
+    type: block.type,
+    widgetType: block.widgetType || null,
+    text: block.text?.slice(0, 100) || null,
+    html: block.html,
+  };
+}
+
+/**
+ * 2つのブロック列を比較して追加 / 削除 / 変更ブロックの一覧を返す
+ * @returns {{ summary: object, changes: Array }}
+ */
+export function compareBlocks(before, after) {
+  const ops = diffBlockLists(before, after);
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  for (let k = 0; k < ops.length; k++) {
+    const op = ops[k];
+    if (op.op === "keep") {
+      i += op.count;
+      j += op.count;
+    } else if (op.op === "remove") {
+      const next = ops[k + 1];
+      const inserted = next?.op === "insert" ? next.blocks : [];
+      for (let c = 0; c < op.count; c++) {
+        if (c < inserted.length) {
+          changes.push({ type: "changed", fromIndex: i + c, toIndex: j + c, before: describeBlock(before[i + c]), after: describeBlock(inserted[c]) });
+        } else {
+          changes.push({ type: "removed", fromIndex: i + c, before: describeBlock(before[i + c]) });
+        }
+      }
+      for (let c = op.count; c < inserted.length; c++) {
+        changes.push({ type: "added", toIndex: j + c, after: describeBlock(inserted[c]) });
+      }
+      i += op.count;
+      j += inserted.length;
+      if (inserted.length) k++;
+    } else if (op.op === "insert") {
+      op.blocks.forEach((b, c) => changes.push({ type: "added", toIndex: j + c, after: describeBlock(b) }));
+      j += op.blocks.length;
+    }
+  }
+  return { summary: summarizeOps(ops), changes };
+}
+
+/** リビジョンのメタ情報（差分・スナップショット本体を除いた一覧用） */
+function toMeta(rev) {
+  const { ops, snapshot, layout, ...meta } = rev;
+  return meta;
+}
+
+export class RevisionLog {
+  constructor(rootDir = PROJECTS_DIR) {
+    this.rootDir = rootDir;
+    this._heads = new Map();  // projectId -> { seq, blocks, layoutKey }（最新状態のキャッシュ）
+    this._queues = new Map(); // projectId -> 書き込みチェーン
+  }
+
+  _file(projectId) {
+    return path.join(this.rootDir, projectId, "revisions.jsonl");
+  }
+
+  async _readAll(projectId) {
+    const filePath = this._file(projectId);
+    if (!existsSync(filePath)) return [];
+    const raw = await readFile(filePath, "utf-8");
+    const revisions = [];
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        revisions.push(JSON.parse(line));
+      } catch {
+        // 書き込み途中でクラッシュした末尾行は無視
+      }
+    }
+    return revisions;
+  }
+
+  _enqueue(projectId, task) {
+    const prev = this._queues.get(projectId) || Promise.resolve();
+    const next = prev.then(task);
+    const tail = next.catch(() => {});
+    this._queues.set(projectId, tail);
+    tail.then(() => {
+      if (this._queues.get(projectId) === tail) this._queues.delete(projectId);
+    });
+    return next;
+  }
+
+  /** 一覧（新しい順） */
+  async list(projectId) {
+    const revisions = await this._readAll(projectId);
+    return revisions.map(toMeta).reverse();
+  }
+
+  async get(projectId, revisionId) {
+    const revisions = await this._readAll(projectId);
+    const rev = revisions.find((r) => r.id === revisionId);
+    return rev ? toMeta(rev) : null;
+  }
+
+  /**
+   * 現在のブロック状態（と構成情報）をリビジョンとして記録
+   * @param {object} project
+   * @param {object} info - { action, description, author, name }
+   * @returns {Promise<object|null>} 記録したリビジョン（変更がなければ null）
+   */
+  record(project, { action, description = "", author = "anonymous", name = null } = {}) {
+    return this._enqueue(project.id, async () => {
+      const blocks = cloneBlocks(project.blocks);
+      const layout = layoutOf(project);
+      const layoutKey = layoutHash(layout);
+      const head = await this._loadHead(project.id);
+      const seq = head ? head.seq + 1 : 1;
+
+      const rev = {
+        id: `r${seq}_${Date.now().toString(36)}`,
+        seq,
+        action,
+        description,
+        author,
+        name,
+        timestamp: Date.now(),
+        blockCount: blocks.length,
+      };
+
+      if (head) {
+        const ops = diffBlockLists(head.blocks, blocks);
+        const layoutChanged = layoutKey !== head.layoutKey;
+        // 変更なし（名前付き保存を除く）は記録しない
+        if (!name && !layoutChanged && ops.every((op) => op.op === "keep")) return null;
+        rev.summary = summarizeOps(ops);
+        if (seq % CHECKPOINT_INTERVAL === 1) rev.snapshot = blocks;
+        else rev.ops = ops;
+        if (layoutChanged || rev.snapshot) rev.layout = layout;
+      } else {
+        rev.summary = { added: blocks.length, removed: 0, changed: 0 };
+        rev.snapshot = blocks;
+        rev.layout = layout;
+      }
+
+      await ensureDir(path.dirname(this._file(project.id)));
+      await appendFile(this._file(project.id), JSON.stringify(rev) + "\n", "utf-8");
+      this._heads.set(project.id, { seq, blocks, layoutKey });
+      return toMeta(rev);
+    });
+  }
+
+  /**
+   * 指定リビジョン時点のブロック状態を復元
+   * @returns {Promise<{ blocks, blockGroups, sections, revision }|null>}
+   *   構成情報を持たない旧形式の履歴では blockGroups / sections は null
+   */
+  async getState(projectId, revisionId) {
+    const revisions = await this._readAll(projectId);
+    const target = revisions.findIndex((r) => r.id === revisionId);
+    if (target === -1) return null;
+    const layout = this._replayLayout(revisions, target);
+    return {
+      blocks: this._replay(revisions, target),
+      blockGroups: layout?.blockGroups ?? null,
+      sections: layout?.sections ?? null,
+      revision: toMeta(revisions[target]),
+    };
+  }
+
+  /** 2つのリビジョン間のブロック単位差分 */
+  async diff(projectId, fromId, toId) {
+    const revisions = await this._readAll(projectId);
+    const fromIdx = revisions.findIndex((r) => r.id === fromId);
+    const toIdx = revisions.findIndex((r) => r.id === toId);
+    if (fromIdx === -1 || toIdx === -1) return null;
+
+    const before = this._replay(revisions, fromIdx);
+    const after = this._replay(revisions, toIdx);
+    return {
+      from: toMeta(revisions[fromIdx]),
+      to: toMeta(revisions[toIdx]),
+      ...compareBlocks(before, after),
+    };
+  }
+
+  /** リビジョンに名前を付ける */
+  rename(projectId, revisionId, name) {
+    return this._enqueue(projectId, async () => {
+      const revisions = await this._readAll(projectId);
+      const rev = revisions.find((r) => r.id === revisionId);
+      if (!rev) return null;
+      rev.name = name || null;
+      await writeFileAtomic(this._file(projectId), revisions.map((r) => JSON.stringify(r)).join("\n") + "\n");
+      return toMeta(rev);
+    });
+  }
+
+  /** プロジェクト削除時などにキャッシュを破棄 */
+  forget(projectId) {
+    this._heads.delete(projectId);
+  }
+
+  async _loadHead(projectId) {
+    if (this._heads.has(projectId)) return this._heads.get(projectId);
+    const revisions = await this._readAll(projectId);
+    if (revisions.length === 0) return null;
+    const last = revisions.length - 1;
+    const head = {
+      seq: revisions[last].seq,
+      blocks: this._replay(revisions, last),
+      layoutKey: layoutHash(this._replayLayout(revisions, last)),
+    };
+    this._heads.set(projectId, head);
+    return head;
+  }
+
+  /** revisions[target] 時点の状態を直近のチェックポイントから再生 */
+  _replay(revisions, target) {
+    let start = target;
+    while (start >= 0 && !revisions[start].snapshot) start--;
+    if (start < 0) return [];
+    let blocks = cloneBlocks(revisions[start].snapshot);
+    for (let k = start + 1; k <= target; k++) {
+      if (revisions[k].snapshot) blocks = cloneBlocks(revisions[k].snapshot);
+      else blocks = applyBlockOps(blocks, revisions[k].ops || []);
+    }
+    return blocks;
+  }
+
+  /** revisions[target] 時点の構成情報（直近で layout を保存したリビジョンのもの） */
+  _replayLayout(revisions, target) {
+    for (let k = target; k >= 0; k--) {
+      if (revisions[k].layout) return cloneBlocks(revisions[k].layout);
+    }
+    return null;
+  }
+}
+
+export const revisionLog = new RevisionLog();
@@ -1,191 +1,396 @@
 /**
  * scraper.js - Playwrightスクレイピング + 画像/動画ダウンロード
  *
- * モバイルVP (412x915) でページ取得、lazy load完全展開、
- * innerHTML抽出 + 全メディアアセットダウンロード
+ * デバイスプロファイル（既定: Android 412x915）でページ取得、
+ * 年齢確認・Cookieバナー等のゲート突破（page-actions.js）。
+ * 遅延読み込みはリゾルバ + 適応スクロールで展開（lazy-load.js）、
+ * innerHTML抽出 + 全メディアアセット・CSS・フォント・背景画像のダウンロード（style-capture.js）
+ * ヘッダー・フッター・追従CTAは本文の前後に data-chrome ラッパーつきで付け足す（page-chrome.js）
+ * ダウンロードは再試行・ブラウザ経由のフォールバックつき（asset-downloader.js）。失敗したURLは failures で返す
+ * プロキシ・地域・リファラー・追加ヘッダーはプロジェクトごとに指定できる（network-settings.js）
  */
 import { chromium } from "playwright";
-import fetch from "node-fetch";
 import { writeFile } from "fs/promises";
 import path from "path";
 import {
   sleep,
   initOutputDirs,
-  urlToFilename,
   urlToSlug,
   formatBytes,
 } from "./utils.js";
+import { downloadAssets, cookieHeaderFor } from "./asset-downloader.js";
+import { runPageActions, runGateHeuristics } from "./page-actions.js";
+import { collectPageStyles, inlineComputedStyles, fetchStylesheets, writeStylesheets, isFontUrl } from "./style-capture.js";
+import { capturePageChrome, composeChromeHtml } from "./page-chrome.js";
+import { contextOptionsFor, resolveReferer, describeAppliedNetwork } from "./network-settings.js";
+import { expandLazyContent, collectMediaUrls, normalizeMediaAttributes } from "./lazy-load.js";
 
-const MOBILE_VIEWPORT = { width: 412, height: 915 };
 const USER_AGENT =
   "Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36";
 
+// ── デバイスプロファイル ─────────────────────
+// プロジェクトごとに選択。viewport / UA / DPR をまとめて切り替える
+export const DEVICE_PROFILES = {
+  android: {
+    label: "Android (Pixel 7)",
+    viewport: { width: 412, height: 915 },
+    userAgent: USER_AGENT,
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+  },
+  iphone: {
+    label: "iPhone 15",
+    viewport: { width: 390, height: 844 },
+    userAgent:
+      "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+  },
+  ipad: {
+    label: "iPad Air",
+    viewport: { width: 820, height: 1180 },
+    userAgent:
+      "Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1",
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+  },
+  desktop: {
+    label: "Desktop 1440",
+    viewport: { width: 1440, height: 900 },
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+  },
+};
+export const DEFAULT_PROFILE = "android";
+
+/** プロファイル名を検証して正規化（不明な名前は null） */
+export function resolveProfile(name) {
+  if (!name) return DEFAULT_PROFILE;
+  const key = String(name).trim().toLowerCase();
+  return DEVICE_PROFILES[key] ? key : null;
+}
+
+/** フロント向けのプロファイル一覧 */
+export function listProfiles() {
+  return Object.entries(DEVICE_PROFILES).map(([id, p]) => ({
+    id,
+    label: p.label,
+    width: p.viewport.width,
+    height: p.viewport.height,
+    isMobile: p.isMobile,
+  }));
+}
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: ["--no-sandbox", "--disable-setuid-sandbox"],
+};
+
+// ── 共有ブラウザ（一括スクレイピング用） ─────────────────────
+// 利用者がいる間は1つのブラウザを使い回し、最後の利用者が解放したら閉じる
+let sharedBrowser = null; // Promise<Browser>
+let sharedUsers = 0;
+
+export async function acquireSharedBrowser() {
+  sharedUsers++;
+  if (!sharedBrowser) {
+    sharedBrowser = chromium.launch(LAUNCH_OPTIONS).then((browser) => {
+      browser.on("disconnected", () => { sharedBrowser = null; });
+      return browser;
+    });
+    sharedBrowser.catch(() => { sharedBrowser = null; });
+  }
+  try {
+    return await sharedBrowser;
+  } catch (err) {
+    sharedUsers--;
+    throw err;
+  }
+}
+
+export async function releaseSharedBrowser() {
+  sharedUsers = Math.max(0, sharedUsers - 1);
+  if (sharedUsers > 0 || !sharedBrowser) return;
+  const closing = sharedBrowser;
+  sharedBrowser = null;
+  try {
+    await (await closing).close();
+  } catch {}
+}
+
 /**
  * ページをスクレイプしてHTML + 全アセットをダウンロード
  * @param {string} url - 対象URL
  * @param {object} [options]
  * @param {string} [options.slug] - プロジェクトスラッグ（省略時はURL由来）
- * @param {number} [options.scrollIterations=15] - スクロール回数
- * @param {number} [options.scrollDelay=800] - スクロール間のms
+ * @param {object} [options.scroll] - 適応スクロールの設定（lazy-load.js の adaptiveScroll() のオプション）
+ * @param {Array} [options.lazyResolvers] - 今回だけ追加する遅延読み込みリゾルバ（registerLazyResolver() と同じ形式）
  * @param {function} [options.onProgress] - 進捗コールバック (message: string) => void
- * @returns {Promise<{html: string, assets: Array, dirs: object}>}
+ * @param {AbortSignal} [options.signal] - 中断シグナル（ジョブのキャンセル）
+ * @param {import("playwright").Browser} [options.browser] - 共有ブラウザ（指定時はコンテキストのみ作成・破棄）
+ * @param {string} [options.profile="android"] - デバイスプロファイル名（DEVICE_PROFILES のキー）
+ * @param {boolean} [options.primary=true] - false の場合は source-<profile>.html / assets-catalog-<profile>.json に保存
+ * @param {Array} [options.actions] - 抽出前に実行するアクション（normalizeActions() 済み）
+ * @param {boolean} [options.gateHeuristics=true] - 年齢確認・Cookieバナー等を自動で処理
+ * @param {function} [options.onAction] - 実行したアクションの記録 (record) => void
+ * @param {boolean} [options.captureStyles=true] - CSS・Webフォント・背景画像・SVGスプライトを収集
+ * @param {boolean} [options.inlineStyles=false] - トップレベルブロックの計算済みスタイルを style 属性にインライン化
+ * @param {boolean} [options.resumeDownloads=true] - 保存済みのアセットは再ダウンロードしない（false = 常に取得し直す）
+ * @param {boolean} [options.captureChrome=true] - ヘッダー・フッター・追従CTAを本文の前後に付け足す
+ * @param {object} [options.network] - プロキシ・地域・リファラー・追加ヘッダー（normalizeNetworkSettings() 済み）
+ * @returns {Promise<{html: string, assets: Array, failures: Array, dirs: object, slug: string, profile: string, actionLog: Array, styles: object|null, chrome: Array, lazy: object, network: object}>}
  */
 export async function scrape(url, options = {}) {
   const slug = options.slug || urlToSlug(url);
-  const scrollIterations = options.scrollIterations || 8;
-  const scrollDelay = options.scrollDelay || 200;
   const onProgress = options.onProgress || (() => {});
+  const signal = options.signal;
+  signal?.throwIfAborted();
+  const profileName = resolveProfile(options.profile);
+  if (!profileName) throw new Error(`不明なデバイスプロファイル: ${options.profile}`);
+  const device = DEVICE_PROFILES[profileName];
+  const fileSuffix = options.primary === false ? `-${profileName}` : "";
 
-  console.log(`[scraper] Starting scrape: ${url}`);
+  console.log(`[scraper] Starting scrape: ${url} (${profileName})`);
   console.log(`[scraper] Project slug: ${slug}`);
 
   const dirs = await initOutputDirs(slug);
 
-  const browser = await chromium.launch({
-    headless: true,
-    args: ["--no-sandbox", "--disable-setuid-sandbox"],
-  });
+  const browser = options.browser || await chromium.launch(LAUNCH_OPTIONS);
+  let context = null;
 
   try {
-    const context = await browser.newContext({
-      viewport: MOBILE_VIEWPORT,
-      userAgent: USER_AGENT,
-      deviceScaleFactor: 2.625,
-      isMobile: true,
-      hasTouch: true,
-    });
+    context = await newDeviceContext(browser, device, options.network);
     const page = await context.newPage();
+    // プロキシ経由のときはアセットもページと同じ出口（page.request）から取得する
+    const viaProxy = !!options.network?.proxy;
 
     // ページ読み込み
     console.log("[scraper] Loading page...");
     onProgress("ページ読み込み中...");
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 90000 });
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 90000, referer: resolveReferer(options.network) || undefined });
+    const network = await describeAppliedNetwork(page, options.network, device);
     // DOMロード後、追加リソース読み込みを待つ
     await sleep(800);
 
-    // スクロールしてlazy loadを完全展開
-    console.log(`[scraper] Scrolling to load lazy content (${scrollIterations} iterations)...`);
+    // ゲート（年齢確認・Cookie同意・インタースティシャル）の突破
+    const actionLog = [];
+    const onAction = (record) => {
+      actionLog.push(record);
+      options.onAction?.(record);
+    };
+    if (options.gateHeuristics !== false) {
+      await runGateHeuristics(page, { onAction });
+    }
+    if (options.actions?.length) {
+      signal?.throwIfAborted();
+      onProgress(`アクション実行中（${options.actions.length}件）...`);
+      await runPageActions(page, options.actions, { onAction, signal });
+    }
+
+    // 遅延読み込み属性の書き戻し + 通信・画像数が落ち着くまでスクロール
+    console.log("[scraper] Expanding lazy content...");
+    signal?.throwIfAborted();
     onProgress("ページスクロール中（lazy load展開）...");
-    for (let i = 0; i < scrollIterations; i++) {
-      await page.evaluate(({ step, total }) => {
-        const totalHeight = document.body.scrollHeight;
-        const stepSize = totalHeight / total;
-        window.scrollTo(0, stepSize * (step + 1));
-      }, { step: i, total: scrollIterations });
-      await sleep(scrollDelay);
+    const lazy = await expandLazyContent(page, { resolvers: options.lazyResolvers, scroll: options.scroll, signal, onProgress });
+    const resolvedSummary = Object.entries(lazy.resolved).filter(([, n]) => n).map(([name, n]) => `${name}:${n}`).join(", ");
+    console.log(`[scraper] Scrolled ${lazy.steps} steps, ${lazy.images} images${lazy.timedOut ? " (limit reached)" : ""}; resolved ${resolvedSummary || "none"}`);
+    // HTML内の表記をダウンロード時のURLと揃える（プレビューでの置換用）
+    await normalizeMediaAttributes(page);
+
+    // ヘッダー・フッター・追従CTA（本文の抽出時には除外し、前後に付け足す）
+    let chrome = [];
+    if (options.captureChrome !== false) {
+      signal?.throwIfAborted();
+      onProgress("ヘッダー・フッター・追従CTAを検出中...");
+      chrome = await capturePageChrome(page);
+      console.log(`[scraper] Page chrome: ${chrome.map((c) => `${c.role}(${c.position})`).join(", ") || "none"}`);
+    }
+
+    // スタイル収集（インライン化はHTML抽出前にDOMへ反映）
+    let pageStyles = null;
+    if (options.captureStyles !== false) {
+      signal?.throwIfAborted();
+      onProgress("スタイルシート・フォント収集中...");
+      pageStyles = await collectPageStyles(page);
+      if (options.inlineStyles) {
+        const inlined = await inlineComputedStyles(page);
+        console.log(`[scraper] Inlined computed styles into ${inlined} blocks`);
+      }
     }
-    // 最後にページ末端まで
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-    await sleep(300);
-    // トップに戻す
-    await page.evaluate(() => window.scrollTo(0, 0));
-    await sleep(100);
 
     // innerHTML取得（body配下 or article-body配下）
     console.log("[scraper] Extracting HTML...");
+    signal?.throwIfAborted();
     onProgress("HTML抽出中...");
-    const html = await page.evaluate(() => {
-      // SB記事本文エリアを優先取得
-      const articleBody = document.querySelector(".article-body");
-      if (articleBody) return articleBody.innerHTML;
-      // フォールバック: body全体
-      return document.body.innerHTML;
+    const bodyHtml = await page.evaluate(() => {
+      // SB記事本文エリアを優先取得、フォールバック: body全体
+      const root = document.querySelector(".article-body") || document.body;
+      if (!root.querySelector("[data-chrome-source]")) return root.innerHTML;
+      // 外枠として取得済みの要素は除く
+      const clone = root.cloneNode(true);
+      clone.querySelectorAll("[data-chrome-source]").forEach((el) => el.remove());
+      return clone.innerHTML;
     });
+    const html = composeChromeHtml(bodyHtml, chrome);
 
     // HTML保存
-    const htmlPath = path.join(dirs.scraped, "source.html");
+    const htmlPath = path.join(dirs.scraped, `source${fileSuffix}.html`);
     await writeFile(htmlPath, html, "utf-8");
     console.log(`[scraper] HTML saved: ${htmlPath}`);
 
     // メディアURL抽出
-    const mediaUrls = await page.evaluate(() => {
-      const urls = new Set();
-      // 画像: data-src, data-srcset, src
-      document.querySelectorAll("img").forEach((img) => {
-        if (img.dataset.src) urls.add(img.dataset.src);
-        if (img.src && !img.src.startsWith("data:")) urls.add(img.src);
-      });
-      // source: data-srcset, data-src, srcset
-      document.querySelectorAll("source").forEach((src) => {
-        if (src.dataset.srcset) urls.add(src.dataset.srcset);
-        if (src.dataset.src) urls.add(src.dataset.src);
-        if (src.srcset) urls.add(src.srcset);
-      });
-      // video直接src
-      document.querySelectorAll("video").forEach((v) => {
-        if (v.src) urls.add(v.src);
-      });
-      return [...urls].filter((u) => u.startsWith("http"));
-    });
-
-    console.log(`[scraper] Found ${mediaUrls.length} media assets`);
+    const mediaUrls = await collectMediaUrls(page);
 
-    // アセットダウンロード（並列20同時）
-    onProgress(`${mediaUrls.length}件のアセットをダウンロード中...`);
-    const assets = [];
-    let downloaded = 0;
-    let failed = 0;
-    const CONCURRENCY = 20;
-
-    async function downloadOne(mediaUrl) {
-      try {
-        const filename = urlToFilename(mediaUrl);
-        const filePath = path.join(dirs.assets, filename);
-
-        const resp = await fetch(mediaUrl, {
-          headers: { "User-Agent": USER_AGENT },
-          timeout: 10000,
-        });
-
-        if (!resp.ok) {
-          failed++;
-          return;
-        }
-
-        const buffer = Buffer.from(await resp.arrayBuffer());
-        await writeFile(filePath, buffer);
-
-        assets.push({
-          originalUrl: mediaUrl,
-          localFile: filename,
-          localPath: filePath,
-          size: buffer.length,
-          type: guessMediaType(mediaUrl),
-        });
-        downloaded++;
-        if (downloaded % 10 === 0 || downloaded === mediaUrls.length) {
-          onProgress(`アセットダウンロード: ${downloaded}/${mediaUrls.length}`);
+    // CSS から参照されるフォント・計算済み背景画像・外部SVGスプライトも同時にダウンロード
+    let sheetData = null;
+    if (pageStyles) {
+      sheetData = await fetchStylesheets(pageStyles, {
+        pageUrl: page.url(),
+        userAgent: device.userAgent,
+        request: viaProxy ? page.request : null,
+        signal,
+      });
+      const known = new Set(mediaUrls);
+      for (const u of [...pageStyles.backgrounds, ...sheetData.fontUrls, ...pageStyles.spriteUrls]) {
+        if (!known.has(u)) {
+          known.add(u);
+          mediaUrls.push(u);
         }
-      } catch (err) {
-        failed++;
-        console.warn(`[scraper] Failed: ${mediaUrl} - ${err.message}`);
       }
+      console.log(`[scraper] Stylesheets: ${sheetData.entries.length}, fonts: ${sheetData.fontUrls.length}, backgrounds: ${pageStyles.backgrounds.length}`);
     }
 
-    // 並列バッチ実行
-    for (let i = 0; i < mediaUrls.length; i += CONCURRENCY) {
-      const batch = mediaUrls.slice(i, i + CONCURRENCY);
-      await Promise.all(batch.map(downloadOne));
-    }
+    console.log(`[scraper] Found ${mediaUrls.length} media assets`);
+
+    // アセットダウンロード（並列・再試行、ホットリンク対策CDNはブラウザ経由で取得）
+    onProgress(`${mediaUrls.length}件のアセットをダウンロード中...`);
+    const { assets: downloaded, failures } = await downloadAssets(mediaUrls, {
+      dir: dirs.assets,
+      userAgent: device.userAgent,
+      referer: page.url(),
+      cookieHeader: await cookieHeaderFor(context, page.url()),
+      request: page.request,
+      browserOnly: viaProxy,
+      resume: options.resumeDownloads !== false,
+      signal,
+      onProgress: (done, total) => onProgress(`アセットダウンロード: ${done}/${total}`),
+    });
+    const assets = downloaded.map(({ via, attempts, ...a }) => ({ ...a, type: guessMediaType(a.originalUrl), profile: profileName }));
+    const viaBrowser = downloaded.filter((a) => a.via === "browser").length;
 
     console.log(
-      `[scraper] Downloaded ${downloaded} assets, ${failed} failed`
+      `[scraper] Downloaded ${assets.length} assets, ${failures.length} failed` + (viaBrowser ? `, ${viaBrowser} via browser` : "")
     );
+    if (failures.length) onProgress(`アセット取得失敗: ${failures.length}件（エディタから再取得できます）`);
+    // CSS保存（ダウンロードできたアセットへの参照をローカルファイル名に書き換え）
+    let styles = null;
+    if (sheetData) {
+      const localFiles = new Map(assets.map((a) => [a.originalUrl, a.localFile]));
+      const stylesheets = await writeStylesheets(sheetData.entries, localFiles, dirs.assets);
+      assets.push(...stylesheets.map((a) => ({ ...a, profile: profileName })));
+      styles = {
+        stylesheets: stylesheets
+          .filter((a) => !a.imported)
+          .map(({ originalUrl, localFile, media }) => ({ originalUrl, localFile, media })),
+        spriteHtml: pageStyles.spriteHtml,
+        fontCount: assets.filter((a) => a.type === "font").length,
+        backgroundCount: pageStyles.backgrounds.length,
+        failed: sheetData.failed,
+      };
+    }
+
     console.log(
       `[scraper] Total size: ${formatBytes(assets.reduce((s, a) => s + a.size, 0))}`
     );
 
     // アセットカタログ保存
-    const catalogPath = path.join(dirs.scraped, "assets-catalog.json");
+    const catalogPath = path.join(dirs.scraped, `assets-catalog${fileSuffix}.json`);
     await writeFile(catalogPath, JSON.stringify(assets, null, 2), "utf-8");
 
-    return { html, assets, dirs, slug };
+    return {
+      html,
+      assets,
+      failures: failures.map((f) => ({ ...f, type: guessMediaType(f.url), profile: profileName })),
+      dirs,
+      slug,
+      profile: profileName,
+      actionLog,
+      styles,
+      chrome: chrome.map(({ html, ...c }) => c),
+      lazy,
+      network,
+    };
+  } finally {
+    if (options.browser) await context?.close().catch(() => {});
+    else await browser.close();
+  }
+}
+
+function newDeviceContext(browser, device, network = null) {
+  return browser.newContext({
+    ...contextOptionsFor(network),
+    viewport: device.viewport,
+    userAgent: device.userAgent,
+    deviceScaleFactor: device.deviceScaleFactor,
+    isMobile: device.isMobile,
+    hasTouch: device.hasTouch,
+  });
+}
+
+/**
+ * 取得に失敗したアセットを再ダウンロード
+ * 元ページを開いて Cookie・ホットリンク判定の条件を揃えてから取得する
+ * （ページが開けなくても Referer つきの直接取得は試す）
+ * @param {string} pageUrl - 元LPのURL（Referer）
+ * @param {string[]} urls
+ * @param {object} options
+ * @param {string} options.dir - 保存先（プロジェクトの assets ディレクトリ）
+ * @param {string} [options.profile] - デバイスプロファイル名
+ * @param {object} [options.network] - プロジェクトのネットワーク設定（取得時と同じ条件で開く）
+ * @param {function} [options.onProgress]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ assets: Array, failures: Array }>}
+ */
+export async function retryAssetDownloads(pageUrl, urls, { dir, profile, network = null, onProgress = () => {}, signal } = {}) {
+  const profileName = resolveProfile(profile) || DEFAULT_PROFILE;
+  const device = DEVICE_PROFILES[profileName];
+  const browser = await chromium.launch(LAUNCH_OPTIONS);
+  try {
+    const context = await newDeviceContext(browser, device, network);
+    const page = await context.newPage();
+    onProgress("元ページを読み込み中...");
+    await page.goto(pageUrl, { waitUntil: "domcontentloaded", timeout: 60000, referer: resolveReferer(network) || undefined }).catch((err) => {
+      console.warn(`[scraper] retry: page load failed: ${err.message}`);
+    });
+    const { assets, failures } = await downloadAssets(urls, {
+      dir,
+      userAgent: device.userAgent,
+      referer: pageUrl,
+      cookieHeader: await cookieHeaderFor(context, pageUrl),
+      request: page.request,
+      browserOnly: !!network?.proxy,
+      resume: false,
+      signal,
+      onProgress: (done, total) => onProgress(`アセット再取得: ${done}/${total}`),
+    });
+    return {
+      assets: assets.map(({ via, attempts, ...a }) => ({ ...a, type: guessMediaType(a.originalUrl), profile: profileName })),
+      failures: failures.map((f) => ({ ...f, type: guessMediaType(f.url), profile: profileName })),
+    };
   } finally {
     await browser.close();
   }
 }
 
-function guessMediaType(url) {
+/** URLの拡張子からアセット種別を推定 */
+export function guessMediaType(url) {
+  if (isFontUrl(url)) return "font";
   const ext = path.extname(new URL(url).pathname).toLowerCase();
   if ([".mp4", ".webm", ".mov"].includes(ext)) return "video";
   if ([".gif"].includes(ext)) return "gif";
@@ -198,10 +403,10 @@ function guessMediaType(url) {
 if (process.argv[1] && process.argv[1].endsWith("scraper.js")) {
   const url = process.argv[2];
   if (!url) {
-    console.error("Usage: node src/scraper.js <URL>");
+    console.error(`Usage: node src/scraper.js <URL> [${Object.keys(DEVICE_PROFILES).join("|")}]`);
     process.exit(1);
   }
-  scrape(url).then((result) => {
+  scrape(url, { profile: process.argv[3] }).then((result) => {
     console.log(`[scraper] Done. Assets: ${result.assets.length}`);
   });
 }
@@ -3,6 +3,8 @@ import sharp from "sharp";
 import path from "path";
 import { writeFile, mkdir } from "fs/promises";
 import { PROJECT_ROOT } from "./utils.js";
+import { expandLazyContent } from "./lazy-load.js";
+import { contextOptionsFor, resolveReferer, describeAppliedNetwork } from "./network-settings.js";
 
 const MOBILE_VIEWPORT = { width: 412, height: 915 };
 const USER_AGENT = "Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36";
@@ -23,7 +25,9 @@ export async function screenshotScalp(url, options = {}) {
   });
 
   try {
+    // Proxy / locale / timezone / geolocation / extra headers (network-settings.js)
     const context = await browser.newContext({
+      ...contextOptionsFor(options.network),
       viewport: MOBILE_VIEWPORT,
       userAgent: USER_AGENT,
       deviceScaleFactor: 2,
@@ -33,19 +37,12 @@ export async function screenshotScalp(url, options = {}) {
     const page = await context.newPage();
 
     onProgress("ページ読み込み中...");
-    await page.goto(url, { waitUntil: "networkidle", timeout: 60000 });
+    await page.goto(url, { waitUntil: "networkidle", timeout: 60000, referer: resolveReferer(options.network) || undefined });
+    const network = await describeAppliedNetwork(page, options.network, { userAgent: USER_AGENT });
 
-    // Scroll to trigger lazy load
+    // Resolve lazy attributes and scroll until network/images settle
     onProgress("コンテンツ展開中...");
-    const scrollIterations = 10;
-    for (let i = 0; i < scrollIterations; i++) {
-      await page.evaluate(({ step, total }) => {
-        window.scrollTo(0, (document.body.scrollHeight / total) * (step + 1));
-      }, { step: i, total: scrollIterations });
-      await new Promise(r => setTimeout(r, 300));
-    }
-    await page.evaluate(() => window.scrollTo(0, 0));
-    await new Promise(r => setTimeout(r, 500));
+    await expandLazyContent(page, { scroll: options.scroll, resolvers: options.lazyResolvers, onProgress });
 
     // Full page screenshot
     onProgress("フルページスクリーンショット撮影中...");
@@ -103,6 +100,7 @@ export async function screenshotScalp(url, options = {}) {
       totalHeight,
       sliceCount,
       slices,
+      network,
     };
   } finally {
     await browser.close();
@@ -0,0 +1,324 @@
+/**
+ * secrets.js - APIキー・認証情報の暗号化保管庫
+ *
+ * data/secrets.json に AES-256-GCM で暗号化して保存する（エンベロープ暗号化）。
+ *   マスターキー … SECRETS_MASTER_KEY（未設定なら data/secrets.key を自動生成）
+ *   データキー   … 各シークレットを暗号化するランダム鍵。マスターキーで暗号化して保存
+ *
+ * 変更はすべて data/secrets-audit.jsonl に記録（値そのものは記録しない）。
+ * 保管庫に無い名前は process.env（.env）の値にフォールバックする。
+ * APIキーを使う処理はすべて secrets.get() 経由で読み出すこと。
+ */
+import { readFileSync, existsSync } from "fs";
+import { readFile, appendFile, rename, chmod } from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { PROJECT_ROOT, ensureDir, writeFileAtomic } from "./utils.js";
+
+const VAULT_PATH = path.join(PROJECT_ROOT, "data", "secrets.json");
+const KEY_FILE_PATH = path.join(PROJECT_ROOT, "data", "secrets.key");
+const AUDIT_PATH = path.join(PROJECT_ROOT, "data", "secrets-audit.jsonl");
+const VAULT_VERSION = 1;
+const CIPHER = "aes-256-gcm";
+
+// 管理画面・ステータスに表示するシークレット（名前 -> 表示名）
+export const SECRET_DEFS = {
+  GEMINI_API_KEY_1: "Gemini APIキー 1",
+  GEMINI_API_KEY_2: "Gemini APIキー 2",
+  GEMINI_API_KEY_3: "Gemini APIキー 3",
+  GEMINI_API_KEY: "Gemini APIキー（単一）",
+  OPENAI_API_KEY: "OpenAI APIキー",
+  PIXAI_API_KEY: "PixAI APIキー",
+  ANTHROPIC_API_KEY: "Anthropic APIキー",
+  FAL_KEY: "fal.ai APIキー",
+  GOOGLE_API_KEY: "Google Custom Search APIキー",
+  UNSPLASH_ACCESS_KEY: "Unsplash アクセスキー",
+  CLOUDFLARE_API_TOKEN: "Cloudflare APIトークン",
+  CLOUDFLARE_ACCOUNT_ID: "Cloudflare アカウントID",
+  GOOGLE_ADS_CLIENT_ID: "Google Ads クライアントID",
+  GOOGLE_ADS_CLIENT_SECRET: "Google Ads クライアントシークレット",
+  GOOGLE_ADS_DEVELOPER_TOKEN: "Google Ads 開発者トークン",
+  GOOGLE_ADS_REFRESH_TOKEN: "Google Ads リフレッシュトークン",
+  GOOGLE_ADS_MANAGER_ACCOUNT_ID: "Google Ads MCCアカウントID",
+  GOOGLE_ADS_CUSTOMER_ACCOUNT_ID: "Google Ads 顧客アカウントID",
+  META_APP_ID: "Meta アプリID",
+  META_APP_SECRET: "Meta アプリシークレット",
+  META_ACCESS_TOKEN: "Meta アクセストークン",
+  META_AD_ACCOUNT_ID: "Meta 広告アカウントID",
+  META_PAGE_ID: "Meta ページID",
+  TIKTOK_APP_ID: "TikTok アプリID",
+  TIKTOK_APP_SECRET: "TikTok アプリシークレット",
+  TIKTOK_ACCESS_TOKEN: "TikTok アクセストークン",
+  TIKTOK_REFRESH_TOKEN: "TikTok リフレッシュトークン",
+  TIKTOK_ADVERTISER_ID: "TikTok 広告主ID",
+  LINE_ADS_ACCESS_TOKEN: "LINE広告 アクセストークン",
+  LINE_ADS_ACCOUNT_ID: "LINE広告 アカウントID",
+};
+
+/** 表示用にマスク（先頭・末尾4文字のみ） */
+export function maskSecret(value) {
+  if (!value) return "";
+  if (value.length <= 10) return "•".repeat(value.length);
+  return `${value.slice(0, 4)}…${value.slice(-4)}`;
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function decrypt(key, box) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(box.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(box.data, "base64")), decipher.final()]);
+}
+
+/** マスターキー文字列 + salt から鍵暗号化キーを導出 */
+function deriveKek(masterKey, salt) {
+  return crypto.scryptSync(masterKey, Buffer.from(salt, "base64"), 32);
+}
+
+export class SecretVault {
+  constructor() {
+    this.vault = null;   // 暗号化済みの保存内容
+    this.dek = null;     // 復号済みデータキー（メモリ上のみ）
+    this._writes = Promise.resolve();
+  }
+
+  /** マスターキーの取得元 */
+  get masterKeySource() {
+    return process.env.SECRETS_MASTER_KEY ? "env" : "file";
+  }
+
+  _readMasterKey() {
+    if (process.env.SECRETS_MASTER_KEY) return process.env.SECRETS_MASTER_KEY;
+    if (existsSync(KEY_FILE_PATH)) return readFileSync(KEY_FILE_PATH, "utf-8").trim();
+    return null;
+  }
+
+  /** 初回アクセス時に同期ロード（起動直後に生成されるクライアントからも読めるように） */
+  _load() {
+    if (this.vault) return;
+    if (!existsSync(VAULT_PATH)) {
+      this.vault = { version: VAULT_VERSION, entries: {} };
+      return;
+    }
+    const vault = JSON.parse(readFileSync(VAULT_PATH, "utf-8"));
+    const candidates = [this._readMasterKey()];
+    // ローテーション途中で停止した場合は新しい鍵（.next）でも試す
+    if (this.masterKeySource === "file" && existsSync(`${KEY_FILE_PATH}.next`)) {
+      candidates.push(readFileSync(`${KEY_FILE_PATH}.next`, "utf-8").trim());
+    }
+    if (!candidates[0] && candidates.length === 1) {
+      throw new Error("secrets.json を復号するマスターキーがありません（SECRETS_MASTER_KEY または data/secrets.key）");
+    }
+    for (const masterKey of candidates.filter(Boolean)) {
+      try {
+        this.dek = decrypt(deriveKek(masterKey, vault.kdfSalt), vault.dek);
+        this.vault = vault;
+        return;
+      } catch { /* 次の候補 */ }
+    }
+    throw new Error("マスターキーが一致しないため secrets.json を復号できません");
+  }
+
+  _ensureLoaded() {
+    try {
+      this._load();
+    } catch (err) {
+      // 復号できない場合も .env フォールバックで動作は継続する
+      console.error(`[secrets] ${err.message}`);
+      this.vault = { version: VAULT_VERSION, entries: {}, unreadable: true };
+    }
+  }
+
+  /** シークレットを取得（保管庫 → process.env の順） */
+  get(name) {
+    this._ensureLoaded();
+    const entry = this.vault.entries[name];
+    if (entry && this.dek) {
+      try {
+        return decrypt(this.dek, entry).toString("utf-8");
+      } catch (err) {
+        console.error(`[secrets] ${name} の復号に失敗: ${err.message}`);
+      }
+    }
+    return process.env[name] || "";
+  }
+
+  has(name) {
+    return !!this.get(name);
+  }
+
+  /** 値の取得元: "vault" / "env" / null */
+  source(name) {
+    this._ensureLoaded();
+    if (this.vault.entries[name]) return "vault";
+    if (process.env[name]) return "env";
+    return null;
+  }
+
+  /**
+   * シークレットを保存（値が空 / null の名前は保管庫から削除）
+   * @param {Record<string, string|null>} values
+   * @param {{ actor?: string }} [opts]
+   */
+  async set(values, { actor = "system" } = {}) {
+    return this._serialize(async () => {
+      this._load();
+      if (this.vault.unreadable) throw new Error("保管庫を復号できないため保存できません");
+      await this._ensureKeys();
+
+      const changed = [];
+      const removed = [];
+      for (const [name, value] of Object.entries(values)) {
+        if (value === undefined) continue;
+        if (value === null || value === "") {
+          if (this.vault.entries[name]) {
+            delete this.vault.entries[name];
+            removed.push(name);
+          }
+          continue;
+        }
+        this.vault.entries[name] = { ...encrypt(this.dek, String(value)), updatedAt: Date.now(), updatedBy: actor };
+        changed.push(name);
+      }
+      if (changed.length === 0 && removed.length === 0) return { changed, removed };
+
+      await this._saveVault();
+      if (changed.length) await this._audit({ action: "set", names: changed, actor });
+      if (removed.length) await this._audit({ action: "delete", names: removed, actor });
+      return { changed, removed };
+    });
+  }
+
+  /**
+   * 鍵のローテーション: 新しいデータキーで全シークレットを再暗号化し、マスターキーも更新する
+   * @param {{ actor?: string, masterKey?: string }} [opts]
+   *   masterKey … 新しいマスターキー（SECRETS_MASTER_KEY 運用時は必須。適用後に環境変数を差し替えること）
+   */
+  async rotate({ actor = "system", masterKey } = {}) {
+    return this._serialize(async () => {
+      this._load();
+      if (this.vault.unreadable) throw new Error("保管庫を復号できないためローテーションできません");
+      await this._ensureKeys();
+
+      const usingEnv = this.masterKeySource === "env";
+      if (usingEnv && !masterKey) {
+        throw new Error("SECRETS_MASTER_KEY 運用時は新しいマスターキーを指定してください");
+      }
+      const newMasterKey = masterKey || crypto.randomBytes(32).toString("base64");
+      const newDek = crypto.randomBytes(32);
+
+      const entries = {};
+      for (const [name, entry] of Object.entries(this.vault.entries)) {
+        const plaintext = decrypt(this.dek, entry);
+        entries[name] = { ...encrypt(newDek, plaintext), updatedAt: entry.updatedAt, updatedBy: entry.updatedBy };
+      }
+      const kdfSalt = crypto.randomBytes(16).toString("base64");
+      const vault = {
+        ...this.vault,
+        kdfSalt,
+        dek: encrypt(deriveKek(newMasterKey, kdfSalt), newDek),
+        rotatedAt: Date.now(),
+        entries,
+      };
+
+      // 鍵ファイル運用: 新しい鍵 → 保管庫 の順に差し替え（途中で落ちても .next から復旧できる）
+      if (!usingEnv) await writeFileAtomic(`${KEY_FILE_PATH}.next`, newMasterKey);
+      this.vault = vault;
+      this.dek = newDek;
+      await this._saveVault();
+      if (!usingEnv) {
+        await rename(`${KEY_FILE_PATH}.next`, KEY_FILE_PATH);
+        await chmod(KEY_FILE_PATH, 0o600).catch(() => {});
+      } else {
+        // 実行中のプロセスは新しい鍵で動作（次回起動までに環境変数の差し替えが必要）
+        process.env.SECRETS_MASTER_KEY = newMasterKey;
+      }
+
+      await this._audit({ action: "rotate", names: Object.keys(entries), actor });
+      return {
+        rotatedAt: vault.rotatedAt,
+        count: Object.keys(entries).length,
+        masterKeySource: this.masterKeySource,
+        // 環境変数運用時は新しいマスターキーの反映が必要
+        requiresEnvUpdate: usingEnv,
+      };
+    });
+  }
+
+  /** 表示用ステータス（値はマスク済み） */
+  status(names = Object.keys(SECRET_DEFS)) {
+    this._ensureLoaded();
+    return names.map((name) => {
+      const entry = this.vault.entries[name];
+      const value = this.get(name);
+      return {
+        name,
+        label: SECRET_DEFS[name] || name,
+        configured: !!value,
+        source: this.source(name),
+        masked: maskSecret(value),
+        updatedAt: entry?.updatedAt || null,
+        updatedBy: entry?.updatedBy || null,
+      };
+    });
+  }
+
+  info() {
+    this._ensureLoaded();
+    return {
+      masterKeySource: this.masterKeySource,
+      unreadable: !!this.vault.unreadable,
+      count: Object.keys(this.vault.entries).length,
+      rotatedAt: this.vault.rotatedAt || null,
+    };
+  }
+
+  /** 監査ログ（新しい順） */
+  async auditLog({ limit = 200 } = {}) {
+    if (!existsSync(AUDIT_PATH)) return [];
+    const lines = (await readFile(AUDIT_PATH, "utf-8")).split("\n").filter(Boolean);
+    return lines.slice(-limit).reverse().map((line) => {
+      try { return JSON.parse(line); } catch { return null; }
+    }).filter(Boolean);
+  }
+
+  // ── 内部 ───────────────────────────────────
+
+  /** 初回保存時にマスターキー（鍵ファイル）とデータキーを用意 */
+  async _ensureKeys() {
+    if (this.dek) return;
+    let masterKey = this._readMasterKey();
+    if (!masterKey) {
+      masterKey = crypto.randomBytes(32).toString("base64");
+      await writeFileAtomic(KEY_FILE_PATH, masterKey);
+      await chmod(KEY_FILE_PATH, 0o600).catch(() => {});
+      console.warn("[secrets] SECRETS_MASTER_KEY が未設定のため data/secrets.key を生成しました（バックアップ・権限管理に注意）");
+    }
+    this.dek = crypto.randomBytes(32);
+    this.vault.kdfSalt = crypto.randomBytes(16).toString("base64");
+    this.vault.dek = encrypt(deriveKek(masterKey, this.vault.kdfSalt), this.dek);
+  }
+
+  async _saveVault() {
+    await writeFileAtomic(VAULT_PATH, JSON.stringify(this.vault, null, 2));
+  }
+
+  async _audit({ action, names, actor }) {
+    const entry = { time: Date.now(), action, names, actor };
+    await ensureDir(path.dirname(AUDIT_PATH));
+    await appendFile(AUDIT_PATH, JSON.stringify(entry) + "\n", "utf-8");
+  }
+
+  _serialize(fn) {
+    const run = this._writes.then(fn);
+    this._writes = run.catch(() => {});
+    return run;
+  }
+}
+
+export const secrets = new SecretVault();
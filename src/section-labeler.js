@@ -0,0 +1,130 @@
+/**
+ * section-labeler.js - セクションの役割ラベル（記事LPの構成）
+ *
+ * parser.js の detectSections() で区切ったセクションに、記事LPの定番の流れ
+ * （悩み → 共感 → 原因 → 解決策 → 商品紹介 → 根拠 → 口コミ → オファー → FAQ → クロージング）の
+ * どこに当たるかを付ける。
+ *
+ *   section.role        - SECTION_ROLES のキー（判定できなければ "other"）
+ *   section.roleLabel   - 表示名
+ *   section.title       - 先頭の見出しテキスト
+ *   section.confidence  - 0〜1（AI 判定では null）
+ *   section.labelSource - "keyword" | "ai"
+ *
+ * 通常はキーワード + ブロック種別 + 位置で判定し（labelSections）、必要なときだけ
+ * aiLabelSections() で AI に判定させる（AI 呼び出しは image-generator.js の aiRewriteText を渡す）。
+ */
+
+// 並び順 = 記事LPの流れ（位置による補正に使う）
+export const SECTION_ROLES = [
+  { key: "fv", label: "ファーストビュー", keywords: [] },
+  { key: "problem", label: "悩み・問題提起", keywords: ["悩み", "困って", "ありませんか", "気になる", "コンプレックス", "不安", "こんな", "諦めて", "そのまま"] },
+  { key: "empathy", label: "共感", keywords: ["わかります", "分かります", "私も", "同じ", "実は私", "辛い", "つらい", "気持ち", "経験", "かつての"] },
+  { key: "cause", label: "原因", keywords: ["原因", "理由", "なぜ", "正体", "せい", "メカニズム", "本当の", "間違った"] },
+  { key: "solution", label: "解決策", keywords: ["解決", "方法", "対策", "秘訣", "ポイント", "アプローチ", "必要なのは", "大切なのは", "カギ", "鍵"] },
+  { key: "product", label: "商品紹介", keywords: ["誕生", "開発", "配合", "成分", "こだわり", "特徴", "ご紹介", "登場", "新発想", "それが"] },
+  { key: "evidence", label: "根拠・実績", keywords: ["実績", "No.1", "NO.1", "受賞", "掲載", "医師", "専門家", "監修", "臨床", "試験", "データ", "研究", "特許", "突破", "満足度"] },
+  { key: "reviews", label: "口コミ", keywords: ["口コミ", "体験談", "レビュー", "お客様の声", "感想", "喜びの声", "★★★"] },
+  { key: "offer", label: "オファー", keywords: ["特別", "限定", "価格", "税込", "キャンペーン", "割引", "OFF", "今だけ", "定期", "初回", "送料無料", "返金保証", "円"] },
+  { key: "faq", label: "よくある質問", keywords: ["よくある質問", "Q&A", "Q＆A", "FAQ", "Q1", "Q.", "Ｑ"] },
+  { key: "closing_cta", label: "クロージング", keywords: ["今すぐ", "お申し込み", "申込", "ご購入", "ご注文", "公式サイト", "最後に", "迷って", "残りわずか", "お急ぎ"] },
+];
+export const OTHER_ROLE = { key: "other", label: "その他" };
+
+const ROLE_BY_KEY = new Map([...SECTION_ROLES, OTHER_ROLE].map((r) => [r.key, r]));
+const HEADING_WEIGHT = 3;
+const MAX_BODY_HITS = 4;
+const POSITION_WEIGHT = 0.5;
+const EXCERPT_LENGTH = 200;
+
+/** ラベルの表示名 */
+export function roleLabel(key) {
+  return ROLE_BY_KEY.get(key)?.label || OTHER_ROLE.label;
+}
+
+function sectionBlocks(section, blocks) {
+  return section.blocks.map((i) => blocks[i]).filter(Boolean);
+}
+
+function sectionTitle(members) {
+  const heading = members.find((b) => b.type === "heading");
+  return heading?.text ? heading.text.replace(/\s+/g, " ").trim().slice(0, 40) : "";
+}
+
+const countHits = (text, keywords) => keywords.filter((k) => text.includes(k)).length;
+
+/**
+ * キーワード・ブロック種別・位置でセクションの役割を判定（sections を書き換えて返す）
+ * @param {Array} sections - detectSections() の結果
+ * @param {Array} blocks
+ */
+export function labelSections(sections, blocks) {
+  const last = Math.max(sections.length - 1, 1);
+  sections.forEach((section, i) => {
+    const members = sectionBlocks(section, blocks);
+    const title = sectionTitle(members);
+    const body = members.map((b) => b.text || "").join("\n");
+    const position = i / last;
+
+    const scores = SECTION_ROLES.map((role, order) => {
+      let score = HEADING_WEIGHT * countHits(title, role.keywords) + Math.min(countHits(body, role.keywords), MAX_BODY_HITS);
+      if (role.key === "fv" && members.some((b) => b.type === "fv")) score += 5;
+      if (role.key === "reviews") score += 2 * members.filter((b) => b.type === "review").length;
+      if (role.key === "faq") score += 3 * members.filter((b) => b.type === "faq").length;
+      if (role.key === "faq" && (body.match(/(^|\n)\s*[QＱ][0-9０-９.．:：\s]/g) || []).length >= 2) score += 3;
+      if (role.key === "closing_cta" && i === sections.length - 1 && members.some((b) => b.type === "cta_link")) score += 2;
+      // 根拠がない役割は位置だけでは選ばない（位置は同点の割り振りにだけ使う）
+      if (score === 0) return { key: role.key, score };
+      const expected = order / (SECTION_ROLES.length - 1);
+      return { key: role.key, score: score + POSITION_WEIGHT * (1 - Math.abs(position - expected)) };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    const role = best.score > 0 ? best.key : OTHER_ROLE.key;
+    Object.assign(section, {
+      role,
+      roleLabel: roleLabel(role),
+      title,
+      // 次点との差と、根拠の量（見出し1件分で満点）の両方で決める
+      confidence: best.score > 0 ? Math.round((best.score / (best.score + second.score)) * Math.min(best.score / HEADING_WEIGHT, 1) * 100) / 100 : 0,
+      labelSource: "keyword",
+    });
+  });
+  return sections;
+}
+
+/**
+ * AI でセクションの役割を判定（sections を書き換えて返す）
+ * @param {Array} sections - labelSections() 済みのセクション
+ * @param {Array} blocks
+ * @param {(text: string, instruction: string) => Promise<string>} rewrite - aiRewriteText を包んだ関数
+ * @throws {Error} 応答を解釈できない
+ */
+export async function aiLabelSections(sections, blocks, rewrite) {
+  if (!sections.length) return sections;
+  const source = sections.map((section, i) => {
+    const members = sectionBlocks(section, blocks);
+    const excerpt = members.map((b) => b.text || "").join(" ").replace(/\s+/g, " ").trim().slice(0, EXCERPT_LENGTH);
+    const types = [...new Set(members.map((b) => b.type))].join(",");
+    return `[${i}] 見出し: ${section.title || sectionTitle(members) || "(なし)"} / ブロック: ${types} / 本文: ${excerpt || "(テキストなし)"}`;
+  }).join("\n");
+  const roles = [...SECTION_ROLES, OTHER_ROLE].map((r) => `${r.key}=${r.label}`).join(", ");
+  const instruction = "これは記事LPを区切ったセクションの一覧です。書き換えではなく分類をしてください。" +
+    `各セクションを次のいずれかに分類し、セクション順のキーのJSON配列（例: ["fv","problem"]）だけを返してください: ${roles}`;
+
+  const reply = await rewrite(source, instruction);
+  const match = String(reply || "").match(/\[[\s\S]*\]/);
+  let keys;
+  try {
+    keys = match ? JSON.parse(match[0]) : null;
+  } catch {
+    keys = null;
+  }
+  if (!Array.isArray(keys) || keys.length !== sections.length) throw new Error("AIの応答を解釈できませんでした");
+
+  sections.forEach((section, i) => {
+    const key = ROLE_BY_KEY.has(keys[i]) ? keys[i] : OTHER_ROLE.key;
+    Object.assign(section, { role: key, roleLabel: roleLabel(key), confidence: null, labelSource: "ai" });
+  });
+  return sections;
+}
@@ -0,0 +1,557 @@
+/**
+ * structured-blocks.js - クイズ・口コミ・比較表・FAQ ブロックの構造化データ
+ *
+ * これらのブロックは元ページのHTMLそのままなので、編集画面からは中身を項目として扱えない。
+ * HTMLから項目を読み取り（extractStructured）、編集した項目を元のHTMLに書き戻す（renderStructured）:
+ *
+ *   quiz       { kind, questions: [{ text, options: [{ label, correct }], answer }] }
+ *   review     { kind, reviews: [{ name, age, rating, ratingMax, body }] }
+ *   comparison { kind, columns: [...], rows: [[...], ...] }
+ *   faq        { kind, items: [{ question, answer }] }
+ *
+ * 書き戻しは元の要素のテキストノードだけを差し替えるので、装飾（span / strong / インラインスタイル）や
+ * 画像・入力欄はそのまま残る。項目を増やすときは最後の項目を複製する。
+ * 読み取れない値（口コミの名前がない等）は null で、書き戻しでも触らない。
+ */
+import * as cheerio from "cheerio";
+
+// ブロックの type → 構造化の種類
+export const STRUCTURED_TYPES = { quiz: "quiz", review: "review", comparison: "comparison", faq: "faq" };
+
+const MAX_ITEMS = 100;
+const BLOCK_TAGS = new Set(["p", "div", "li", "dt", "dd", "tr", "td", "th", "h1", "h2", "h3", "h4", "h5", "h6", "section", "blockquote", "summary", "label"]);
+const SKIP_TAGS = new Set(["script", "style", "noscript", "template"]);
+const Q_PREFIX = /^[QＱ][0-9０-９]*[.．:：)）]?\s*/;
+const A_PREFIX = /^[AＡ][0-9０-９]*[.．:：)）]?\s*/;
+const STAR_RUN = /[★☆]{2,10}/;
+const RATING_CLASS = /^(star|stars|rate|rating|score)[-_]?(\d)(?:[-_.](\d))?$/i;
+const NAME_PATTERN = /([^\s、,，（(]{1,12}?)(さん|様)/;
+const AGE_PATTERN = /(\d{1,2})(代|歳|才)/;
+
+const load = (html) => cheerio.load(html, { decodeEntities: false }, false);
+
+// ── テキストの読み書き ────────────────────────────────────
+
+/**
+ * 要素内のテキストノードを「行」ごとにまとめる（<br> とブロック要素の境界で改行）
+ * @returns {Array<Array<object>>} 行ごとのテキストノード
+ */
+function textLines(el) {
+  const lines = [[]];
+  const breakLine = () => { if (lines[lines.length - 1].length) lines.push([]); };
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === "text") {
+        if (child.data.trim()) lines[lines.length - 1].push(child);
+      } else if (child.type === "tag" && !SKIP_TAGS.has(child.name)) {
+        if (child.name === "br") {
+          breakLine();
+          continue;
+        }
+        const block = BLOCK_TAGS.has(child.name);
+        if (block) breakLine();
+        walk(child);
+        if (block) breakLine();
+      }
+    }
+  };
+  walk(el);
+  return lines.filter((l) => l.length);
+}
+
+const lineText = (nodes) => nodes.map((n) => n.data).join("").replace(/\s+/g, " ").trim();
+
+/** 要素のテキスト（行は \n 区切り） */
+function readText($el) {
+  if (!$el?.length) return "";
+  return textLines($el.get(0)).map(lineText).filter(Boolean).join("\n");
+}
+
+const escapeHtml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * 要素のテキストを書き換える（行ごとに元のテキストノードへ入れ、装飾要素は残す）
+ * @param {RegExp} [prefix] - 残す接頭辞（FAQ の「Q.」等）
+ */
+function writeText($, $el, value, prefix = null) {
+  if (!$el?.length || value == null) return;
+  const next = String(value).replace(/\r\n?/g, "\n").split("\n").map((l) => l.trim()).filter(Boolean);
+  const current = readText($el);
+  const currentBody = prefix ? current.replace(prefix, "") : current;
+  if (currentBody === next.join("\n")) return;
+
+  const lines = textLines($el.get(0));
+  if (!lines.length) {
+    $el.append(next.map(escapeHtml).join("<br>"));
+    return;
+  }
+  // 接頭辞だけのテキストノード（<span>Q</span> 等）は残して、その後ろに書く
+  if (prefix) {
+    const first = lines[0];
+    const m = first[0].data.trimStart().match(prefix);
+    if (m && !first[0].data.trim().replace(prefix, "")) {
+      first.shift();
+      if (!first.length) lines.shift();
+    } else if (m) {
+      next[0] = m[0] + (next[0] || "");
+    }
+  }
+
+  lines.forEach((nodes, i) => {
+    if (i < next.length) {
+      const lead = nodes[0].data.match(/^\s*/)[0];
+      nodes[0].data = lead + next[i];
+      nodes.slice(1).forEach((n) => {
+        n.data = "";
+        removeIfEmpty($, n.parent, $el.get(0));
+      });
+      // 行が足りなければ最後の行の後ろに <br> で足す
+      if (i === lines.length - 1 && next.length > lines.length) {
+        insertAfterText($, nodes[0], next.slice(lines.length).map((l) => `<br>${escapeHtml(l)}`).join(""));
+      }
+    } else {
+      nodes.forEach((n) => {
+        n.data = "";
+        removeLineBreakBefore($, n);
+        removeIfEmpty($, n.parent, $el.get(0));
+      });
+    }
+  });
+}
+
+// Cheerio の after() はテキストノードを対象にできないので、次の要素の前か親の末尾に入れる
+function insertAfterText($, node, html) {
+  if (node.next?.type === "tag") $(node.next).before(html);
+  else $(node.parent).append(html);
+}
+
+function removeLineBreakBefore($, node) {
+  let prev = node.prev;
+  while (prev && prev.type === "text" && !prev.data.trim()) prev = prev.prev;
+  if (prev?.type === "tag" && prev.name === "br") $(prev).remove();
+}
+
+function removeIfEmpty($, el, root) {
+  if (!el || el === root || el.type !== "tag") return;
+  const $e = $(el);
+  if (!$e.text().trim() && !$e.find("img, picture, video, input, iframe, svg").length) $e.remove();
+}
+
+// ── 項目リストの書き戻し ──────────────────────────────────
+
+/** nodes[0..] を起点にした要素の位置（[nodeIndex, childIndex...]） */
+function pathWithin(nodes, el) {
+  const path = [];
+  let cur = el;
+  while (cur && !nodes.includes(cur)) {
+    const parent = cur.parent;
+    if (!parent) return null;
+    path.unshift(parent.children.filter((c) => c.type === "tag").indexOf(cur));
+    cur = parent;
+  }
+  return cur ? [nodes.indexOf(cur), ...path] : null;
+}
+
+function resolvePath(nodes, path) {
+  if (!path) return null;
+  let cur = nodes[path[0]];
+  for (const i of path.slice(1)) {
+    cur = cur?.children?.filter((c) => c.type === "tag")[i];
+  }
+  return cur || null;
+}
+
+/**
+ * 項目（items: [{ nodes, slots }]）を data の件数に合わせて複製・削除し、fill で中身を書く
+ * slots は項目内の要素（{ name: element }）。複製した項目では同じ位置の要素を使う
+ */
+function writeList($, items, data, fill) {
+  if (!items.length) return;
+  if (data.length > MAX_ITEMS) throw new Error(`項目は${MAX_ITEMS}件までです`);
+  const template = items[items.length - 1];
+  const paths = Object.fromEntries(Object.entries(template.slots).map(([k, el]) => [k, el ? pathWithin(template.nodes, el) : null]));
+  let last = template.nodes[template.nodes.length - 1];
+  const rendered = [];
+  data.forEach((d, i) => {
+    let item = items[i];
+    if (!item) {
+      const clones = template.nodes.map((n) => $(n).clone().get(0));
+      $(last).after(clones);
+      item = { nodes: clones, slots: Object.fromEntries(Object.entries(paths).map(([k, p]) => [k, resolvePath(clones, p)])), clone: true };
+    }
+    rendered.push(item);
+    last = item.nodes[item.nodes.length - 1];
+  });
+  for (const item of items.slice(data.length)) item.nodes.forEach((n) => $(n).remove());
+  rendered.forEach((item, i) => fill(item, data[i]));
+}
+
+const slot$ = ($, el) => (el ? $(el) : null);
+const asArray = (value, field) => {
+  if (!Array.isArray(value)) throw new Error(`${field} は配列で指定してください`);
+  return value;
+};
+
+// ── FAQ ───────────────────────────────────────────────────
+
+function locateFaq($, $root) {
+  const all = $root.find("*").addBack();
+  // 1. <details><summary>
+  const details = all.filter("details").toArray().filter((d) => $(d).children("summary").length);
+  if (details.length) {
+    return details.map((d) => {
+      const $d = $(d);
+      return { nodes: [d], slots: { question: $d.children("summary").get(0), answer: $d.children().not("summary").get(0) || null } };
+    });
+  }
+  // 2. <dl><dt><dd>
+  const dts = all.filter("dt").toArray().filter((dt) => $(dt).next("dd").length);
+  if (dts.length) {
+    return dts.map((dt) => ({ nodes: [dt, $(dt).next("dd").get(0)], slots: { question: dt, answer: $(dt).next("dd").get(0) } }));
+  }
+  // 3. 「Q」「A」で始まる要素が並んでいる
+  const startsQ = (el) => Q_PREFIX.test(readText($(el))) && readText($(el)).replace(Q_PREFIX, "").length > 0;
+  const qs = all.toArray().filter((el) => el.type === "tag" && !SKIP_TAGS.has(el.name) && startsQ(el)
+    && !$(el).children().toArray().some(startsQ));
+  const items = [];
+  for (const q of qs) {
+    const $a = $(q).nextAll().first();
+    if (!$a.length || !A_PREFIX.test(readText($a))) continue;
+    const parent = q.parent;
+    const pair = parent && parent !== $root.get(0) && $(parent).children().length === 2;
+    items.push({ nodes: pair ? [parent] : [q, $a.get(0)], slots: { question: q, answer: $a.get(0) } });
+  }
+  return items;
+}
+
+function readFaq($, items) {
+  return {
+    items: items.map(({ slots }) => ({
+      question: readText(slot$($, slots.question)).replace(Q_PREFIX, ""),
+      answer: slots.answer ? readText($(slots.answer)).replace(A_PREFIX, "") : null,
+    })),
+  };
+}
+
+function writeFaq($, items, data) {
+  writeList($, items, asArray(data.items, "items"), ({ slots }, d) => {
+    writeText($, slot$($, slots.question), d.question, Q_PREFIX);
+    writeText($, slot$($, slots.answer), d.answer, A_PREFIX);
+  });
+}
+
+// ── クイズ・アンケート ────────────────────────────────────
+
+const isCorrect = ($input, $option) =>
+  ["data-correct", "data-answer"].some((a) => ["true", "1", "correct"].includes(String($input.attr(a) ?? $option.attr(a) ?? "").toLowerCase()))
+  || /(^|[\s_-])(correct|seikai)([\s_-]|$)/i.test(`${$input.attr("class") || ""} ${$option.attr("class") || ""}`);
+
+function locateQuiz($, $root) {
+  const root = $root.get(0);
+  const inputs = $root.find('input[type="radio"], input[type="checkbox"]').toArray();
+  const names = [...new Set(inputs.map((i, n) => $(i).attr("name") || `__${n}`))];
+  const groupOf = (name) => inputs.filter((i, n) => ($(i).attr("name") || `__${n}`) === name);
+
+  return names.map((name) => {
+    const own = groupOf(name);
+    const others = inputs.filter((i) => !own.includes(i));
+    // 選択肢をすべて含む最小の要素
+    let container = own[0].parent;
+    while (container !== root && !own.every((i) => $(container).find(i).length)) container = container.parent;
+    const options = own.map((input) => {
+      const $input = $(input);
+      const id = $input.attr("id");
+      let option = $input.closest("label").get(0)
+        || (id && $(container).find(`label[for="${id}"]`).get(0))
+        || input.parent;
+      if (option === container) option = input;
+      return { input, option };
+    });
+    const optionEls = options.map((o) => o.option);
+    const inOption = (el) => optionEls.some((o) => o === el || $(o).find(el).length || $(el).find(o).length);
+    // 設問文: 選択肢の外にあるテキスト（コンテナ内 → 直前の兄弟要素）
+    const textEls = $(container).find("*").toArray().filter((el) => !SKIP_TAGS.has(el.name) && !inOption(el)
+      && readText($(el)) && !$(el).children().toArray().some((c) => readText($(c)) && !inOption(c)));
+    const answerEl = textEls.find((el) => /(answer|kaisetsu|explanation|result)/i.test($(el).attr("class") || "")) || null;
+    let question = textEls.find((el) => el !== answerEl) || null;
+    let nodes = [container];
+    if (!question && container !== root) {
+      const prev = $(container).prev().get(0);
+      if (prev && readText($(prev)) && !others.some((i) => $(prev).find(i).length)) {
+        question = prev;
+        nodes = [prev, container];
+      }
+    }
+    // 設問が1つだけならコンテナごと複製できない（ブロック自体）ので nodes は使わない
+    return { nodes, slots: { question, answer: answerEl }, options };
+  });
+}
+
+function readQuiz($, items) {
+  return {
+    questions: items.map(({ slots, options }) => ({
+      text: readText(slot$($, slots.question)),
+      options: options.map(({ input, option }) => ({
+        label: readText($(option)),
+        correct: isCorrect($(input), $(option)),
+      })),
+      answer: slots.answer ? readText($(slots.answer)) : null,
+    })),
+  };
+}
+
+function writeQuiz($, items, data, $root) {
+  const questions = asArray(data.questions, "questions");
+  // 設問の追加・削除はコンテナがブロックそのものでないときだけ
+  if (questions.length !== items.length && items.some((it) => it.nodes.includes($root.get(0)))) {
+    throw new Error("このブロックでは設問の数を変更できません");
+  }
+  writeList($, items, questions, (item, q) => {
+    writeText($, slot$($, item.slots.question), q.text);
+    writeText($, slot$($, item.slots.answer), q.answer);
+    // 複製した設問は選択肢を探し直す（name は設問ごとに変える）
+    const options = item.clone ? locateQuiz($, $(item.nodes[item.nodes.length - 1]))[0]?.options || [] : item.options;
+    if (item.clone) {
+      const name = `q${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+      options.forEach(({ input }) => $(input).attr("name", name).removeAttr("id").removeAttr("checked"));
+    }
+    const optionItems = options.map(({ input, option }) => ({ nodes: [option], slots: { input, option } }));
+    writeList($, optionItems, asArray(q.options || [], "options"), ({ slots }, o) => {
+      const $opt = $(slots.option);
+      if (slots.option !== slots.input) writeText($, $opt, o.label);
+      const $input = $(slots.input);
+      if (o.correct) $input.attr("data-correct", "true");
+      else $input.removeAttr("data-correct");
+    });
+  });
+}
+
+// ── 口コミ ────────────────────────────────────────────────
+
+function locateReviews($, $root) {
+  // 同じ形（タグ・class・子要素の並び）の兄弟が2つ以上並んでいれば、それが口コミの一覧
+  const signature = (el) => `${el.name}|${$(el).attr("class") || ""}|${$(el).children().toArray().map((c) => c.name).join(",")}`;
+  let best = null;
+  for (const parent of $root.find("*").addBack().toArray()) {
+    const groups = new Map();
+    for (const child of $(parent).children().toArray()) {
+      if (SKIP_TAGS.has(child.name) || readText($(child)).length < 15) continue;
+      const key = signature(child);
+      groups.set(key, [...(groups.get(key) || []), child]);
+    }
+    for (const members of groups.values()) {
+      if (members.length < 2) continue;
+      const total = members.reduce((n, m) => n + readText($(m)).length, 0);
+      if (!best || total >= best.total) best = { members, total };
+    }
+  }
+  const itemEls = best ? best.members : [$root.get(0)];
+  return itemEls.map((el) => ({ nodes: [el], slots: reviewSlots($, el) }));
+}
+
+function reviewSlots($, item) {
+  const leaves = $(item).find("*").addBack().toArray().filter((el) => !SKIP_TAGS.has(el.name) && readText($(el))
+    && !$(el).children().toArray().some((c) => readText($(c)) === readText($(el))));
+  const cls = (el) => $(el).attr("class") || "";
+  const rating = $(item).find("*").addBack().toArray().find((el) => $(el).attr("data-rating") || $(el).attr("data-score")
+    || cls(el).split(/\s+/).some((c) => RATING_CLASS.test(c)))
+    || leaves.find((el) => STAR_RUN.test(readText($(el))) && readText($(el)).replace(STAR_RUN, "").trim().length < 10)
+    || null;
+  // 名前・年代は評価を含まない一番小さい要素から
+  const candidates = leaves.filter((el) => el !== rating && !(rating && $(el).find(rating).length))
+    .sort((a, b) => readText($(a)).length - readText($(b)).length);
+  const profile = candidates.find((el) => /(name|profile|user|author)/i.test(cls(el)))
+    || candidates.find((el) => readText($(el)).length <= 40 && (NAME_PATTERN.test(readText($(el))) || AGE_PATTERN.test(readText($(el)))))
+    || null;
+  const rest = candidates.filter((el) => el !== profile && !(profile && ($(profile).find(el).length || $(el).find(profile).length)));
+  const body = rest.find((el) => /(text|body|comment|content|desc|message)/i.test(cls(el)))
+    || rest.sort((a, b) => readText($(b)).length - readText($(a)).length)[0]
+    || null;
+  return { rating, profile, body };
+}
+
+function readRating($, el) {
+  if (!el) return { rating: null, ratingMax: null };
+  const $el = $(el);
+  const attr = $el.attr("data-rating") || $el.attr("data-score");
+  if (attr && Number.isFinite(Number(attr))) return { rating: Number(attr), ratingMax: 5 };
+  for (const c of ($el.attr("class") || "").split(/\s+/)) {
+    const m = c.match(RATING_CLASS);
+    if (m) return { rating: Number(`${m[2]}${m[3] ? `.${m[3]}` : ""}`), ratingMax: 5 };
+  }
+  const stars = readText($el).match(STAR_RUN)?.[0];
+  if (stars) return { rating: [...stars].filter((s) => s === "★").length, ratingMax: stars.length };
+  return { rating: null, ratingMax: null };
+}
+
+function readReviews($, items) {
+  return {
+    reviews: items.map(({ slots }) => {
+      const profile = readText(slot$($, slots.profile));
+      const nameMatch = profile.match(NAME_PATTERN);
+      const ageMatch = profile.match(AGE_PATTERN);
+      return {
+        name: slots.profile ? (nameMatch ? nameMatch[0] : profile.replace(AGE_PATTERN, "").trim() || null) : null,
+        age: ageMatch ? ageMatch[0] : null,
+        ...readRating($, slots.rating),
+        body: slots.body ? readText($(slots.body)) : null,
+      };
+    }),
+  };
+}
+
+/** テキストノード内の部分文字列だけを置き換える（名前・年代は「東京都 30代 A.Kさん」のように混ざっている） */
+function replaceInText($, el, before, after) {
+  if (!el || !before || after == null || before === after) return false;
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (child.type === "text" && child.data.includes(before)) {
+        child.data = child.data.replace(before, after);
+        return true;
+      }
+      if (child.type === "tag" && walk(child)) return true;
+    }
+    return false;
+  };
+  return walk(el);
+}
+
+function writeRating($, el, rating, ratingMax) {
+  if (!el || rating == null) return;
+  const value = Math.max(0, Math.min(Number(rating) || 0, ratingMax || 5));
+  const $el = $(el);
+  if ($el.attr("data-rating") != null) return void $el.attr("data-rating", String(value));
+  if ($el.attr("data-score") != null) return void $el.attr("data-score", String(value));
+  const classes = ($el.attr("class") || "").split(/\s+/);
+  const i = classes.findIndex((c) => RATING_CLASS.test(c));
+  if (i >= 0) {
+    const [, prefix] = classes[i].match(/^([a-z]+[-_]?)/i);
+    classes[i] = `${prefix}${String(Math.round(value * 10) / 10).replace(".", "-")}`;
+    return void $el.attr("class", classes.join(" "));
+  }
+  const stars = readText($el).match(STAR_RUN)?.[0];
+  if (stars) {
+    const full = Math.round(value);
+    replaceInText($, el, stars, "★".repeat(full) + "☆".repeat(Math.max(stars.length - full, 0)));
+  }
+}
+
+function writeReviews($, items, data) {
+  const before = readReviews($, items).reviews;
+  writeList($, items, asArray(data.reviews, "reviews"), (item, r) => {
+    // 複製した口コミは複製元（最後の口コミ）の値を置き換える
+    const old = before[items.indexOf(item)] || before[before.length - 1] || {};
+    replaceInText($, item.slots.profile, old.name, r.name);
+    replaceInText($, item.slots.profile, old.age, r.age);
+    writeRating($, item.slots.rating, r.rating, old.ratingMax);
+    writeText($, slot$($, item.slots.body), r.body);
+  });
+}
+
+// ── 比較表 ────────────────────────────────────────────────
+
+function locateTable($, $root) {
+  const table = $root.find("table").addBack("table").get(0);
+  if (!table) return null;
+  const rows = $(table).find("tr").toArray().filter((tr) => $(tr).closest("table").get(0) === table);
+  const headerRow = rows.find((tr) => $(tr).parent().is("thead")) || (rows[0] && $(rows[0]).children("td").length === 0 ? rows[0] : null);
+  return { table, headerRow, bodyRows: rows.filter((tr) => tr !== headerRow) };
+}
+
+const cellsOf = ($, tr) => $(tr).children("td, th").toArray();
+
+function readComparison($, located) {
+  return {
+    columns: located.headerRow ? cellsOf($, located.headerRow).map((c) => readText($(c))) : [],
+    rows: located.bodyRows.map((tr) => cellsOf($, tr).map((c) => readText($(c)))),
+  };
+}
+
+function writeCells($, tr, values) {
+  const cells = cellsOf($, tr).map((c) => ({ nodes: [c], slots: { cell: c } }));
+  writeList($, cells, values.map((v) => (v == null ? "" : String(v))), ({ slots }, value) => {
+    // 画像だけのセル（◎ の画像等）は、空のまま保存されたときは触らない
+    if (!value && !readText($(slots.cell))) return;
+    writeText($, $(slots.cell), value);
+  });
+}
+
+function writeComparison($, located, data) {
+  const columns = asArray(data.columns || [], "columns");
+  if (located.headerRow && columns.length) writeCells($, located.headerRow, columns);
+  const rows = asArray(data.rows, "rows").map((r, i) => asArray(r, `rows[${i}]`));
+  const rowItems = located.bodyRows.map((tr) => ({ nodes: [tr], slots: { row: tr } }));
+  writeList($, rowItems, rows, ({ slots }, values) => writeCells($, slots.row, values));
+}
+
+// ── 公開API ───────────────────────────────────────────────
+
+function locate($, $root, kind) {
+  switch (kind) {
+    case "faq": {
+      const items = locateFaq($, $root);
+      return items.length ? items : null;
+    }
+    case "quiz": {
+      const items = locateQuiz($, $root);
+      return items.length ? items : null;
+    }
+    case "review":
+      return locateReviews($, $root);
+    case "comparison":
+      return locateTable($, $root);
+    default:
+      return null;
+  }
+}
+
+/**
+ * ブロックのHTMLから構造化データを読み取る
+ * @param {string} html - ブロックの html
+ * @param {string} type - ブロックの type
+ * @returns {object|null} 対象外・読み取れないときは null
+ */
+export function extractStructured(html, type) {
+  const kind = STRUCTURED_TYPES[type];
+  if (!kind || !html) return null;
+  const $ = load(html);
+  const $root = $.root().children().first();
+  if (!$root.length) return null;
+  const located = locate($, $root, kind);
+  if (!located) return null;
+  switch (kind) {
+    case "faq": return { kind, ...readFaq($, located) };
+    case "quiz": return { kind, ...readQuiz($, located) };
+    case "review": {
+      const data = readReviews($, located);
+      return data.reviews.some((r) => r.body || r.name || r.rating != null) ? { kind, ...data } : null;
+    }
+    case "comparison": return { kind, ...readComparison($, located) };
+    default: return null;
+  }
+}
+
+/**
+ * 編集した構造化データを元のHTMLに書き戻す
+ * @param {string} html - ブロックの html（元の装飾を引き継ぐ）
+ * @param {string} type - ブロックの type
+ * @param {object} data - extractStructured() と同じ形
+ * @returns {string} 新しい html
+ * @throws {Error} 対象外のブロック・不正なデータ
+ */
+export function renderStructured(html, type, data) {
+  const kind = STRUCTURED_TYPES[type];
+  if (!kind) throw new Error(`${type} ブロックは項目編集に対応していません`);
+  if (!data || typeof data !== "object") throw new Error("structured はオブジェクトで指定してください");
+  const $ = load(html || "");
+  const $root = $.root().children().first();
+  const located = $root.length ? locate($, $root, kind) : null;
+  if (!located) throw new Error("ブロックから項目を読み取れませんでした");
+  switch (kind) {
+    case "faq": writeFaq($, located, data); break;
+    case "quiz": writeQuiz($, located, data, $root); break;
+    case "review": writeReviews($, located, data); break;
+    case "comparison": writeComparison($, located, data); break;
+  }
+  return $.html();
+}
@@ -0,0 +1,258 @@
+/**
+ * style-capture.js - スクレイピング時のスタイル収集
+ *
+ * innerHTML だけでは失われる見た目の情報を集める:
+ *   - <link rel="stylesheet"> / <style> のCSS（@import も展開）
+ *   - @font-face のWebフォント
+ *   - 抽出範囲内の要素の background-image（::before / ::after 含む）
+ *   - 抽出範囲外で定義された SVG スプライト（<use href="#id"> の参照先）
+ *   - （任意）トップレベルブロックごとの計算済みスタイルを style 属性にインライン化
+ *
+ * CSS は assets ディレクトリに保存し、中の url() はダウンロード済みアセットの
+ * ファイル名（相対パス）に書き換える。プレビューでは /api/projects/:id/assets/ から
+ * 配信されるので、フォント・背景画像も同じディレクトリから解決される。
+ */
+import fetch from "node-fetch";
+import { writeFile } from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { urlToFilename } from "./utils.js";
+
+const MAX_STYLESHEETS = 40;
+const MAX_IMPORT_DEPTH = 2;
+const MAX_FONTS = 30;
+const FONT_EXTENSIONS = [".woff2", ".woff", ".ttf", ".otf", ".eot"];
+
+// インライン化する計算済みスタイル（ブロックの見た目に効くもの）
+export const INLINED_PROPERTIES = [
+  "background-color",
+  "background-image",
+  "background-size",
+  "background-position",
+  "background-repeat",
+  "color",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "line-height",
+  "letter-spacing",
+  "text-align",
+  "padding",
+  "margin",
+  "border",
+  "border-radius",
+  "box-shadow",
+];
+
+/**
+ * ページからスタイル関連の参照を収集（抽出範囲は .article-body、なければ body）
+ * @param {import("playwright").Page} page
+ * @returns {Promise<{ sheets: Array<{href, media}>, inlineCss: Array<{text, media}>, backgrounds: string[], spriteHtml: string, spriteUrls: string[] }>}
+ */
+export async function collectPageStyles(page) {
+  return page.evaluate(() => {
+    const root = document.querySelector(".article-body") || document.body;
+    const sheets = [];
+    const inlineCss = [];
+    document.querySelectorAll('link[rel~="stylesheet"][href], style').forEach((el) => {
+      if (el.tagName === "LINK") {
+        if (el.disabled) return;
+        sheets.push({ href: el.href, media: el.media || "" });
+      } else if (el.textContent.trim()) {
+        inlineCss.push({ text: el.textContent, media: el.media || "" });
+      }
+    });
+
+    // 計算済みの background-image（絶対URLで返る）
+    const backgrounds = new Set();
+    const addUrls = (value) => {
+      for (const m of value.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g)) {
+        if (m[1].startsWith("http")) backgrounds.add(m[1]);
+      }
+    };
+    for (const el of [root, ...root.querySelectorAll("*")]) {
+      addUrls(getComputedStyle(el).backgroundImage);
+      addUrls(getComputedStyle(el, "::before").backgroundImage);
+      addUrls(getComputedStyle(el, "::after").backgroundImage);
+    }
+
+    // SVGスプライト: 抽出範囲外にある <symbol> を参照している <use>
+    const spriteIds = new Set();
+    const spriteUrls = new Set();
+    root.querySelectorAll("use").forEach((use) => {
+      const ref = use.getAttribute("href") || use.getAttribute("xlink:href") || "";
+      if (ref.startsWith("#")) {
+        const target = document.getElementById(ref.slice(1));
+        if (target && !root.contains(target)) spriteIds.add(ref.slice(1));
+      } else if (ref) {
+        try { spriteUrls.add(new URL(ref.split("#")[0], location.href).href); } catch {}
+      }
+    });
+    const symbols = [...spriteIds].map((id) => document.getElementById(id).outerHTML);
+    const spriteHtml = symbols.length
+      ? `<svg xmlns="http://www.w3.org/2000/svg" style="display:none" aria-hidden="true">${symbols.join("")}</svg>`
+      : "";
+
+    return { sheets, inlineCss, backgrounds: [...backgrounds], spriteHtml, spriteUrls: [...spriteUrls] };
+  });
+}
+
+/**
+ * トップレベルブロックの計算済みスタイルを style 属性にインライン化
+ * 既存のインライン指定は上書きせず、親と同じ値（継承のみ）・初期値は省く
+ * @returns {Promise<number>} 更新したブロック数
+ */
+export async function inlineComputedStyles(page) {
+  return page.evaluate((properties) => {
+    const root = document.querySelector(".article-body") || document.body;
+    const rootStyle = getComputedStyle(root);
+    const INITIAL = new Set(["none", "normal", "0px", "auto", "rgba(0, 0, 0, 0)", "0px none rgb(0, 0, 0)", "start", "repeat", "0% 0%"]);
+    let count = 0;
+    for (const el of root.children) {
+      if (["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE"].includes(el.tagName)) continue;
+      const cs = getComputedStyle(el);
+      const decls = [];
+      for (const prop of properties) {
+        if (el.style.getPropertyValue(prop)) continue;
+        const value = cs.getPropertyValue(prop);
+        if (!value || INITIAL.has(value) || value === rootStyle.getPropertyValue(prop)) continue;
+        decls.push(`${prop}: ${value}`);
+      }
+      if (!decls.length) continue;
+      // 元のインライン指定は後ろに残す（同じプロパティは元の値が優先される）
+      const existing = (el.getAttribute("style") || "").trim();
+      el.setAttribute("style", `${decls.join("; ")};${existing ? " " + existing : ""}`);
+      count++;
+    }
+    return count;
+  }, INLINED_PROPERTIES);
+}
+
+/**
+ * スタイルシートを取得し、@import を展開してフォントURLを集める
+ * @param {object} styles - collectPageStyles() の結果
+ * @param {object} opts
+ * @param {string} opts.pageUrl - インライン <style> の相対URL解決用
+ * @param {string} opts.userAgent
+ * @param {import("playwright").APIRequestContext} [opts.request] - 指定時はこちらで取得（プロキシ経由の取得用）
+ * @param {AbortSignal} [opts.signal]
+ * @returns {Promise<{ entries: Array<{href, media, text, fileName, inline, imported}>, fontUrls: string[], failed: string[] }>}
+ */
+export async function fetchStylesheets(styles, { pageUrl, userAgent, request = null, signal }) {
+  const entries = [];
+  const failed = [];
+  const seen = new Set();
+
+  async function load(href, media, depth) {
+    if (seen.has(href) || entries.length >= MAX_STYLESHEETS) return;
+    seen.add(href);
+    signal?.throwIfAborted();
+    try {
+      if (request) {
+        const resp = await request.get(href, { headers: { Referer: pageUrl }, timeout: 10000, failOnStatusCode: false });
+        if (!resp.ok()) throw new Error(`HTTP ${resp.status()}`);
+        await add(await resp.text(), href, media, depth);
+        return;
+      }
+      const resp = await fetch(href, { headers: { "User-Agent": userAgent, Referer: pageUrl }, timeout: 10000 });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      await add(await resp.text(), href, media, depth);
+    } catch (err) {
+      failed.push(href);
+      console.warn(`[style-capture] Failed: ${href} - ${err.message}`);
+    }
+  }
+
+  async function add(text, baseUrl, media, depth, fileName = cssFileName(baseUrl), inline = false) {
+    const entry = { href: baseUrl, media, text: absolutizeCssUrls(text, baseUrl), fileName, inline, imported: depth > 0 };
+    entries.push(entry);
+    if (depth >= MAX_IMPORT_DEPTH) return;
+    for (const imported of findImports(entry.text)) await load(imported, media, depth + 1);
+  }
+
+  for (const sheet of styles.sheets) await load(sheet.href, sheet.media, 0);
+  for (const [i, inline] of styles.inlineCss.entries()) {
+    const hash = crypto.createHash("md5").update(inline.text).digest("hex").slice(0, 8);
+    await add(inline.text, pageUrl, inline.media, 0, `inline-${i}-${hash}.css`, true);
+  }
+
+  const fontUrls = new Set();
+  for (const entry of entries) {
+    for (const block of entry.text.match(/@font-face\s*{[^}]*}/gi) || []) {
+      for (const url of cssUrls(block)) {
+        if (FONT_EXTENSIONS.includes(path.extname(new URL(url).pathname).toLowerCase())) fontUrls.add(url);
+      }
+    }
+  }
+  return { entries, fontUrls: [...fontUrls].slice(0, MAX_FONTS), failed };
+}
+
+/**
+ * CSS を保存。ダウンロード済みアセットへの url() / @import はファイル名（相対）に書き換え
+ * @param {Array} entries - fetchStylesheets() の entries
+ * @param {Map<string, string>} localFiles - originalUrl -> localFile
+ * @param {string} assetsDir
+ * @returns {Promise<Array<{originalUrl, localFile, localPath, size, type, media, imported}>>}
+ */
+export async function writeStylesheets(entries, localFiles, assetsDir) {
+  const cssFiles = new Map(entries.filter((e) => !e.inline).map((e) => [e.href, e.fileName]));
+  const saved = [];
+  for (const entry of entries) {
+    const css = entry.text.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, url) => {
+      const local = localFiles.get(url) || cssFiles.get(url);
+      return local ? `url("${local}")` : match;
+    }).replace(/@import\s+(["'])([^"']+)\1/g, (match, quote, url) => {
+      const local = cssFiles.get(url);
+      return local ? `@import url("${local}")` : match;
+    });
+    const localPath = path.join(assetsDir, entry.fileName);
+    await writeFile(localPath, css, "utf-8");
+    saved.push({
+      originalUrl: entry.inline ? null : entry.href, // インライン <style> はページURLなので置換対象にしない
+      localFile: entry.fileName,
+      localPath,
+      size: Buffer.byteLength(css),
+      type: "stylesheet",
+      media: entry.media,
+      imported: entry.imported, // @import で読み込まれるCSS（<link> 不要）
+    });
+  }
+  return saved;
+}
+
+/** フォントかどうか（拡張子で判定） */
+export function isFontUrl(url) {
+  try {
+    return FONT_EXTENSIONS.includes(path.extname(new URL(url).pathname).toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+export function cssFileName(href) {
+  const name = urlToFilename(href);
+  return name.endsWith(".css") ? name : name.replace(/\.[^.]*$/, "") + ".css";
+}
+
+/** url() と @import "..." を絶対URLに */
+export function absolutizeCssUrls(css, baseUrl) {
+  const resolve = (url) => {
+    if (/^(data:|#)/i.test(url)) return url;
+    try { return new URL(url, baseUrl).href; } catch { return url; }
+  };
+  return css
+    .replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (m, q, url) => `url("${resolve(url.trim())}")`)
+    .replace(/@import\s+(["'])([^"']+)\1/g, (m, q, url) => `@import "${resolve(url.trim())}"`);
+}
+
+function findImports(css) {
+  const urls = [];
+  for (const m of css.matchAll(/@import\s+(?:url\(\s*)?["']?([^"')\s;]+)["']?\s*\)?/g)) {
+    if (m[1].startsWith("http")) urls.push(m[1]);
+  }
+  return urls;
+}
+
+function cssUrls(css) {
+  return [...css.matchAll(/url\(\s*["']?([^"')]+)["']?\s*\)/g)].map((m) => m[1]).filter((u) => u.startsWith("http"));
+}
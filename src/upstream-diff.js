@@ -0,0 +1,340 @@
+/**
+ * upstream-diff.js - 競合LPの再取得結果と既存ブロックの差分検出・取り込み
+ *
+ * 3者比較で「相手側の変更」と「こちらの編集」を区別する:
+ *   base   … 最後に同期した時点の元LPのブロック（初回はスクレイピング時の project.html）
+ *   remote … 再取得した元LPのブロック
+ *   local  … 編集中のプロジェクトのブロック（project.blocks）
+ *
+ * base ↔ remote を内容の類似度で整列して追加・削除・変更ブロックを検出し、
+ * 画像は知覚ハッシュ（dHash）で差し替えを判定する。取り込み時は base ↔ local を同様に
+ * 整列して対応するローカルブロックだけを書き換えるので、他のブロックの編集は失われない。
+ */
+import sharp from "sharp";
+import { existsSync } from "fs";
+
+// 同じブロックとみなす類似度の下限
+const MATCH_THRESHOLD = 0.45;
+// dHash のハミング距離がこれを超えたら別画像
+const PHASH_DISTANCE = 10;
+
+// ── 特徴量・類似度 ─────────────────────────────────────────
+
+function normalizeText(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function blockText(block) {
+  return normalizeText(block.text || String(block.html || "").replace(/<[^>]+>/g, " "));
+}
+
+function htmlKey(block) {
+  return String(block.html || "").replace(/\s+/g, " ").trim();
+}
+
+/** 画像URL → 比較用のファイル名（クエリ・拡張子を除く） */
+function imageKey(src) {
+  const file = String(src || "").split(/[?#]/)[0].split("/").pop() || "";
+  return file.replace(/\.[a-z0-9]+$/i, "").toLowerCase();
+}
+
+function bigrams(text) {
+  const set = new Set();
+  for (let i = 0; i < text.length - 1; i++) set.add(text.slice(i, i + 2));
+  if (text.length === 1) set.add(text);
+  return set;
+}
+
+function dice(a, b) {
+  if (!a.size && !b.size) return 1;
+  let common = 0;
+  for (const g of a) if (b.has(g)) common++;
+  return (2 * common) / (a.size + b.size);
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let common = 0;
+  for (const x of a) if (b.has(x)) common++;
+  return common / (a.size + b.size - common);
+}
+
+function features(block) {
+  const text = blockText(block);
+  return {
+    type: block.type,
+    html: htmlKey(block),
+    text,
+    grams: bigrams(text),
+    images: new Set((block.assets || []).filter((a) => a.src).map((a) => imageKey(a.src))),
+  };
+}
+
+/** ブロック同士の類似度（0〜1） */
+function similarity(a, b) {
+  if (a.html === b.html) return 1;
+  const scores = [];
+  if (a.text || b.text) scores.push(dice(a.grams, b.grams));
+  if (a.images.size || b.images.size) scores.push(jaccard(a.images, b.images));
+  let score = scores.length ? scores.reduce((s, x) => s + x, 0) / scores.length : 0.6;
+  if (a.type !== b.type) score -= 0.2;
+  return Math.max(0, score);
+}
+
+/**
+ * 2つのブロック列を順序を保って整列（類似度の合計が最大になる対応付け）
+ * @returns {{ pairs: Array<{a, b, score}>, onlyA: number[], onlyB: number[] }}
+ */
+export function alignBlocks(blocksA, blocksB) {
+  const fa = blocksA.map(features);
+  const fb = blocksB.map(features);
+  const n = fa.length;
+  const m = fb.length;
+  const sim = Array.from({ length: n }, (_, i) => fb.map((f) => similarity(fa[i], f)));
+
+  // dp[i][j] = a[i..], b[j..] の最大スコア
+  const dp = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      let best = Math.max(dp[i + 1][j], dp[i][j + 1]);
+      if (sim[i][j] >= MATCH_THRESHOLD) best = Math.max(best, dp[i + 1][j + 1] + sim[i][j]);
+      dp[i][j] = best;
+    }
+  }
+
+  const pairs = [];
+  const onlyA = [];
+  const onlyB = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (sim[i][j] >= MATCH_THRESHOLD && dp[i][j] === dp[i + 1][j + 1] + sim[i][j]) {
+      pairs.push({ a: i, b: j, score: sim[i][j] });
+      i++;
+      j++;
+    } else if (dp[i][j] === dp[i + 1][j]) {
+      onlyA.push(i++);
+    } else {
+      onlyB.push(j++);
+    }
+  }
+  while (i < n) onlyA.push(i++);
+  while (j < m) onlyB.push(j++);
+  return { pairs, onlyA, onlyB };
+}
+
+// ── 知覚ハッシュ ───────────────────────────────────────────
+
+/** dHash（9x8 グレースケールの隣接画素比較、64bit を16進文字列で） */
+export async function imageHash(filePath) {
+  const pixels = await sharp(filePath, { animated: false })
+    .grayscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+  let bits = "";
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits += pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? "1" : "0";
+  }
+  return BigInt("0b" + bits).toString(16).padStart(16, "0");
+}
+
+export function hashDistance(a, b) {
+  let x = BigInt("0x" + a) ^ BigInt("0x" + b);
+  let count = 0;
+  while (x) {
+    count += Number(x & 1n);
+    x >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * ブロック内の画像アセットに知覚ハッシュ（asset.phash）を付与（計算済みはスキップ）
+ * @param {Array} blocks
+ * @param {function} resolvePath - (src) => ローカルファイルパス | null
+ */
+export async function hashBlockImages(blocks, resolvePath) {
+  for (const block of blocks) {
+    for (const asset of block.assets || []) {
+      if (asset.type !== "image" || !asset.src || asset.phash) continue;
+      const file = resolvePath(asset.src);
+      if (!file || !existsSync(file)) continue;
+      try {
+        asset.phash = await imageHash(file);
+      } catch {
+        // SVG・壊れた画像などは比較対象外
+      }
+    }
+  }
+}
+
+/** 対応する画像のうち、見た目が変わったもの（URLが同じでも中身が違えば検出） */
+function swappedImages(baseBlock, remoteBlock) {
+  const swapped = [];
+  const before = (baseBlock.assets || []).filter((a) => a.type === "image");
+  const after = (remoteBlock.assets || []).filter((a) => a.type === "image");
+  after.forEach((asset, i) => {
+    const old = before[i];
+    if (!old?.phash || !asset.phash) return;
+    const distance = hashDistance(old.phash, asset.phash);
+    if (distance > PHASH_DISTANCE) swapped.push({ position: i, from: old.src, to: asset.src, distance });
+  });
+  return swapped;
+}
+
+// ── 差分 ───────────────────────────────────────────────────
+
+function preview(block) {
+  if (!block) return "";
+  const text = blockText(block);
+  if (text) return text.slice(0, 80);
+  return block.type === "image" ? `image ${imageKey(block.assets?.[0]?.src) || ""}`.trim() : block.widgetType || block.type;
+}
+
+/**
+ * base → remote の変更一覧
+ * @returns {{ changes: Array, summary: {added, removed, changed, swapped, unchanged} }}
+ *   change: { id, kind: "added"|"removed"|"changed", baseIndex?, remoteIndex?, afterBaseIndex?, score?, textChanged?, swapped?, before, after }
+ */
+export function diffBlocks(baseBlocks, remoteBlocks) {
+  const { pairs, onlyA, onlyB } = alignBlocks(baseBlocks, remoteBlocks);
+  const changes = [];
+  const summary = { added: 0, removed: 0, changed: 0, swapped: 0, unchanged: 0 };
+
+  for (const { a, b, score } of pairs) {
+    const base = baseBlocks[a];
+    const remote = remoteBlocks[b];
+    const swapped = swappedImages(base, remote);
+    const htmlChanged = htmlKey(base) !== htmlKey(remote);
+    if (!htmlChanged && !swapped.length) {
+      summary.unchanged++;
+      continue;
+    }
+    summary.changed++;
+    if (swapped.length) summary.swapped += swapped.length;
+    changes.push({
+      kind: "changed",
+      baseIndex: a,
+      remoteIndex: b,
+      score: Math.round(score * 100) / 100,
+      textChanged: blockText(base) !== blockText(remote),
+      swapped,
+      before: preview(base),
+      after: preview(remote),
+    });
+  }
+  for (const a of onlyA) {
+    summary.removed++;
+    changes.push({ kind: "removed", baseIndex: a, before: preview(baseBlocks[a]), after: "" });
+  }
+  // 追加ブロックは直前の対応済み base ブロックの後ろに入れる
+  for (const b of onlyB) {
+    const prev = [...pairs].reverse().find((p) => p.b < b);
+    summary.added++;
+    changes.push({ kind: "added", remoteIndex: b, afterBaseIndex: prev ? prev.a : -1, before: "", after: preview(remoteBlocks[b]) });
+  }
+
+  const order = (c) => (c.kind === "added" ? c.afterBaseIndex + 0.5 : c.baseIndex);
+  changes.sort((x, y) => order(x) - order(y));
+  changes.forEach((c, i) => { c.id = `c${i + 1}`; });
+  return { changes, summary };
+}
+
+/**
+ * 選択した変更をローカルのブロックと base に反映
+ * @param {object} opts
+ * @param {Array} opts.localBlocks
+ * @param {Array} opts.baseBlocks
+ * @param {Array} opts.remoteBlocks
+ * @param {Array} opts.changes - diffBlocks() の changes
+ * @param {string[]} opts.ids - 反映する変更ID
+ * @param {boolean} [opts.baseOnly] - ローカルは変えずに base だけ更新（＝変更を無視）
+ * @returns {{ blocks: Array, baseBlocks: Array, applied: string[], skipped: Array<{id, reason}>, pulledBlocks: Array }}
+ */
+export function applyUpstreamChanges({ localBlocks, baseBlocks, remoteBlocks, changes, ids, baseOnly = false }) {
+  const selected = changes.filter((c) => ids.includes(c.id));
+  const { pairs } = alignBlocks(baseBlocks, localBlocks);
+  const localOf = new Map(pairs.map((p) => [p.a, p.b]));
+  const copy = (block) => JSON.parse(JSON.stringify(block));
+
+  // 直前の（ローカルに残っている）base ブロックの位置を探す
+  const localAfter = (baseIndex) => {
+    for (let i = baseIndex; i >= 0; i--) if (localOf.has(i)) return localOf.get(i);
+    return -1;
+  };
+
+  const local = localBlocks.map((block) => ({ block, keep: true }));
+  const localInserts = new Map(); // localIndex（-1 = 先頭）-> blocks
+  const base = baseBlocks.map((block) => ({ block, keep: true }));
+  const baseInserts = new Map();
+  const applied = [];
+  const skipped = [];
+  const pulledBlocks = [];
+
+  for (const change of selected) {
+    const li = change.baseIndex != null ? localOf.get(change.baseIndex) : undefined;
+    if (change.kind === "changed") {
+      base[change.baseIndex].block = copy(remoteBlocks[change.remoteIndex]);
+      if (!baseOnly) {
+        if (li === undefined) {
+          skipped.push({ id: change.id, reason: "対応するブロックがローカルで削除されています" });
+          continue;
+        }
+        local[li].block = copy(remoteBlocks[change.remoteIndex]);
+        pulledBlocks.push(local[li].block);
+      }
+    } else if (change.kind === "removed") {
+      base[change.baseIndex].keep = false;
+      if (!baseOnly) {
+        if (li === undefined) {
+          skipped.push({ id: change.id, reason: "ローカルで既に削除されています" });
+          continue;
+        }
+        local[li].keep = false;
+      }
+    } else if (change.kind === "added") {
+      const remote = remoteBlocks[change.remoteIndex];
+      const bi = change.afterBaseIndex;
+      baseInserts.set(bi, [...(baseInserts.get(bi) || []), copy(remote)]);
+      if (!baseOnly) {
+        const at = localAfter(bi);
+        const block = copy(remote);
+        localInserts.set(at, [...(localInserts.get(at) || []), block]);
+        pulledBlocks.push(block);
+      }
+    }
+    applied.push(change.id);
+  }
+
+  const rebuild = (list, inserts) => {
+    const out = [...(inserts.get(-1) || [])];
+    list.forEach((item, i) => {
+      if (item.keep) out.push(item.block);
+      out.push(...(inserts.get(i) || []));
+    });
+    out.forEach((b, i) => { b.index = i; });
+    return out;
+  };
+
+  return {
+    blocks: baseOnly ? localBlocks : rebuild(local, localInserts),
+    baseBlocks: rebuild(base, baseInserts),
+    applied,
+    skipped,
+    pulledBlocks,
+  };
+}
+
+/** base と local を比べて、ローカルで編集済みのブロックがある変更に conflict を付ける */
+export function markConflicts(changes, baseBlocks, localBlocks) {
+  const { pairs } = alignBlocks(baseBlocks, localBlocks);
+  const localOf = new Map(pairs.map((p) => [p.a, p.b]));
+  for (const change of changes) {
+    if (change.baseIndex == null) continue;
+    const li = localOf.get(change.baseIndex);
+    change.localIndex = li ?? null;
+    change.conflict = li !== undefined && htmlKey(baseBlocks[change.baseIndex]) !== htmlKey(localBlocks[li]);
+  }
+  return changes;
+}
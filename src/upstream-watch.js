@@ -0,0 +1,189 @@
+/**
+ * upstream-watch.js - 元LPの定期監視（ウォッチ）と変更タイムライン
+ *
+ * ウォッチはソースURL単位。同じURLから作った複数のプロジェクトを紐付けられ、
+ * 定期チェックでは1回の再取得で紐付いた全プロジェクトの差分を更新する。
+ * タイムラインには「前回取得 → 今回取得」の変更（初回チェックを含む）を記録する。
+ *
+ * ウォッチは data/watches.json に永続化。
+ */
+import { readFile } from "fs/promises";
+import { existsSync } from "fs";
+import path from "path";
+import { PROJECT_ROOT, writeFileAtomic } from "./utils.js";
+
+const WATCHES_PATH = path.join(PROJECT_ROOT, "data", "watches.json");
+
+export const DEFAULT_WATCH_INTERVAL_HOURS = 24;
+export const MIN_WATCH_INTERVAL_HOURS = 1;
+export const MAX_WATCH_INTERVAL_HOURS = 24 * 30;
+const MAX_TIMELINE = 100;
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+function genWatchId() {
+  return "w" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export function normalizeInterval(value) {
+  const hours = Number(value);
+  if (!Number.isFinite(hours)) return DEFAULT_WATCH_INTERVAL_HOURS;
+  return Math.min(Math.max(hours, MIN_WATCH_INTERVAL_HOURS), MAX_WATCH_INTERVAL_HOURS);
+}
+
+export class WatchManager {
+  constructor(filePath = WATCHES_PATH) {
+    this.filePath = filePath;
+    this.watches = new Map(); // url -> watch
+    this.timer = null;
+    this._saving = null;
+    this._dirty = false;
+  }
+
+  async init() {
+    try {
+      if (existsSync(this.filePath)) {
+        for (const watch of JSON.parse(await readFile(this.filePath, "utf-8"))) this.watches.set(watch.url, watch);
+      }
+    } catch (err) {
+      console.error(`[watches] watches.json 読み込みエラー: ${err.message}`);
+    }
+    return this.watches.size;
+  }
+
+  list(filter = () => true) {
+    return [...this.watches.values()].filter(filter).sort((a, b) => (a.nextCheckAt || 0) - (b.nextCheckAt || 0));
+  }
+
+  get(url) {
+    return this.watches.get(url) || null;
+  }
+
+  /**
+   * プロジェクトの監視設定を更新（URLのウォッチがなければ作成）
+   * 無効化するとプロジェクトの紐付けだけ外し、タイムラインは残す
+   */
+  configure(url, projectId, { enabled, intervalHours, owner = null, team = null }) {
+    let watch = this.watches.get(url);
+    if (!watch) {
+      if (!enabled) return null;
+      watch = {
+        id: genWatchId(),
+        url,
+        projectIds: [],
+        intervalHours: DEFAULT_WATCH_INTERVAL_HOURS,
+        enabled: false,
+        owner,
+        team,
+        lastCheckedAt: null,
+        nextCheckAt: null,
+        lastJobId: null,
+        timeline: [],
+        createdAt: Date.now(),
+      };
+      this.watches.set(url, watch);
+    }
+    if (intervalHours !== undefined) watch.intervalHours = normalizeInterval(intervalHours);
+    if (enabled) {
+      if (!watch.projectIds.includes(projectId)) watch.projectIds.push(projectId);
+    } else {
+      watch.projectIds = watch.projectIds.filter((id) => id !== projectId);
+    }
+    watch.enabled = watch.projectIds.length > 0;
+    // 未チェックならすぐ、チェック済みなら前回 + 間隔
+    if (!watch.enabled) watch.nextCheckAt = null;
+    else watch.nextCheckAt = watch.lastCheckedAt ? watch.lastCheckedAt + watch.intervalHours * 3600000 : Date.now();
+    this.save();
+    return watch;
+  }
+
+  /** 削除されたプロジェクトを紐付けから外す */
+  detachProject(projectId) {
+    for (const watch of this.watches.values()) {
+      if (!watch.projectIds.includes(projectId)) continue;
+      watch.projectIds = watch.projectIds.filter((id) => id !== projectId);
+      watch.enabled = watch.projectIds.length > 0;
+      if (!watch.enabled) watch.nextCheckAt = null;
+      this.save();
+    }
+  }
+
+  /**
+   * チェック結果をタイムラインに記録
+   * @param {string} url
+   * @param {object} entry - { changed, initial, summary, details, error, jobId }
+   */
+  record(url, entry) {
+    const watch = this.watches.get(url);
+    if (!watch) return null;
+    const now = Date.now();
+    watch.lastCheckedAt = now;
+    if (watch.enabled) watch.nextCheckAt = now + watch.intervalHours * 3600000;
+    // 変更がなかったチェックは最後の「変更なし」エントリにまとめる
+    const last = watch.timeline[0];
+    if (!entry.error && !entry.changed && last && !last.changed && !last.error) {
+      last.checkedAt = now;
+      last.checks = (last.checks || 1) + 1;
+    } else {
+      watch.timeline.unshift({ at: now, checkedAt: now, checks: 1, ...entry });
+      watch.timeline.length = Math.min(watch.timeline.length, MAX_TIMELINE);
+    }
+    this.save();
+    return watch;
+  }
+
+  /**
+   * 定期チェックを開始。期限が来たウォッチごとに onDue(watch) を呼ぶ
+   * （onDue はジョブID を返す。再取得中のウォッチはスキップ）
+   * @param {function} onDue - (watch) => string|null
+   * @param {function} isBusy - (watch) => boolean
+   */
+  start(onDue, isBusy) {
+    if (this.timer) return;
+    const tick = () => {
+      const now = Date.now();
+      for (const watch of this.watches.values()) {
+        if (!watch.enabled || !watch.nextCheckAt || watch.nextCheckAt > now) continue;
+        if (isBusy(watch)) continue;
+        try {
+          watch.lastJobId = onDue(watch) || null;
+        } catch (err) {
+          console.error(`[watches] ${watch.url}: ${err.message}`);
+        }
+        // 失敗しても毎分再実行しないよう次回を先送り
+        watch.nextCheckAt = now + watch.intervalHours * 3600000;
+        this.save();
+      }
+    };
+    this.timer = setInterval(tick, CHECK_INTERVAL_MS);
+    this.timer.unref();
+    setTimeout(tick, 5000).unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /** 書き込みは直列化し、書き込み中の変更は完了後にまとめて保存 */
+  save() {
+    if (this._saving) {
+      this._dirty = true;
+      return this._saving;
+    }
+    this._saving = (async () => {
+      do {
+        this._dirty = false;
+        try {
+          await writeFileAtomic(this.filePath, JSON.stringify([...this.watches.values()], null, 2));
+        } catch (err) {
+          console.error(`[watches] watches.json 保存エラー: ${err.message}`);
+        }
+      } while (this._dirty);
+    })().finally(() => {
+      this._saving = null;
+    });
+    return this._saving;
+  }
+}
+
+export const watchManager = new WatchManager();
@@ -1,4 +1,4 @@
-import { mkdir, writeFile, readFile } from "fs/promises";
+import { mkdir, writeFile, readFile, rename, unlink } from "fs/promises";
 import { existsSync } from "fs";
 import path from "path";
 import crypto from "crypto";
@@ -39,18 +39,8 @@ export async function ensureDir(dirPath) {
   }
 }
 
-/** すべての出力ディレクトリを初期化 */
-export async function initOutputDirs(projectSlug) {
-  const dirs = [
-    path.join(SCRAPED_DIR, projectSlug),
-    path.join(SCRAPED_DIR, projectSlug, "assets"),
-    path.join(ANALYSIS_DIR, projectSlug),
-    path.join(IMAGES_DIR, projectSlug),
-    path.join(FINAL_DIR, projectSlug),
-  ];
-  for (const d of dirs) {
-    await ensureDir(d);
-  }
+/** スラッグに対応する出力ディレクトリのパス（作成はしない） */
+export function outputDirsFor(projectSlug) {
   return {
     scraped: path.join(SCRAPED_DIR, projectSlug),
     assets: path.join(SCRAPED_DIR, projectSlug, "assets"),
@@ -60,6 +50,15 @@ export async function initOutputDirs(projectSlug) {
   };
 }
 
+/** すべての出力ディレクトリを初期化 */
+export async function initOutputDirs(projectSlug) {
+  const dirs = outputDirsFor(projectSlug);
+  for (const d of Object.values(dirs)) {
+    await ensureDir(d);
+  }
+  return dirs;
+}
+
 /** URLからファイル名を生成 */
 export function urlToFilename(url) {
   const u = new URL(url);
@@ -80,14 +79,22 @@ export async function loadJson(filePath) {
   return JSON.parse(raw);
 }
 
-/** URLからスラッグを生成 */
-export function urlToSlug(url) {
+/**
+ * URLからスラッグを生成（ホスト名 + パスのハッシュ [+ プロジェクトID]）
+ * 例: https://sb-xxx.jp/lp/a → "sb-xxx-jp-1a2b3c"、projectId 指定時は "sb-xxx-jp-1a2b3c-<id>"
+ * 同じドメインの別LP・同じLPの別プロジェクトが出力ディレクトリを共有しないようにする
+ */
+export function urlToSlug(url, projectId) {
+  let slug;
   try {
     const u = new URL(url);
-    return u.hostname.replace(/\./g, "-").replace(/[^a-z0-9-]/gi, "");
+    const host = u.hostname.replace(/\./g, "-").replace(/[^a-z0-9-]/gi, "");
+    const pathHash = crypto.createHash("md5").update(u.pathname + u.search).digest("hex").slice(0, 6);
+    slug = `${host}-${pathHash}`;
   } catch {
-    return "unknown-" + Date.now();
+    slug = "unknown-" + Date.now();
   }
+  return projectId ? `${slug}-${projectId}` : slug;
 }
 
 /** バイト数をhuman-readableに変換 */
@@ -96,3 +103,24 @@ export function formatBytes(bytes) {
   if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + " KB";
   return (bytes / (1024 * 1024)).toFixed(1) + " MB";
 }
+
+/** ファイルをアトミックに書き込み（一時ファイルに書いてから rename で置換） */
+export async function writeFileAtomic(filePath, data) {
+  await ensureDir(path.dirname(filePath));
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    await writeFile(tmpPath, data, typeof data === "string" ? "utf-8" : undefined);
+    await rename(tmpPath, filePath);
+  } catch (err) {
+    await unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * async のルートハンドラ・ミドルウェアをラップし、reject を next(err) に渡す
+ * （Express 4 は返された Promise を扱わないため、そのままだと unhandledRejection でプロセスが落ちる）
+ */
+export function asyncHandler(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
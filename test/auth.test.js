@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, readFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  AuthManager, AuthError, hasRole, canAccess, ownerFields, requireRole,
+  hashPassword, verifyPassword, canRunSetup, isLoopbackRequest,
+} from "../src/auth.js";
+
+const admin = { id: "u1", role: "admin", team: null };
+const editor = { id: "u2", role: "editor", team: "red" };
+const viewer = { id: "u3", role: "viewer", team: "red" };
+
+test("hasRole は viewer < editor < admin の順で判定する", () => {
+  assert.equal(hasRole(admin, "editor"), true);
+  assert.equal(hasRole(editor, "editor"), true);
+  assert.equal(hasRole(editor, "admin"), false);
+  assert.equal(hasRole(viewer, "editor"), false);
+  assert.equal(hasRole(null, "viewer"), false);
+});
+
+test("canAccess は admin・所有者・同じチームだけを通し、所有者のないリソースは admin のみ", () => {
+  assert.equal(canAccess(admin, { owner: "other", team: "blue" }), true);
+  assert.equal(canAccess(editor, { owner: "u2", team: null }), true);
+  assert.equal(canAccess(viewer, { owner: "u2", team: "red" }), true);
+  assert.equal(canAccess(editor, { owner: "u9", team: "blue" }), false);
+  assert.equal(canAccess({ id: "u4", role: "editor", team: null }, { owner: "u9", team: null }), false);
+  assert.equal(canAccess(editor, { owner: null, team: null }), false);
+  assert.equal(canAccess(admin, { owner: null, team: null }), true);
+  assert.equal(canAccess(null, { owner: "u2" }), false);
+  assert.deepEqual(ownerFields(editor), { owner: "u2", team: "red" });
+  assert.deepEqual(ownerFields(null), { owner: null, team: null });
+});
+
+function runMiddleware(middleware, user) {
+  const result = { status: 200, nextCalled: false };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; },
+  };
+  middleware({ user }, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+test("requireRole は未ログインを 401、権限不足を 403 にする", () => {
+  const adminOnly = requireRole("admin");
+  assert.equal(runMiddleware(adminOnly, null).status, 401);
+  const denied = runMiddleware(adminOnly, editor);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.nextCalled, false);
+  assert.equal(runMiddleware(adminOnly, admin).nextCalled, true);
+});
+
+test("パスワードは scrypt でハッシュし、不正な形式のハッシュは一致しない", async () => {
+  const stored = await hashPassword("correct horse");
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.equal(await verifyPassword("correct horse", stored), true);
+  assert.equal(await verifyPassword("wrong horse", stored), false);
+  assert.equal(await verifyPassword("correct horse", "plain"), false);
+});
+
+function fakeRequest({ headers = {}, remoteAddress = "127.0.0.1", body = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: (name) => lower[name.toLowerCase()], socket: { remoteAddress }, body };
+}
+
+test("初回セットアップはループバック直結か、一致する SETUP_TOKEN のときだけ許可する", (t) => {
+  const saved = process.env.SETUP_TOKEN;
+  t.after(() => {
+    if (saved === undefined) delete process.env.SETUP_TOKEN;
+    else process.env.SETUP_TOKEN = saved;
+  });
+  delete process.env.SETUP_TOKEN;
+
+  assert.equal(isLoopbackRequest(fakeRequest()), true);
+  assert.equal(isLoopbackRequest(fakeRequest({ remoteAddress: "::ffff:127.0.0.1" })), true);
+  assert.equal(isLoopbackRequest(fakeRequest({ remoteAddress: "10.0.0.5" })), false);
+  // リバースプロキシ経由（転送ヘッダーあり）は同じホストからでも外部扱い
+  assert.equal(isLoopbackRequest(fakeRequest({ headers: { "X-Forwarded-For": "203.0.113.1" } })), false);
+  assert.equal(canRunSetup(fakeRequest({ remoteAddress: "10.0.0.5" })), false);
+
+  process.env.SETUP_TOKEN = "s3cret-token";
+  const remote = { remoteAddress: "10.0.0.5" };
+  assert.equal(canRunSetup(fakeRequest({ ...remote, headers: { "X-Setup-Token": "s3cret-token" } })), true);
+  assert.equal(canRunSetup(fakeRequest({ ...remote, body: { setupToken: "s3cret-token" } })), true);
+  assert.equal(canRunSetup(fakeRequest({ ...remote, headers: { "X-Setup-Token": "wrong" } })), false);
+  assert.equal(canRunSetup(fakeRequest(remote)), false);
+});
+
+async function withManager(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "auth-"));
+  const manager = new AuthManager({ usersPath: path.join(dir, "users.json"), sessionsPath: path.join(dir, "sessions.json") });
+  try {
+    await fn(manager, dir);
+  } finally {
+    // 後始末の前に、投げっぱなしのセッション保存を終わらせる
+    await manager._saveSessions();
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("最後の管理者は降格・削除できない", () => withManager(async (manager) => {
+  const first = await manager.createUser({ username: "root", password: "password1", role: "admin" });
+  await assert.rejects(manager.updateUser(first.id, { role: "editor" }), /最後の管理者/);
+  await assert.rejects(manager.deleteUser(first.id), /最後の管理者/);
+
+  const second = await manager.createUser({ username: "root2", password: "password2", role: "admin" });
+  assert.equal((await manager.updateUser(first.id, { role: "editor" })).role, "editor");
+  await assert.rejects(manager.deleteUser(second.id), AuthError);
+  assert.equal(await manager.deleteUser(first.id), true);
+}));
+
+test("初回管理者の作成は同時に来ても1人だけ", () => withManager(async (manager) => {
+  const results = await Promise.allSettled([1, 2, 3].map((n) => manager.createInitialAdmin({ username: `admin${n}`, password: "password1" })));
+  assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+  assert.ok(results.filter((r) => r.status === "rejected").every((r) => r.reason.status === 409));
+  assert.equal(manager.listUsers().length, 1);
+}));
+
+test("セッションはトークンのハッシュだけを保存する", () => withManager(async (manager, dir) => {
+  await manager.createUser({ username: "alice", password: "password1", role: "editor", team: "red" });
+  const { token, user } = await manager.login("alice", "password1", "1.2.3.4");
+  assert.equal(user.passwordHash, undefined);
+  assert.equal(manager.getSessionUser(token).username, "alice");
+
+  const saved = await readFile(path.join(dir, "sessions.json"), "utf-8");
+  assert.equal(saved.includes(token), false);
+  assert.equal(manager.sessions.has(token), false);
+
+  await manager.logout(token);
+  assert.equal(manager.getSessionUser(token), null);
+}));
+
+test("存在しないユーザー名も誤ったパスワードと同じ 401 になる", () => withManager(async (manager) => {
+  await manager.createUser({ username: "alice", password: "password1" });
+  await assert.rejects(manager.login("alice", "wrongpass", "ip"), (err) => err.status === 401);
+  await assert.rejects(manager.login("nobody", "wrongpass", "ip"), (err) => err.status === 401);
+}));
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as cheerio from "cheerio";
+import { compileRule, findRule } from "../src/block-rules.js";
+
+/** 1要素のHTMLからルール判定用のコンテキストを作る */
+function contextOf(html, { index = 0, contentIndex = 0, fontSize = null } = {}) {
+  const $ = cheerio.load(html, null, false);
+  const $el = $.root().children().first();
+  return { $, $el, index, contentIndex, text: $el.text().trim(), classes: $el.attr("class") || "", fontSize };
+}
+
+test("compileRule は既定値を補い、判定関数を持つルールを返す", () => {
+  const rule = compileRule({ id: "cta_btn", type: "cta", selector: "a.btn" });
+  assert.equal(rule.label, "cta");
+  assert.equal(rule.priority, 50);
+  assert.equal(rule.build, "basic");
+  assert.equal(rule.once, false);
+  assert.equal(rule.team, null);
+  assert.equal(rule.match(contextOf(`<div><a class="btn" href="#">購入</a></div>`)), true);
+  assert.equal(rule.match(contextOf(`<div><a href="#">購入</a></div>`)), false);
+});
+
+test("compileRule は不正なルールをエラーにする", () => {
+  assert.throws(() => compileRule(null), /オブジェクト/);
+  assert.throws(() => compileRule([]), /オブジェクト/);
+  assert.throws(() => compileRule({ id: "Bad ID", type: "x" }), /不正なルールID/);
+  assert.throws(() => compileRule({ id: "r1", type: "Bad-Type" }), /不正な type/);
+  assert.throws(() => compileRule({ id: "r1", type: "x", priority: "high" }), /priority/);
+  assert.throws(() => compileRule({ id: "r1", type: "x", build: "table" }), /build/);
+  assert.throws(() => compileRule({ id: "r1", type: "x", selector: "div[" }), /不正なセレクター/);
+  assert.throws(() => compileRule({ id: "r1", type: "x", textScope: 0 }), /textScope/);
+  assert.throws(() => compileRule({ id: "r1", type: "x", style: { "font size": ">20" } }), /スタイルプロパティ/);
+});
+
+test("無効化ルールは id だけで通る", () => {
+  const rule = compileRule({ id: "fv_first_image", enabled: false, team: "t1" });
+  assert.deepEqual({ id: rule.id, team: rule.team, disabled: rule.disabled }, { id: "fv_first_image", team: "t1", disabled: true });
+});
+
+test("テキスト・位置・スタイルの条件を組み合わせて判定する", () => {
+  const rule = compileRule({
+    id: "big_heading",
+    type: "heading",
+    text: "^よくある",
+    textScope: 10,
+    position: { contentIndex: { min: 1 } },
+    style: { "font-size": ">=24" },
+  });
+  const html = `<div style="font-size: 28px">よくある質問</div>`;
+  assert.equal(rule.match(contextOf(html, { contentIndex: 2 })), true);
+  assert.equal(rule.match(contextOf(html, { contentIndex: 0 })), false);
+  assert.equal(rule.match(contextOf(`<div style="font-size: 16px">よくある質問</div>`, { contentIndex: 2 })), false);
+  assert.equal(rule.match(contextOf(`<div style="font-size: 28px">お客様の声</div>`, { contentIndex: 2 })), false);
+});
+
+test("findRule は優先度順に最初に一致したルールを返し、once のルールは一度だけ使う", () => {
+  const rules = [
+    compileRule({ id: "fv", type: "fv", priority: 70, selector: "img", once: true }),
+    compileRule({ id: "image", type: "image", priority: 40, selector: "img" }),
+  ];
+  const fired = new Set();
+  const ctx = contextOf(`<div><img src="a.jpg"></div>`);
+  const first = findRule(rules, ctx, fired);
+  assert.equal(first.id, "fv");
+  fired.add(first.id);
+  assert.equal(findRule(rules, ctx, fired).id, "image");
+  assert.equal(findRule(rules, contextOf(`<p>テキスト</p>`), fired), null);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, readFile } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { ExperimentManager, wilsonInterval } from "../src/experiments.js";
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-4, `${actual} ≠ ${expected}`);
+
+test("wilsonInterval は既知の値と一致し、0〜1 に収まる", () => {
+  const [low, high] = wilsonInterval(10, 100);
+  near(low, 0.0552);
+  near(high, 0.1744);
+  assert.deepEqual(wilsonInterval(0, 0), [0, 0]);
+  const [zeroLow, zeroHigh] = wilsonInterval(0, 10);
+  assert.equal(zeroLow, 0);
+  near(zeroHigh, 0.2775);
+  const [allLow, allHigh] = wilsonInterval(10, 10);
+  near(allLow, 0.7225);
+  assert.equal(allHigh, 1);
+});
+
+async function withManager(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "experiments-"));
+  try {
+    await fn(new ExperimentManager(dir), dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const experiment = {
+  id: "x1",
+  status: "running",
+  variants: [
+    { key: "A", projectId: "p1", label: "A", weight: 1 },
+    { key: "B", projectId: "p2", label: "B", weight: 1 },
+  ],
+};
+
+test("不正なイベント・停止中の実験のイベントは記録しない", () => withManager(async (manager) => {
+  assert.equal(await manager.recordEvent(experiment, { type: "purchase", variant: "A", visitorId: "v1" }), false);
+  assert.equal(await manager.recordEvent(experiment, { type: "view", variant: "Z", visitorId: "v1" }), false);
+  assert.equal(await manager.recordEvent(experiment, { type: "view", variant: "A" }), false);
+  assert.equal(await manager.recordEvent(experiment, { type: "scroll", variant: "A", visitorId: "v1", depth: 33 }), false);
+  assert.equal(await manager.recordEvent({ ...experiment, status: "stopped" }, { type: "view", variant: "A", visitorId: "v1" }), false);
+  assert.equal(await manager.recordEvent(experiment, { type: "view", variant: "A", visitorId: "v1" }), true);
+}));
+
+test("CTR は閲覧した訪問者のうちクリックした人数で数え、イベントファイルから集計を復元する", () => withManager(async (manager, dir) => {
+  const send = (variant, visitorId, type, extra = {}) => manager.recordEvent(experiment, { type, variant, visitorId, ...extra });
+  for (let i = 0; i < 4; i++) await send("A", `a${i}`, "view");
+  await send("A", "a0", "click");
+  await send("A", "a0", "click"); // 同じ訪問者の2回目は clicks だけ増える
+  await send("A", "ghost", "click"); // 閲覧のない訪問者は CTR に含めない
+  await send("A", "a1", "scroll", { depth: 50 });
+  for (let i = 0; i < 2; i++) await send("B", `b${i}`, "view");
+  await send("B", "b0", "click");
+
+  const stats = await manager.getStats(experiment);
+  const [a, b] = stats.variants;
+  assert.deepEqual({ visitors: a.visitors, views: a.views, clicks: a.clicks, clickers: a.clickers }, { visitors: 4, views: 4, clicks: 3, clickers: 1 });
+  assert.equal(a.ctr, 0.25);
+  assert.equal(a.scroll[50], 0.25);
+  assert.equal(a.lift, null);
+  assert.equal(b.ctr, 0.5);
+  assert.equal(b.lift, 1);
+  assert.ok(b.pValue > 0 && b.pValue < 1);
+  assert.deepEqual(a.ci, wilsonInterval(1, 4));
+
+  // 別インスタンス（再起動後）でもファイルから同じ集計になる
+  const restarted = await new ExperimentManager(dir).getStats(experiment);
+  assert.deepEqual(restarted, stats);
+  const lines = (await readFile(path.join(dir, "x1.jsonl"), "utf-8")).trim().split("\n");
+  assert.equal(lines.length, 11);
+}));
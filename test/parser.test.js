@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseHtml, carryAssetVariants } from "../src/parser.js";
+
+test("ラッパー直下の素の <img> / <picture> ブロックもアセットを持つ", () => {
+  const html = `<body><div class="wrap">
+    <img src="images/hero.jpg" srcset="images/hero.jpg 1x, images/hero@2x.jpg 2x" alt="hero">
+    <p>本文テキスト</p>
+    <picture>
+      <source type="image/webp" srcset="images/photo.webp">
+      <img src="images/photo.jpg" alt="photo">
+    </picture>
+  </div></body>`;
+  const { blocks } = parseHtml(html);
+
+  const img = blocks.find((b) => b.html.startsWith("<img"));
+  assert.ok(img, "<img> ブロックがない");
+  assert.equal(img.assets.length, 1);
+  assert.equal(img.assets[0].src, "images/hero.jpg");
+  assert.deepEqual(img.assets[0].srcset.map((c) => c.url), ["images/hero.jpg", "images/hero@2x.jpg"]);
+
+  const picture = blocks.find((b) => b.html.startsWith("<picture"));
+  assert.ok(picture, "<picture> ブロックがない");
+  // picture 内の img は picture 側の1件として数える
+  assert.equal(picture.assets.length, 1);
+  assert.equal(picture.assets[0].src, "images/photo.jpg");
+  assert.equal(picture.assets[0].webpSrc, "images/photo.webp");
+});
+
+test("再解析したブロックにデバイス別バリアントを画像URLで引き継ぐ", () => {
+  const html = `<body><div><p>旧テキスト</p><img src="images/hero.jpg"></div><img src="images/other.jpg"></body>`;
+  const before = parseHtml(html).blocks;
+  const variants = { mobile: { src: "images/hero-sp.jpg", webpSrc: "", avifSrc: "" } };
+  before.flatMap((b) => b.assets || []).find((a) => a.src === "images/hero.jpg").variants = variants;
+
+  const after = parseHtml(html.replace("旧テキスト", "新テキスト")).blocks;
+  assert.equal(carryAssetVariants(before, after), 1);
+  const assets = after.flatMap((b) => b.assets || []);
+  assert.deepEqual(assets.find((a) => a.src === "images/hero.jpg").variants, variants);
+  assert.equal(assets.find((a) => a.src === "images/other.jpg").variants, undefined);
+});
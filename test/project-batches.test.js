@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, parseBatchInput, normalizeTags } from "../src/project-batches.js";
+
+test("normalizeTags は区切り文字で分割して重複・空要素を除く", () => {
+  assert.deepEqual(normalizeTags("美容, 健康;美容|、 "), ["美容", "健康"]);
+  assert.deepEqual(normalizeTags(["a", " a ", "b"]), ["a", "b"]);
+  assert.deepEqual(normalizeTags(undefined), []);
+});
+
+test("parseCsv はヘッダーの url / tags 列を使い、クォート内の区切り文字を保つ", () => {
+  const csv = '\uFEFFname,URL,tags\r\n"A, Inc.",https://a.example/lp,"美容,新規"\r\n\r\nB,https://b.example/,""';
+  assert.deepEqual(parseCsv(csv), [
+    { line: 2, url: "https://a.example/lp", tags: ["美容", "新規"] },
+    { line: 3, url: "https://b.example/", tags: [] },
+  ]);
+});
+
+test("parseCsv はヘッダーがなければ1列目をURL、2列目をタグとし、タブ区切りも読む", () => {
+  assert.deepEqual(parseCsv("https://a.example/\t美容\nhttps://b.example/"), [
+    { line: 1, url: "https://a.example/", tags: ["美容"] },
+    { line: 2, url: "https://b.example/", tags: [] },
+  ]);
+  assert.deepEqual(parseCsv('https://a.example/,"say ""hi"""'), [{ line: 1, url: "https://a.example/", tags: ['say "hi"'] }]);
+});
+
+test("parseBatchInput は不正なURL・重複を行番号つきで除外し、共通タグを付ける", () => {
+  const { items, rejected } = parseBatchInput({
+    urls: "https://a.example/\nftp://files.example/x\n\nhttps://a.example\nnot a url",
+    csv: "url,tags\nhttps://c.example/,比較",
+    tags: "2024秋",
+  });
+  assert.deepEqual(items, [
+    { url: "https://c.example/", tags: ["2024秋", "比較"] },
+    { url: "https://a.example/", tags: ["2024秋"] },
+  ]);
+  assert.deepEqual(rejected.map((r) => [r.line, r.reason]), [
+    [2, "URLの形式が不正です"],
+    [4, "重複しています"],
+    [5, "URLの形式が不正です"],
+  ]);
+});
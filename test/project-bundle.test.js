@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm, readFile } from "fs/promises";
+import { existsSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import { createProjectBundle, readProjectBundle, extractProjectBundle, remapProjectReferences } from "../src/project-bundle.js";
+
+const fromDirs = { scraped: "/srv/out/scraped/lp-old", assets: "/srv/out/scraped/lp-old/assets", images: "/srv/out/images/lp-old" };
+const toDirs = { scraped: "/data/scraped/lp-new", assets: "/data/scraped/lp-new/assets", images: "/data/images/lp-new" };
+
+test("remapProjectReferences は旧IDのURLと旧ディレクトリのパスを書き換える", () => {
+  const project = {
+    id: "old1",
+    html: `<img src="/api/projects/old1/assets/a.jpg"><img src="/api/projects/old10/assets/b.jpg">`,
+    blocks: [{ html: `<img src="/api/projects/old1/generated-images/g.jpg">`, localPath: "/srv/out/images/lp-old/g.jpg" }],
+    assets: [{ localFile: "a.jpg", localPath: "/srv/out/scraped/lp-old/assets/a.jpg" }],
+    stylesheet: "/srv/out/scraped/lp-old/styles.css",
+  };
+  const remapped = remapProjectReferences(project, { fromId: "old1", toId: "new1", fromDirs, toDirs });
+
+  assert.equal(remapped.id, "new1");
+  // 末尾スラッシュまで照合するので、IDが前方一致する別プロジェクトのURLは変えない
+  assert.equal(remapped.html, `<img src="/api/projects/new1/assets/a.jpg"><img src="/api/projects/old10/assets/b.jpg">`);
+  assert.equal(remapped.blocks[0].html, `<img src="/api/projects/new1/generated-images/g.jpg">`);
+  assert.equal(remapped.blocks[0].localPath, "/data/images/lp-new/g.jpg");
+  // assets は scraped 配下なので、深い方のパスで置き換わる
+  assert.equal(remapped.assets[0].localPath, path.join(toDirs.assets, "a.jpg"));
+  assert.equal(remapped.stylesheet, "/data/scraped/lp-new/styles.css");
+  // 元データは変更しない
+  assert.equal(project.id, "old1");
+});
+
+test("remapProjectReferences は新パスが旧パスを含んでも二重に置換しない", () => {
+  const project = { id: "p", file: "/out/images/lp/x.jpg" };
+  const remapped = remapProjectReferences(project, {
+    fromId: "p", toId: "p",
+    fromDirs: { images: "/out/images/lp" },
+    toDirs: { images: "/out/images/lp/imported" },
+  });
+  assert.equal(remapped.file, "/out/images/lp/imported/x.jpg");
+});
+
+test("バンドルの書き出し → 読み込みでランタイム専用・所有者フィールドとプロキシのパスワードを除く", () => {
+  const project = {
+    id: "p1", url: "https://example.com/", owner: "u1", team: "t1", log: ["x"], sseClients: [],
+    networkSettings: { proxy: { server: "http://proxy:8080", username: "u", password: "secret" } },
+  };
+  const { manifest, project: read } = readProjectBundle(createProjectBundle(project));
+  assert.equal(manifest.sourceId, "p1");
+  assert.equal(read.url, "https://example.com/");
+  for (const field of ["owner", "team", "log", "sseClients"]) assert.equal(read[field], undefined, field);
+  assert.deepEqual(read.networkSettings.proxy, { server: "http://proxy:8080", username: "u" });
+});
+
+test("readProjectBundle はバンドル以外のzip・zip以外を拒否する", () => {
+  assert.throws(() => readProjectBundle(Buffer.from("not a zip")), /zip/);
+  const zip = new AdmZip();
+  zip.addFile("index.html", Buffer.from("<html></html>"));
+  assert.throws(() => readProjectBundle(zip.toBuffer()), /プロジェクトバンドルではありません/);
+});
+
+test("extractProjectBundle は展開先ディレクトリの外を指すエントリを書き出さない", async () => {
+  const root = await mkdtemp(path.join(tmpdir(), "bundle-"));
+  try {
+    const dirs = { assets: path.join(root, "new", "assets"), images: path.join(root, "new", "images") };
+    const entry = (entryName, data) => ({ entryName, isDirectory: false, getData: () => Buffer.from(data) });
+    const zip = {
+      getEntries: () => [
+        entry("assets/ok/a.txt", "ok"),
+        entry("assets/../../evil.txt", "evil"),
+        entry("images/../assets/../../../evil2.txt", "evil"),
+        entry("other/x.txt", "ignored"),
+      ],
+    };
+    const { project, fileCount } = await extractProjectBundle(
+      { manifest: { sourceId: "old" }, project: { id: "old" }, zip },
+      { id: "new", dirs },
+    );
+    assert.equal(fileCount, 1);
+    assert.equal(await readFile(path.join(dirs.assets, "ok", "a.txt"), "utf-8"), "ok");
+    assert.equal(existsSync(path.join(root, "evil.txt")), false);
+    assert.equal(existsSync(path.join(root, "new", "evil.txt")), false);
+    assert.equal(project.id, "new");
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import path from "path";
+import { RevisionLog, diffBlockLists, applyBlockOps, compareBlocks } from "../src/revision-log.js";
+
+const block = (html, extra = {}) => ({ index: 0, html, ...extra });
+
+test("diffBlockLists の ops を適用すると変更後のブロック列になる", () => {
+  const before = ["a", "b", "c", "d"].map((t) => block(`<p>${t}</p>`));
+  const after = ["a", "x", "c", "d", "e"].map((t) => block(`<p>${t}</p>`));
+  const ops = diffBlockLists(before, after);
+  assert.deepEqual(ops.map((op) => op.op), ["keep", "remove", "insert", "keep", "insert"]);
+  const applied = applyBlockOps(before, ops);
+  assert.deepEqual(applied.map((b) => b.html), after.map((b) => b.html));
+  assert.deepEqual(applied.map((b) => b.index), [0, 1, 2, 3, 4]);
+});
+
+test("並び替えで index だけ変わったブロックは変更扱いにしない", () => {
+  const before = [block("<p>a</p>", { index: 0 }), block("<p>b</p>", { index: 1 })];
+  const after = [block("<p>new</p>", { index: 0 }), block("<p>a</p>", { index: 1 }), block("<p>b</p>", { index: 2 })];
+  const { summary, changes } = compareBlocks(before, after);
+  assert.deepEqual(summary, { added: 1, removed: 0, changed: 0 });
+  assert.deepEqual(changes.map((c) => [c.type, c.toIndex]), [["added", 0]]);
+});
+
+test("compareBlocks は隣り合う削除と挿入を変更として数える", () => {
+  const before = ["a", "b", "c"].map((t) => block(`<p>${t}</p>`));
+  const after = ["a", "B"].map((t) => block(`<p>${t}</p>`));
+  const { summary, changes } = compareBlocks(before, after);
+  assert.deepEqual(summary, { added: 0, removed: 1, changed: 1 });
+  assert.deepEqual(changes.map((c) => c.type), ["changed", "removed"]);
+  assert.equal(changes[0].before.html, "<p>b</p>");
+  assert.equal(changes[0].after.html, "<p>B</p>");
+});
+
+async function withLog(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), "revlog-"));
+  try {
+    await fn(new RevisionLog(dir));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("リビジョンはブロックと一緒にグループ構成・セクションを復元する", () => withLog(async (log) => {
+  const project = {
+    id: "p1",
+    blocks: [{ index: 0, html: "<p>a</p>", groupId: "g0" }, { index: 1, html: "<p>b</p>", groupId: "g0" }],
+    blockGroups: [{ id: "g0", tag: "div", depth: 0 }],
+    sections: [{ start: 0, end: 1 }],
+  };
+  const first = await log.record(project, { action: "initial" });
+
+  // 再解析でラッパー構成だけが変わった場合も記録される
+  project.blockGroups = [{ id: "g0", tag: "section", depth: 0 }];
+  project.sections = [{ start: 0, end: 0 }, { start: 1, end: 1 }];
+  assert.ok(await log.record(project, { action: "text_modify" }));
+
+  const state = await log.getState("p1", first.id);
+  assert.deepEqual(state.blockGroups, [{ id: "g0", tag: "div", depth: 0 }]);
+  assert.deepEqual(state.sections, [{ start: 0, end: 1 }]);
+  assert.equal(state.blocks.length, 2);
+
+  // 構成もブロックも変わらなければ記録しない
+  assert.equal(await log.record(project, { action: "noop" }), null);
+}));
+
+test("チェックポイントをまたいでも任意のリビジョンの状態を差分の再生で復元できる", () => withLog(async (log) => {
+  const project = { id: "p2", blocks: [block("<p>0</p>")] };
+  const ids = [(await log.record(project, { action: "initial" })).id];
+  for (let n = 1; n <= 25; n++) {
+    project.blocks = [...project.blocks, block(`<p>${n}</p>`)];
+    ids.push((await log.record(project, { action: "insert_block" })).id);
+  }
+  for (const n of [0, 5, 19, 20, 21, 25]) {
+    const state = await log.getState("p2", ids[n]);
+    assert.equal(state.blocks.length, n + 1, `revision ${n}`);
+    assert.equal(state.blocks.at(-1).html, `<p>${n}</p>`);
+  }
+
+  // 再起動後（キャッシュなし）も同じ最新状態から差分を取る
+  const restarted = new RevisionLog(log.rootDir);
+  project.blocks = project.blocks.slice(1);
+  const rev = await restarted.record(project, { action: "delete_block" });
+  assert.deepEqual(rev.summary, { added: 0, removed: 1, changed: 0 });
+
+  const diff = await restarted.diff("p2", ids[0], ids[2]);
+  assert.deepEqual(diff.summary, { added: 2, removed: 0, changed: 0 });
+  assert.equal(await restarted.getState("p2", "missing"), null);
+}));
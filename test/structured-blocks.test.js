@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractStructured, renderStructured } from "../src/structured-blocks.js";
+
+const FAQ_HTML = `<div class="faq-list"><details><summary>Q. 妊娠中でも使えますか？</summary><p>A. はい、<strong>無添加</strong>なのでお使いいただけます。</p></details><details><summary>Q. 解約はできますか？</summary><p>A. いつでも可能です。</p></details></div>`;
+const TABLE_HTML = `<table class="compare"><thead><tr><th></th><th>当社</th><th>A社</th></tr></thead><tbody><tr><td>価格</td><td>1,980円</td><td>3,000円</td></tr><tr><td>送料</td><td>無料</td><td>500円</td></tr></tbody></table>`;
+
+test("FAQ は Q./A. の接頭辞を除いた質問・回答として読み取る", () => {
+  assert.deepEqual(extractStructured(FAQ_HTML, "faq"), {
+    kind: "faq",
+    items: [
+      { question: "妊娠中でも使えますか？", answer: "はい、無添加なのでお使いいただけます。" },
+      { question: "解約はできますか？", answer: "いつでも可能です。" },
+    ],
+  });
+});
+
+test("比較表は見出し列と行のセルとして読み取る", () => {
+  assert.deepEqual(extractStructured(TABLE_HTML, "comparison"), {
+    kind: "comparison",
+    columns: ["", "当社", "A社"],
+    rows: [["価格", "1,980円", "3,000円"], ["送料", "無料", "500円"]],
+  });
+});
+
+test("読み取ったデータをそのまま書き戻すとHTMLは変わらない", () => {
+  assert.equal(renderStructured(FAQ_HTML, "faq", extractStructured(FAQ_HTML, "faq")), FAQ_HTML);
+  assert.equal(renderStructured(TABLE_HTML, "comparison", extractStructured(TABLE_HTML, "comparison")), TABLE_HTML);
+});
+
+test("編集した項目だけを書き換え、元の接頭辞と装飾は残す", () => {
+  const data = extractStructured(FAQ_HTML, "faq");
+  data.items[1].answer = "1回目から解約できます。";
+  const html = renderStructured(FAQ_HTML, "faq", data);
+  assert.match(html, /<p>A\. 1回目から解約できます。<\/p>/);
+  assert.match(html, /<strong>無添加<\/strong>/);
+  assert.deepEqual(extractStructured(html, "faq").items[1], { question: "解約はできますか？", answer: "1回目から解約できます。" });
+
+  const table = extractStructured(TABLE_HTML, "comparison");
+  table.rows[0][1] = "980円";
+  assert.equal(extractStructured(renderStructured(TABLE_HTML, "comparison", table), "comparison").rows[0][1], "980円");
+});
+
+test("対象外の type・読み取れないブロックは null / エラーになる", () => {
+  assert.equal(extractStructured(FAQ_HTML, "text"), null);
+  assert.equal(extractStructured("", "faq"), null);
+  assert.throws(() => renderStructured(FAQ_HTML, "text", {}), /項目編集に対応していません/);
+  assert.throws(() => renderStructured(FAQ_HTML, "faq", null), /オブジェクト/);
+  assert.throws(() => renderStructured("<p>本文だけ</p>", "comparison", { columns: [], rows: [] }), /読み取れませんでした/);
+});
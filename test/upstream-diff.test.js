@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffBlocks, applyUpstreamChanges } from "../src/upstream-diff.js";
+
+const text = (t) => ({ type: "text", html: `<p>${t}</p>`, text: t });
+
+test("diffBlocks は対応するブロックの変更を検出し、変更に連番のIDを振る", () => {
+  const base = [text("お悩みありませんか？"), text("今なら初回980円でお試しいただけます"), text("よくある質問はこちら")];
+  const remote = [text("お悩みありませんか？"), text("今なら初回500円でお試しいただけます"), text("期間限定キャンペーン実施中")];
+  const { changes, summary } = diffBlocks(base, remote);
+  assert.equal(summary.unchanged, 1);
+  assert.equal(summary.changed, 1);
+  assert.deepEqual(changes.map((c) => c.id), changes.map((_, i) => `c${i + 1}`));
+
+  const changed = changes.find((c) => c.kind === "changed");
+  assert.deepEqual([changed.baseIndex, changed.remoteIndex, changed.textChanged], [1, 1, true]);
+  assert.equal(summary.added + summary.removed + summary.changed, changes.length);
+});
+
+test("同じ内容なら変更なし", () => {
+  const blocks = [text("a"), text("b")];
+  const { changes, summary } = diffBlocks(blocks, JSON.parse(JSON.stringify(blocks)));
+  assert.deepEqual(changes, []);
+  assert.equal(summary.unchanged, 2);
+});
+
+test("選択した変更だけをローカルに反映し、ローカルの編集は残す", () => {
+  const base = [text("見出しテキストです"), text("今なら初回980円でお試しいただけます")];
+  const local = [text("見出しテキストを編集しました"), text("今なら初回980円でお試しいただけます")];
+  const remote = [text("見出しテキストです"), text("今なら初回500円でお試しいただけます")];
+  const { changes } = diffBlocks(base, remote);
+  const price = changes.find((c) => c.kind === "changed" && c.baseIndex === 1);
+
+  const result = applyUpstreamChanges({ localBlocks: local, baseBlocks: base, remoteBlocks: remote, changes, ids: [price.id] });
+  assert.deepEqual(result.applied, [price.id]);
+  assert.deepEqual(result.blocks.map((b) => b.text), ["見出しテキストを編集しました", "今なら初回500円でお試しいただけます"]);
+  assert.equal(result.baseBlocks[1].text, "今なら初回500円でお試しいただけます");
+  // 入力は変更しない
+  assert.equal(local[1].text, "今なら初回980円でお試しいただけます");
+});